@@ -0,0 +1,88 @@
+/**
+ * Offline Backtest Script
+ * Usage: node backtest_script.js path/to/backtest-config.json
+ *
+ * Example config:
+ * {
+ *   "name": "BTC last month",
+ *   "symbols": ["BTCUSDT"],
+ *   "startDate": "2025-05-01T00:00:00Z",
+ *   "endDate": "2025-06-01T00:00:00Z",
+ *   "intervals": ["5m", "15m"],
+ *   "candleSource": "files",
+ *   "candleFiles": { "BTCUSDT": ["BTCUSDT-1m-2025-05.csv"] },
+ *   "tradeFiles": { "BTCUSDT": ["BTCUSDT-aggTrades-2025-05.csv"] },
+ *   "detectionProfile": "smallcaps",
+ *   "riskPerTradePercent": 1
+ * }
+ *
+ * File paths are relative to the backtest data directory (BACKTEST_DATA_DIR, default ./data).
+ */
+
+const fs = require('fs');
+const { MongoClient } = require('mongodb');
+const { normalizeBacktestConfig, runBacktest } = require('./utils/backtestEngine');
+require('dotenv').config();
+
+async function runBacktestScript(configPath) {
+    console.log('🧪 Starting Offline Backtest');
+    console.log('============================');
+    
+    let client;
+    
+    try {
+        if (!configPath) {
+            throw new Error('Usage: node backtest_script.js path/to/backtest-config.json');
+        }
+        
+        const { config, errors } = normalizeBacktestConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+        
+        if (errors.length > 0) {
+            throw new Error(`Invalid backtest config: ${errors.join(', ')}`);
+        }
+        
+        const mongoUri = process.env.MONGODB_URI;
+        const dbName = process.env.DB_NAME;
+        
+        if (!mongoUri || !dbName) {
+            throw new Error('Missing MONGODB_URI or DB_NAME in .env file');
+        }
+        
+        console.log('🔗 Connecting to MongoDB...');
+        client = new MongoClient(mongoUri);
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+        
+        const backtest = await runBacktest(client, dbName, config);
+        
+        if (backtest.status !== 'completed') {
+            throw new Error(backtest.error || 'Backtest did not complete');
+        }
+        
+        const { stats, counts } = backtest;
+        console.log('\n🏁 Backtest Completed!');
+        console.log('=====================');
+        console.log(`🆔 Backtest ID: ${backtest._id}`);
+        console.log(`🕯️  1m candles: ${counts.candles}, reversals: ${counts.reversalsDetected}, valid signals: ${counts.validSignals}`);
+        console.log(`⚠️  Reversals without trade data: ${counts.signalsWithoutTradeData}`);
+        console.log(`📊 Trades: ${stats.totalTrades} (${stats.wins} wins / ${stats.losses} losses)`);
+        console.log(`🎯 Win rate: ${stats.winRate}%, average R: ${stats.avgR}, profit factor: ${stats.profitFactor === null ? 'n/a' : stats.profitFactor}`);
+        console.log(`💰 Equity: ${stats.initialEquity} → ${stats.finalEquity} (${stats.returnPercent}%), max drawdown ${stats.maxDrawdownPercent}%`);
+        
+    } catch (error) {
+        console.error('\n❌ Backtest script failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (client) {
+            await client.close();
+            console.log('\n🔌 Disconnected from MongoDB');
+        }
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    runBacktestScript(process.argv[2]);
+}
+
+module.exports = { runBacktestScript };
@@ -5,6 +5,7 @@
 
 require('dotenv').config();
 const { MongoClient } = require('mongodb');
+const { getCandleCollection } = require('./utils/candleStore');
 
 async function cleanupFutureSignals() {
     const client = new MongoClient(process.env.MONGODB_URI);
@@ -47,9 +48,9 @@ async function cleanupFutureSignals() {
             console.log('✅ No signals with future close times found');
         }
         
-        // Also clean up any candles with future close times from candleData collection
+        // Also clean up any candles with future close times from the candle store
         console.log('🧹 Cleaning up candles with future close times...');
-        const candleCollection = db.collection('candleData');
+        const candleCollection = getCandleCollection(db);
         
         const futureCandles = await candleCollection.find({
             closeTime: { $gt: now }
@@ -1,9 +1,17 @@
 const cron = require('node-cron');
 const { initializeGlobalHybridManager, getGlobalHybridManager, cleanupGlobalHybridManager } = require('../utils/hybridCandleDataManager');
-const { performDataCleanup } = require('../controllers/systemController');
 const { getTopMoversSymbols, getTopMoversSummary } = require('../utils/getTopMoversSymbols');
+const { saveSymbolInfo } = require('../utils/symbolInfo');
+const { fetchOverriddenSymbolInfo } = require('../utils/exchangeAdapters');
 const { saveSelectedSymbols, getSelectedSymbols } = require('../models/database');
 const { handleNewSymbolAddition } = require('../controllers/symbolController');
+const { updateConfluence } = require('../utils/confluenceEngine');
+const { trackSignalOutcomes } = require('../utils/signalOutcomeTracker');
+const { upgradeApproximateFootprints } = require('../utils/footprintUpgrader');
+const { updateVolumeProfiles } = require('../utils/sessionVolumeProfiles');
+const { updateNakedPocs } = require('../utils/nakedPocTracker');
+const { removeExpiredVwaps } = require('../utils/vwapBands');
+const { fitScoreCalibration } = require('../utils/scoreCalibration');
 
 // Job execution tracking
 const jobStatus = {
@@ -20,10 +28,35 @@ const jobStatus = {
         lastDuration: 0, 
         lastUpdate: null 
     },
-    dataCleanupJob: { 
-        running: false, 
-        lastRun: null, 
-        lastDuration: 0 
+    confluenceJob: {
+        running: false,
+        lastRun: null,
+        lastDuration: 0,
+        lastResult: null
+    },
+    outcomeTrackerJob: {
+        running: false,
+        lastRun: null,
+        lastDuration: 0,
+        lastResult: null
+    },
+    footprintUpgradeJob: {
+        running: false,
+        lastRun: null,
+        lastDuration: 0,
+        lastResult: null
+    },
+    volumeProfileJob: {
+        running: false,
+        lastRun: null,
+        lastDuration: 0,
+        lastResult: null
+    },
+    scoreCalibrationJob: {
+        running: false,
+        lastRun: null,
+        lastDuration: 0,
+        lastResult: null
     }
 };
 
@@ -124,6 +157,28 @@ async function updateHybridSystemSymbols(client, dbName, newSymbols) {
     }
 }
 
+/**
+ * Store the symbol metadata downloaded with the top movers
+ * Symbols assigned to another exchange (SYMBOL_EXCHANGES) take their metadata from it.
+ * A failed sync keeps the previous tick/lot sizes and never stops the symbol update
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Array} symbolInfo - Symbol universe of the deployment exchange
+ */
+async function syncSymbolInfoSafely(client, dbName, symbolInfo) {
+    try {
+        const overridden = await fetchOverriddenSymbolInfo();
+        const overriddenSymbols = new Set(overridden.map(info => info.symbol));
+        
+        await saveSymbolInfo(client, dbName, [
+            ...(symbolInfo || []).filter(info => !overriddenSymbols.has(info.symbol)),
+            ...overridden
+        ]);
+    } catch (error) {
+        console.error('❌ Error syncing symbol info:', error.message);
+    }
+}
+
 /**
  * Sets up a cron job to automatically update symbols with top movers (gainers/losers)
  * This is the only remaining cron job - everything else is now event-driven via WebSocket
@@ -161,6 +216,9 @@ function setupTopMoversCronJob(client, dbName) {
                 return;
             }
             
+            // Refresh tick/lot sizes from the same exchangeInfo download
+            await syncSymbolInfoSafely(client, dbName, topMoversData.symbolInfo);
+            
             // Get current selected symbols
             const currentSymbols = await getSelectedSymbols(client, dbName);
             
@@ -271,6 +329,9 @@ async function runInitialTopMoversAndHybridInitialization(client, dbName) {
             return;
         }
         
+        // Tick/lot sizes from the same exchangeInfo download, before any footprint is calculated
+        await syncSymbolInfoSafely(client, dbName, topMoversData.symbolInfo);
+        
         // Get current selected symbols (if any)
         const currentSymbols = await getSelectedSymbols(client, dbName);
         
@@ -307,46 +368,35 @@ async function runInitialTopMoversAndHybridInitialization(client, dbName) {
 }
 
 /**
- * Sets up a data cleanup cron job to remove old OHLC data
- * @param {Object} client - MongoDB client
- * @param {string} dbName - Database name
+ * Schedule a background job tracked in jobStatus[name]
+ * Runs are skipped while the previous one is still going; lastRun, lastDuration
+ * and lastResult (the value fn resolves to) are recorded, and the job is
+ * registered with the system state for cleanup.
+ * @param {string} name - jobStatus key, also used in log messages
+ * @param {string} cronExpr - node-cron expression
+ * @param {Function} fn - async (startTime) => result
+ * @returns {Object} The started cron task
  */
-function setupDataCleanupCronJob(client, dbName) {
-    if (!client) {
-        console.error('❌ Cannot setup data cleanup cron job: MongoDB client is not available');
-        return;
-    }
-
-    console.log('🧹 Setting up data cleanup cron job...');
+function scheduleJob(name, cronExpr, fn) {
+    const status = jobStatus[name];
     
-    // Schedule cleanup to run every 6 hours at minute 30 (offset from top movers job)
-    const cleanupJob = cron.schedule('30 */6 * * *', async () => {
-        // Check if previous job is still running
-        if (jobStatus.dataCleanupJob.running) {
-            console.log('⚠️ Data cleanup job is still running, skipping this execution');
+    const job = cron.schedule(cronExpr, async () => {
+        if (status.running) {
+            console.log(`⚠️ ${name} is still running, skipping this execution`);
             return;
         }
 
         const startTime = new Date();
-        jobStatus.dataCleanupJob.running = true;
-        jobStatus.dataCleanupJob.lastRun = startTime;
+        status.running = true;
+        status.lastRun = startTime;
         
         try {
-            console.log('\n🧹 Running scheduled data cleanup...');
-            const result = await performDataCleanup(client, dbName);
-            
-            const endTime = new Date();
-            jobStatus.dataCleanupJob.lastDuration = endTime - startTime;
-            
-            if (result.deletedCount > 0) {
-                console.log(`✅ Data cleanup completed in ${jobStatus.dataCleanupJob.lastDuration}ms. Removed ${result.deletedCount} old OHLC records.`);
-            } else {
-                console.log(`ℹ️ Data cleanup completed in ${jobStatus.dataCleanupJob.lastDuration}ms. No old records found to remove.`);
-            }
+            status.lastResult = await fn(startTime);
+            status.lastDuration = new Date() - startTime;
         } catch (error) {
-            console.error('❌ Scheduled data cleanup failed:', error);
+            console.error(`❌ ${name} failed:`, error);
         } finally {
-            jobStatus.dataCleanupJob.running = false;
+            status.running = false;
         }
     }, {
         scheduled: false // Don't start immediately
@@ -354,13 +404,159 @@ function setupDataCleanupCronJob(client, dbName) {
     
     // Register the job with system state for proper cleanup
     if (global.systemState) {
-        global.systemState.cronJobs.set('dataCleanupJob', cleanupJob);
+        global.systemState.cronJobs.set(name, job);
     }
     
-    // Start the job
-    cleanupJob.start();
+    job.start();
+    return job;
+}
+
+/**
+ * Sets up a cron job that groups reversals closing at the same time on
+ * different intervals and stores their confluence record
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+function setupConfluenceCronJob(client, dbName) {
+    if (!client) {
+        console.error('❌ Cannot setup confluence cron job: MongoDB client is not available');
+        return;
+    }
+
+    console.log('🧭 Setting up confluence cron job...');
+    
+    // Run every minute at :30 seconds, after the artificial candles for the boundary are saved
+    scheduleJob('confluenceJob', '30 * * * * *', async (startTime) => {
+        const result = await updateConfluence(client, dbName);
+        
+        if (result.reversalsUpdated > 0) {
+            console.log(`🧭 Confluence updated for ${result.reversalsUpdated} reversals (${result.groupsFound} groups) in ${new Date() - startTime}ms`);
+        }
+        return result;
+    });
+    
+    console.log('✅ Confluence cron job scheduled to run every minute at :30s');
+}
+
+/**
+ * Sets up a cron job that follows valid signals through later 1m candles
+ * and records stop/target outcomes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+function setupOutcomeTrackerCronJob(client, dbName) {
+    if (!client) {
+        console.error('❌ Cannot setup outcome tracker cron job: MongoDB client is not available');
+        return;
+    }
+
+    console.log('🎯 Setting up signal outcome tracker cron job...');
+    
+    // Run every minute at :45 seconds, once the latest 1m candles are stored
+    scheduleJob('outcomeTrackerJob', '45 * * * * *', async (startTime) => {
+        const result = await trackSignalOutcomes(client, dbName);
+        
+        if (result.outcomesClosed > 0) {
+            console.log(`🎯 ${result.outcomesClosed} signal outcomes resolved (${result.outcomesUpdated} updated) in ${new Date() - startTime}ms`);
+        }
+        return result;
+    });
+    
+    console.log('✅ Outcome tracker cron job scheduled to run every minute at :45s');
+}
+
+/**
+ * Sets up a cron job that replaces approximate (1m candle) footprints with
+ * tick footprints once aggTrades can be fetched again
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+function setupFootprintUpgradeCronJob(client, dbName) {
+    if (!client) {
+        console.error('❌ Cannot setup footprint upgrade cron job: MongoDB client is not available');
+        return;
+    }
+
+    console.log('⬆️ Setting up footprint upgrade cron job...');
+    
+    // Run every 5 minutes at :50 seconds, clear of the minute-boundary tick fetches
+    scheduleJob('footprintUpgradeJob', '50 */5 * * * *', async (startTime) => {
+        const result = await upgradeApproximateFootprints(client, dbName);
+        
+        if (result.checked > 0) {
+            console.log(`⬆️ ${result.upgraded}/${result.checked} approximate footprints upgraded in ${new Date() - startTime}ms`);
+        }
+        return result;
+    });
+    
+    console.log('✅ Footprint upgrade cron job scheduled to run every 5 minutes at :50s');
+}
+
+/**
+ * Sets up a cron job that folds newly closed 1m candles into the day/session
+ * volume profiles of the selected symbols
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+function setupVolumeProfileCronJob(client, dbName) {
+    if (!client) {
+        console.error('❌ Cannot setup volume profile cron job: MongoDB client is not available');
+        return;
+    }
+
+    console.log('📊 Setting up session volume profile cron job...');
+    
+    // Run every minute at :20 seconds, after the 1m candles of the last minute are stored
+    scheduleJob('volumeProfileJob', '20 * * * * *', async () => {
+        const result = await updateVolumeProfiles(client, dbName);
+        
+        // Finished periods now have their final POC
+        const nakedPocs = await updateNakedPocs(client, dbName);
+        
+        // VWAPs are updated per candle, only their expired periods are removed here
+        const vwapsRemoved = await removeExpiredVwaps(client, dbName);
+        
+        if (result.profilesRemoved > 0 || vwapsRemoved > 0) {
+            console.log(`📊 Removed ${result.profilesRemoved} expired volume profiles and ${vwapsRemoved} VWAP periods`);
+        }
+        
+        if (nakedPocs.registered > 0 || nakedPocs.filled > 0) {
+            console.log(`🧲 Naked POCs: ${nakedPocs.registered} registered, ${nakedPocs.filled} filled`);
+        }
+        return { ...result, nakedPocs, vwapsRemoved };
+    });
+    
+    console.log('✅ Volume profile cron job scheduled to run every minute at :20s');
+}
+
+/**
+ * Sets up a cron job that refits the score calibration (score -> probability
+ * of reaching 1R) on the resolved signal outcomes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+function setupScoreCalibrationCronJob(client, dbName) {
+    if (!client) {
+        console.error('❌ Cannot setup score calibration cron job: MongoDB client is not available');
+        return;
+    }
+
+    console.log('📈 Setting up score calibration cron job...');
+    
+    // Run every hour at minute 40; outcomes resolve slowly, so hourly fits are fresh enough
+    scheduleJob('scoreCalibrationJob', '40 * * * *', async () => {
+        const calibration = await fitScoreCalibration(client, dbName);
+        
+        if (!calibration) {
+            console.log('ℹ️ Score calibration skipped: not enough resolved signals yet');
+            return null;
+        }
+        
+        console.log(`📈 Score calibration fitted on ${calibration.sampleCount} resolved signals (${calibration.curves.length - 1} interval curves)`);
+        return { sampleCount: calibration.sampleCount, curves: calibration.curves.length };
+    });
     
-    console.log('✅ Data cleanup cron job scheduled to run every 6 hours at :30');
+    console.log('✅ Score calibration cron job scheduled to run every hour at minute 40');
 }
 
 /**
@@ -377,11 +573,15 @@ function getSystemStatus() {
             currentStatus: hybridStatus
         },
         topMoversJob: jobStatus.topMoversJob,
-        dataCleanupJob: jobStatus.dataCleanupJob,
+        confluenceJob: jobStatus.confluenceJob,
+        outcomeTrackerJob: jobStatus.outcomeTrackerJob,
+        footprintUpgradeJob: jobStatus.footprintUpgradeJob,
+        volumeProfileJob: jobStatus.volumeProfileJob,
+        scoreCalibrationJob: jobStatus.scoreCalibrationJob,
         systemHealth: {
             hybridSystemActive: jobStatus.hybridSystem.initialized,
             webSocketConnected: hybridStatus ? hybridStatus.isActive : false,
-            totalActiveJobs: (jobStatus.topMoversJob.running ? 1 : 0) + (jobStatus.dataCleanupJob.running ? 1 : 0),
+            totalActiveJobs: (jobStatus.topMoversJob.running ? 1 : 0) + (jobStatus.confluenceJob.running ? 1 : 0) + (jobStatus.outcomeTrackerJob.running ? 1 : 0) + (jobStatus.footprintUpgradeJob.running ? 1 : 0) + (jobStatus.volumeProfileJob.running ? 1 : 0) + (jobStatus.scoreCalibrationJob.running ? 1 : 0),
             lastHealthCheck: new Date()
         }
     };
@@ -410,8 +610,11 @@ function logSystemStatus() {
     console.log(`├── Top Movers Job: ${status.topMoversJob.running ? '🟢 Running' : '🔴 Idle'}`);
     console.log(`├── Last Top Movers Run: ${status.topMoversJob.lastRun ? status.topMoversJob.lastRun.toISOString() : 'Never'}`);
     console.log(`├── Last Symbol Update: ${status.topMoversJob.lastUpdate ? status.topMoversJob.lastUpdate.toISOString() : 'Never'}`);
-    console.log(`├── Data Cleanup Job: ${status.dataCleanupJob.running ? '🟢 Running' : '🔴 Idle'}`);
-    console.log(`├── Last Cleanup: ${status.dataCleanupJob.lastRun ? status.dataCleanupJob.lastRun.toISOString() : 'Never'}`);
+    console.log(`├── Last Confluence Run: ${status.confluenceJob.lastRun ? status.confluenceJob.lastRun.toISOString() : 'Never'}`);
+    console.log(`├── Last Outcome Tracking: ${status.outcomeTrackerJob.lastRun ? status.outcomeTrackerJob.lastRun.toISOString() : 'Never'}`);
+    console.log(`├── Last Footprint Upgrade: ${status.footprintUpgradeJob.lastRun ? status.footprintUpgradeJob.lastRun.toISOString() : 'Never'}`);
+    console.log(`├── Last Volume Profile Update: ${status.volumeProfileJob.lastRun ? status.volumeProfileJob.lastRun.toISOString() : 'Never'}`);
+    console.log(`├── Last Score Calibration: ${status.scoreCalibrationJob.lastRun ? status.scoreCalibrationJob.lastRun.toISOString() : 'Never'}`);
     console.log(`└── Total Active Jobs: ${status.systemHealth.totalActiveJobs}`);
     
     // Warnings for potential issues
@@ -470,7 +673,11 @@ module.exports = {
     
     // Cron job setup functions
     setupTopMoversCronJob,
-    setupDataCleanupCronJob,
+    setupConfluenceCronJob,
+    setupOutcomeTrackerCronJob,
+    setupFootprintUpgradeCronJob,
+    setupVolumeProfileCronJob,
+    setupScoreCalibrationCronJob,
     setupMonitoringCronJob,
     
     // Status and monitoring functions
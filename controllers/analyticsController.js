@@ -0,0 +1,120 @@
+/**
+ * Analytics Controller - Signal Performance
+ * Win rate, average R and expectancy of tracked signal outcomes,
+ * broken down by interval, symbol, score bucket, signal type, hour of day, value area method
+ * and footprint binning mode, plus the current score calibration curve
+ */
+
+const { getSelectedSymbols } = require('../config/database');
+const { getSignalPerformanceStatistics } = require('../models/database');
+const { getCurrentCalibration } = require('../utils/scoreCalibration');
+
+/**
+ * Read analytics filters from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { symbol, signalType, days, filters }
+ */
+function parseAnalyticsFilters(query) {
+    const symbol = query.symbol || 'all';
+    const signalType = query.signalType || 'both'; // both, buy, sell
+    const days = parseInt(query.days || '30', 10); // 0 = all time
+
+    return {
+        symbol,
+        signalType,
+        days,
+        filters: {
+            symbol: symbol !== 'all' ? symbol : null,
+            signalType: signalType !== 'both' ? signalType : null,
+            startDate: days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null
+        }
+    };
+}
+
+/**
+ * Display the signal performance analytics page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function analyticsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).send('Database connection not available');
+        }
+
+        const { symbol, signalType, days, filters } = parseAnalyticsFilters(req.query);
+
+        const viewData = {
+            selectedSymbols: await getSelectedSymbols(client),
+            currentSymbol: symbol,
+            currentSignalType: signalType,
+            currentDays: days,
+            performance: null,
+            calibration: null,
+            error: null
+        };
+
+        try {
+            viewData.performance = await getSignalPerformanceStatistics(client, dbName, filters);
+            viewData.calibration = await getCurrentCalibration(client, dbName);
+        } catch (dbError) {
+            console.error('Error fetching signal performance:', dbError);
+            viewData.error = `Error fetching analytics: ${dbError.message}`;
+        }
+
+        res.render('analytics', {
+            title: 'Signal Analytics',
+            ...viewData
+        });
+
+    } catch (error) {
+        console.error('Error in analytics page:', error);
+        res.status(500).send('An error occurred while loading signal analytics');
+    }
+}
+
+/**
+ * Signal performance analytics as JSON
+ * Query: ?symbol=BTCUSDT&signalType=buy&days=30
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function analyticsApiController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const { symbol, signalType, days, filters } = parseAnalyticsFilters(req.query);
+        const performance = await getSignalPerformanceStatistics(client, dbName, filters);
+        const calibration = await getCurrentCalibration(client, dbName);
+
+        res.json({
+            success: true,
+            filters: { symbol, signalType, days },
+            ...performance,
+            calibration
+        });
+
+    } catch (error) {
+        console.error('Error fetching signal analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching signal analytics: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    analyticsController,
+    analyticsApiController
+};
@@ -0,0 +1,126 @@
+const { getBacktests, getBacktestById } = require('../models/database');
+const { normalizeBacktestConfig, startBacktest } = require('../utils/backtestEngine');
+
+/**
+ * Start a backtest in the background
+ * Body: { name, symbols, startDate, endDate, intervals, candleSource, candleFiles, tradeFiles,
+ *         detectionProfile, thresholds, trendContext, initialEquity, riskPerTradePercent }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startBacktestController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const { config, errors } = normalizeBacktestConfig(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        const backtestId = await startBacktest(client, dbName, config);
+
+        res.status(202).json({
+            success: true,
+            message: 'Backtest started',
+            backtestId
+        });
+
+    } catch (error) {
+        console.error('Error starting backtest:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while starting the backtest: ' + error.message
+        });
+    }
+}
+
+/**
+ * List stored backtests (summary only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listBacktestsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const backtests = await getBacktests(client, dbName, parseInt(req.query.limit || '50', 10));
+
+        res.json({
+            success: true,
+            backtests
+        });
+
+    } catch (error) {
+        console.error('Error listing backtests:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing backtests: ' + error.message
+        });
+    }
+}
+
+/**
+ * Get a backtest report (trades, equity curve and stats)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBacktestController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const backtest = await getBacktestById(client, dbName, req.params.id);
+
+        if (!backtest) {
+            return res.status(404).json({
+                success: false,
+                message: `Backtest ${req.params.id} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            backtest
+        });
+
+    } catch (error) {
+        console.error('Error fetching backtest:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching the backtest: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    startBacktestController,
+    listBacktestsController,
+    getBacktestController
+};
@@ -0,0 +1,317 @@
+const {
+    getDetectionProfiles,
+    saveDetectionProfile,
+    deleteDetectionProfile,
+    getDetectionProfileOverrides,
+    saveDetectionProfileOverride,
+    deleteDetectionProfileOverride
+} = require('../models/database');
+const { DEFAULT_DETECTION_THRESHOLDS } = require('../utils/reversalCandleDetector');
+const { DEFAULT_TREND_CONTEXT, normalizeTrendContext } = require('../utils/trendContextFilter');
+const { DEFAULT_VALIDATION_RULES, normalizeValidationRules } = require('../utils/tradeSignalValidator');
+const { DEFAULT_DEDUPLICATION, normalizeDeduplication } = require('../utils/signalDeduplicator');
+const {
+    BUILTIN_PROFILE_NAME,
+    normalizeThresholds,
+    resolveDetectionProfile,
+    invalidateDetectionProfiles
+} = require('../utils/detectionProfiles');
+
+/**
+ * List detection profiles, overrides and the built-in thresholds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listDetectionProfilesController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const [profiles, overrides] = await Promise.all([
+            getDetectionProfiles(client, dbName),
+            getDetectionProfileOverrides(client, dbName)
+        ]);
+
+        res.json({
+            success: true,
+            builtin: DEFAULT_DETECTION_THRESHOLDS,
+            builtinTrendContext: DEFAULT_TREND_CONTEXT,
+            builtinValidationRules: DEFAULT_VALIDATION_RULES,
+            builtinDeduplication: DEFAULT_DEDUPLICATION,
+            profiles,
+            overrides
+        });
+
+    } catch (error) {
+        console.error('Error listing detection profiles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing detection profiles: ' + error.message
+        });
+    }
+}
+
+/**
+ * Create or update a detection profile
+ * Body: { name, description, isDefault, thresholds: { maxBodyPercentage, ... }, trendContext: { mode, lookback, ... },
+ *         validationRules: { valueAreaPercent, requirePocInTail, requireTailDelta, requireStackedImbalance,
+ *                            imbalanceRatio, stackedImbalanceLevels },
+ *         deduplication: { enabled, closeTimeToleranceMinutes, stopTolerancePercent, cooldownMinutes } }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveDetectionProfileController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const name = (req.body.name || '').trim();
+
+        if (!name || name === BUILTIN_PROFILE_NAME) {
+            return res.status(400).json({
+                success: false,
+                message: `A profile name other than "${BUILTIN_PROFILE_NAME}" is required`
+            });
+        }
+
+        const { thresholds, errors: thresholdErrors } = normalizeThresholds(req.body.thresholds);
+        const { trendContext, errors: trendContextErrors } = normalizeTrendContext(req.body.trendContext);
+        const { validationRules, errors: validationRuleErrors } = normalizeValidationRules(req.body.validationRules);
+        const { deduplication, errors: deduplicationErrors } = normalizeDeduplication(req.body.deduplication);
+        const errors = [...thresholdErrors, ...trendContextErrors, ...validationRuleErrors, ...deduplicationErrors];
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        await saveDetectionProfile(client, dbName, {
+            name,
+            description: req.body.description,
+            thresholds,
+            trendContext,
+            validationRules,
+            deduplication,
+            isDefault: req.body.isDefault === true || req.body.isDefault === 'true'
+        });
+        invalidateDetectionProfiles();
+
+        console.log(`✅ Detection profile "${name}" saved`);
+
+        res.json({
+            success: true,
+            message: `Detection profile "${name}" saved`,
+            thresholds: { ...DEFAULT_DETECTION_THRESHOLDS, ...thresholds },
+            trendContext: { ...DEFAULT_TREND_CONTEXT, ...trendContext },
+            validationRules: { ...DEFAULT_VALIDATION_RULES, ...validationRules },
+            deduplication: { ...DEFAULT_DEDUPLICATION, ...deduplication }
+        });
+
+    } catch (error) {
+        console.error('Error saving detection profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while saving the detection profile: ' + error.message
+        });
+    }
+}
+
+/**
+ * Delete a detection profile (and the overrides that use it)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteDetectionProfileController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const result = await deleteDetectionProfile(client, dbName, req.params.name);
+        invalidateDetectionProfiles();
+
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                message: `Detection profile "${req.params.name}" not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Detection profile "${req.params.name}" deleted`,
+            overridesRemoved: result.overridesRemoved
+        });
+
+    } catch (error) {
+        console.error('Error deleting detection profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while deleting the detection profile: ' + error.message
+        });
+    }
+}
+
+/**
+ * Assign a profile to a symbol and/or interval
+ * Body: { symbol, interval, profileName } - symbol or interval may be omitted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveDetectionProfileOverrideController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.body.symbol ? req.body.symbol.trim().toUpperCase() : null;
+        const interval = req.body.interval ? req.body.interval.trim() : null;
+        const profileName = (req.body.profileName || '').trim();
+
+        if (!symbol && !interval) {
+            return res.status(400).json({
+                success: false,
+                message: 'A symbol, an interval, or both are required'
+            });
+        }
+
+        const profiles = await getDetectionProfiles(client, dbName);
+
+        if (!profiles.some(profile => profile.name === profileName)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown detection profile "${profileName}"`
+            });
+        }
+
+        await saveDetectionProfileOverride(client, dbName, symbol, interval, profileName);
+        invalidateDetectionProfiles();
+
+        res.json({
+            success: true,
+            message: `${symbol || 'all symbols'} / ${interval || 'all intervals'} now use "${profileName}"`
+        });
+
+    } catch (error) {
+        console.error('Error saving detection profile override:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while saving the override: ' + error.message
+        });
+    }
+}
+
+/**
+ * Remove a symbol/interval override
+ * Query: ?symbol=BTCUSDT&interval=15m - either may be omitted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteDetectionProfileOverrideController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.query.symbol ? req.query.symbol.toUpperCase() : null;
+        const interval = req.query.interval || null;
+
+        const result = await deleteDetectionProfileOverride(client, dbName, symbol, interval);
+        invalidateDetectionProfiles();
+
+        res.json({
+            success: result.deletedCount > 0,
+            message: result.deletedCount > 0 ? 'Override removed' : 'No matching override found',
+            deletedCount: result.deletedCount
+        });
+
+    } catch (error) {
+        console.error('Error deleting detection profile override:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while removing the override: ' + error.message
+        });
+    }
+}
+
+/**
+ * Show which profile a symbol/interval resolves to
+ * Query: ?symbol=BTCUSDT&interval=15m
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function resolveDetectionProfileController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.query.symbol ? req.query.symbol.toUpperCase() : null;
+        const interval = req.query.interval || '1m';
+
+        const profile = await resolveDetectionProfile(client, dbName, symbol, interval);
+
+        res.json({
+            success: true,
+            symbol,
+            interval,
+            profile
+        });
+
+    } catch (error) {
+        console.error('Error resolving detection profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while resolving the detection profile: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    listDetectionProfilesController,
+    saveDetectionProfileController,
+    deleteDetectionProfileController,
+    saveDetectionProfileOverrideController,
+    deleteDetectionProfileOverrideController,
+    resolveDetectionProfileController
+};
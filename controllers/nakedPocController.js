@@ -0,0 +1,118 @@
+const { getNakedPocs, getLevelAlerts } = require('../utils/nakedPocTracker');
+
+const NAKED_POC_STATUSES = ['open', 'filled', 'all'];
+const MAX_LIMIT = 500;
+
+/**
+ * Parse the optional limit query parameter
+ * @returns {number|null} Limit or null when invalid
+ */
+function parseLimit(value) {
+    const limit = value !== undefined ? Number(value) : 100;
+    return Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT ? limit : null;
+}
+
+/**
+ * Get the naked POCs of a symbol
+ * Query: status (open | filled | all, default open), limit (default 100)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getNakedPocsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.params.symbol.toUpperCase();
+        const status = req.query.status || 'open';
+        const limit = parseLimit(req.query.limit);
+
+        if (!NAKED_POC_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${NAKED_POC_STATUSES.join(', ')}`
+            });
+        }
+
+        if (!limit) {
+            return res.status(400).json({
+                success: false,
+                message: `limit must be an integer between 1 and ${MAX_LIMIT}`
+            });
+        }
+
+        const nakedPocs = await getNakedPocs(client, dbName, { symbol, status, limit });
+
+        res.json({
+            success: true,
+            symbol,
+            status,
+            count: nakedPocs.length,
+            nakedPocs
+        });
+
+    } catch (error) {
+        console.error('Error loading naked POCs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while loading naked POCs: ' + error.message
+        });
+    }
+}
+
+/**
+ * Get the level alerts raised when live price touched a naked POC
+ * Query: symbol (optional), limit (default 100)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getLevelAlertsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.query.symbol ? req.query.symbol.toUpperCase() : null;
+        const limit = parseLimit(req.query.limit);
+
+        if (!limit) {
+            return res.status(400).json({
+                success: false,
+                message: `limit must be an integer between 1 and ${MAX_LIMIT}`
+            });
+        }
+
+        const alerts = await getLevelAlerts(client, dbName, { symbol, limit });
+
+        res.json({
+            success: true,
+            count: alerts.length,
+            alerts
+        });
+
+    } catch (error) {
+        console.error('Error loading level alerts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while loading level alerts: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    getNakedPocsController,
+    getLevelAlertsController
+};
@@ -1,5 +1,6 @@
 const { getSelectedSymbols } = require('../config/database');
 const { getReversalCandles, getReversalCandleCount, getReversalStatistics } = require('../models/database');
+const { REVERSAL_PATTERN_TYPES, getReversalDirection } = require('../utils/reversalCandleDetector');
 
 /**
  * Display reversal candle data for selected symbols
@@ -58,8 +59,7 @@ async function reversalCandleController(req, res) {
             currentSymbol: symbol,
             reversalTypes: [
                 { value: 'all', label: 'All Reversals' },
-                { value: 'buy_reversal', label: 'Buy Reversals' },
-                { value: 'sell_reversal', label: 'Sell Reversals' }
+                ...REVERSAL_PATTERN_TYPES.map(t => ({ value: t.value, label: t.label }))
             ],
             currentReversalType: reversalType,
             currentMinConfidence: minConfidence,
@@ -296,16 +296,21 @@ async function reversalCandleController(req, res) {
                                 const confidenceClass = pattern.confidence > 80 ? 'confidence-high' : 
                                                       pattern.confidence >= 60 ? 'confidence-medium' : 'confidence-low';
                                 
-                                const rowClass = pattern.type === 'buy_reversal' ? 'buy-reversal' : 'sell-reversal';
+                                const isBuy = getReversalDirection(pattern.type) === 'buy';
+                                const rowClass = isBuy ? 'buy-reversal' : 'sell-reversal';
+                                const patternType = REVERSAL_PATTERN_TYPES.find(t => t.value === pattern.type);
                                 
                                 return `
                                     <tr class="${rowClass}">
                                         <td style="font-size: 12px;">${openTime}</td>
                                         <td style="font-weight: bold; color: #007bff;">${reversal.interval}</td>
                                         <td>
-                                            <span class="pattern-type ${pattern.type === 'buy_reversal' ? 'buy-pattern' : 'sell-pattern'}">
-                                                ${pattern.type === 'buy_reversal' ? '🟢 BUY' : '🔴 SELL'}
+                                            <span class="pattern-type ${isBuy ? 'buy-pattern' : 'sell-pattern'}">
+                                                ${isBuy ? '🟢 BUY' : '🔴 SELL'}
                                             </span>
+                                            <div style="font-size: 11px; color: #666; margin-top: 3px;">
+                                                ${patternType ? patternType.label : pattern.type}
+                                            </div>
                                         </td>
                                         <td style="font-size: 12px;">
                                             O: ${candle.open}<br>
@@ -5,6 +5,53 @@
 
 const { getSelectedSymbols } = require('../config/database');
 const { deleteReversalSignal } = require('../models/database');
+const { REVERSAL_PATTERN_TYPES } = require('../utils/reversalCandleDetector');
+const { calculateTakeProfitTargets } = require('../utils/takeProfitTargets');
+const { resolveSizingSettings, calculatePositionSize } = require('../utils/positionSizing');
+const { getQuantityFilters } = require('../utils/exchangeQuantityFilters');
+const { formatPrice } = require('../utils/symbolInfo');
+
+/**
+ * Read dashboard / API filters from the query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} Parsed filters plus the list of selected intervals
+ */
+function parseSignalFilters(query) {
+    const filters = {
+        symbol: query.symbol || 'all',
+        minTimeframe: parseInt(query.minTimeframe || '3', 10),
+        maxTimeframe: parseInt(query.maxTimeframe || '60', 10),
+        specificTimeframe: query.specificTimeframe ? parseInt(query.specificTimeframe, 10) : null,
+        minScore: parseFloat(query.minScore || '0'),
+        signalType: query.signalType || 'both', // both, buy, sell
+        patternType: query.patternType || 'all', // all or a reversalPattern.type value
+        minConfluence: parseInt(query.minConfluence || '1', 10), // confirmed on >= N timeframes
+        outcome: query.outcome || 'all', // all, pending, win, loss, expired
+        footprint: query.footprint || 'all', // all, tick, approximate (1m candle fallback)
+        vwap: query.vwap || 'all', // all, day, session (buys below / sells above that VWAP)
+        duplicates: query.duplicates || 'hide', // hide (parents only), show (siblings too)
+        minRewardToRisk: parseFloat(query.minRR || '0'), // TP1 reward-to-risk
+        sortBy: query.sortBy || 'closeTime', // closeTime, score, confluence, rewardToRisk, symbol
+        sortOrder: query.sortOrder || 'desc', // asc, desc
+        limit: parseInt(query.limit || '50', 10),
+        user: query.user || '' // position sizing settings of this user (global when empty)
+    };
+    
+    // Generate intervals based on range or specific timeframe
+    filters.selectedIntervals = [];
+    if (filters.specificTimeframe && filters.specificTimeframe >= 1 && filters.specificTimeframe <= 60) {
+        filters.selectedIntervals = [`${filters.specificTimeframe}m`];
+    } else {
+        // Generate range of intervals
+        const validMin = Math.max(1, Math.min(filters.minTimeframe, 60));
+        const validMax = Math.max(validMin, Math.min(filters.maxTimeframe, 60));
+        for (let i = validMin; i <= validMax; i++) {
+            filters.selectedIntervals.push(`${i}m`);
+        }
+    }
+    
+    return filters;
+}
 
 /**
  * Display trading signals dashboard (new home page)
@@ -26,28 +73,11 @@ async function signalsController(req, res) {
         const selectedSymbols = await getSelectedSymbols(client);
         
         // Get query parameters for filtering
-        const symbol = req.query.symbol || 'all';
-        const minTimeframe = parseInt(req.query.minTimeframe || '3', 10);
-        const maxTimeframe = parseInt(req.query.maxTimeframe || '60', 10);
-        const specificTimeframe = req.query.specificTimeframe ? parseInt(req.query.specificTimeframe, 10) : null;
-        const minScore = parseFloat(req.query.minScore || '0');
-        const signalType = req.query.signalType || 'both'; // both, buy, sell
-        const sortBy = req.query.sortBy || 'closeTime'; // closeTime, score, symbol
-        const sortOrder = req.query.sortOrder || 'desc'; // asc, desc
-        const limit = parseInt(req.query.limit || '50', 10);
-        
-        // Generate intervals based on range or specific timeframe
-        let selectedIntervals = [];
-        if (specificTimeframe && specificTimeframe >= 1 && specificTimeframe <= 60) {
-            selectedIntervals = [`${specificTimeframe}m`];
-        } else {
-            // Generate range of intervals
-            const validMin = Math.max(1, Math.min(minTimeframe, 60));
-            const validMax = Math.max(validMin, Math.min(maxTimeframe, 60));
-            for (let i = validMin; i <= validMax; i++) {
-                selectedIntervals.push(`${i}m`);
-            }
-        }
+        const filters = parseSignalFilters(req.query);
+        const {
+            symbol, minTimeframe, maxTimeframe, specificTimeframe, minScore, signalType, patternType,
+            minConfluence, outcome, footprint, vwap, duplicates, minRewardToRisk, sortBy, sortOrder, limit, selectedIntervals, user
+        } = filters;
         
         // All available timeframes (from backend processing)
         const allTimeframes = [
@@ -69,12 +99,23 @@ async function signalsController(req, res) {
             selectedIntervals: selectedIntervals,
             currentMinScore: minScore,
             currentSignalType: signalType,
+            currentPatternType: patternType,
+            patternTypes: REVERSAL_PATTERN_TYPES,
+            currentMinConfluence: minConfluence,
+            currentOutcome: outcome,
+            currentFootprint: footprint,
+            currentVwap: vwap,
+            currentDuplicates: duplicates,
+            currentMinRewardToRisk: minRewardToRisk,
             currentSortBy: sortBy,
             currentSortOrder: sortOrder,
             currentLimit: limit,
+            currentUser: user,
             allTimeframes: allTimeframes,
             signals: [],
             statistics: null,
+            sizingSettings: null,
+            quantityFilters: new Map(),
             error: null,
             hasSymbols: selectedSymbols.length > 0
         };
@@ -83,19 +124,16 @@ async function signalsController(req, res) {
         if (selectedSymbols.length > 0) {
             try {
                 // Get valid trade signals
-                const { signals, statistics } = await getValidTradeSignals(client, dbName, {
-                    symbol: symbol !== 'all' ? symbol : null,
-                    intervals: selectedIntervals,
-                    minScore,
-                    signalType,
-                    sortBy,
-                    sortOrder,
-                    limit
-                });
+                const { signals, statistics } = await getValidTradeSignals(client, dbName, toQueryFilters(filters));
                 
                 viewData.signals = signals;
                 viewData.statistics = statistics;
                 
+                [viewData.sizingSettings, viewData.quantityFilters] = await Promise.all([
+                    resolveSizingSettings(client, dbName, user),
+                    getQuantityFilters(client, dbName)
+                ]);
+                
             } catch (dbError) {
                 console.error('Error fetching signals data:', dbError);
                 viewData.error = `Error fetching signals: ${dbError.message}`;
@@ -106,7 +144,11 @@ async function signalsController(req, res) {
         res.render('signals', {
             title: 'Trading Signals Dashboard',
             ...viewData,
-            calculateStopLoss: calculateStopLoss
+            calculateStopLoss: calculateStopLoss,
+            getSignalTakeProfit: getSignalTakeProfit,
+            getSignalPosition: signal => viewData.sizingSettings
+                ? getSignalPosition(signal, viewData.sizingSettings, viewData.quantityFilters)
+                : null
         });
         
     } catch (error) {
@@ -115,6 +157,82 @@ async function signalsController(req, res) {
     }
 }
 
+/**
+ * Valid trade signals as JSON, with stop loss, take-profit targets and position size
+ * Query: same filters as the dashboard (symbol, minScore, signalType, minRR, ...) plus
+ * user for the sizing settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function signalsApiController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+        
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+        
+        const filters = parseSignalFilters(req.query);
+        const [{ signals, statistics }, sizingSettings, quantityFilters] = await Promise.all([
+            getValidTradeSignals(client, dbName, toQueryFilters(filters)),
+            resolveSizingSettings(client, dbName, filters.user),
+            getQuantityFilters(client, dbName)
+        ]);
+        
+        res.json({
+            success: true,
+            count: signals.length,
+            statistics,
+            sizingSettings,
+            signals: signals.map(signal => {
+                const stopLoss = calculateStopLoss(signal);
+                return {
+                    ...signal,
+                    stopLoss: {
+                        price: stopLoss.stopLossPrice,
+                        riskPercentage: stopLoss.riskPercentage
+                    },
+                    takeProfit: getSignalTakeProfit(signal),
+                    position: getSignalPosition(signal, sizingSettings, quantityFilters)
+                };
+            })
+        });
+        
+    } catch (error) {
+        console.error('Error fetching signals:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching signals: ' + error.message
+        });
+    }
+}
+
+/**
+ * Map parsed filters to the options of getValidTradeSignals
+ */
+function toQueryFilters(filters) {
+    return {
+        symbol: filters.symbol !== 'all' ? filters.symbol : null,
+        intervals: filters.selectedIntervals,
+        minScore: filters.minScore,
+        signalType: filters.signalType,
+        patternType: filters.patternType,
+        minConfluence: filters.minConfluence,
+        outcome: filters.outcome,
+        footprint: filters.footprint,
+        vwap: filters.vwap,
+        duplicates: filters.duplicates,
+        minRewardToRisk: filters.minRewardToRisk,
+        sortBy: filters.sortBy,
+        sortOrder: filters.sortOrder,
+        limit: filters.limit
+    };
+}
+
 /**
  * Get valid trade signals from database
  * @param {Object} client - MongoDB client
@@ -152,12 +270,64 @@ async function getValidTradeSignals(client, dbName, filters) {
         query['tradeSignal.signalType'] = filters.signalType;
     }
     
+    // Add reversal pattern filter
+    if (filters.patternType && filters.patternType !== 'all') {
+        query['reversalPattern.type'] = filters.patternType;
+    }
+    
+    // Add multi-timeframe confluence filter (set by the confluence cron job)
+    if (filters.minConfluence > 1) {
+        query['confluence.timeframeCount'] = { $gte: filters.minConfluence };
+    }
+    
+    // Add outcome filter (signals not picked up by the tracker yet count as pending)
+    if (filters.outcome === 'pending') {
+        query['outcome.status'] = { $ne: 'closed' };
+    } else if (filters.outcome && filters.outcome !== 'all') {
+        query['outcome.result'] = filters.outcome;
+    }
+    
+    // Add footprint source filter (approximate = scored on 1m candles, not yet upgraded)
+    if (filters.footprint === 'approximate') {
+        query['tradeSignal.approximate'] = true;
+    } else if (filters.footprint === 'tick') {
+        query['tradeSignal.approximate'] = { $ne: true };
+    }
+    
+    // Add VWAP side filter (buys below, sells above the day or session VWAP)
+    if (filters.vwap === 'day' || filters.vwap === 'session') {
+        const distanceField = `volumeFootprint.vwap.${filters.vwap}.distanceSigma`;
+        query.$or = [
+            { 'tradeSignal.signalType': 'buy', [distanceField]: { $lt: 0 } },
+            { 'tradeSignal.signalType': 'sell', [distanceField]: { $gt: 0 } }
+        ];
+    }
+    
+    // Hide signals linked to a parent on an overlapping interval (see signalDeduplicator)
+    if (filters.duplicates !== 'show') {
+        query['deduplication.role'] = { $ne: 'sibling' };
+    }
+    
+    // Add reward-to-risk filter (TP1 R:R, stored when the signal was saved)
+    if (filters.minRewardToRisk > 0) {
+        query['takeProfit.rewardToRisk'] = { $gte: filters.minRewardToRisk };
+    }
+    
     // Build sort criteria - default to closeTime descending (newest first)
     let sortCriteria = {};
     switch (filters.sortBy) {
         case 'score':
             sortCriteria['tradeSignal.score'] = filters.sortOrder === 'asc' ? 1 : -1;
             break;
+        case 'confluence':
+            sortCriteria['confluence.score'] = filters.sortOrder === 'asc' ? 1 : -1;
+            sortCriteria['confluence.timeframeCount'] = filters.sortOrder === 'asc' ? 1 : -1;
+            sortCriteria.closeTime = -1;
+            break;
+        case 'rewardToRisk':
+            sortCriteria['takeProfit.rewardToRisk'] = filters.sortOrder === 'asc' ? 1 : -1;
+            sortCriteria.closeTime = -1;
+            break;
         case 'symbol':
             sortCriteria.symbol = filters.sortOrder === 'asc' ? 1 : -1;
             break;
@@ -300,11 +470,54 @@ function calculateStopLoss(signal) {
     return {
         stopLossPrice: stopLossPrice,
         riskPercentage: Math.round(riskPercentage * 100) / 100, // Round to 2 decimal places
-        formattedStopLoss: typeof stopLossPrice === 'number' ? stopLossPrice.toFixed(8).replace(/\.?0+$/, '') : 'N/A',
+        formattedStopLoss: formatPrice(signal.symbol, stopLossPrice),
         formattedRiskPercentage: isNaN(riskPercentage) ? 'N/A' : `${Math.round(riskPercentage * 100) / 100}%`
     };
 }
 
+/**
+ * Take-profit targets of a signal with formatted prices
+ * Signals saved before targets were stored get fixed-R / footprint targets on the fly
+ * @param {Object} signal - Signal document
+ * @returns {Object|null} Take-profit data
+ */
+function getSignalTakeProfit(signal) {
+    const takeProfit = signal.takeProfit || calculateTakeProfitTargets(signal);
+    
+    if (!takeProfit) {
+        return null;
+    }
+    
+    return {
+        ...takeProfit,
+        targets: takeProfit.targets.map(target => ({
+            ...target,
+            formattedPrice: formatPrice(signal.symbol, target.price)
+        }))
+    };
+}
+
+/**
+ * Position size of a signal with formatted values
+ * @param {Object} signal - Signal document
+ * @param {Object} sizingSettings - Resolved sizing settings
+ * @param {Map} quantityFilters - Exchange quantity filters by symbol
+ * @returns {Object|null} Position data
+ */
+function getSignalPosition(signal, sizingSettings, quantityFilters) {
+    const position = calculatePositionSize(signal, sizingSettings, quantityFilters.get(signal.symbol));
+    
+    if (!position) {
+        return null;
+    }
+    
+    return {
+        ...position,
+        formattedQuantity: position.quantity.toFixed(8).replace(/\.?0+$/, ''),
+        formattedNotional: position.notional.toLocaleString(undefined, { maximumFractionDigits: 2 })
+    };
+}
+
 /**
  * Delete a specific signal
  * @param {Object} req - Express request object
@@ -360,5 +573,6 @@ async function deleteSignalController(req, res) {
 
 module.exports = {
     signalsController,
+    signalsApiController,
     deleteSignalController
 };
@@ -0,0 +1,145 @@
+const { saveSizingSettings, deleteSizingSettings } = require('../models/database');
+const {
+    GLOBAL_SIZING_USER,
+    DEFAULT_SIZING_SETTINGS,
+    USER_PATTERN,
+    normalizeSizingUser,
+    normalizeSizingSettings,
+    resolveSizingSettings
+} = require('../utils/positionSizing');
+
+/**
+ * Get the effective sizing settings of a user (user -> global -> defaults)
+ * Query: user (optional)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSizingSettingsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const settings = await resolveSizingSettings(client, dbName, req.query.user);
+
+        res.json({
+            success: true,
+            defaults: DEFAULT_SIZING_SETTINGS,
+            settings
+        });
+
+    } catch (error) {
+        console.error('Error loading sizing settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while loading sizing settings: ' + error.message
+        });
+    }
+}
+
+/**
+ * Save the sizing settings of a user, or the global settings without a user
+ * Body: { user, accountEquity, riskPercent, maxLeverage }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveSizingSettingsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const user = normalizeSizingUser(req.body.user);
+
+        if (!USER_PATTERN.test(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User names may only contain letters, digits, "_", "." and "-" (max 50)'
+            });
+        }
+
+        const { settings, errors } = normalizeSizingSettings(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        await saveSizingSettings(client, dbName, user, settings);
+
+        console.log(`✅ Sizing settings saved for ${user}`);
+
+        res.json({
+            success: true,
+            message: `Sizing settings saved for ${user === GLOBAL_SIZING_USER ? 'everyone' : user}`,
+            settings: await resolveSizingSettings(client, dbName, user)
+        });
+
+    } catch (error) {
+        console.error('Error saving sizing settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while saving sizing settings: ' + error.message
+        });
+    }
+}
+
+/**
+ * Delete the sizing settings of a user (they fall back to the global settings)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSizingSettingsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const result = await deleteSizingSettings(client, dbName, req.params.user);
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `No sizing settings found for ${req.params.user}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Sizing settings deleted for ${req.params.user}`
+        });
+
+    } catch (error) {
+        console.error('Error deleting sizing settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while deleting sizing settings: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    getSizingSettingsController,
+    saveSizingSettingsController,
+    deleteSizingSettingsController
+};
@@ -0,0 +1,261 @@
+const {
+    getParameterSweeps,
+    getParameterSweepById,
+    saveDetectionProfile
+} = require('../models/database');
+const {
+    SWEEP_PARAMETERS,
+    normalizeSweepConfig,
+    startParameterSweep,
+    buildProfileFromSweepResult
+} = require('../utils/parameterSweep');
+const { BUILTIN_PROFILE_NAME, invalidateDetectionProfiles } = require('../utils/detectionProfiles');
+
+/**
+ * Display parameter sweeps; with ?id= the ranked results of one sweep
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function sweepsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).send('Database connection not available');
+        }
+
+        const viewData = {
+            sweeps: [],
+            sweep: null,
+            sweepParameters: Object.keys(SWEEP_PARAMETERS),
+            error: null
+        };
+
+        try {
+            viewData.sweeps = await getParameterSweeps(client, dbName);
+
+            if (req.query.id) {
+                viewData.sweep = await getParameterSweepById(client, dbName, req.query.id);
+
+                if (!viewData.sweep) {
+                    viewData.error = `Sweep ${req.query.id} not found`;
+                }
+            }
+        } catch (dbError) {
+            console.error('Error fetching parameter sweeps:', dbError);
+            viewData.error = `Error fetching sweeps: ${dbError.message}`;
+        }
+
+        res.render('sweeps', {
+            title: 'Parameter Sweeps',
+            ...viewData
+        });
+
+    } catch (error) {
+        console.error('Error in sweeps page:', error);
+        res.status(500).send('An error occurred while loading parameter sweeps');
+    }
+}
+
+/**
+ * Start a parameter sweep in the background
+ * Body: backtest config plus { search: { method, iterations, seed, parameters }, walkForward: { folds, inSamplePercent }, minTrades }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startSweepController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const { config, errors } = normalizeSweepConfig(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: errors.join(', ')
+            });
+        }
+
+        const sweepId = await startParameterSweep(client, dbName, config);
+
+        res.status(202).json({
+            success: true,
+            message: 'Parameter sweep started',
+            sweepId
+        });
+
+    } catch (error) {
+        console.error('Error starting parameter sweep:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while starting the parameter sweep: ' + error.message
+        });
+    }
+}
+
+/**
+ * List stored parameter sweeps (summary and best result only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listSweepsController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const sweeps = await getParameterSweeps(client, dbName, parseInt(req.query.limit || '50', 10));
+
+        res.json({
+            success: true,
+            sweeps
+        });
+
+    } catch (error) {
+        console.error('Error listing parameter sweeps:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing parameter sweeps: ' + error.message
+        });
+    }
+}
+
+/**
+ * Get a parameter sweep with its ranked results and walk-forward summary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSweepController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const sweep = await getParameterSweepById(client, dbName, req.params.id);
+
+        if (!sweep) {
+            return res.status(404).json({
+                success: false,
+                message: `Sweep ${req.params.id} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            sweep
+        });
+
+    } catch (error) {
+        console.error('Error fetching parameter sweep:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching the parameter sweep: ' + error.message
+        });
+    }
+}
+
+/**
+ * Save a sweep result as a detection profile
+ * Body: { profileName, rank (default 1), isDefault }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportSweepProfileController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const profileName = (req.body.profileName || '').trim();
+        const rank = parseInt(req.body.rank || '1', 10);
+
+        if (!profileName || profileName === BUILTIN_PROFILE_NAME) {
+            return res.status(400).json({
+                success: false,
+                message: `A profile name other than "${BUILTIN_PROFILE_NAME}" is required`
+            });
+        }
+
+        const sweep = await getParameterSweepById(client, dbName, req.params.id);
+
+        if (!sweep) {
+            return res.status(404).json({
+                success: false,
+                message: `Sweep ${req.params.id} not found`
+            });
+        }
+
+        if (sweep.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: `Sweep is ${sweep.status}, only completed sweeps can be exported`
+            });
+        }
+
+        const profile = buildProfileFromSweepResult(sweep, rank);
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: `Sweep has no result with rank ${rank}`
+            });
+        }
+
+        await saveDetectionProfile(client, dbName, {
+            name: profileName,
+            ...profile,
+            isDefault: req.body.isDefault === true || req.body.isDefault === 'true'
+        });
+        invalidateDetectionProfiles();
+
+        console.log(`✅ Sweep ${sweep._id} rank ${rank} exported as detection profile "${profileName}"`);
+
+        res.json({
+            success: true,
+            message: `Rank ${rank} saved as detection profile "${profileName}"`,
+            profile: { name: profileName, ...profile }
+        });
+
+    } catch (error) {
+        console.error('Error exporting sweep result:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while exporting the sweep result: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    sweepsController,
+    startSweepController,
+    listSweepsController,
+    getSweepController,
+    exportSweepProfileController
+};
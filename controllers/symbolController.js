@@ -1,7 +1,7 @@
 const { getSelectedSymbols } = require('../config/database');
 const { updateHybridSystemSymbols, initializeHybridCandleSystem } = require('../config/cron');
 const { saveSelectedSymbols } = require('../models/database');
-const getBinanceUSDTSymbols = require('../utils/getBinanceUSDTSymbols');
+const { getUSDTSymbols, getExchangeAdapter } = require('../utils/exchangeAdapters');
 const loadHistoricalCandleData = require('../utils/loadHistoricalCandleData');
 
 /**
@@ -51,13 +51,13 @@ async function symbolsListController(req, res) {
         
         try {
             // Fetch the symbols
-            const symbols = await getBinanceUSDTSymbols();
+            const symbols = await getUSDTSymbols();
             
             // Update view data with the results
             viewData.symbols = symbols;
             viewData.loading = false;
         } catch (error) {
-            console.error('Error fetching Binance symbols:', error);
+            console.error(`Error fetching ${getExchangeAdapter().label} symbols:`, error);
             viewData.error = error.message;
             viewData.loading = false;
         }
@@ -4,6 +4,7 @@
  */
 
 const { MongoClient } = require('mongodb');
+const { CANDLE_BUCKETS_COLLECTION } = require('../utils/candleStore');
 
 // Global system state management
 let systemState = {
@@ -229,7 +230,7 @@ async function resetSystem(req, res) {
 }
 
 /**
- * Clean old OHLC data (>2 hours old)
+ * Remove expired OHLC candle buckets
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -250,7 +251,7 @@ async function cleanOldData(req, res) {
         console.log('✅ Data cleanup completed');
         res.json({ 
             success: true, 
-            message: `Cleanup completed. Removed ${result.deletedCount} old candle records.`,
+            message: `Cleanup completed. Removed ${result.deletedCount} expired candle records.`,
             details: result
         });
         
@@ -320,27 +321,28 @@ async function getSystemStatus(client, dbName) {
 }
 
 /**
- * Perform data cleanup - remove OHLC data older than 2 hours
+ * Perform data cleanup - remove candle buckets past their expiry
+ * The TTL index removes them on its own within about a minute; this does it now.
  * @param {Object} client - MongoDB client
  * @param {string} dbName - Database name
- * @returns {Promise<Object>} Cleanup results
+ * @returns {Promise<Object>} Cleanup results (deletedCount in candles)
  */
 async function performDataCleanup(client, dbName) {
-    const db = client.db(dbName);
-    const collection = db.collection('candleData');
+    const collection = client.db(dbName).collection(CANDLE_BUCKETS_COLLECTION);
+    const cutoffTime = new Date();
     
-    // Calculate cutoff time (2 hours ago)
-    const cutoffTime = new Date(Date.now() - (2 * 60 * 60 * 1000));
+    console.log(`🧹 Cleaning candle buckets expired before: ${cutoffTime.toISOString()}`);
     
-    console.log(`🧹 Cleaning OHLC data older than: ${cutoffTime.toISOString()}`);
+    const expired = await collection.find(
+        { expiresAt: { $lt: cutoffTime } },
+        { projection: { count: 1 } }
+    ).toArray();
     
-    // Delete old candle data
-    const result = await collection.deleteMany({
-        openTime: { $lt: cutoffTime }
-    });
+    const result = await collection.deleteMany({ _id: { $in: expired.map(bucket => bucket._id) } });
     
     return {
-        deletedCount: result.deletedCount,
+        deletedCount: expired.reduce((sum, bucket) => sum + (bucket.count || 0), 0),
+        deletedBuckets: result.deletedCount,
         cutoffTime: cutoffTime.toISOString(),
         cleanupTime: new Date().toISOString()
     };
@@ -606,7 +608,7 @@ function generateSystemControlHTML(systemStatus) {
                         
                         <div>
                             <button id="cleanDataBtn" class="btn btn-warning">
-                                🧹 Clean Old Data (>2h)
+                                🧹 Clean Expired Data
                             </button>
                             <br>
                             <button id="stopSystemBtn" class="btn btn-danger">
@@ -651,7 +653,7 @@ function generateSystemControlHTML(systemStatus) {
                 // Button event listeners
                 document.getElementById('cleanDataBtn').addEventListener('click', () => {
                     showConfirmation('clean', '🧹 Clean Old Data', 
-                        'This will remove all OHLC candle data older than 2 hours. Reversal patterns and volume footprints will be preserved.');
+                        'This will remove OHLC candles past their retention now instead of waiting for MongoDB to expire them. Reversal patterns and volume footprints will be preserved.');
                 });
                 
                 document.getElementById('stopSystemBtn').addEventListener('click', () => {
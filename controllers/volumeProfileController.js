@@ -0,0 +1,54 @@
+const {
+    DEFAULT_COMPOSITE_DAYS,
+    MAX_COMPOSITE_DAYS,
+    getSymbolProfiles
+} = require('../utils/sessionVolumeProfiles');
+
+/**
+ * Get the day, session (Asia/London/New York) and composite volume profiles of a symbol
+ * Query: days (composite length in UTC days, default 3)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getVolumeProfilesController(req, res) {
+    try {
+        const client = req.app.locals.client;
+        const dbName = req.app.locals.dbName;
+
+        if (!client) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database connection not available'
+            });
+        }
+
+        const symbol = req.params.symbol.toUpperCase();
+        const compositeDays = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_COMPOSITE_DAYS;
+
+        if (!Number.isInteger(compositeDays) || compositeDays < 1 || compositeDays > MAX_COMPOSITE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `days must be an integer between 1 and ${MAX_COMPOSITE_DAYS}`
+            });
+        }
+
+        const profiles = await getSymbolProfiles(client, dbName, symbol, { compositeDays });
+
+        res.json({
+            success: true,
+            symbol,
+            ...profiles
+        });
+
+    } catch (error) {
+        console.error('Error loading volume profiles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while loading volume profiles: ' + error.message
+        });
+    }
+}
+
+module.exports = {
+    getVolumeProfilesController
+};
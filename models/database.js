@@ -2,6 +2,11 @@
  * Database models and operations
  */
 
+const { getReversalTypesByDirection } = require('../utils/reversalCandleDetector');
+const { getSymbolExchange } = require('../utils/exchangeAdapters');
+const { TRADES_COLLECTION, COVERAGE_COLLECTION, TRADE_RETENTION_DAYS } = require('../utils/tradeStore');
+const { CANDLE_BUCKETS_COLLECTION, getCandleCollection } = require('../utils/candleStore');
+
 /**
  * Save selected symbols to the database
  * @param {Object} client - MongoDB client
@@ -80,7 +85,7 @@ async function getCandleData(client, dbName, symbol, interval, limit = 50, skip
     }
     
     const db = client.db(dbName);
-    const candleCollection = db.collection('candleData');
+    const candleCollection = getCandleCollection(db);
     
     // Build the query
     const query = {
@@ -128,7 +133,7 @@ async function getCandleCount(client, dbName, symbol, interval, startDate = null
     }
     
     const db = client.db(dbName);
-    const candleCollection = db.collection('candleData');
+    const candleCollection = getCandleCollection(db);
     
     // Build the query
     const query = {
@@ -170,8 +175,45 @@ function getLastUpdateTime(candles) {
     }, new Date(0));
 }
 
+/**
+ * Get the candles preceding a candle within `count` intervals, for multi-candle patterns
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Candle interval (e.g. '1m', '15m')
+ * @param {Date|number} openTime - Open time of the current candle
+ * @param {number} count - Number of previous candles wanted
+ * @returns {Promise<Array>} Previous candles, oldest first
+ */
+async function getPreviousCandles(client, dbName, symbol, interval, openTime, count = 2) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    const collection = getCandleCollection(db);
+    
+    const intervalMs = parseInt(interval, 10) * 60 * 1000;
+    const currentOpen = openTime instanceof Date ? openTime.getTime() : openTime;
+    
+    const candles = await collection.find({
+        symbol,
+        interval,
+        openTime: {
+            $gte: new Date(currentOpen - count * intervalMs),
+            $lt: new Date(currentOpen)
+        }
+    })
+    .sort({ openTime: -1 })
+    .limit(count)
+    .toArray();
+    
+    return candles.reverse();
+}
+
 /**
  * Save reversal candle pattern to the database
+ * The signal records the exchange its symbol is traded on.
  * @param {Object} client - MongoDB client
  * @param {string} dbName - Database name
  * @param {Object} reversalData - Reversal candle data
@@ -187,6 +229,7 @@ async function saveReversalCandle(client, dbName, reversalData) {
     
     const result = await collection.insertOne({
         ...reversalData,
+        exchange: reversalData.exchange || getSymbolExchange(reversalData.symbol),
         detectedAt: new Date()
     });
     
@@ -346,12 +389,12 @@ async function getReversalStatistics(client, dbName, filters = {}) {
                 totalReversals: { $sum: 1 },
                 buyReversals: {
                     $sum: {
-                        $cond: [{ $eq: ["$reversalPattern.type", "buy_reversal"] }, 1, 0]
+                        $cond: [{ $in: ["$reversalPattern.type", getReversalTypesByDirection('buy')] }, 1, 0]
                     }
                 },
                 sellReversals: {
                     $sum: {
-                        $cond: [{ $eq: ["$reversalPattern.type", "sell_reversal"] }, 1, 0]
+                        $cond: [{ $in: ["$reversalPattern.type", getReversalTypesByDirection('sell')] }, 1, 0]
                     }
                 },
                 averageConfidence: { $avg: "$reversalPattern.confidence" },
@@ -409,6 +452,226 @@ async function getReversalStatistics(client, dbName, filters = {}) {
     };
 }
 
+/**
+ * Get win rate, average R and expectancy of valid signals with a closed outcome,
+ * broken down by interval, symbol, score bucket, signal type, hour of day (UTC) and value area
+ * method / percentage (footprints from before the method was recorded count as top_volume 70%)
+ * A signal counts as a win when its outcome.rMultiple is above zero. Expectancy in R is the
+ * same number as the average R; expectancyPercent is the average return per trade in % of entry
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} filters - Optional filters { symbol, signalType, startDate, endDate }
+ * @returns {Promise<Object>} { overall, byInterval, bySymbol, byScoreBucket, bySignalType, byHour, byValueArea, byBinning }
+ */
+async function getSignalPerformanceStatistics(client, dbName, filters = {}) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    const collection = db.collection('reversalCandles');
+    
+    const matchQuery = {
+        'tradeSignal.isValidSignal': true,
+        'outcome.status': 'closed',
+        'outcome.rMultiple': { $type: 'number' }
+    };
+    
+    if (filters.symbol) {
+        matchQuery.symbol = filters.symbol;
+    }
+    
+    if (filters.signalType) {
+        matchQuery['tradeSignal.signalType'] = filters.signalType;
+    }
+    
+    if (filters.startDate || filters.endDate) {
+        matchQuery.closeTime = {};
+        
+        if (filters.startDate) {
+            matchQuery.closeTime.$gte = filters.startDate;
+        }
+        
+        if (filters.endDate) {
+            matchQuery.closeTime.$lte = filters.endDate;
+        }
+    }
+    
+    const isWin = { $gt: ["$outcome.rMultiple", 0] };
+    
+    // Same $group/$project for every breakdown, only the key changes
+    const breakdown = (groupKey) => [
+        {
+            $group: {
+                _id: groupKey,
+                sampleSize: { $sum: 1 },
+                wins: { $sum: { $cond: [isWin, 1, 0] } },
+                totalR: { $sum: "$outcome.rMultiple" },
+                totalWinR: { $sum: { $cond: [isWin, "$outcome.rMultiple", 0] } },
+                totalLossR: { $sum: { $cond: [isWin, 0, { $abs: "$outcome.rMultiple" }] } },
+                totalReturnPercent: {
+                    $sum: {
+                        $multiply: [
+                            { $divide: [{ $multiply: ["$outcome.rMultiple", "$outcome.riskPerUnit"] }, "$outcome.entryPrice"] },
+                            100
+                        ]
+                    }
+                },
+                avgTimeToOutcome: { $avg: "$outcome.timeToOutcomeMinutes" },
+                avgMfeR: { $avg: "$outcome.mfeR" },
+                avgMaeR: { $avg: "$outcome.maeR" }
+            }
+        },
+        {
+            $project: {
+                sampleSize: 1,
+                wins: 1,
+                losses: { $subtract: ["$sampleSize", "$wins"] },
+                winRate: { $round: [{ $multiply: [{ $divide: ["$wins", "$sampleSize"] }, 100] }, 1] },
+                avgR: { $round: [{ $divide: ["$totalR", "$sampleSize"] }, 2] },
+                avgWinR: {
+                    $round: [{ $cond: [{ $gt: ["$wins", 0] }, { $divide: ["$totalWinR", "$wins"] }, 0] }, 2]
+                },
+                avgLossR: {
+                    $round: [{
+                        $cond: [
+                            { $lt: ["$wins", "$sampleSize"] },
+                            { $divide: ["$totalLossR", { $subtract: ["$sampleSize", "$wins"] }] },
+                            0
+                        ]
+                    }, 2]
+                },
+                // (win rate x average win) - (loss rate x average loss), in R per trade
+                expectancy: {
+                    $round: [{ $divide: [{ $subtract: ["$totalWinR", "$totalLossR"] }, "$sampleSize"] }, 2]
+                },
+                expectancyPercent: { $round: [{ $divide: ["$totalReturnPercent", "$sampleSize"] }, 3] },
+                avgTimeToOutcome: { $round: ["$avgTimeToOutcome", 0] },
+                avgMfeR: { $round: ["$avgMfeR", 2] },
+                avgMaeR: { $round: ["$avgMaeR", 2] }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ];
+    
+    const pipeline = [
+        { $match: matchQuery },
+        {
+            $facet: {
+                overall: breakdown(null),
+                byInterval: breakdown("$interval"),
+                bySymbol: breakdown("$symbol"),
+                // Buckets follow the 1-10 signal score scale
+                byScoreBucket: breakdown({ $min: [10, { $max: [1, { $floor: "$tradeSignal.score" }] }] }),
+                bySignalType: breakdown("$tradeSignal.signalType"),
+                byHour: breakdown({ $hour: "$closeTime" }),
+                byValueArea: breakdown({
+                    method: { $ifNull: ["$volumeFootprint.valueAreaMethod", "top_volume"] },
+                    percent: { $ifNull: ["$detectionProfile.validationRules.valueAreaPercent", 70] }
+                }),
+                // Footprints from before binning modes used raw ticks
+                byBinning: breakdown({ $ifNull: ["$volumeFootprint.binning.mode", "tick"] })
+            }
+        }
+    ];
+    
+    const [result] = await collection.aggregate(pipeline).toArray();
+    
+    // Intervals are strings ('10m' sorts before '2m'), so order them by minutes
+    result.byInterval.sort((a, b) => parseInt(a._id, 10) - parseInt(b._id, 10));
+    
+    return {
+        overall: result.overall[0] || null,
+        byInterval: result.byInterval,
+        bySymbol: result.bySymbol,
+        byScoreBucket: result.byScoreBucket,
+        bySignalType: result.bySignalType,
+        byHour: result.byHour,
+        byValueArea: result.byValueArea,
+        byBinning: result.byBinning
+    };
+}
+
+/**
+ * List stored backtests, newest first (without trades and equity curve)
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {number} limit - Maximum number of backtests
+ * @returns {Promise<Array>} Backtest summaries
+ */
+async function getBacktests(client, dbName, limit = 50) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    return client.db(dbName).collection('backtests')
+        .find({}, { projection: { trades: 0, equityCurve: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Get one backtest with its full report
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} backtestId - Backtest ID
+ * @returns {Promise<Object|null>} Backtest document
+ */
+async function getBacktestById(client, dbName, backtestId) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const { ObjectId } = require('mongodb');
+    
+    if (!ObjectId.isValid(backtestId)) {
+        return null;
+    }
+    
+    return client.db(dbName).collection('backtests').findOne({ _id: new ObjectId(backtestId) });
+}
+
+/**
+ * Get stored parameter sweeps, newest first (without the full ranked results)
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {number} limit - Maximum number of sweeps
+ * @returns {Promise<Array>} Sweep summaries
+ */
+async function getParameterSweeps(client, dbName, limit = 50) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    return client.db(dbName).collection('parameterSweeps')
+        .find({}, { projection: { results: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Get one parameter sweep with its ranked results
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} sweepId - Sweep ID
+ * @returns {Promise<Object|null>} Sweep document
+ */
+async function getParameterSweepById(client, dbName, sweepId) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const { ObjectId } = require('mongodb');
+    
+    if (!ObjectId.isValid(sweepId)) {
+        return null;
+    }
+    
+    return client.db(dbName).collection('parameterSweeps').findOne({ _id: new ObjectId(sweepId) });
+}
+
 /**
  * Delete a specific reversal signal from the database
  * @param {Object} client - MongoDB client
@@ -532,17 +795,522 @@ async function ensureReversalCandleIndexes(client, dbName) {
     }
 }
 
+/**
+ * Get all detection profiles
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Array>} Detection profile documents sorted by name
+ */
+async function getDetectionProfiles(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    return db.collection('detectionProfiles').find({}).sort({ name: 1 }).toArray();
+}
+
+/**
+ * Create or update a named detection profile
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} profile - Profile data ({ name, description, thresholds, trendContext, validationRules, deduplication, isDefault })
+ * @returns {Promise<Object>} Result of the database operation
+ */
+async function saveDetectionProfile(client, dbName, profile) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    const collection = db.collection('detectionProfiles');
+    const now = new Date();
+    
+    // Only one profile can be the global default
+    if (profile.isDefault) {
+        await collection.updateMany(
+            { name: { $ne: profile.name }, isDefault: true },
+            { $set: { isDefault: false, updatedAt: now } }
+        );
+    }
+    
+    return collection.updateOne(
+        { name: profile.name },
+        {
+            $set: {
+                description: profile.description || '',
+                thresholds: profile.thresholds,
+                trendContext: profile.trendContext || {},
+                validationRules: profile.validationRules || {},
+                deduplication: profile.deduplication || {},
+                isDefault: !!profile.isDefault,
+                updatedAt: now
+            },
+            $setOnInsert: { name: profile.name, createdAt: now }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Delete a detection profile and any overrides pointing at it
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Deletion result with counts
+ */
+async function deleteDetectionProfile(client, dbName, name) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    const profileResult = await db.collection('detectionProfiles').deleteOne({ name });
+    const overrideResult = await db.collection('detectionProfileOverrides').deleteMany({ profileName: name });
+    
+    return {
+        success: profileResult.deletedCount > 0,
+        deletedCount: profileResult.deletedCount,
+        overridesRemoved: overrideResult.deletedCount
+    };
+}
+
+/**
+ * Get all per-symbol / per-interval profile overrides
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Array>} Override documents
+ */
+async function getDetectionProfileOverrides(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    return db.collection('detectionProfileOverrides')
+        .find({})
+        .sort({ symbol: 1, interval: 1 })
+        .toArray();
+}
+
+/**
+ * Assign a profile to a symbol, an interval, or a symbol + interval pair
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string|null} symbol - Trading symbol (null for any symbol)
+ * @param {string|null} interval - Candle interval (null for any interval)
+ * @param {string} profileName - Name of the profile to use
+ * @returns {Promise<Object>} Result of the database operation
+ */
+async function saveDetectionProfileOverride(client, dbName, symbol, interval, profileName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    
+    return db.collection('detectionProfileOverrides').updateOne(
+        { symbol: symbol || null, interval: interval || null },
+        { $set: { profileName, updatedAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+/**
+ * Remove a profile override
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string|null} symbol - Trading symbol (null for any symbol)
+ * @param {string|null} interval - Candle interval (null for any interval)
+ * @returns {Promise<Object>} Result of the database operation
+ */
+async function deleteDetectionProfileOverride(client, dbName, symbol, interval) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    
+    return db.collection('detectionProfileOverrides').deleteOne({
+        symbol: symbol || null,
+        interval: interval || null
+    });
+}
+
+/**
+ * Ensure detection profile collections have proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureDetectionProfileIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const db = client.db(dbName);
+    
+    try {
+        await db.collection('detectionProfiles').createIndex({ name: 1 }, { unique: true });
+        await db.collection('detectionProfileOverrides').createIndex(
+            { symbol: 1, interval: 1 },
+            { unique: true }
+        );
+        
+        console.log('✅ Detection profile indexes created successfully');
+    } catch (error) {
+        console.error('Error creating detection profile indexes:', error);
+    }
+}
+
+/**
+ * Ensure the session/composite volume profile collection has proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureVolumeProfileIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        // One profile per symbol, type (day/asia/london/new_york) and period
+        await client.db(dbName).collection('volumeProfiles').createIndex(
+            { symbol: 1, type: 1, periodStart: 1 },
+            { unique: true }
+        );
+        
+        console.log('✅ Volume profile indexes created successfully');
+    } catch (error) {
+        console.error('Error creating volume profile indexes:', error);
+    }
+}
+
+/**
+ * Ensure reversalCandles has the indexes used by signal de-duplication
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureSignalDeduplicationIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const collection = client.db(dbName).collection('reversalCandles');
+        
+        // Parent lookup per symbol around a close time, and the siblings of a parent
+        await collection.createIndex({ symbol: 1, 'deduplication.role': 1, closeTime: 1 });
+        await collection.createIndex({ 'deduplication.parentId': 1 });
+        
+        console.log('✅ Signal de-duplication indexes created successfully');
+    } catch (error) {
+        console.error('Error creating signal de-duplication indexes:', error);
+    }
+}
+
+/**
+ * Ensure the local trade store exists with proper indexes
+ * aggTrades is a time-series collection; both collections expire after TRADE_RETENTION_DAYS.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureTradeStoreIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const db = client.db(dbName);
+        const retentionSeconds = TRADE_RETENTION_DAYS * 24 * 60 * 60;
+        
+        const [existing] = await db.listCollections({ name: TRADES_COLLECTION }).toArray();
+        if (!existing) {
+            await db.createCollection(TRADES_COLLECTION, {
+                timeseries: { timeField: 'time', metaField: 'symbol', granularity: 'seconds' },
+                expireAfterSeconds: retentionSeconds
+            });
+        }
+        
+        // De-duplication by trade id and candle range reads
+        await db.collection(TRADES_COLLECTION).createIndex({ symbol: 1, id: 1 });
+        await db.collection(TRADES_COLLECTION).createIndex({ symbol: 1, time: 1 });
+        
+        // Covered ranges per symbol, dropped with the trades they describe
+        await db.collection(COVERAGE_COLLECTION).createIndex({ symbol: 1, start: 1, end: 1 });
+        await db.collection(COVERAGE_COLLECTION).createIndex({ end: 1 }, { expireAfterSeconds: retentionSeconds });
+        
+        console.log('✅ Trade store indexes created successfully');
+    } catch (error) {
+        console.error('Error creating trade store indexes:', error);
+    }
+}
+
+/**
+ * Ensure the candle buckets have proper indexes
+ * Each bucket expires at its own expiresAt (bucket end plus the retention of its interval).
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureCandleIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const collection = client.db(dbName).collection(CANDLE_BUCKETS_COLLECTION);
+        
+        // One bucket per symbol, interval and hour; candle reads scan a range of them
+        await collection.createIndex({ symbol: 1, interval: 1, bucketStart: 1 }, { unique: true });
+        await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        
+        console.log('✅ Candle bucket indexes created successfully');
+    } catch (error) {
+        console.error('Error creating candle bucket indexes:', error);
+    }
+}
+
+/**
+ * Ensure the minute volume profile collection has proper indexes
+ * Profiles expire with the trade store after TRADE_RETENTION_DAYS.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureMinuteProfileIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const collection = client.db(dbName).collection('minuteProfiles');
+        
+        // One profile per symbol and minute; N-minute candles read a range of them
+        await collection.createIndex({ symbol: 1, openTime: 1 }, { unique: true });
+        await collection.createIndex({ openTime: 1 }, { expireAfterSeconds: TRADE_RETENTION_DAYS * 24 * 60 * 60 });
+        
+        console.log('✅ Minute profile indexes created successfully');
+    } catch (error) {
+        console.error('Error creating minute profile indexes:', error);
+    }
+}
+
+/**
+ * Ensure the score calibration collection has proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureScoreCalibrationIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const collection = client.db(dbName).collection('scoreCalibrations');
+        
+        // Latest fit lookup and history trimming
+        await collection.createIndex({ fittedAt: -1 });
+        
+        console.log('✅ Score calibration indexes created successfully');
+    } catch (error) {
+        console.error('Error creating score calibration indexes:', error);
+    }
+}
+
+/**
+ * Ensure the symbol metadata collection has proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureSymbolInfoIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        // One metadata document per symbol
+        await client.db(dbName).collection('symbolInfo').createIndex({ symbol: 1 }, { unique: true });
+        
+        console.log('✅ Symbol info indexes created successfully');
+    } catch (error) {
+        console.error('Error creating symbol info indexes:', error);
+    }
+}
+
+/**
+ * Ensure the VWAP collection has proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureVwapIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        // One VWAP per symbol, anchor period type and period
+        await client.db(dbName).collection('vwaps').createIndex(
+            { symbol: 1, type: 1, periodStart: 1 },
+            { unique: true }
+        );
+        
+        console.log('✅ VWAP indexes created successfully');
+    } catch (error) {
+        console.error('Error creating VWAP indexes:', error);
+    }
+}
+
+/**
+ * Ensure the naked POC and level alert collections have proper indexes
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureNakedPocIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const db = client.db(dbName);
+        
+        // One naked POC per profile period; open ones are looked up by symbol
+        await db.collection('nakedPocs').createIndex(
+            { symbol: 1, type: 1, periodStart: 1 },
+            { unique: true }
+        );
+        await db.collection('nakedPocs').createIndex({ symbol: 1, filledAt: 1, createdAt: -1 });
+        await db.collection('levelAlerts').createIndex({ symbol: 1, touchedAt: -1 });
+        
+        console.log('✅ Naked POC indexes created successfully');
+    } catch (error) {
+        console.error('Error creating naked POC indexes:', error);
+    }
+}
+
+/**
+ * Ensure the position sizing settings collection has proper indexes
+ * Settings saved twice for one user by concurrent first saves are reduced to
+ * the latest, so the unique index can be built.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ */
+async function ensureSizingIndexes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    try {
+        const collection = client.db(dbName).collection('sizingSettings');
+        
+        const duplicates = await collection.aggregate([
+            { $sort: { updatedAt: -1 } },
+            { $group: { _id: '$user', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ]).toArray();
+        
+        for (const { ids } of duplicates) {
+            await collection.deleteMany({ _id: { $in: ids.slice(1) } });
+        }
+        
+        // One settings document per user, so upserts by user can't race into two
+        await collection.createIndex({ user: 1 }, { unique: true });
+        
+        console.log('✅ Sizing settings indexes created successfully');
+    } catch (error) {
+        console.error('Error creating sizing settings indexes:', error);
+    }
+}
+
+/**
+ * Get the position sizing settings document of a user
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} user - User name ('global' for the shared settings)
+ * @returns {Promise<Object|null>} Settings document or null
+ */
+async function getSizingSettings(client, dbName, user) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    return client.db(dbName).collection('sizingSettings').findOne({ user });
+}
+
+/**
+ * Create or update the position sizing settings of a user
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} user - User name ('global' for the shared settings)
+ * @param {Object} settings - { accountEquity, riskPercent, maxLeverage }
+ * @returns {Promise<Object>} Result of the database operation
+ */
+async function saveSizingSettings(client, dbName, user, settings) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    const now = new Date();
+    
+    return client.db(dbName).collection('sizingSettings').updateOne(
+        { user },
+        {
+            $set: { settings, updatedAt: now },
+            $setOnInsert: { user, createdAt: now }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Delete the position sizing settings of a user
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} user - User name
+ * @returns {Promise<Object>} Result of the database operation
+ */
+async function deleteSizingSettings(client, dbName, user) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+    
+    return client.db(dbName).collection('sizingSettings').deleteOne({ user });
+}
+
 module.exports = {
     saveSelectedSymbols,
     getSelectedSymbols,
     getCandleData,
     getCandleCount,
     getLastUpdateTime,
+    getPreviousCandles,
     saveReversalCandle,
     getReversalCandles,
     getReversalCandleCount,
     getReversalStatistics,
+    getSignalPerformanceStatistics,
+    getBacktests,
+    getBacktestById,
+    getParameterSweeps,
+    getParameterSweepById,
     deleteReversalSignal,
     deleteMultipleReversalSignals,
-    ensureReversalCandleIndexes
+    ensureReversalCandleIndexes,
+    getDetectionProfiles,
+    saveDetectionProfile,
+    deleteDetectionProfile,
+    getDetectionProfileOverrides,
+    saveDetectionProfileOverride,
+    deleteDetectionProfileOverride,
+    ensureDetectionProfileIndexes,
+    ensureVolumeProfileIndexes,
+    ensureNakedPocIndexes,
+    ensureSizingIndexes,
+    ensureVwapIndexes,
+    ensureSymbolInfoIndexes,
+    ensureSignalDeduplicationIndexes,
+    ensureScoreCalibrationIndexes,
+    ensureTradeStoreIndexes,
+    ensureMinuteProfileIndexes,
+    ensureCandleIndexes,
+    getSizingSettings,
+    saveSizingSettings,
+    deleteSizingSettings
 };
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { analyticsController, analyticsApiController } = require('../controllers/analyticsController');
+
+// Signal performance analytics page
+router.get('/analytics', analyticsController);
+
+// Same breakdowns as JSON
+router.get('/api/analytics', analyticsApiController);
+
+module.exports = router;
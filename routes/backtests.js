@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+    startBacktestController,
+    listBacktestsController,
+    getBacktestController
+} = require('../controllers/backtestController');
+
+// Offline backtests (reports are stored in the backtests collection)
+router.post('/api/backtests', startBacktestController);
+router.get('/api/backtests', listBacktestsController);
+router.get('/api/backtests/:id', getBacktestController);
+
+module.exports = router;
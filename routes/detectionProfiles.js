@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listDetectionProfilesController,
+    saveDetectionProfileController,
+    deleteDetectionProfileController,
+    saveDetectionProfileOverrideController,
+    deleteDetectionProfileOverrideController,
+    resolveDetectionProfileController
+} = require('../controllers/detectionProfileController');
+
+// Detection profile management API
+router.get('/api/detection-profiles', listDetectionProfilesController);
+router.post('/api/detection-profiles', saveDetectionProfileController);
+
+// Symbol / interval overrides (registered before /:name so they aren't captured)
+router.get('/api/detection-profiles/resolve', resolveDetectionProfileController);
+router.post('/api/detection-profiles/overrides', saveDetectionProfileOverrideController);
+router.delete('/api/detection-profiles/overrides', deleteDetectionProfileOverrideController);
+
+router.delete('/api/detection-profiles/:name', deleteDetectionProfileController);
+
+module.exports = router;
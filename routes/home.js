@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { signalsController, deleteSignalController } = require('../controllers/signalsController');
+const { signalsController, signalsApiController, deleteSignalController } = require('../controllers/signalsController');
 
 // Home route - displays trading signals dashboard
 router.get('/', signalsController);
 
+// JSON signals (same filters as the dashboard, with stop loss and targets)
+router.get('/api/signals', signalsApiController);
+
 // API route for deleting individual signals
 router.delete('/api/signals/:id', deleteSignalController);
 
@@ -5,6 +5,13 @@ const symbolsRoutes = require('./symbols');
 const candleDataRoutes = require('./candleData');
 const reversalCandlesRoutes = require('./reversalCandles');
 const systemRoutes = require('./system');
+const detectionProfileRoutes = require('./detectionProfiles');
+const analyticsRoutes = require('./analytics');
+const backtestRoutes = require('./backtests');
+const sweepRoutes = require('./sweeps');
+const sizingRoutes = require('./sizing');
+const volumeProfileRoutes = require('./volumeProfiles');
+const nakedPocRoutes = require('./nakedPocs');
 
 // Combine all routes
 router.use('/', homeRoutes);
@@ -12,5 +19,12 @@ router.use('/', symbolsRoutes);
 router.use('/', candleDataRoutes);
 router.use('/', reversalCandlesRoutes);
 router.use('/', systemRoutes);
+router.use('/', detectionProfileRoutes);
+router.use('/', analyticsRoutes);
+router.use('/', backtestRoutes);
+router.use('/', sweepRoutes);
+router.use('/', sizingRoutes);
+router.use('/', volumeProfileRoutes);
+router.use('/', nakedPocRoutes);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getNakedPocsController, getLevelAlertsController } = require('../controllers/nakedPocController');
+
+// Naked POCs of a symbol (open, filled or all)
+router.get('/api/naked-pocs/:symbol', getNakedPocsController);
+
+// Alerts raised when live price touched a naked POC
+router.get('/api/level-alerts', getLevelAlertsController);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getSizingSettingsController,
+    saveSizingSettingsController,
+    deleteSizingSettingsController
+} = require('../controllers/sizingController');
+
+// Position sizing settings (per user, or global without a user)
+router.get('/api/sizing-settings', getSizingSettingsController);
+router.post('/api/sizing-settings', saveSizingSettingsController);
+router.delete('/api/sizing-settings/:user', deleteSizingSettingsController);
+
+module.exports = router;
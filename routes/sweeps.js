@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    sweepsController,
+    startSweepController,
+    listSweepsController,
+    getSweepController,
+    exportSweepProfileController
+} = require('../controllers/sweepController');
+
+// Parameter sweep results page
+router.get('/sweeps', sweepsController);
+
+// Parameter sweeps (results are stored in the parameterSweeps collection)
+router.post('/api/sweeps', startSweepController);
+router.get('/api/sweeps', listSweepsController);
+router.get('/api/sweeps/:id', getSweepController);
+router.post('/api/sweeps/:id/export', exportSweepProfileController);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getVolumeProfilesController } = require('../controllers/volumeProfileController');
+
+// Day, session and composite volume profiles of a symbol
+router.get('/api/volume-profiles/:symbol', getVolumeProfilesController);
+
+module.exports = router;
@@ -4,8 +4,30 @@ const {
     runInitialTopMoversAndHybridInitialization,
     setupMonitoringCronJob,
     setupTopMoversCronJob,
-    setupDataCleanupCronJob
+    setupConfluenceCronJob,
+    setupOutcomeTrackerCronJob,
+    setupFootprintUpgradeCronJob,
+    setupVolumeProfileCronJob,
+    setupScoreCalibrationCronJob
 } = require('./config/cron');
+const {
+    ensureDetectionProfileIndexes,
+    ensureVolumeProfileIndexes,
+    ensureNakedPocIndexes,
+    ensureSizingIndexes,
+    ensureVwapIndexes,
+    ensureSymbolInfoIndexes,
+    ensureSignalDeduplicationIndexes,
+    ensureScoreCalibrationIndexes,
+    ensureTradeStoreIndexes,
+    ensureMinuteProfileIndexes,
+    ensureCandleIndexes
+} = require('./models/database');
+const { loadSymbolInfo } = require('./utils/symbolInfo');
+const { initializeTradeStore } = require('./utils/tradeStore');
+const { migrateLegacyCandles } = require('./utils/candleStore');
+const { getGlobalProfileResolver } = require('./utils/detectionProfiles');
+const { rebookLegacyOutcomes } = require('./utils/signalOutcomeTracker');
 const routes = require('./routes');
 
 /**
@@ -30,14 +52,69 @@ async function startServer() {
         console.log(`🚀 Server running on http://localhost:${PORT}`);
         
         if (client) {
+            // Candles live in hourly buckets that expire per interval; move any per-candle documents over first
+            await ensureCandleIndexes(client, dbName);
+            await migrateLegacyCandles(client, dbName);
+            
+            // Detection profiles are looked up by name and by symbol/interval; loading them
+            // sizes the candle retention to the trend context history before candles arrive
+            await ensureDetectionProfileIndexes(client, dbName);
+            await getGlobalProfileResolver(client, dbName).ensureFresh()
+                .catch(error => console.error('❌ Error loading detection profiles:', error.message));
+            
+            // Session/composite profiles are keyed by symbol, type and period
+            await ensureVolumeProfileIndexes(client, dbName);
+            
+            // Naked POCs are keyed like their profile period
+            await ensureNakedPocIndexes(client, dbName);
+            
+            // Daily/session VWAPs are updated per stored 1m candle
+            await ensureVwapIndexes(client, dbName);
+            
+            // Exchange tick/lot sizes from the last sync, until the top movers job refreshes them
+            await ensureSymbolInfoIndexes(client, dbName);
+            const symbolInfoCount = await loadSymbolInfo(client, dbName);
+            console.log(`📏 Loaded exchange info for ${symbolInfoCount} symbols`);
+            
+            // Similar signals on overlapping intervals are linked to a parent at save time
+            await ensureSignalDeduplicationIndexes(client, dbName);
+            
+            // Outcomes closed before the single exit rule still carry the highest target reached
+            await rebookLegacyOutcomes(client, dbName);
+            
+            // Fitted score -> 1R probability curves; the latest one calibrates new signals
+            await ensureScoreCalibrationIndexes(client, dbName);
+            
+            // Trades from the stream and REST, read first when a footprint needs ticks
+            await ensureTradeStoreIndexes(client, dbName);
+            initializeTradeStore(client, dbName);
+            
+            // Per-minute price maps of the trade stream, merged into the N-minute footprints
+            await ensureMinuteProfileIndexes(client, dbName);
+            
+            // Sizing settings are upserted by user
+            await ensureSizingIndexes(client, dbName);
+            
             // Set up monitoring cron job
             setupMonitoringCronJob();
             
             // Set up top movers automatic selection cron job
             setupTopMoversCronJob(client, dbName);
             
-            // Set up data cleanup cron job
-            setupDataCleanupCronJob(client, dbName);
+            // Set up multi-timeframe confluence cron job
+            setupConfluenceCronJob(client, dbName);
+            
+            // Set up signal outcome tracking cron job
+            setupOutcomeTrackerCronJob(client, dbName);
+            
+            // Set up approximate footprint upgrade cron job
+            setupFootprintUpgradeCronJob(client, dbName);
+            
+            // Set up session/composite volume profile cron job
+            setupVolumeProfileCronJob(client, dbName);
+            
+            // Set up score calibration cron job
+            setupScoreCalibrationCronJob(client, dbName);
             
             // Run initial top movers selection and hybrid system initialization
             await runInitialTopMoversAndHybridInitialization(client, dbName);
@@ -0,0 +1,103 @@
+/**
+ * Parameter Sweep Script
+ * Usage: node sweep_script.js path/to/sweep-config.json
+ *
+ * Example config (any backtest config key plus search/walkForward/minTrades):
+ * {
+ *   "name": "BTC body/tail sweep",
+ *   "symbols": ["BTCUSDT"],
+ *   "startDate": "2025-03-01T00:00:00Z",
+ *   "endDate": "2025-06-01T00:00:00Z",
+ *   "intervals": ["5m", "15m"],
+ *   "candleSource": "files",
+ *   "candleFiles": { "BTCUSDT": ["BTCUSDT-1m-2025-03.csv", "BTCUSDT-1m-2025-04.csv", "BTCUSDT-1m-2025-05.csv"] },
+ *   "tradeFiles": { "BTCUSDT": ["BTCUSDT-aggTrades-2025-03.csv", "BTCUSDT-aggTrades-2025-04.csv", "BTCUSDT-aggTrades-2025-05.csv"] },
+ *   "search": {
+ *     "method": "grid",
+ *     "parameters": {
+ *       "maxBodyPercentage": [15, 23, 30],
+ *       "minLongTailPercentage": { "min": 20, "max": 40, "step": 10 },
+ *       "minStopLossRisk": [0.2, 0.4, 0.6],
+ *       "valueAreaPercent": [60, 70, 80],
+ *       "requirePocInTail": [true, false]
+ *     }
+ *   },
+ *   "walkForward": { "folds": 3, "inSamplePercent": 70 },
+ *   "minTrades": 10
+ * }
+ *
+ * File paths are relative to the backtest data directory (BACKTEST_DATA_DIR, default ./data).
+ */
+
+const fs = require('fs');
+const { MongoClient } = require('mongodb');
+const { normalizeSweepConfig, runParameterSweep } = require('./utils/parameterSweep');
+require('dotenv').config();
+
+async function runSweepScript(configPath) {
+    console.log('🔬 Starting Parameter Sweep');
+    console.log('===========================');
+
+    let client;
+
+    try {
+        if (!configPath) {
+            throw new Error('Usage: node sweep_script.js path/to/sweep-config.json');
+        }
+
+        const { config, errors } = normalizeSweepConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid sweep config: ${errors.join(', ')}`);
+        }
+
+        const mongoUri = process.env.MONGODB_URI;
+        const dbName = process.env.DB_NAME;
+
+        if (!mongoUri || !dbName) {
+            throw new Error('Missing MONGODB_URI or DB_NAME in .env file');
+        }
+
+        console.log('🔗 Connecting to MongoDB...');
+        client = new MongoClient(mongoUri);
+        await client.connect();
+        console.log('✅ Connected to MongoDB');
+
+        const sweep = await runParameterSweep(client, dbName, config);
+
+        if (sweep.status !== 'completed') {
+            throw new Error(sweep.error || 'Sweep did not complete');
+        }
+
+        console.log('\n🏁 Sweep Completed!');
+        console.log('==================');
+        console.log(`🆔 Sweep ID: ${sweep._id} (browse at /sweeps?id=${sweep._id})`);
+        console.log(`🎲 Parameter sets: ${sweep.parameterSetCount}, seed ${config.search.seed}`);
+        console.log(`🚶 Walk-forward out-of-sample: ${sweep.walkForward.outOfSample.expectancy}R over ${sweep.walkForward.outOfSample.totalTrades} trades`);
+        console.log('\n🏆 Top 5 by in-sample expectancy:');
+
+        sweep.results.slice(0, 5).forEach(result => {
+            const parameters = Object.entries(result.parameters).map(([key, value]) => `${key}=${value}`).join(', ');
+            console.log(`   #${result.rank} ${parameters}`);
+            console.log(`      OOS ${result.outOfSample.expectancy}R (${result.outOfSample.totalTrades} trades, ${result.outOfSample.winRate}% win), IS ${result.inSample.expectancy}R (${result.inSample.totalTrades} trades)${result.eligible ? '' : ' - below minTrades'}`);
+        });
+
+        console.log(`\n💾 Save the winner as a profile: POST /api/sweeps/${sweep._id}/export { "profileName": "...", "rank": 1 }`);
+
+    } catch (error) {
+        console.error('\n❌ Sweep script failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (client) {
+            await client.close();
+            console.log('\n🔌 Disconnected from MongoDB');
+        }
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    runSweepScript(process.argv[2]);
+}
+
+module.exports = { runSweepScript };
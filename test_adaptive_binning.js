@@ -0,0 +1,137 @@
+/**
+ * Test Adaptive Price Binning
+ * Tick, row count and ATR bins of reversal footprints, the ATR of prior
+ * interval candles and the binning validation rules
+ */
+
+// Candles are read through the candle store; here they are plain documents in the
+// fake client's candleData collection (the bucket layout is tested in test_candle_store.js).
+// Stubbed before the readers below destructure it from the module
+const candleStore = require('./utils/candleStore');
+candleStore.getCandleCollection = db => db.collection('candleData');
+
+const {
+    getBinSize,
+    calculateAverageTrueRange,
+    getBinningOptions,
+    getReversalBinning,
+    calculateReversalVolumeFootprint
+} = require('./utils/volumeFootprintCalculator');
+const { normalizeValidationRules, DEFAULT_VALIDATION_RULES } = require('./utils/tradeSignalValidator');
+
+console.log('🧪 Testing Adaptive Price Binning');
+console.log('=================================\n');
+
+// Minimal in-memory MongoDB: find with equality/$gte/$lt, sort by openTime, limit
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lt === undefined || value < valueOf(condition.$lt));
+        }
+        return value === valueOf(condition);
+    });
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => {
+                                const direction = sort.openTime || 1;
+                                result = result.slice().sort((a, b) => direction * (valueOf(a.openTime) - valueOf(b.openTime)));
+                                return cursor;
+                            },
+                            limit: (n) => { result = result.slice(0, n); return cursor; },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    }
+                };
+            }
+        })
+    };
+}
+
+// 1. Bin sizes
+const tick = getBinSize(0.01, 103, 100, { mode: 'tick' });
+const rows = getBinSize(0.01, 103, 100, { mode: 'row_count', rows: 24 });
+const atr = getBinSize(0.01, 103, 100, { mode: 'atr', atrPercent: 5, atr: 2 });
+const noAtr = getBinSize(0.01, 103, 100, { mode: 'atr', atrPercent: 5, atr: null });
+console.log(`${tick.binSize === 0.01 && tick.ticksPerBin === 1 ? '✅' : '❌'} Tick mode keeps the exchange tick`);
+console.log(`${rows.binSize === 0.13 && rows.ticksPerBin === 13 && rows.rows === 24 ? '✅' : '❌'} 24 rows over a 3.00 range: ${rows.binSize} (${rows.ticksPerBin} ticks)`);
+console.log(`${atr.binSize === 0.1 && atr.atr === 2 ? '✅' : '❌'} 5% of ATR 2: ${atr.binSize}`);
+console.log(`${noAtr.binSize === 0.01 && noAtr.mode === 'atr' && noAtr.atr === null ? '✅' : '❌'} ATR mode without an ATR falls back to one tick`);
+console.log(`${getBinSize(0.01, 100.05, 100, { mode: 'row_count', rows: 48 }).binSize === 0.01 ? '✅' : '❌'} Bins never go below one tick`);
+
+// 2. ATR
+const atrCandles = [
+    { high: 102, low: 100, close: 101 },
+    { high: 102.5, low: 100.5, close: 101 },
+    { high: 106, low: 104, close: 105 } // gap up: true range from the prior close 101
+];
+console.log(`${calculateAverageTrueRange(atrCandles) === 3 && calculateAverageTrueRange([]) === null ? '✅' : '❌'} ATR ${calculateAverageTrueRange(atrCandles)} includes gaps`);
+
+// 3. Footprint of a wide candle on a low-priced coin (tick 0.00001)
+console.log('\n🧱 Wide candle footprint');
+const trades = [];
+for (let k = 0; k < 1000; k++) {
+    trades.push({ price: 0.45 + k * 0.0001, quantity: 1, timestamp: 1000 + k });
+}
+// Real acceptance: 200 contracts across 0.47000-0.47199
+for (let j = 0; j < 200; j++) {
+    trades.push({ price: 0.47 + j * 0.00001, quantity: 1, timestamp: 3000 + j });
+}
+// A few contracts on one stray tick
+for (let j = 0; j < 3; j++) {
+    trades.push({ price: 0.5321, quantity: 1, timestamp: 4000 + j });
+}
+
+const rawFootprint = calculateReversalVolumeFootprint(trades, 'TESTUSDT', 1000, 5000);
+const rowFootprint = calculateReversalVolumeFootprint(trades, 'TESTUSDT', 1000, 5000, 70, 'top_volume', { mode: 'row_count', rows: 24 });
+const atrFootprint = calculateReversalVolumeFootprint(trades, 'TESTUSDT', 1000, 5000, 70, 'top_volume', { mode: 'atr', atrPercent: 5, atr: 0.08 });
+
+console.log(`${rawFootprint.poc === 0.5321 && rawFootprint.binning.mode === 'tick' ? '✅' : '❌'} Raw ticks: POC on the stray tick ${rawFootprint.poc}`);
+console.log(`${rowFootprint.poc >= 0.468 && rowFootprint.poc <= 0.474 && Object.keys(rowFootprint.priceVolumeMap).length <= 25 ? '✅' : '❌'} 24 rows: POC ${rowFootprint.poc} in the cluster, ${Object.keys(rowFootprint.priceVolumeMap).length} levels`);
+console.log(`${rowFootprint.binning.binSize === 0.00417 && rowFootprint.binning.rows === 24 ? '✅' : '❌'} Binning recorded on the footprint: ${JSON.stringify(rowFootprint.binning)}`);
+console.log(`${atrFootprint.poc >= 0.468 && atrFootprint.poc <= 0.474 && atrFootprint.binning.binSize === 0.004 ? '✅' : '❌'} ATR bins: POC ${atrFootprint.poc}, bin ${atrFootprint.binning.binSize}`);
+
+async function runTests() {
+    // 4. ATR of the prior interval candles for live reversals
+    console.log('\n📏 Live ATR');
+    const start = Date.UTC(2025, 0, 1);
+    const intervalMs = 15 * 60000;
+    const candleData = atrCandles.map((candle, i) => ({
+        symbol: 'TESTUSDT', interval: '15m', openTime: new Date(start + i * intervalMs), ...candle
+    }));
+    const client = createFakeClient({ candleData });
+    const rules = { ...DEFAULT_VALIDATION_RULES, binningMode: 'atr', binningAtrPercent: 10 };
+
+    const live = await getReversalBinning(client, 'test', 'TESTUSDT', '15m', start + 3 * intervalMs, rules);
+    const noHistory = await getReversalBinning(client, 'test', 'TESTUSDT', '15m', start, rules);
+    console.log(`${live.mode === 'atr' && live.atr === 3 && live.atrPercent === 10 ? '✅' : '❌'} ATR ${live.atr} from the 3 prior 15m candles`);
+    console.log(`${noHistory.atr === null ? '✅' : '❌'} No prior candles -> no ATR`);
+
+    const rowOptions = await getReversalBinning(null, 'test', 'TESTUSDT', '15m', start, { ...DEFAULT_VALIDATION_RULES, binningMode: 'row_count' });
+    console.log(`${rowOptions.mode === 'row_count' && rowOptions.rows === 24 && rowOptions.atr === null ? '✅' : '❌'} Row count mode needs no database lookup`);
+    console.log(`${getBinningOptions(DEFAULT_VALIDATION_RULES).mode === 'tick' ? '✅' : '❌'} Raw ticks by default`);
+
+    // 5. Validation rules
+    console.log('\n🚦 Rules');
+    const normalized = normalizeValidationRules({ binningMode: 'row_count', binningRows: '48', binningAtrPercent: '7.5' });
+    const invalid = normalizeValidationRules({ binningMode: 'fixed', binningRows: 2, binningAtrPercent: 0 });
+    console.log(`${normalized.validationRules.binningMode === 'row_count' && normalized.validationRules.binningRows === 48 && normalized.validationRules.binningAtrPercent === 7.5 ? '✅' : '❌'} Binning rules normalized`);
+    console.log(`${invalid.errors.length === 3 ? '✅' : '❌'} Invalid binning rules rejected: ${invalid.errors[0]}`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
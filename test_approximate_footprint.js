@@ -0,0 +1,111 @@
+/**
+ * Test Approximate Footprints
+ * Volume profile from 1m candles (with taker-buy split) when ticks are
+ * unavailable, validated with the normal criteria and flagged approximate
+ */
+
+// Candles are read through the candle store; here they are plain documents in the
+// fake client's candleData collection (the bucket layout is tested in test_candle_store.js).
+// Stubbed before the readers below destructure it from the module
+const candleStore = require('./utils/candleStore');
+candleStore.getCandleCollection = db => db.collection('candleData');
+
+const {
+    spreadCandleVolume,
+    calculateApproximateVolumeFootprint,
+    applyApproximateFootprint
+} = require('./utils/approximateVolumeFootprint');
+
+console.log('🧪 Testing Approximate Footprints');
+console.log('=================================\n');
+
+const start = Date.UTC(2025, 0, 1, 10, 0);
+const minute = (i, low, high, volume, takerBuy) => ({
+    symbol: 'TESTUSDT',
+    interval: '1m',
+    openTime: new Date(start + i * 60000),
+    open: low,
+    high,
+    low,
+    close: high,
+    volume,
+    takerBuyBaseAssetVolume: takerBuy
+});
+
+// 5m bullish pin bar 100 -> 95 -> 100.5: most volume trades down in the tail
+const minutes = [
+    minute(0, 100, 100.6, 10, 4),
+    minute(1, 95, 97, 100, 60),
+    minute(2, 95.5, 96.5, 80, 50),
+    minute(3, 97, 100, 10, 6),
+    minute(4, 100, 101, 10, 7)
+];
+const compositeCandle = { open: 100, high: 101, low: 95, close: 100.5, volume: 210 };
+
+// 1. Spreading volume
+const pseudoTrades = spreadCandleVolume([minute(0, 10, 11, 30, 12)], 0.5);
+const buyTotal = pseudoTrades.filter(t => t.isBuyerMaker === false).reduce((sum, t) => sum + t.quantity, 0);
+const prices = [...new Set(pseudoTrades.map(t => t.price))];
+console.log(`${prices.join(',') === '10,10.5,11' && Math.abs(buyTotal - 12) < 1e-9 && pseudoTrades.length === 6 ? '✅' : '❌'} 30 volume spread over 3 levels, 12 of it taker buys`);
+
+const unsided = spreadCandleVolume([{ high: 2, low: 1, volume: 4 }], 1);
+console.log(`${unsided.length === 2 && unsided.every(t => t.isBuyerMaker === undefined && t.quantity === 2) ? '✅' : '❌'} Candles without taker-buy volume give unsided volume`);
+
+// 2. Approximate footprint
+const footprint = calculateApproximateVolumeFootprint(minutes, 'TESTUSDT', 70);
+console.log(`\n${footprint.approximate && footprint.poc >= 95 && footprint.poc <= 97 && footprint.vah < 100 ? '✅' : '❌'} POC ${footprint.poc} in the tail, VA ${footprint.val}-${footprint.vah}`);
+console.log(`${footprint.totalVolume === 210 && footprint.buyVolume === 127 && footprint.sellVolume === 83 ? '✅' : '❌'} Volume ${footprint.totalVolume}: ${footprint.buyVolume} buy / ${footprint.sellVolume} sell`);
+console.log(`${calculateApproximateVolumeFootprint([], 'TESTUSDT').error ? '✅' : '❌'} No candles -> error`);
+
+// 3. Applied to a reversal about to be saved (1m candles from a stub candleData collection)
+function createFakeClient(candles) {
+    return {
+        db: () => ({
+            collection: () => ({
+                find: (query) => {
+                    const matching = candles.filter(c => c.openTime >= query.openTime.$gte && c.openTime <= query.openTime.$lte);
+                    const cursor = {
+                        sort: () => cursor,
+                        skip: () => cursor,
+                        limit: () => cursor,
+                        toArray: async () => matching.slice().reverse()
+                    };
+                    return cursor;
+                }
+            })
+        })
+    };
+}
+
+async function runApplyTests() {
+    console.log('\n🚦 Validation');
+
+    const reversalData = { symbol: 'TESTUSDT', interval: '5m', candleData: compositeCandle };
+    const applied = await applyApproximateFootprint(createFakeClient(minutes), 'test', reversalData, {
+        patternType: 'buy_reversal',
+        openTime: start,
+        closeTime: start + 5 * 60000 - 1,
+        validationRules: { valueAreaPercent: 70, requirePocInTail: true },
+        reason: 'IP banned'
+    });
+    console.log(`${applied && reversalData.tradeSignal.isValidSignal && reversalData.tradeSignal.signalType === 'buy' ? '✅' : '❌'} Valid buy on the approximate profile (score ${reversalData.tradeSignal.score})`);
+    console.log(`${reversalData.tradeSignal.approximate && reversalData.volumeFootprint.approximate && reversalData.volumeFootprint.tickDataSource === 'approximate_1m' && reversalData.volumeFootprint.candlesProcessed === 5 ? '✅' : '❌'} Signal and footprint labelled approximate`);
+    console.log(`${reversalData.tradeSignal.reason.includes('approximate profile from 5 1m candles') ? '✅' : '❌'} Reason: ${reversalData.tradeSignal.reason}`);
+
+    const missing = { symbol: 'TESTUSDT', interval: '5m', candleData: compositeCandle };
+    const noCandles = await applyApproximateFootprint(createFakeClient([]), 'test', missing, {
+        patternType: 'buy_reversal',
+        openTime: start,
+        closeTime: start + 5 * 60000 - 1,
+        validationRules: { valueAreaPercent: 70, requirePocInTail: true },
+        reason: 'Tick data fetch failed'
+    });
+    console.log(`${!noCandles && !missing.volumeFootprint && missing.tradeSignal.isValidSignal === false && missing.tradeSignal.approximate ? '✅' : '❌'} Without 1m candles the reversal is saved invalid and queued for upgrade`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runApplyTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * Test Offline Backtest Engine
+ * Writes a small kline CSV and aggTrades CSV with one 5m buy pin bar followed
+ * by a rally, then replays them without a database or network access
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCandlesFromFiles, BacktestInputError } = require('./utils/backtestDataLoader');
+const {
+    normalizeBacktestConfig,
+    buildIntervalCandles,
+    simulateSymbol,
+    buildBacktestReport,
+    getStoredErrorMessage
+} = require('./utils/backtestEngine');
+const { DEFAULT_DETECTION_THRESHOLDS } = require('./utils/reversalCandleDetector');
+const { DEFAULT_TREND_CONTEXT } = require('./utils/trendContextFilter');
+
+console.log('🧪 Testing Offline Backtest Engine');
+console.log('==================================\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hamqary-backtest-'));
+process.env.BACKTEST_DATA_DIR = path.join(dir, 'data');
+fs.mkdirSync(process.env.BACKTEST_DATA_DIR);
+const start = Date.UTC(2025, 0, 1, 9, 0);
+const minute = 60000;
+
+// 09:00-09:59 flat, 10:00-10:04 buy pin bar (low 95), 10:05+ rally of +1 per minute
+const rows = [];
+for (let i = 0; i < 60; i++) {
+    rows.push([100, 100.05, 99.95, 100.02]);
+}
+rows.push([99.5, 100, 98, 98.5], [98.5, 98.6, 95, 96], [96, 97, 95.5, 96.5], [96.5, 99, 96.4, 99], [99, 100.1, 98.9, 99.9]);
+let price = 99.9;
+for (let i = 0; i < 30; i++) {
+    rows.push([price, price + 1.1, price - 0.1, price + 1]);
+    price += 1;
+}
+
+const klineCsv = ['open_time,open,high,low,close,volume,close_time,quote_volume,count,taker_buy_volume,taker_buy_quote_volume,ignore']
+    .concat(rows.map(([open, high, low, close], i) => {
+        const openTime = start + i * minute;
+        return [openTime, open, high, low, close, 10, openTime + minute - 1, 1000, 20, 5, 500, 0].join(',');
+    }))
+    .join('\n');
+
+// Volume concentrated at 96-97 inside the pin bar's lower tail
+const pinStart = start + 60 * minute;
+const tradeRows = [[95, 1], [95.5, 5], [96, 25], [96, 25], [97, 15], [97, 15], [99.9, 1], [100, 1]];
+const tradesCsv = tradeRows
+    .map(([tradePrice, quantity], i) => [i + 1, tradePrice, quantity, i + 1, i + 1, pinStart + i * 20000, 'false'].join(','))
+    .join('\n');
+
+const klineFile = 'TESTUSDT-1m.csv';
+const tradesFile = path.join(process.env.BACKTEST_DATA_DIR, 'TESTUSDT-aggTrades.csv');
+fs.writeFileSync(path.join(process.env.BACKTEST_DATA_DIR, klineFile), klineCsv);
+fs.writeFileSync(tradesFile, tradesCsv);
+
+// Outside the data directory: a secret, a symlink to it and a broken JSON file inside
+fs.writeFileSync(path.join(dir, 'secret.txt'), 'vm\n');
+fs.symlinkSync(path.join(dir, 'secret.txt'), path.join(process.env.BACKTEST_DATA_DIR, 'link.json'));
+fs.writeFileSync(path.join(process.env.BACKTEST_DATA_DIR, 'broken.json'), 'vm\n');
+
+async function runTests() {
+    const { config, errors } = normalizeBacktestConfig({
+        symbols: ['testusdt'],
+        startDate: new Date(start).toISOString(),
+        endDate: new Date(start + rows.length * minute).toISOString(),
+        intervals: ['5m'],
+        candleSource: 'files',
+        candleFiles: { TESTUSDT: [klineFile] },
+        tradeFiles: { TESTUSDT: [tradesFile] }
+    });
+    console.log(`${errors.length === 0 ? '✅' : '❌'} Config accepted${errors.length ? ': ' + errors.join(', ') : ''}`);
+
+    const invalid = normalizeBacktestConfig({ symbols: [], startDate: 'x', intervals: ['90m'] });
+    console.log(`${invalid.errors.length === 3 ? '✅' : '❌'} Invalid config rejected: ${invalid.errors.join('; ')}`);
+
+    // Data directory
+    const escaping = normalizeBacktestConfig({
+        symbols: ['TESTUSDT'],
+        startDate: new Date(start).toISOString(),
+        endDate: new Date(start + minute).toISOString(),
+        candleSource: 'files',
+        candleFiles: { TESTUSDT: ['/etc/hostname'] },
+        tradeFiles: { TESTUSDT: ['../secret.txt'] }
+    });
+    console.log(`${escaping.errors.length === 2 && escaping.errors.every(e => e.includes('inside the backtest data directory')) ? '✅' : '❌'} Absolute and ../ paths outside the data directory rejected`);
+
+    const loadError = async (file) => loadCandlesFromFiles([file], 'TESTUSDT', config.startDate, config.endDate).then(() => null, error => error);
+    const linked = await loadError('link.json');
+    const broken = await loadError('broken.json');
+    const missing = await loadError('missing.csv');
+    console.log(`${linked instanceof BacktestInputError && linked.message.includes('outside') ? '✅' : '❌'} Symlink out of the data directory rejected`);
+    console.log(`${broken instanceof BacktestInputError && !broken.message.includes('vm') && missing instanceof BacktestInputError ? '✅' : '❌'} Invalid and missing files don't quote the file: ${broken.message}`);
+
+    let parseError;
+    try {
+        JSON.parse('vm\n');
+    } catch (error) {
+        parseError = error;
+    }
+    console.log(`${getStoredErrorMessage(parseError) !== parseError.message && getStoredErrorMessage(broken) === broken.message ? '✅' : '❌'} Failed runs store "${getStoredErrorMessage(parseError)}" for other errors`);
+
+    const oneMinuteCandles = await loadCandlesFromFiles(config.candleFiles.TESTUSDT, 'TESTUSDT', config.startDate, config.endDate);
+    console.log(`${oneMinuteCandles.length === rows.length ? '✅' : '❌'} Loaded ${oneMinuteCandles.length} 1m candles (header skipped)`);
+
+    const fiveMinute = buildIntervalCandles(oneMinuteCandles, 'TESTUSDT', 5);
+    const pinBar = fiveMinute.find(c => c.openTime.getTime() === pinStart);
+    console.log(`${fiveMinute.length === 19 && pinBar && pinBar.low === 95 ? '✅' : '❌'} Built ${fiveMinute.length} 5m candles, pin bar low ${pinBar && pinBar.low}`);
+
+    const settings = {
+        ...config,
+        thresholds: { ...DEFAULT_DETECTION_THRESHOLDS },
+        trendContext: { ...DEFAULT_TREND_CONTEXT }
+    };
+    const { trades, counts } = await simulateSymbol('TESTUSDT', oneMinuteCandles, settings);
+    const trade = trades.find(t => t.entryTime.getTime() === pinStart + 5 * minute - 1);
+    // The pin bar plus the three-bar reversal that starts with it (same trades window)
+    console.log(`${counts.reversalsDetected === 2 && counts.validSignals === 2 ? '✅' : '❌'} ${counts.reversalsDetected} reversals, ${counts.validSignals} valid signals`);
+    console.log(`${trade && trade.result === 'win' && trade.rMultiple === 3 ? '✅' : '❌'} Trade: ${trade && trade.signalType} ${trade && trade.patternType}, ${trade && trade.result} ${trade && trade.rMultiple}R after ${trade && trade.timeToOutcomeMinutes}m`);
+
+    const report = buildBacktestReport([
+        { rMultiple: 3, exitTime: new Date(start + 2 * minute) },
+        { rMultiple: -1, exitTime: new Date(start + minute) }
+    ], { initialEquity: 10000, riskPerTradePercent: 1 });
+    const expectedEquity = Math.round(10000 * 0.99 * 1.03 * 100) / 100;
+    console.log(`${report.stats.finalEquity === expectedEquity && report.stats.profitFactor === 3 ? '✅' : '❌'} Equity ${report.stats.finalEquity}, profit factor ${report.stats.profitFactor}, max drawdown ${report.stats.maxDrawdownPercent}%`);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Test Multi-Timeframe Confluence
+ * Groups reversals closing at the same minute and checks the confluence record
+ */
+
+const { getCloseMinute, calculateConfluence } = require('./utils/confluenceEngine');
+
+console.log('🧪 Testing Multi-Timeframe Confluence');
+console.log('=====================================\n');
+
+const boundary = Date.UTC(2025, 0, 1, 10, 15);
+
+function reversal(interval, type, isValidSignal) {
+    return {
+        symbol: 'BTCUSDT',
+        interval,
+        closeTime: new Date(boundary - 1),
+        reversalPattern: { type },
+        tradeSignal: { isValidSignal }
+    };
+}
+
+const closeMinute = getCloseMinute(new Date(boundary - 1));
+console.log(`${closeMinute === boundary ? '✅' : '❌'} Close time ${new Date(boundary - 1).toISOString()} groups at ${new Date(closeMinute).toISOString()}`);
+
+const scenarios = [
+    {
+        name: 'Three aligned valid buys',
+        group: [reversal('5m', 'buy_reversal', true), reversal('15m', 'bullish_engulfing', true), reversal('3m', 'buy_reversal', true)],
+        direction: 'buy',
+        expectedTimeframes: '3m,5m,15m',
+        expectedScore: 6.8
+    },
+    {
+        name: 'Buy with an opposing sell',
+        group: [reversal('5m', 'buy_reversal', true), reversal('15m', 'buy_reversal', false), reversal('10m', 'sell_reversal', false)],
+        direction: 'buy',
+        expectedTimeframes: '5m,15m',
+        expectedScore: 2.3
+    },
+    {
+        name: 'Single timeframe',
+        group: [reversal('1m', 'sell_reversal', false)],
+        direction: 'sell',
+        expectedTimeframes: '1m',
+        expectedScore: 1
+    },
+    {
+        name: 'Sell outweighed by buys',
+        group: [reversal('1m', 'evening_star', false), reversal('30m', 'buy_reversal', true)],
+        direction: 'sell',
+        expectedTimeframes: '1m',
+        expectedScore: 0
+    }
+];
+
+scenarios.forEach(scenario => {
+    const confluence = calculateConfluence(scenario.group, scenario.direction, boundary);
+    const passed = confluence.timeframes.join(',') === scenario.expectedTimeframes &&
+        confluence.score === scenario.expectedScore;
+
+    console.log(`${passed ? '✅' : '❌'} ${scenario.name}: ${confluence.timeframeCount} timeframes (${confluence.timeframes.join(', ')}), score ${confluence.score}`);
+    console.log(`   Valid: ${confluence.validTimeframes.join(', ') || 'none'}, opposing: ${confluence.opposingTimeframes.join(', ') || 'none'}`);
+});
+
+console.log('\n🎉 All tests completed!');
@@ -6,6 +6,7 @@
 const { MongoClient } = require('mongodb');
 const getPerpetualCandleData = require('./utils/getPerpetualCandleData');
 const { getSelectedSymbols } = require('./models/database');
+const { getCandleCollection } = require('./utils/candleStore');
 // Using built-in fetch (Node.js 18+)
 
 // Load environment variables
@@ -170,7 +171,7 @@ async function checkDatabaseData(client, dbName, symbols) {
         console.log(`\n🗄️ Checking database for existing data...`);
         
         const db = client.db(dbName);
-        const candleCollection = db.collection('candleData');
+        const candleCollection = getCandleCollection(db);
         
         const analysis = {};
         
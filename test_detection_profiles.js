@@ -0,0 +1,93 @@
+/**
+ * Test Detection Profiles
+ * Checks that thresholds change detection results and that
+ * symbol/interval overrides resolve in the right order
+ */
+
+const { detectReversalCandle } = require('./utils/reversalCandleDetector');
+const { DetectionProfileResolver } = require('./utils/detectionProfiles');
+const { getCandleRetentionHours } = require('./utils/candleStore');
+
+console.log('🧪 Testing Detection Profiles');
+console.log('=============================\n');
+
+// Buy reversal with a 25% body - rejected by the built-in 23% limit
+const wideBodyCandle = {
+    open: 49700,
+    high: 50010,
+    low: 48800,
+    close: 50000
+};
+
+console.log('📈 Test Case 1: Built-in thresholds');
+const builtinResult = detectReversalCandle(wideBodyCandle);
+console.log('Result:', builtinResult ? `❌ UNEXPECTED ${builtinResult.type}` : '✅ Rejected (body too large)');
+
+console.log('\n📈 Test Case 2: Loose profile (maxBodyPercentage 30)');
+const looseResult = detectReversalCandle(wideBodyCandle, { maxBodyPercentage: 30 });
+console.log('Result:', looseResult ? `✅ Detected ${looseResult.type}` : '❌ UNEXPECTED rejection');
+
+console.log('\n' + '='.repeat(50) + '\n');
+
+// Minimal in-memory stand-in for the two profile collections
+function createFakeClient(collections) {
+    return {
+        db: () => ({
+            collection: (name) => ({
+                find: () => ({
+                    sort: () => ({
+                        toArray: async () => collections[name] || []
+                    })
+                })
+            })
+        })
+    };
+}
+
+const fakeClient = createFakeClient({
+    detectionProfiles: [
+        { name: 'conservative', thresholds: { maxBodyPercentage: 15 }, isDefault: true },
+        { name: 'btc', thresholds: { minStopLossRisk: 0.2 } },
+        { name: 'slow', thresholds: { minLongTailPercentage: 40 }, trendContext: { mode: 'enforce', maPeriod: 50 } },
+        { name: 'btc-slow', thresholds: { minLongTailPercentage: 45 } },
+        { name: 'unused', trendContext: { mode: 'enforce', maPeriod: 200 } }
+    ],
+    detectionProfileOverrides: [
+        { symbol: 'BTCUSDT', interval: null, profileName: 'btc' },
+        { symbol: null, interval: '30m', profileName: 'slow' },
+        { symbol: 'BTCUSDT', interval: '30m', profileName: 'btc-slow' }
+    ]
+});
+
+async function testResolution() {
+    console.log('🔎 Test Case 3: Override resolution order');
+    const resolver = new DetectionProfileResolver(fakeClient, 'test');
+
+    const cases = [
+        { symbol: 'BTCUSDT', interval: '30m', expected: 'btc-slow' },
+        { symbol: 'BTCUSDT', interval: '1m', expected: 'btc' },
+        { symbol: 'ETHUSDT', interval: '30m', expected: 'slow' },
+        { symbol: 'ETHUSDT', interval: '1m', expected: 'conservative' }
+    ];
+
+    for (const testCase of cases) {
+        const profile = await resolver.resolve(testCase.symbol, testCase.interval);
+        const passed = profile.name === testCase.expected;
+        console.log(`${passed ? '✅' : '❌'} ${testCase.symbol} ${testCase.interval} → ${profile.name} (${profile.source})`);
+    }
+
+    console.log('\n🔎 Test Case 4: No profiles stored');
+    const emptyResolver = new DetectionProfileResolver(createFakeClient({}), 'test');
+    const builtin = await emptyResolver.resolve('ETHUSDT', '1m');
+    console.log(`${builtin.name === 'builtin' ? '✅' : '❌'} Falls back to ${builtin.name}:`, JSON.stringify(builtin.thresholds));
+
+    console.log('\n🔎 Test Case 5: Candle history for the trend context');
+    console.log(`${emptyResolver.getRequiredCandleHistory() === 22 && getCandleRetentionHours('60m') === 22 && getCandleRetentionHours('15m') === 6 ? '✅' : '❌'} Built-in maPeriod 20: 22 candles kept (60m ${getCandleRetentionHours('60m')}h, 15m ${getCandleRetentionHours('15m')}h)`);
+
+    await resolver.refresh();
+    console.log(`${resolver.getRequiredCandleHistory() === 52 && getCandleRetentionHours('30m') === 26 ? '✅' : '❌'} Profile in use with maPeriod 50 sizes the history (${resolver.getRequiredCandleHistory()} candles), unused profiles don't`);
+}
+
+testResolution().then(() => {
+    console.log('\n🎉 All tests completed!');
+});
@@ -0,0 +1,165 @@
+/**
+ * Test Exchange Adapters
+ * Binance and Bybit stream/REST parsing into the same candle and trade format,
+ * stream subscriptions, ban policies, per-symbol exchange selection and the
+ * collectors on each exchange. REST calls go to a local fake `fetch`.
+ */
+
+const binanceAdapter = require('./utils/binanceAdapter');
+const bybitAdapter = require('./utils/bybitAdapter');
+const {
+    parseSymbolExchanges,
+    getExchangeAdapter,
+    setSymbolExchanges,
+    getSymbolExchange,
+    getSymbolAdapter,
+    groupSymbolsByExchange,
+    getUSDTSymbols
+} = require('./utils/exchangeAdapters');
+const { initializeCurrentBanStatus, isCurrentlyBanned, getRateLimiterStatus } = require('./utils/fetchHistoricalTickData');
+const { WebSocketCandleCollector } = require('./utils/websocketCandleCollector');
+const { WebSocketTickCollector } = require('./utils/websocketTickCollector');
+
+console.log('🧪 Testing Exchange Adapters');
+console.log('============================\n');
+
+// Fake fetch: answers by URL path with the given JSON body
+function useFakeFetch(routes) {
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        const route = Object.keys(routes).find(path => url.includes(path));
+        const body = route ? routes[route] : { error: 'not found' };
+        return {
+            ok: !!route,
+            status: route ? 200 : 404,
+            json: async () => body,
+            text: async () => JSON.stringify(body)
+        };
+    };
+    return requested;
+}
+
+const sameKeys = (a, b) => Object.keys(a).sort().join() === Object.keys(b).sort().join();
+
+async function runTests() {
+    const realFetch = global.fetch;
+    const minute = Date.UTC(2025, 0, 15, 10, 0);
+
+    // 1. Kline stream messages
+    console.log('📊 Kline stream messages');
+    const binanceKline = binanceAdapter.parseKlineMessage({
+        e: 'kline', E: minute + 60000,
+        k: { s: 'BTCUSDT', x: true, t: minute, T: minute + 59999, o: '100', h: '101', l: '99', c: '100.5', v: '12', q: '1200', n: 40, V: '7', Q: '700' }
+    });
+    const bybitKline = bybitAdapter.parseKlineMessage({
+        topic: 'kline.1.BTCUSDT', ts: minute + 60000,
+        data: [{ start: minute, end: minute + 59999, open: '100', high: '101', low: '99', close: '100.5', volume: '12', turnover: '1200', confirm: true, timestamp: minute + 60000 }]
+    });
+    console.log(`${binanceKline.length === 1 && bybitKline.length === 1 && sameKeys(binanceKline[0], bybitKline[0]) ? '✅' : '❌'} Both exchanges give the same kline fields`);
+    console.log(`${bybitKline[0].symbol === 'BTCUSDT' && bybitKline[0].isClosed && bybitKline[0].close === 100.5 && bybitKline[0].numberOfTrades === null ? '✅' : '❌'} Bybit kline: symbol from topic, closed, no trade count`);
+    console.log(`${binanceAdapter.parseKlineMessage({ result: null, id: 1 }).length === 0 && bybitAdapter.parseKlineMessage({ op: 'pong', success: true }).length === 0 ? '✅' : '❌'} Subscription acks and pongs are ignored`);
+
+    // 2. Trade stream messages
+    console.log('\n💱 Trade stream messages');
+    const [binanceTrade] = binanceAdapter.parseTradeMessage({ e: 'aggTrade', s: 'BTCUSDT', a: 5, p: '100.1', q: '0.5', T: minute + 10, m: true, f: 9, l: 11 });
+    const bybitTrades = bybitAdapter.parseTradeMessage({
+        topic: 'publicTrade.BTCUSDT',
+        data: [
+            { T: minute + 10, s: 'BTCUSDT', S: 'Sell', v: '0.5', p: '100.1', i: 'abc' },
+            { T: minute + 20, s: 'BTCUSDT', S: 'Buy', v: '0.2', p: '100.2', i: 'abd' }
+        ]
+    });
+    console.log(`${sameKeys(binanceTrade.trade, bybitTrades[0].trade) && binanceTrade.trade.isBuyerMaker === true ? '✅' : '❌'} Both exchanges give the same trade fields`);
+    console.log(`${bybitTrades[0].trade.isBuyerMaker === true && bybitTrades[1].trade.isBuyerMaker === false && bybitTrades[1].trade.quantity === 0.2 ? '✅' : '❌'} Bybit taker sell -> buyer was maker`);
+
+    // 3. Stream subscriptions
+    console.log('\n📡 Stream subscriptions');
+    const binanceRequest = binanceAdapter.buildStreamRequest('kline', ['BTCUSDT', 'ETHUSDT'], 'subscribe');
+    const bybitRequest = bybitAdapter.buildStreamRequest('trade', ['BTCUSDT'], 'unsubscribe');
+    console.log(`${binanceRequest.method === 'SUBSCRIBE' && binanceRequest.params.join() === 'btcusdt@kline_1m,ethusdt@kline_1m' ? '✅' : '❌'} Binance: ${binanceRequest.params.join(', ')}`);
+    console.log(`${bybitRequest.op === 'unsubscribe' && bybitRequest.args.join() === 'publicTrade.BTCUSDT' ? '✅' : '❌'} Bybit: ${bybitRequest.op} ${bybitRequest.args.join(', ')}`);
+    console.log(`${binanceAdapter.streamPing === null && bybitAdapter.streamPing.message.op === 'ping' ? '✅' : '❌'} Only Bybit needs an application ping`);
+
+    // 4. REST
+    console.log('\n🌐 REST');
+    useFakeFetch({
+        '/v5/market/kline': { retCode: 0, result: { list: [[String(minute + 60000), '101', '102', '100', '101.5', '3', '300'], [String(minute), '100', '101', '99', '100.5', '12', '1200']] } },
+        '/v5/market/recent-trade': { retCode: 0, result: { list: [
+            { execId: 'b', price: '100.2', size: '1', side: 'Buy', time: String(minute + 30000) },
+            { execId: 'a', price: '100.1', size: '2', side: 'Sell', time: String(minute + 10000) },
+            { execId: 'old', price: '99', size: '1', side: 'Buy', time: String(minute - 10000) }
+        ] } },
+        '/v5/market/instruments-info': { retCode: 0, result: { nextPageCursor: '', list: [
+            { symbol: 'BTCUSDT', status: 'Trading', contractType: 'LinearPerpetual', quoteCoin: 'USDT', priceScale: '2', priceFilter: { tickSize: '0.10' }, lotSizeFilter: { qtyStep: '0.001', minOrderQty: '0.001' } },
+            { symbol: 'OLDUSDT', status: 'Closed', contractType: 'LinearPerpetual', quoteCoin: 'USDT', priceFilter: {}, lotSizeFilter: {} },
+            { symbol: 'BTCUSDC', status: 'Trading', contractType: 'LinearPerpetual', quoteCoin: 'USDC', priceFilter: {}, lotSizeFilter: {} }
+        ] } },
+        '/fapi/v1/klines': [[minute, '100', '101', '99', '100.5', '12', minute + 59999, '1200', 40, '7', '700', '0']]
+    });
+
+    const bybitCandles = await bybitAdapter.fetchKlines('BTCUSDT', '1m', { limit: 2 });
+    const [binanceCandle] = await binanceAdapter.fetchKlines('BTCUSDT', '1m', { limit: 1 });
+    console.log(`${bybitCandles[0].openTime === minute && bybitCandles[0].closeTime === minute + 59999 && sameKeys(bybitCandles[0], binanceCandle) ? '✅' : '❌'} Bybit klines oldest first with Binance-shaped fields`);
+
+    const bybitRange = await bybitAdapter.fetchAggTrades('BTCUSDT', minute, minute + 59999);
+    console.log(`${bybitRange.map(trade => trade.id).join() === 'a,b' ? '✅' : '❌'} Bybit recent trades filtered to the candle and sorted: ${bybitRange.map(trade => trade.id).join(', ')}`);
+
+    const bybitSymbols = await getUSDTSymbols('bybit');
+    const [btcInfo] = await bybitAdapter.fetchSymbolUniverse();
+    console.log(`${bybitSymbols.join() === 'BTCUSDT' ? '✅' : '❌'} Active USDT pairs on Bybit: ${bybitSymbols.join(', ')}`);
+    console.log(`${btcInfo.status === 'TRADING' && btcInfo.contractType === 'PERPETUAL' && btcInfo.tickSize === 0.1 && btcInfo.exchange === 'bybit' ? '✅' : '❌'} Instrument normalized to symbolInfo (tick ${btcInfo.tickSize})`);
+
+    let errorMessage = null;
+    global.fetch = async () => ({ ok: true, status: 200, json: async () => ({ retCode: 10001, retMsg: 'params error' }) });
+    await bybitAdapter.fetchKlines('BTCUSDT', '1m').catch(error => { errorMessage = error.message; });
+    console.log(`${errorMessage === 'Bybit API error 10001: params error' ? '✅' : '❌'} Non-zero retCode raised: ${errorMessage}`);
+    global.fetch = realFetch;
+
+    // 5. Exchange selection
+    console.log('\n🔀 Exchange selection');
+    const parsed = parseSymbolExchanges('btcusdt:Bybit, ETHUSDT:binance, XRPUSDT:kraken');
+    console.log(`${parsed.get('BTCUSDT') === 'bybit' && parsed.get('ETHUSDT') === 'binance' && !parsed.has('XRPUSDT') ? '✅' : '❌'} SYMBOL_EXCHANGES parsed, unknown exchange skipped`);
+
+    setSymbolExchanges({ SOLUSDT: 'bybit' });
+    const groups = groupSymbolsByExchange(['BTCUSDT', 'SOLUSDT', 'ETHUSDT']);
+    console.log(`${getSymbolExchange('SOLUSDT') === 'bybit' && getSymbolExchange('BTCUSDT') === 'binance' && getSymbolAdapter('SOLUSDT') === bybitAdapter ? '✅' : '❌'} Overridden symbol on Bybit, others on the deployment exchange`);
+    console.log(`${groups.get('binance').join() === 'BTCUSDT,ETHUSDT' && groups.get('bybit').join() === 'SOLUSDT' ? '✅' : '❌'} Symbols grouped per exchange`);
+
+    let unknownError = null;
+    try { getExchangeAdapter('kraken'); } catch (error) { unknownError = error.message; }
+    console.log(`${unknownError === 'Unknown exchange: kraken' ? '✅' : '❌'} Unknown exchange rejected`);
+
+    // 6. Rate limits and bans
+    console.log('\n🚫 Rate limits and bans');
+    const banUntil = Date.now() + 60 * 60 * 1000;
+    console.log(`${binanceAdapter.rateLimit.getBanExpiry(new Error(`Binance API error 418: {"code":-1003,"msg":"banned until ${banUntil}"}`)) === banUntil ? '✅' : '❌'} Binance ban expiry read from the message`);
+    console.log(`${bybitAdapter.rateLimit.getBanExpiry(new Error('Bybit API error 403: access too frequent')) > Date.now() && bybitAdapter.rateLimit.getBanExpiry(new Error('Bybit API error 10001: params error')) === null ? '✅' : '❌'} Bybit 403 is a ban, other errors are not`);
+
+    initializeCurrentBanStatus(banUntil, 'bybit');
+    console.log(`${isCurrentlyBanned('SOLUSDT') && !isCurrentlyBanned('BTCUSDT') && getRateLimiterStatus('SOLUSDT').exchange === 'bybit' ? '✅' : '❌'} Bybit ban leaves Binance symbols fetching`);
+
+    // 7. Collectors
+    console.log('\n🔌 Collectors');
+    const closedCandles = [];
+    const candleCollector = new WebSocketCandleCollector({ exchange: 'bybit', onClosedCandle: candle => closedCandles.push(candle) });
+    candleCollector.handleMessage(JSON.stringify({ topic: 'kline.1.SOLUSDT', data: [{ start: minute, end: minute + 59999, open: '1', high: '2', low: '0.5', close: '1.5', volume: '10', turnover: '15', confirm: true }] }));
+    candleCollector.handleMessage(JSON.stringify({ topic: 'kline.1.SOLUSDT', data: [{ start: minute + 60000, end: minute + 119999, open: '1.5', high: '2', low: '1', close: '1.8', volume: '4', turnover: '6', confirm: false }] }));
+    console.log(`${candleCollector.baseUrl === bybitAdapter.streamUrl && closedCandles.length === 1 && closedCandles[0].openTime.getTime() === minute && closedCandles[0].close === 1.5 ? '✅' : '❌'} Bybit candle collector passes on closed 1m candles only`);
+
+    const tickCollector = new WebSocketTickCollector({ exchange: 'bybit' });
+    tickCollector.activeCandles.set('SOLUSDT', { startTime: minute, endTime: minute + 59999, trades: [], interval: '1m' });
+    tickCollector.handleMessage(JSON.stringify({ topic: 'publicTrade.SOLUSDT', data: [
+        { T: minute + 5, s: 'SOLUSDT', S: 'Buy', v: '3', p: '1.2', i: 'x1' },
+        { T: minute + 60005, s: 'SOLUSDT', S: 'Sell', v: '1', p: '1.3', i: 'x2' }
+    ] }));
+    const collected = tickCollector.activeCandles.get('SOLUSDT').trades;
+    console.log(`${collected.length === 1 && collected[0].id === 'x1' && collected[0].quantity === 3 ? '✅' : '❌'} Bybit tick collector keeps trades inside the candle`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * Test Minute Volume Profiles
+ * Per-minute price maps from the trade stream and the trade store, merged into
+ * N-minute footprints that match the footprint of the raw trades
+ */
+
+const {
+    buildMinuteProfile,
+    mergeMinuteProfiles,
+    saveMinuteProfiles,
+    calculateMinuteProfileFootprint,
+    recordStreamedMinute,
+    recordMinuteProfilesFromStore
+} = require('./utils/minuteVolumeProfiles');
+const { calculateReversalVolumeFootprint } = require('./utils/volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./utils/orderFlowAnalyzer');
+const { initializeTradeStore, storeTrades } = require('./utils/tradeStore');
+const { WebSocketTickCollector } = require('./utils/websocketTickCollector');
+
+console.log('🧪 Testing Minute Volume Profiles');
+console.log('=================================\n');
+
+// Minimal in-memory MongoDB: equality/$in/$gte/$lte queries, sort, findOne, inserts, deleteMany, bulkWrite upserts
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$in === undefined || condition.$in.map(valueOf).includes(value))
+                && (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte));
+        }
+        return value === valueOf(condition);
+    });
+    let nextId = 1;
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => {
+                                const [[key, direction]] = Object.entries(sort);
+                                result = result.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key])));
+                                return cursor;
+                            },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    findOne: async (query) => docs.find(doc => matches(doc, query)) || null,
+                    insertOne: async (doc) => {
+                        docs.push({ _id: nextId++, ...doc });
+                        return { acknowledged: true };
+                    },
+                    insertMany: async (newDocs) => {
+                        newDocs.forEach(doc => docs.push({ _id: nextId++, ...doc }));
+                        return { insertedCount: newDocs.length };
+                    },
+                    deleteMany: async (query) => {
+                        const kept = docs.filter(doc => !matches(doc, query));
+                        const deletedCount = docs.length - kept.length;
+                        docs.splice(0, docs.length, ...kept);
+                        return { deletedCount };
+                    },
+                    bulkWrite: async (operations) => {
+                        operations.forEach(({ updateOne }) => {
+                            const existing = docs.find(doc => matches(doc, updateOne.filter));
+                            if (existing) {
+                                Object.assign(existing, updateOne.update.$set);
+                            } else {
+                                docs.push({ _id: nextId++, ...updateOne.filter, ...updateOne.update.$set });
+                            }
+                        });
+                        return { ok: 1 };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const minute = Date.UTC(2025, 0, 15, 10, 0);
+
+// Deterministic trades on the 0.01 BTCUSDT tick: a drift with noise, every 2 seconds
+function makeTrades(minutes) {
+    const trades = [];
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    for (let i = 0; i < minutes * 30; i++) {
+        trades.push({
+            id: i + 1,
+            price: parseFloat((100 + Math.sin(i / 40) * 0.5 + Math.round(random() * 10) / 100).toFixed(2)),
+            quantity: Math.round(random() * 1000) / 100 + 0.01,
+            timestamp: minute + i * 2000,
+            isBuyerMaker: random() < 0.45
+        });
+    }
+    return trades;
+}
+
+const profilesOf = (trades, minutes, source = 'stream') => Array.from({ length: minutes }, (_, m) => buildMinuteProfile(
+    'BTCUSDT',
+    minute + m * 60000,
+    trades.filter(trade => trade.timestamp >= minute + m * 60000 && trade.timestamp < minute + (m + 1) * 60000),
+    source
+));
+
+const sameFootprint = (a, b) => a.poc === b.poc && a.vah === b.vah && a.val === b.val
+    && a.totalVolume === b.totalVolume && a.binning.binSize === b.binning.binSize;
+
+async function runTests() {
+    const trades = makeTrades(15);
+
+    // 1. Minute profile
+    console.log('🧱 Minute profile');
+    const profile = buildMinuteProfile('BTCUSDT', minute, [
+        { price: 100.004, quantity: 1, isBuyerMaker: false },
+        { price: 99.996, quantity: 2, isBuyerMaker: true },
+        { price: 100.02, quantity: 3, isBuyerMaker: false }
+    ], 'stream');
+    console.log(`${profile.tickSize === 0.01 && JSON.stringify(profile.levels) === '[[100,1,2],[100.02,3,0]]' ? '✅' : '❌'} Trades rounded to the tick with buy/sell volume: ${JSON.stringify(profile.levels)}`);
+    console.log(`${profile.totalVolume === 6 && profile.tradesCount === 3 && profile.closeTime.getTime() === minute + 59999 ? '✅' : '❌'} Volume, trade count and close time kept`);
+
+    const merged = mergeMinuteProfiles([profile, buildMinuteProfile('BTCUSDT', minute + 60000, [{ price: 100, quantity: 4, isBuyerMaker: false }], 'stream')]);
+    console.log(`${merged.levels[0].buy === 5 && merged.levels[0].sell === 2 && merged.totalVolume === 10 && merged.tradesCount === 4 ? '✅' : '❌'} Minutes merged per price level`);
+
+    // 2. Merged footprints match raw trades
+    console.log('\n🧩 N-minute footprints');
+    const collections = {};
+    const client = createFakeClient(collections);
+    await saveMinuteProfiles(client, 'test', profilesOf(trades, 15));
+
+    const rawFifteen = calculateReversalVolumeFootprint(trades, 'BTCUSDT', minute, minute + 15 * 60000 - 1);
+    const mergedFifteen = await calculateMinuteProfileFootprint(client, 'test', 'BTCUSDT', minute, minute + 15 * 60000 - 1);
+    console.log(`${mergedFifteen && sameFootprint(rawFifteen, mergedFifteen) && mergedFifteen.minuteProfiles === 15 && mergedFifteen.tradesProcessed === 450 ? '✅' : '❌'} 15m from 15 profiles = raw trades: POC ${mergedFifteen.poc}, VAH ${mergedFifteen.vah}, VAL ${mergedFifteen.val}`);
+
+    const candle = { open: 100, close: 100.3, high: 100.6, low: 99.5 };
+    const rawDelta = analyzeOrderFlow(rawFifteen, candle).delta;
+    const mergedDelta = analyzeOrderFlow(mergedFifteen, candle).delta;
+    console.log(`${Math.abs(rawDelta - mergedDelta) < 1e-6 ? '✅' : '❌'} Order flow delta matches: ${mergedDelta}`);
+
+    const rowBinning = { mode: 'row_count', rows: 12 };
+    const rawRows = calculateReversalVolumeFootprint(trades, 'BTCUSDT', minute, minute + 15 * 60000 - 1, 70, 'adjacent_single', rowBinning);
+    const mergedRows = await calculateMinuteProfileFootprint(client, 'test', 'BTCUSDT', minute, minute + 15 * 60000 - 1, 70, 'adjacent_single', rowBinning);
+    console.log(`${sameFootprint(rawRows, mergedRows) && mergedRows.binning.ticksPerBin > 1 ? '✅' : '❌'} Row-count bins and adjacent value area match (${mergedRows.binning.ticksPerBin} ticks per bin)`);
+
+    const mergedFive = await calculateMinuteProfileFootprint(client, 'test', 'BTCUSDT', minute + 5 * 60000, minute + 10 * 60000 - 1);
+    const rawFive = calculateReversalVolumeFootprint(trades, 'BTCUSDT', minute + 5 * 60000, minute + 10 * 60000 - 1);
+    console.log(`${sameFootprint(rawFive, mergedFive) && mergedFive.minuteProfiles === 5 ? '✅' : '❌'} Nested 5m candle from its own 5 minutes`);
+
+    collections.minuteProfiles.splice(7, 1);
+    console.log(`${await calculateMinuteProfileFootprint(client, 'test', 'BTCUSDT', minute, minute + 15 * 60000 - 1) === null ? '✅' : '❌'} A missing minute -> no merged footprint`);
+
+    // 3. Trade stream minutes
+    console.log('\n📡 Trade stream');
+    const closed = [];
+    const collector = new WebSocketTickCollector({ exchange: 'binance', onMinuteClosed: (symbol, closedMinute) => closed.push({ symbol, ...closedMinute }) });
+    collector.recordSymbols(['ETHUSDT']);
+    const streamTrade = (id, timestamp) => JSON.stringify({ e: 'aggTrade', s: 'ETHUSDT', a: id, p: '3000.12', q: '1', T: timestamp, m: false, f: id, l: id });
+
+    collector.handleMessage(streamTrade(1, minute + 30000)); // joined mid-minute
+    collector.handleMessage(streamTrade(2, minute + 65000));
+    collector.handleMessage(streamTrade(3, minute + 119000));
+    collector.flushMinutes(minute + 60000 + 1000); // inside the grace period
+    const beforeGrace = closed.length;
+    collector.flushMinutes(minute + 3 * 60000 + 2000);
+    await new Promise(resolve => setImmediate(resolve));
+    console.log(`${beforeGrace === 0 && closed.length === 3 ? '✅' : '❌'} Minutes closed after the grace period (${closed.length} closed)`);
+    console.log(`${closed[0].complete === false && closed[1].complete === true && closed[1].trades.length === 2 ? '✅' : '❌'} First minute partial, second complete with 2 trades`);
+    console.log(`${closed[2].complete === true && closed[2].trades.length === 0 ? '✅' : '❌'} Minute without trades closed as complete and empty`);
+
+    collector.handleMessage(streamTrade(4, minute + 170000)); // minute 2 already closed
+    collector.handleMessage(streamTrade(5, minute + 185000));
+    collector.interruptMinuteRecording();
+    await new Promise(resolve => setImmediate(resolve));
+    const interruptedMinute = closed[3];
+    console.log(`${interruptedMinute.complete === false && interruptedMinute.trades.map(trade => trade.id).join() === '5' ? '✅' : '❌'} Late trade dropped; disconnect closes the open minute as partial`);
+    collector.recordSymbols([]);
+
+    const stored = await Promise.all(closed.map(closedMinute => recordStreamedMinute(client, 'test', 'ETHUSDT', closedMinute)));
+    const ethProfiles = collections.minuteProfiles.filter(doc => doc.symbol === 'ETHUSDT');
+    console.log(`${stored.join() === 'false,true,true,false' && ethProfiles.length === 2 && ethProfiles[0].source === 'stream' ? '✅' : '❌'} Only complete minutes stored (${ethProfiles.length})`);
+
+    // 4. Trade store minutes
+    console.log('\n💾 Trade store');
+    initializeTradeStore(client, 'test');
+    const solTrades = trades.map(trade => ({ ...trade, timestamp: trade.timestamp + 30000 }));
+    await storeTrades('SOLUSDT', solTrades, { startTime: minute + 30000, endTime: minute + 4 * 60000 + 29999 });
+    const recorded = await recordMinuteProfilesFromStore(client, 'test', 'SOLUSDT', minute, minute + 5 * 60000 - 1);
+    const solProfiles = collections.minuteProfiles.filter(doc => doc.symbol === 'SOLUSDT');
+    console.log(`${recorded === 3 && solProfiles.map(doc => (doc.openTime.getTime() - minute) / 60000).join() === '1,2,3' && solProfiles[0].source === 'trade_store' ? '✅' : '❌'} Whole covered minutes 1-3 recorded from the store (${recorded})`);
+
+    // Coverage gone between listing the ranges and reading the trades: getStoredTrades returns null
+    await storeTrades('ADAUSDT', solTrades, { startTime: minute + 30000, endTime: minute + 4 * 60000 + 29999 });
+    initializeTradeStore({
+        db: (name) => ({
+            collection: (collectionName) => collectionName === 'aggTradeCoverage'
+                ? { ...client.db(name).collection(collectionName), findOne: async () => null }
+                : client.db(name).collection(collectionName)
+        })
+    }, 'test');
+    const uncovered = await recordMinuteProfilesFromStore(client, 'test', 'ADAUSDT', minute, minute + 5 * 60000 - 1);
+    const adaProfiles = collections.minuteProfiles.filter(doc => doc.symbol === 'ADAUSDT');
+    console.log(`${uncovered === 0 && adaProfiles.length === 0 ? '✅' : '❌'} Uncovered range skipped, not stored as empty minutes (${adaProfiles.length})`);
+    initializeTradeStore(null);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,191 @@
+/**
+ * Test Naked POC Tracking
+ * Registration of finished profile POCs, fills from 1m candles and live
+ * kline updates, level alerts and stop/target proximity flags on signals
+ */
+
+// Candles are read through the candle store; here they are plain documents in the
+// fake client's candleData collection (the bucket layout is tested in test_candle_store.js).
+// Stubbed before the readers below destructure it from the module
+const candleStore = require('./utils/candleStore');
+candleStore.getCandleCollection = db => db.collection('candleData');
+
+const {
+    NakedPocMonitor,
+    registerNakedPocs,
+    checkNakedPocFills,
+    updateNakedPocs,
+    getNakedPocs,
+    findNakedPocsNearSignal,
+    flagNakedPocLevels
+} = require('./utils/nakedPocTracker');
+
+console.log('🧪 Testing Naked POC Tracking');
+console.log('=============================\n');
+
+const HOUR = 60 * 60 * 1000;
+const day1 = Date.UTC(2025, 0, 1);
+const day2 = Date.UTC(2025, 0, 2);
+
+// Minimal in-memory MongoDB: equality/$gte/$lte/$lt/$ne/$exists queries, $set/$setOnInsert updates
+function createFakeClient(collections) {
+    let nextId = 1;
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte))
+                && (condition.$lt === undefined || value < valueOf(condition.$lt))
+                && (condition.$ne === undefined || (value ?? null) !== valueOf(condition.$ne))
+                && (condition.$exists === undefined || (value !== undefined) === condition.$exists);
+        }
+        return condition === null ? value == null : value === valueOf(condition);
+    });
+    const sortDocs = (docs, sort = {}) => {
+        const [[key, direction] = []] = Object.entries(sort);
+        return key ? docs.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key]))) : docs;
+    };
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    findOne: async (query, options = {}) => sortDocs(docs.filter(doc => matches(doc, query)), options.sort)[0] || null,
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => { result = sortDocs(result, sort); return cursor; },
+                            skip: (n) => { result = result.slice(n); return cursor; },
+                            limit: (n) => { result = result.slice(0, n); return cursor; },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    insertOne: async (doc) => {
+                        docs.push({ _id: nextId++, ...doc });
+                        return { acknowledged: true };
+                    },
+                    updateOne: async (query, update, options = {}) => {
+                        let doc = docs.find(d => matches(d, query));
+                        if (!doc) {
+                            if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+                            doc = { _id: nextId++, ...query, ...update.$setOnInsert };
+                            docs.push(doc);
+                        }
+                        Object.assign(doc, update.$set || {});
+                        return { matchedCount: 1, modifiedCount: update.$set ? 1 : 0 };
+                    },
+                    deleteMany: async (query) => {
+                        const kept = docs.filter(doc => !matches(doc, query));
+                        const deletedCount = docs.length - kept.length;
+                        docs.splice(0, docs.length, ...kept);
+                        return { deletedCount };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const minute = (time, low, high) => ({
+    symbol: 'TESTUSDT',
+    interval: '1m',
+    openTime: new Date(time),
+    open: low,
+    high,
+    low,
+    close: high,
+    volume: 10
+});
+
+async function runTests() {
+    const collections = {
+        volumeProfiles: [
+            { _id: 'day1', symbol: 'TESTUSDT', type: 'day', periodStart: new Date(day1), periodEnd: new Date(day2), poc: 100 },
+            { _id: 'asia2', symbol: 'TESTUSDT', type: 'asia', periodStart: new Date(day2), periodEnd: new Date(day2 + 8 * HOUR), poc: 102 },
+            { _id: 'day2', symbol: 'TESTUSDT', type: 'day', periodStart: new Date(day2), periodEnd: new Date(day2 + 24 * HOUR), poc: 103 }
+        ]
+    };
+    const client = createFakeClient(collections);
+
+    // 1. Registration
+    console.log('🧲 Registration');
+    const registered = await registerNakedPocs(client, 'test', 'TESTUSDT', day2 + 9 * HOUR);
+    const nakedPocs = collections.nakedPocs;
+    const asia = nakedPocs.find(p => p.type === 'asia');
+    console.log(`${registered === 2 && nakedPocs.length === 2 ? '✅' : '❌'} Finished day and Asia POCs registered, running day skipped`);
+    console.log(`${asia.price === 102 && asia.createdAt.getTime() === day2 + 8 * HOUR && asia.filledAt === null ? '✅' : '❌'} Created at the period end, unfilled`);
+
+    const again = await registerNakedPocs(client, 'test', 'TESTUSDT', day2 + 10 * HOUR);
+    console.log(`${again === 0 && nakedPocs.length === 2 ? '✅' : '❌'} Registered periods are not added twice`);
+
+    // 2. Fills from 1m candles
+    console.log('\n🕯️ Candle fills');
+    const candles = [
+        minute(day2 + 7 * HOUR, 101.5, 102.5),        // before the Asia session ended
+        minute(day2 + 8 * HOUR + 60000, 102.6, 103),  // above it
+        minute(day2 + 8 * HOUR + 120000, 101.8, 102.2)
+    ];
+    const filled = await checkNakedPocFills(client, 'test', 'TESTUSDT', candles);
+    console.log(`${filled === 1 && asia.filledAt.getTime() === day2 + 8 * HOUR + 120000 && asia.fillSource === 'candles' ? '✅' : '❌'} Asia POC filled by the first candle after the session: ${asia.filledAt.toISOString()}`);
+
+    const open = await getNakedPocs(client, 'test', { symbol: 'TESTUSDT', status: 'open' });
+    const filledList = await getNakedPocs(client, 'test', { symbol: 'TESTUSDT', status: 'filled' });
+    console.log(`${open.length === 1 && open[0].price === 100 && filledList.length === 1 ? '✅' : '❌'} 1 open, 1 filled`);
+
+    // 3. Signal proximity
+    console.log('\n🎯 Signal flags');
+    const signal = {
+        symbol: 'TESTUSDT',
+        closeTime: new Date(day2 + 8 * HOUR + 60000),
+        candleData: { open: 100.3, high: 100.6, low: 100.1, close: 100.5 },
+        tradeSignal: { signalType: 'buy' },
+        takeProfit: { targets: [{ label: 'TP1', price: 100.9 }, { label: 'TP2', price: 102.05 }] }
+    };
+    const flags = await findNakedPocsNearSignal(client, 'test', signal);
+    console.log(`${flags && flags.nearStop.length === 1 && flags.nearStop[0].distancePercent === 0.1 ? '✅' : '❌'} Stop 0.1% from the day POC flagged`);
+    console.log(`${flags && flags.nearTargets.length === 1 && flags.nearTargets[0].label === 'TP2' ? '✅' : '❌'} TP2 near the Asia POC (still naked when the signal closed)`);
+
+    const later = await findNakedPocsNearSignal(client, 'test', { ...signal, closeTime: new Date(day2 + 9 * HOUR) });
+    console.log(`${later && later.nearTargets.length === 0 ? '✅' : '❌'} Filled POCs are ignored for later signals`);
+
+    const far = flagNakedPocLevels(95, [{ label: 'TP1', price: 110 }], nakedPocs);
+    console.log(`${far === null ? '✅' : '❌'} Nothing near -> null`);
+
+    // 4. Live monitor
+    console.log('\n🔔 Live monitor');
+    const monitor = new NakedPocMonitor(client, 'test');
+    await monitor.refresh();
+    console.log(`${monitor.getStatus().openPocs === 1 ? '✅' : '❌'} Monitor loaded 1 open POC`);
+
+    const miss = monitor.checkPrice({ symbol: 'TESTUSDT', high: 100.5, low: 100.2, close: 100.3, time: new Date(day2 + 10 * HOUR) });
+    const touch = monitor.checkPrice({ symbol: 'TESTUSDT', high: 100.4, low: 99.95, close: 100.1, time: new Date(day2 + 10 * HOUR + 5000) });
+    const repeat = monitor.checkPrice({ symbol: 'TESTUSDT', high: 100.4, low: 99.9, close: 100, time: new Date(day2 + 10 * HOUR + 8000) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const dayPoc = nakedPocs.find(p => p.type === 'day');
+    const alerts = collections.levelAlerts || [];
+    console.log(`${miss.length === 0 && touch.length === 1 && repeat.length === 0 ? '✅' : '❌'} Only the update trading through 100 touches, once`);
+    console.log(`${dayPoc.fillSource === 'websocket' && dayPoc.filledAt.getTime() === day2 + 10 * HOUR + 5000 ? '✅' : '❌'} POC filled from the live update`);
+    console.log(`${alerts.length === 1 && alerts[0].type === 'naked_poc_touch' && alerts[0].level === 100 && alerts[0].levelType === 'day' && alerts[0].triggerPrice === 100.1 ? '✅' : '❌'} Level alert raised`);
+
+    // 5. Full update with retention
+    console.log('\n🧹 Update job');
+    const now = Date.now();
+    collections.selectedSymbols = [{ symbols: ['TESTUSDT'], timestamp: new Date() }];
+    collections.candleData = [minute(now - 30 * 60000, 98.9, 99.1)];
+    collections.volumeProfiles.push({ _id: 'recent', symbol: 'TESTUSDT', type: 'new_york', periodStart: new Date(now - 10 * HOUR), periodEnd: new Date(now - HOUR), poc: 99 });
+    const result = await updateNakedPocs(client, 'test');
+    const recent = nakedPocs.find(p => p.type === 'new_york');
+    console.log(`${result.registered === 2 && result.filled === 1 && recent.filledAt.getTime() === now - 30 * 60000 ? '✅' : '❌'} Finished day 2 and New York POCs registered, New York filled from recent candles`);
+    console.log(`${result.removed === 3 && nakedPocs.length === 1 ? '✅' : '❌'} POCs older than 30 days removed (${result.removed})`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
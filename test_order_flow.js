@@ -0,0 +1,87 @@
+/**
+ * Test Order Flow
+ * Buy/sell volume per price level, delta, diagonal imbalances, stacked
+ * imbalance zones and the optional order flow validation rules
+ */
+
+const { calculateVolumeFootprint } = require('./utils/volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./utils/orderFlowAnalyzer');
+const { validateTradeSignal, normalizeValidationRules } = require('./utils/tradeSignalValidator');
+
+console.log('🧪 Testing Order Flow');
+console.log('=====================\n');
+
+// Bullish pin bar 100 -> 95 -> 100.5: buyers absorb the lower tail
+const candle = { open: 100, high: 101, low: 95, close: 100.5 };
+const levels = [
+    [95, 30, 5],
+    [95.5, 30, 2],
+    [96, 30, 3],
+    [96.5, 10, 10],
+    [100, 5, 5],
+    [100.5, 3, 2],
+    [101, 1, 6]
+];
+const trades = [];
+levels.forEach(([price, buy, sell]) => {
+    trades.push({ price, quantity: buy, timestamp: 0, isBuyerMaker: false });
+    trades.push({ price, quantity: sell, timestamp: 0, isBuyerMaker: true });
+});
+
+// 1. Buy/sell volume per price
+const footprint = calculateVolumeFootprint(trades, 0.5, 70);
+const level95 = footprint.buySellVolumeMap['95.0'];
+console.log(`${level95 && level95.buy === 30 && level95.sell === 5 ? '✅' : '❌'} Level 95: ${level95 && level95.buy} buy / ${level95 && level95.sell} sell`);
+
+const unsided = calculateVolumeFootprint(trades.map(({ price, quantity, timestamp }) => ({ price, quantity, timestamp })), 0.5, 70);
+console.log(`${Object.keys(unsided.buySellVolumeMap).length === 0 && analyzeOrderFlow(unsided, candle) === null ? '✅' : '❌'} Trades without isBuyerMaker -> no order flow`);
+
+// 2. Delta
+const orderFlow = analyzeOrderFlow(footprint, candle);
+console.log(`\n${orderFlow.buyVolume === 109 && orderFlow.sellVolume === 33 && orderFlow.delta === 76 ? '✅' : '❌'} Delta ${orderFlow.delta} (${orderFlow.deltaPercent}%)`);
+console.log(`${footprint.poc === 95 && orderFlow.pocDelta === 25 ? '✅' : '❌'} POC ${footprint.poc} delta ${orderFlow.pocDelta}`);
+console.log(`${orderFlow.lowerTailDelta === 80 && orderFlow.bodyDelta === 1 && orderFlow.upperTailDelta === -5 ? '✅' : '❌'} Tail/body/tail delta ${orderFlow.lowerTailDelta} / ${orderFlow.bodyDelta} / ${orderFlow.upperTailDelta}`);
+
+// 3. Imbalances
+const buyPrices = orderFlow.imbalances.filter(i => i.side === 'buy').map(i => i.price).join(',');
+const sellPrices = orderFlow.imbalances.filter(i => i.side === 'sell').map(i => i.price).join(',');
+console.log(`\n${buyPrices === '95,95.5,96,96.5,100' && orderFlow.buyImbalanceCount === 5 ? '✅' : '❌'} Buy imbalances at ${buyPrices}`);
+console.log(`${sellPrices === '96.5,101' && orderFlow.sellImbalanceCount === 2 ? '✅' : '❌'} Sell imbalances at ${sellPrices}`);
+
+const zone = orderFlow.stackedImbalances[0];
+console.log(`${orderFlow.stackedImbalances.length === 1 && zone.side === 'buy' && zone.low === 95 && zone.high === 96.5 && zone.levels === 4 ? '✅' : '❌'} Stacked buy zone ${zone && zone.low}-${zone && zone.high} (${zone && zone.levels} levels)`);
+
+const strict = analyzeOrderFlow(footprint, candle, { imbalanceRatio: 4, stackedImbalanceLevels: 3 });
+console.log(`${strict.stackedImbalances.length === 1 && strict.stackedImbalances[0].high === 96 ? '✅' : '❌'} Ratio 4 drops 96.5 (3.33x) from the zone`);
+
+// 4. Validation rules
+console.log('\n🚦 Validation');
+const volumeFootprint = { poc: footprint.poc, vah: footprint.vah, val: footprint.val, orderFlow };
+const rules = { valueAreaPercent: 70, requirePocInTail: true, requireTailDelta: true, requireStackedImbalance: true };
+
+const valid = validateTradeSignal(candle, volumeFootprint, 'buy_reversal', rules);
+console.log(`${valid.isValidSignal && valid.criteria.lowerTailDeltaPositive && valid.criteria.stackedBuyImbalanceInTail ? '✅' : '❌'} Buy passes tail delta and stacked imbalance rules`);
+
+const sold = { ...orderFlow, lowerTailDelta: -10, stackedImbalances: [] };
+const rejected = validateTradeSignal(candle, { ...volumeFootprint, orderFlow: sold }, 'buy_reversal', rules);
+const relaxed = validateTradeSignal(candle, { ...volumeFootprint, orderFlow: sold }, 'buy_reversal', { requirePocInTail: true });
+console.log(`${!rejected.isValidSignal && relaxed.isValidSignal ? '✅' : '❌'} Sellers in the tail fail only when the rules are on`);
+
+const noOrderFlow = validateTradeSignal(candle, { poc: footprint.poc, vah: footprint.vah, val: footprint.val }, 'buy_reversal', rules);
+console.log(`${!noOrderFlow.isValidSignal && noOrderFlow.criteria.lowerTailDeltaPositive === false ? '✅' : '❌'} Missing order flow fails the required checks`);
+
+const sellCandle = { open: 100, high: 105, low: 99.5, close: 99.8 };
+const sellFootprint = {
+    poc: 104, vah: 104.5, val: 101,
+    orderFlow: { upperTailDelta: -40, stackedImbalances: [{ side: 'sell', low: 103.5, high: 104.5, levels: 3 }] }
+};
+const sell = validateTradeSignal(sellCandle, sellFootprint, 'sell_reversal', rules);
+console.log(`${sell.isValidSignal && sell.criteria.upperTailDeltaNegative && sell.criteria.stackedSellImbalanceInTail ? '✅' : '❌'} Sell passes with negative upper tail delta and a stacked sell zone`);
+
+// 5. Rule normalization
+const normalized = normalizeValidationRules({ requireTailDelta: 'true', imbalanceRatio: '2.5', stackedImbalanceLevels: '4' });
+console.log(`\n${normalized.errors.length === 0 && normalized.validationRules.requireTailDelta === true && normalized.validationRules.imbalanceRatio === 2.5 && normalized.validationRules.stackedImbalanceLevels === 4 ? '✅' : '❌'} Order flow rules normalized`);
+const invalid = normalizeValidationRules({ imbalanceRatio: 0.5, stackedImbalanceLevels: 2.5 });
+console.log(`${invalid.errors.length === 2 ? '✅' : '❌'} Out of range ratio and fractional levels rejected`);
+
+console.log('\n🎉 All tests completed!');
@@ -0,0 +1,135 @@
+/**
+ * Test Parameter Sweeps
+ * Config validation, grid/random set generation, walk-forward splits and
+ * ranking on synthetic trades, plus the new validation rules
+ */
+
+const {
+    normalizeSweepConfig,
+    generateParameterSets,
+    splitWalkForward,
+    evaluateParameterSet,
+    rankSweepResults,
+    buildWalkForwardSummary,
+    buildProfileFromSweepResult
+} = require('./utils/parameterSweep');
+const { validateTradeSignal } = require('./utils/tradeSignalValidator');
+const { calculateVolumeFootprint } = require('./utils/volumeFootprintCalculator');
+
+console.log('🧪 Testing Parameter Sweeps');
+console.log('===========================\n');
+
+const baseConfig = {
+    symbols: ['BTCUSDT'],
+    startDate: '2025-01-01T00:00:00Z',
+    endDate: '2025-01-05T00:00:00Z'
+};
+const equityConfig = { initialEquity: 10000, riskPerTradePercent: 1 };
+
+// 1. Config validation
+console.log('📋 Config validation');
+const grid = normalizeSweepConfig({
+    ...baseConfig,
+    search: {
+        parameters: {
+            maxBodyPercentage: [15, 23, 30],
+            minStopLossRisk: { min: 0.2, max: 0.6, step: 0.2 },
+            requirePocInTail: [true, false]
+        }
+    }
+});
+console.log(`${grid.errors.length === 0 ? '✅' : '❌'} Grid config accepted ${grid.errors.join(', ')}`);
+console.log(`${JSON.stringify(grid.config.search.parameters.minStopLossRisk) === '[0.2,0.4,0.6]' ? '✅' : '❌'} Range expanded to ${JSON.stringify(grid.config.search.parameters.minStopLossRisk)}`);
+
+const invalid = normalizeSweepConfig({
+    ...baseConfig,
+    search: { method: 'genetic', parameters: { bodySize: [1], valueAreaPercent: [150] } }
+});
+console.log(`${invalid.errors.length === 3 ? '✅' : '❌'} Invalid config rejected: ${invalid.errors.join(' | ')}`);
+
+const tooBig = normalizeSweepConfig({
+    ...baseConfig,
+    search: { parameters: { maxBodyPercentage: { min: 1, max: 50, step: 1 }, minLongTailPercentage: { min: 1, max: 50, step: 1 } } }
+});
+console.log(`${tooBig.errors.some(e => e.includes('2500 combinations')) ? '✅' : '❌'} Oversized grid rejected`);
+
+// 2. Parameter sets
+console.log('\n🎲 Parameter sets');
+const gridSets = generateParameterSets(grid.config.search);
+console.log(`${gridSets.length === 18 ? '✅' : '❌'} Grid produced ${gridSets.length} sets`);
+
+const randomSearch = { ...grid.config.search, method: 'random', iterations: 10, seed: 42 };
+const randomSets = generateParameterSets(randomSearch);
+const randomAgain = generateParameterSets(randomSearch);
+const distinct = new Set(randomSets.map(set => JSON.stringify(set))).size;
+console.log(`${randomSets.length === 10 && distinct === 10 ? '✅' : '❌'} Random produced ${randomSets.length} distinct sets`);
+console.log(`${JSON.stringify(randomSets) === JSON.stringify(randomAgain) ? '✅' : '❌'} Same seed gives the same sets`);
+
+const exhausted = generateParameterSets({ ...randomSearch, iterations: 50 });
+console.log(`${exhausted.length === 18 ? '✅' : '❌'} Random search stops at the ${exhausted.length} possible sets`);
+
+// 3. Walk-forward splits
+console.log('\n🚶 Walk-forward');
+const splits = splitWalkForward(new Date(baseConfig.startDate), new Date(baseConfig.endDate), 2, 75);
+const day = 24 * 60 * 60 * 1000;
+const start = new Date(baseConfig.startDate).getTime();
+console.log(`${splits.length === 2
+    && splits[0].inSample.end.getTime() === start + 1.5 * day
+    && splits[1].inSample.start.getTime() === start + 2 * day
+    && splits[1].outOfSample.end.getTime() === start + 4 * day ? '✅' : '❌'} Two folds: ${splits.map(s => `${s.inSample.start.toISOString().slice(5, 13)}|${s.outOfSample.start.toISOString().slice(5, 13)}|${s.outOfSample.end.toISOString().slice(5, 13)}`).join(', ')}`);
+
+// Set A wins in-sample but loses out-of-sample, set B is steady
+const trade = (hours, rMultiple) => ({ entryTime: new Date(start + hours * 3600000), exitTime: new Date(start + hours * 3600000 + 60000), rMultiple });
+const tradesA = [trade(1, 3), trade(2, 3), trade(40, -1), trade(50, 3), trade(60, 3), trade(90, -1)];
+const tradesB = [trade(1, 1), trade(2, -1), trade(40, 1), trade(50, 1), trade(60, -1), trade(90, 2)];
+
+const evaluations = [
+    { parameterSetIndex: 0, parameters: { maxBodyPercentage: 30 }, ...evaluateParameterSet(tradesA, splits, equityConfig) },
+    { parameterSetIndex: 1, parameters: { maxBodyPercentage: 15 }, ...evaluateParameterSet(tradesB, splits, equityConfig) }
+];
+console.log(`${evaluations[0].inSample.expectancy === 3 && evaluations[0].outOfSample.expectancy === -1 ? '✅' : '❌'} Set A: in-sample ${evaluations[0].inSample.expectancy}R, out-of-sample ${evaluations[0].outOfSample.expectancy}R`);
+console.log(`${evaluations[1].outOfSample.expectancy === 1.5 && evaluations[1].profitableFolds === 2 ? '✅' : '❌'} Set B: out-of-sample ${evaluations[1].outOfSample.expectancy}R, ${evaluations[1].profitableFolds} profitable folds`);
+
+// Ranking only sees in-sample results, so the overfit set A still ranks first
+// and its out-of-sample loss is reported instead of being selected away
+const ranked = rankSweepResults(evaluations, 2);
+console.log(`${ranked[0].parameterSetIndex === 0 && ranked[0].rank === 1 && ranked[0].outOfSample.expectancy === -1 && ranked.every(r => r.eligible) ? '✅' : '❌'} Set A ranked first on in-sample results, out-of-sample ${ranked[0].outOfSample.expectancy}R reported`);
+
+const flipped = evaluations.map(evaluation => ({ ...evaluation, outOfSample: { ...evaluation.outOfSample, expectancy: -evaluation.outOfSample.expectancy } }));
+console.log(`${rankSweepResults(flipped, 2).map(r => r.parameterSetIndex).join(',') === '0,1' ? '✅' : '❌'} Out-of-sample results don't change the order`);
+
+const strict = rankSweepResults(evaluations, 5);
+console.log(`${strict.every(r => !r.eligible) ? '✅' : '❌'} Sets below minTrades in-sample marked ineligible`);
+
+const walkForward = buildWalkForwardSummary(evaluations, splits, 2, equityConfig);
+console.log(`${walkForward.folds.every(f => f.parameterSetIndex === 0) && walkForward.outOfSample.expectancy === -1 ? '✅' : '❌'} Walk-forward picks set A in-sample and reports ${walkForward.outOfSample.expectancy}R out-of-sample`);
+
+// 4. Export
+const profile = buildProfileFromSweepResult({
+    _id: 'abc',
+    name: 'test sweep',
+    resolvedSettings: { trendContext: { mode: 'annotate' } },
+    results: [{ rank: 1, parameters: { maxBodyPercentage: 15 }, thresholds: { maxBodyPercentage: 15 }, validationRules: { valueAreaPercent: 70, requirePocInTail: true }, outOfSample: { expectancy: 1.5, totalTrades: 2 } }]
+}, 1);
+console.log(`\n${profile && profile.thresholds.maxBodyPercentage === 15 && profile.trendContext.mode === 'annotate' ? '✅' : '❌'} Exported profile: ${profile && profile.description}`);
+
+// 5. Validation rules
+console.log('\n🚦 Validation rules');
+const candle = { open: 100, high: 101, low: 95, close: 100.5 };
+const tailSignal = validateTradeSignal(candle, { poc: 97, vah: 99.9, val: 96 }, 'buy_reversal');
+console.log(`${tailSignal.isValidSignal ? '✅' : '❌'} Valid with the POC in the lower tail (default rules)`);
+
+// POC at the value area edge fails "POC below VAH" unless the POC rule is off
+const edgePoc = { poc: 99.9, vah: 99.9, val: 96 };
+const blocked = validateTradeSignal(candle, edgePoc, 'buy_reversal');
+const allowed = validateTradeSignal(candle, edgePoc, 'buy_reversal', { requirePocInTail: false });
+console.log(`${!blocked.isValidSignal && allowed.isValidSignal ? '✅' : '❌'} POC at VAH: rejected by default, accepted with requirePocInTail=false`);
+
+const trades = [
+    { price: 100, quantity: 10 }, { price: 101, quantity: 5 }, { price: 102, quantity: 3 }, { price: 99, quantity: 2 }
+];
+const wide = calculateVolumeFootprint(trades, 1, 90);
+const narrow = calculateVolumeFootprint(trades, 1, 50);
+console.log(`${narrow.vah === 100 && narrow.val === 100 && wide.vah === 102 && wide.val === 100 ? '✅' : '❌'} Value area 50%: ${narrow.val}-${narrow.vah}, 90%: ${wide.val}-${wide.vah}`);
+
+console.log('\n🎉 All tests completed!');
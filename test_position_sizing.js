@@ -0,0 +1,109 @@
+/**
+ * Test Position Sizing
+ * Quantity / notional / leverage from equity and risk %, step size rounding,
+ * leverage cap, exchange minimums, settings validation and the settings index
+ */
+
+const {
+    normalizeSizingSettings,
+    normalizeSizingUser,
+    roundToStepSize,
+    calculatePositionSize
+} = require('./utils/positionSizing');
+const { parseQuantityFilters } = require('./utils/exchangeQuantityFilters');
+const { ensureSizingIndexes } = require('./models/database');
+
+console.log('🧪 Testing Position Sizing');
+console.log('==========================\n');
+
+// Buy at 50000 with the stop at 49500 (1% stopLossRisk)
+const buySignal = {
+    symbol: 'BTCUSDT',
+    candleData: { open: 49900, high: 50050, low: 49500, close: 50000 },
+    tradeSignal: { signalType: 'buy', isValidSignal: true },
+    reversalPattern: { stopLossRisk: 1 }
+};
+const btcFilter = { stepSize: 0.001, minQty: 0.001, maxQty: 1000, minNotional: 100 };
+
+// 1. Basic sizing: $10k equity, 1% risk -> $100 risk / $500 stop = 0.2 BTC
+const basic = calculatePositionSize(buySignal, { accountEquity: 10000, riskPercent: 1, maxLeverage: 20 }, btcFilter);
+console.log(`${basic.quantity === 0.2 && basic.notional === 10000 && basic.leverage === 1 ? '✅' : '❌'} 1% of $10k: ${basic.quantity} BTC, $${basic.notional}, ${basic.leverage}x`);
+console.log(`${basic.actualRiskAmount === 100 && basic.stopLossRisk === 1 && !basic.belowMinimum ? '✅' : '❌'} Risks $${basic.actualRiskAmount} at ${basic.stopLossRisk}% stop`);
+
+// 2. Rounded down to the step size, never above the risk budget
+const odd = calculatePositionSize(buySignal, { accountEquity: 12345, riskPercent: 0.75, maxLeverage: 20 }, btcFilter);
+console.log(`${odd.quantity === 0.185 && odd.actualRiskAmount <= odd.riskAmount ? '✅' : '❌'} Step size rounding: ${odd.quantity} BTC risks $${odd.actualRiskAmount} of $${odd.riskAmount}`);
+console.log(`${roundToStepSize(0.3, 0.1) === 0.3 && roundToStepSize(7.99, 1) === 7 && roundToStepSize(1.23456, 0.01) === 1.23 && roundToStepSize(1.5, null) === 1.5 ? '✅' : '❌'} roundToStepSize edge cases`);
+
+// 3. Sell side: stop above the entry
+const sellSignal = {
+    symbol: 'ETHUSDT',
+    candleData: { open: 2010, high: 2020, low: 1995, close: 2000 },
+    tradeSignal: { signalType: 'sell', isValidSignal: true }
+};
+const sell = calculatePositionSize(sellSignal, { accountEquity: 5000, riskPercent: 2, maxLeverage: 20 }, { stepSize: 0.01 });
+console.log(`${sell.quantity === 5 && sell.stopPrice === 2020 && sell.leverage === 2 ? '✅' : '❌'} Sell: ${sell.quantity} ETH, stop ${sell.stopPrice}, ${sell.leverage}x`);
+
+// 4. Tight stop needs more leverage than allowed
+const tight = { ...buySignal, candleData: { ...buySignal.candleData, low: 49975 } };
+const capped = calculatePositionSize(tight, { accountEquity: 10000, riskPercent: 1, maxLeverage: 10 }, btcFilter);
+console.log(`${capped.leverageCapped && capped.leverage === 10 && capped.quantity === 2 && capped.actualRiskAmount === 50 ? '✅' : '❌'} Capped at 10x: ${capped.quantity} BTC risks $${capped.actualRiskAmount}`);
+
+// 5. Exchange minimums
+const small = calculatePositionSize(buySignal, { accountEquity: 100, riskPercent: 0.1, maxLeverage: 20 }, btcFilter);
+console.log(`${small.quantity === 0 && small.belowMinimum ? '✅' : '❌'} Below the minimum order size flagged`);
+
+const flat = { ...buySignal, candleData: { open: 1, high: 1, low: 1, close: 1 } };
+console.log(`${calculatePositionSize(flat, {}, btcFilter) === null ? '✅' : '❌'} No position without a stop distance`);
+
+// 6. Settings
+console.log('\n⚙️ Settings');
+const valid = normalizeSizingSettings({ accountEquity: '25000', riskPercent: '0.5', unknown: 1 });
+console.log(`${valid.errors.length === 0 && valid.settings.accountEquity === 25000 && valid.settings.riskPercent === 0.5 && !('unknown' in valid.settings) ? '✅' : '❌'} Valid settings normalized`);
+
+const invalid = normalizeSizingSettings({ accountEquity: -5, riskPercent: 150, maxLeverage: 0 });
+console.log(`${invalid.errors.length === 3 ? '✅' : '❌'} Invalid settings rejected: ${invalid.errors.join(' | ')}`);
+console.log(`${normalizeSizingUser('') === 'global' && normalizeSizingUser(' alice ') === 'alice' ? '✅' : '❌'} Empty user falls back to global`);
+
+// 7. Exchange info filters
+const filters = parseQuantityFilters({
+    symbol: 'BTCUSDT',
+    filters: [
+        { filterType: 'LOT_SIZE', stepSize: '0.001', minQty: '0.001', maxQty: '1000' },
+        { filterType: 'MARKET_LOT_SIZE', stepSize: '0.001', minQty: '0.001', maxQty: '120' },
+        { filterType: 'MIN_NOTIONAL', notional: '100' }
+    ]
+});
+console.log(`\n${filters.stepSize === 0.001 && filters.maxQty === 120 && filters.minNotional === 100 ? '✅' : '❌'} Market lot size and min notional parsed from exchange info`);
+
+// 8. Settings index: duplicates of a user reduced to the latest before the unique index
+async function runIndexTests() {
+    let docs = [
+        { _id: 1, user: 'alice', updatedAt: new Date(1000) },
+        { _id: 2, user: 'alice', updatedAt: new Date(3000) },
+        { _id: 3, user: 'global', updatedAt: new Date(2000) },
+        { _id: 4, user: 'alice', updatedAt: new Date(2000) }
+    ];
+    const indexes = [];
+    const collection = {
+        aggregate: () => ({
+            toArray: async () => {
+                const byUser = new Map();
+                docs.slice().sort((a, b) => b.updatedAt - a.updatedAt).forEach(doc => {
+                    byUser.set(doc.user, [...(byUser.get(doc.user) || []), doc._id]);
+                });
+                return [...byUser].filter(([, ids]) => ids.length > 1).map(([user, ids]) => ({ _id: user, ids, count: ids.length }));
+            }
+        }),
+        deleteMany: async ({ _id }) => { docs = docs.filter(doc => !_id.$in.includes(doc._id)); },
+        createIndex: async (keys, options) => { indexes.push({ keys, options }); }
+    };
+    const client = { db: () => ({ collection: () => collection }) };
+
+    await ensureSizingIndexes(client, 'test');
+    console.log(`${docs.map(doc => doc._id).join() === '2,3' && indexes.length === 1 && indexes[0].keys.user === 1 && indexes[0].options.unique ? '✅' : '❌'} Latest settings per user kept, unique index on user`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runIndexTests();
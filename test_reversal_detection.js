@@ -6,6 +6,7 @@
 const { connectToMongoDB } = require('./config/database');
 const { processAllReversalCandles, processSpecificReversalCandles } = require('./utils/processReversalCandles');
 const { detectReversalCandle, getReversalStatistics } = require('./utils/reversalCandleDetector');
+const { getCandleCollection } = require('./utils/candleStore');
 
 async function testReversalDetection() {
     let client;
@@ -126,7 +127,7 @@ function testSingleCandleDetection() {
 async function testSampleDataDetection(client, dbName) {
     try {
         const db = client.db(dbName);
-        const candleCollection = db.collection('candleData');
+        const candleCollection = getCandleCollection(db);
         
         // Get a small sample of candles
         const sampleCandles = await candleCollection.find({})
@@ -0,0 +1,152 @@
+/**
+ * Test Score Calibration
+ * Isotonic fit of the score to the 1R hit rate, interpolation between score
+ * bins, interval vs pooled curves and the stored calibration job
+ */
+
+const {
+    fitIsotonic,
+    fitCalibrationCurve,
+    predictProbability,
+    buildCalibration,
+    fitScoreCalibration,
+    getCurrentCalibration,
+    applyScoreCalibration
+} = require('./utils/scoreCalibration');
+
+console.log('🧪 Testing Score Calibration');
+console.log('============================\n');
+
+// Minimal in-memory MongoDB: dotted paths, equality/$ne/$in/$gte queries, sort/skip/limit, insertOne, deleteMany
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(get(doc, key));
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (!('$ne' in condition) || value !== valueOf(condition.$ne))
+                && (condition.$in === undefined || condition.$in.map(valueOf).includes(value))
+                && (condition.$gte === undefined || value >= valueOf(condition.$gte));
+        }
+        return value === valueOf(condition);
+    });
+    let nextId = 1;
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => {
+                                const [[key, direction]] = Object.entries(sort);
+                                result = result.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key])));
+                                return cursor;
+                            },
+                            skip: (n) => { result = result.slice(n); return cursor; },
+                            limit: (n) => { result = result.slice(0, n); return cursor; },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    insertOne: async (doc) => {
+                        const stored = { _id: nextId++, ...doc };
+                        docs.push(stored);
+                        return { insertedId: stored._id };
+                    },
+                    deleteMany: async (query) => {
+                        const kept = docs.filter(doc => !matches(doc, query));
+                        const deletedCount = docs.length - kept.length;
+                        docs.splice(0, docs.length, ...kept);
+                        return { deletedCount };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const now = new Date(Date.UTC(2025, 0, 31));
+
+// Resolved signal: `hit` reached 1R, otherwise stopped
+const resolved = (interval, score, hit, extra = {}) => ({
+    symbol: 'TESTUSDT',
+    interval,
+    closeTime: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+    tradeSignal: { isValidSignal: true, score },
+    outcome: { status: 'closed', result: hit ? 'win' : 'loss', maxTargetHit: hit ? 1 : 0 },
+    ...extra
+});
+
+// `count` signals of one score with `hits` of them reaching 1R
+const batch = (interval, score, count, hits) => Array.from({ length: count }, (_, i) => resolved(interval, score, i < hits));
+
+async function runTests() {
+    // 1. Isotonic fit
+    console.log('📐 Isotonic fit');
+    const fitted = fitIsotonic([{ samples: 10, hits: 2 }, { samples: 10, hits: 6 }, { samples: 10, hits: 4 }, { samples: 10, hits: 8 }]);
+    console.log(`${fitted.join() === '0.2,0.5,0.5,0.8' ? '✅' : '❌'} Violating bins pooled: ${fitted.join(', ')}`);
+
+    const weighted = fitIsotonic([{ samples: 30, hits: 15 }, { samples: 10, hits: 1 }]);
+    console.log(`${weighted[0] === 0.4 && weighted[1] === 0.4 ? '✅' : '❌'} Pooled blocks weighted by samples: ${weighted[0]}`);
+
+    // 2. Curve and interpolation
+    const samples = [...batch('5m', 4.2, 10, 2), ...batch('5m', 6.4, 10, 5), ...batch('5m', 8.6, 10, 8)]
+        .map(signal => ({ score: signal.tradeSignal.score, hit: signal.outcome.maxTargetHit >= 1 }));
+    const curve = fitCalibrationCurve(samples);
+    console.log(`${curve.samples === 30 && curve.baseRate === 0.5 && curve.points.map(p => p.score).join() === '4,6,8' ? '✅' : '❌'} Curve on 30 samples in score bins 4, 6, 8 (base rate ${curve.baseRate})`);
+    console.log(`${predictProbability(curve, 5.3) === 0.35 ? '✅' : '❌'} Score 5.3 interpolated between bin means: ${predictProbability(curve, 5.3)}`);
+    console.log(`${predictProbability(curve, 1) === 0.2 && predictProbability(curve, 10) === 0.8 ? '✅' : '❌'} Scores outside the bins clamped to the end points`);
+    console.log(`${fitCalibrationCurve(samples.slice(0, 29)) === null && predictProbability(null, 5) === null ? '✅' : '❌'} Fewer than 30 samples -> no curve`);
+
+    // 3. Interval and pooled curves
+    console.log('\n⏱️ Curves per interval');
+    const signals = [...batch('5m', 4.5, 25, 5), ...batch('5m', 7.5, 25, 20), ...batch('15m', 6, 20, 10)];
+    const calibration = buildCalibration(signals);
+    console.log(`${calibration.sampleCount === 70 && calibration.curves.map(c => c.interval).join() === ',5m' ? '✅' : '❌'} Pooled curve plus a 5m curve (15m has only 20 signals)`);
+
+    // 4. Stored calibration
+    console.log('\n💾 Calibration job');
+    const collections = {
+        reversalCandles: [
+            ...signals,
+            ...batch('5m', 9, 5, 0).map(signal => ({ ...signal, deduplication: { role: 'sibling' } })),
+            resolved('5m', 9, false, { outcome: { status: 'pending' } }),
+            resolved('5m', 9, false, { closeTime: new Date(now.getTime() - 120 * 24 * 60 * 60 * 1000) })
+        ]
+    };
+    const client = createFakeClient(collections);
+
+    const early = { symbol: 'TESTUSDT', interval: '5m', tradeSignal: { isValidSignal: true, score: 7.5 } };
+    await applyScoreCalibration(client, 'test', early);
+    console.log(`${early.tradeSignal.calibratedProbability === null && early.tradeSignal.calibration === null ? '✅' : '❌'} No probability before the first fit`);
+
+    const stored = await fitScoreCalibration(client, 'test', { now });
+    console.log(`${stored.sampleCount === 70 && collections.scoreCalibrations.length === 1 ? '✅' : '❌'} Fit on ${stored.sampleCount} signals: siblings, pending and old outcomes skipped`);
+
+    const fiveMinute = { symbol: 'TESTUSDT', interval: '5m', tradeSignal: { isValidSignal: true, score: 7.5 } };
+    const fifteenMinute = { symbol: 'TESTUSDT', interval: '15m', tradeSignal: { isValidSignal: true, score: 7.5 } };
+    await applyScoreCalibration(client, 'test', fiveMinute);
+    await applyScoreCalibration(client, 'test', fifteenMinute);
+    console.log(`${fiveMinute.tradeSignal.calibratedProbability === 0.8 && fiveMinute.tradeSignal.calibration.curve === '5m' ? '✅' : '❌'} 5m signal uses the 5m curve: P(1R) ${fiveMinute.tradeSignal.calibratedProbability}`);
+    console.log(`${fifteenMinute.tradeSignal.calibration.curve === 'all' && fifteenMinute.tradeSignal.calibratedProbability === 0.8 ? '✅' : '❌'} 15m signal falls back to the pooled curve: P(1R) ${fifteenMinute.tradeSignal.calibratedProbability}`);
+
+    // 5. History
+    for (let i = 1; i <= 50; i++) {
+        await fitScoreCalibration(client, 'test', { now: new Date(now.getTime() + i * 60 * 60 * 1000) });
+    }
+    const latest = await getCurrentCalibration(client, 'test');
+    console.log(`\n${collections.scoreCalibrations.length === 48 && latest.fittedAt.getTime() === now.getTime() + 50 * 60 * 60 * 1000 ? '✅' : '❌'} Last 48 fits kept, latest is current`);
+
+    const tooFew = await fitScoreCalibration(createFakeClient({ reversalCandles: signals.slice(0, 10) }), 'test', { now });
+    console.log(`${tooFew === null ? '✅' : '❌'} Too few resolved signals -> nothing stored`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
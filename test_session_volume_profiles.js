@@ -0,0 +1,204 @@
+/**
+ * Test Session & Composite Volume Profiles
+ * Day/session periods, incremental updates from 1m candles, multi-day
+ * composites and the optional composite level validation rule
+ */
+
+// Candles are read through the candle store; here they are plain documents in the
+// fake client's candleData collection (the bucket layout is tested in test_candle_store.js).
+// Stubbed before the readers below destructure it from the module
+const candleStore = require('./utils/candleStore');
+candleStore.getCandleCollection = db => db.collection('candleData');
+
+const {
+    getProfilePeriods,
+    getProfileBinSize,
+    updateSymbolProfiles,
+    updateVolumeProfiles,
+    getCompositeProfile,
+    buildCompositeFromCandles,
+    getSymbolProfiles,
+    getPriorSessionProfile
+} = require('./utils/sessionVolumeProfiles');
+const { validateTradeSignal, isAtCompositeLevel } = require('./utils/tradeSignalValidator');
+
+console.log('🧪 Testing Session & Composite Volume Profiles');
+console.log('==============================================\n');
+
+const HOUR = 60 * 60 * 1000;
+const day1 = Date.UTC(2025, 0, 1);
+const day2 = Date.UTC(2025, 0, 2);
+
+// Minimal in-memory MongoDB: equality/$gte/$lte/$lt/$in queries, $inc/$max/$set/$setOnInsert updates
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte))
+                && (condition.$lt === undefined || value < valueOf(condition.$lt))
+                && (condition.$in === undefined || condition.$in.includes(value));
+        }
+        return value === valueOf(condition);
+    });
+    const sortDocs = (docs, sort = {}) => {
+        const [[key, direction] = []] = Object.entries(sort);
+        return key ? docs.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key]))) : docs;
+    };
+    const setPath = (doc, path, update) => {
+        const parts = path.split('.');
+        const last = parts.pop();
+        const target = parts.reduce((obj, part) => (obj[part] = obj[part] || {}), doc);
+        target[last] = update(target[last]);
+    };
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    findOne: async (query, options = {}) => sortDocs(docs.filter(doc => matches(doc, query)), options.sort)[0] || null,
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => { result = sortDocs(result, sort); return cursor; },
+                            skip: (n) => { result = result.slice(n); return cursor; },
+                            limit: (n) => { result = result.slice(0, n); return cursor; },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    updateOne: async (query, update, options = {}) => {
+                        let doc = docs.find(d => matches(d, query));
+                        if (!doc) {
+                            if (!options.upsert) return { matchedCount: 0 };
+                            doc = { ...query, ...update.$setOnInsert };
+                            docs.push(doc);
+                        }
+                        Object.entries(update.$inc || {}).forEach(([path, amount]) => setPath(doc, path, current => (current || 0) + amount));
+                        Object.entries(update.$max || {}).forEach(([path, value]) => setPath(doc, path, current => (current === undefined || valueOf(value) > valueOf(current) ? value : current)));
+                        Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, () => value));
+                        return { matchedCount: 1 };
+                    },
+                    deleteMany: async (query) => {
+                        const kept = docs.filter(doc => !matches(doc, query));
+                        const deletedCount = docs.length - kept.length;
+                        docs.splice(0, docs.length, ...kept);
+                        return { deletedCount };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const minute = (time, low, high, volume) => ({
+    symbol: 'TESTUSDT',
+    interval: '1m',
+    openTime: new Date(time),
+    open: low,
+    high,
+    low,
+    close: high,
+    volume,
+    takerBuyBaseAssetVolume: volume / 2
+});
+
+// 1. Periods and bins
+const periodTypes = time => getProfilePeriods(time).map(period => period.type).join(',');
+console.log(`${periodTypes(day1 + 7.5 * HOUR) === 'day,asia,london' ? '✅' : '❌'} 07:30 UTC -> ${periodTypes(day1 + 7.5 * HOUR)}`);
+console.log(`${periodTypes(day1 + 14 * HOUR) === 'day,london,new_york' ? '✅' : '❌'} 14:00 UTC -> ${periodTypes(day1 + 14 * HOUR)}`);
+console.log(`${periodTypes(day1 + 23 * HOUR) === 'day' ? '✅' : '❌'} 23:00 UTC -> day only`);
+console.log(`${getProfileBinSize('BTCUSDT', 60000) === 30 && getProfileBinSize('TESTUSDT', 100) === 0.05 ? '✅' : '❌'} Bins are 0.05% of price on the tick grid`);
+
+async function runTests() {
+    const collections = { candleData: [] };
+    const client = createFakeClient(collections);
+
+    // Day 1, 06:50-07:09: most volume at 100, a few minutes at 101
+    for (let i = 0; i < 20; i++) {
+        const time = day1 + 6 * HOUR + (50 + i) * 60000;
+        collections.candleData.push(i % 5 === 0 ? minute(time, 100.9, 101.1, 4) : minute(time, 99.9, 100.1, 10));
+    }
+
+    // 2. Incremental updates
+    console.log('\n📊 Incremental updates');
+    const first = await updateSymbolProfiles(client, 'test', 'TESTUSDT', day1 + 7 * HOUR + 10 * 60000);
+    const profiles = collections.volumeProfiles;
+    const dayProfile = profiles.find(p => p.type === 'day');
+    const london = profiles.find(p => p.type === 'london');
+    console.log(`${first.candlesProcessed === 20 && first.profilesUpdated === 3 ? '✅' : '❌'} 20 candles into day, Asia and London profiles`);
+    console.log(`${dayProfile.totalVolume === 176 && london.candlesProcessed === 10 ? '✅' : '❌'} Day volume ${dayProfile.totalVolume}, London ${london.candlesProcessed} candles`);
+    console.log(`${dayProfile.poc >= 99.9 && dayProfile.poc <= 100.1 && dayProfile.vah < 100.9 ? '✅' : '❌'} Day POC ${dayProfile.poc}, VA ${dayProfile.val}-${dayProfile.vah}`);
+
+    const repeat = await updateSymbolProfiles(client, 'test', 'TESTUSDT', day1 + 7 * HOUR + 10 * 60000);
+    console.log(`${repeat.candlesProcessed === 0 && dayProfile.totalVolume === 176 ? '✅' : '❌'} Re-running without new candles adds nothing`);
+
+    collections.candleData.push(minute(day1 + 7 * HOUR + 10 * 60000, 99.9, 100.1, 10));
+    collections.candleData.push(minute(day1 + 7 * HOUR + 11 * 60000, 99.9, 100.1, 10));
+    const second = await updateSymbolProfiles(client, 'test', 'TESTUSDT', day1 + 7 * HOUR + 11.5 * 60000);
+    console.log(`${second.candlesProcessed === 1 && dayProfile.candlesProcessed === 21 ? '✅' : '❌'} Only the closed 07:10 candle is added (07:11 still open)`);
+
+    // 3. Composite over two days
+    console.log('\n🧩 Composites');
+    for (let i = 0; i < 10; i++) {
+        collections.candleData.push(minute(day2 + HOUR + i * 60000, 104.9, 105.1, 30));
+    }
+    await updateSymbolProfiles(client, 'test', 'TESTUSDT', day2 + HOUR + 10 * 60000);
+
+    const oneDay = await getCompositeProfile(client, 'test', 'TESTUSDT', 1, day2 + 2 * HOUR);
+    const twoDays = await getCompositeProfile(client, 'test', 'TESTUSDT', 2, day2 + 2 * HOUR);
+    console.log(`${oneDay.daysAvailable === 1 && oneDay.totalVolume === 300 ? '✅' : '❌'} 1-day composite: ${oneDay.totalVolume} volume`);
+    console.log(`${twoDays.daysAvailable === 2 && twoDays.totalVolume === 486 && twoDays.poc >= 104.9 && twoDays.val < 101 ? '✅' : '❌'} 2-day composite: POC ${twoDays.poc}, VA ${twoDays.val}-${twoDays.vah}`);
+
+    const fromCandles = buildCompositeFromCandles(
+        collections.candleData.slice().sort((a, b) => a.openTime - b.openTime), 'TESTUSDT', 2, day2 + 2 * HOUR
+    );
+    console.log(`${fromCandles.daysAvailable === 2 && fromCandles.totalVolume === 496 && fromCandles.poc === twoDays.poc ? '✅' : '❌'} Backtest composite from candles: POC ${fromCandles.poc}`);
+
+    const symbolProfiles = await getSymbolProfiles(client, 'test', 'TESTUSDT', { compositeDays: 2, time: day2 + 2 * HOUR });
+    console.log(`${symbolProfiles.day.totalVolume === 300 && symbolProfiles.sessions.asia.periodStart.getTime() === day2 && symbolProfiles.sessions.london.periodStart.getTime() === day1 + 7 * HOUR && !symbolProfiles.day.levels ? '✅' : '❌'} Symbol view: current day, latest sessions, no level maps`);
+
+    const priorAtOpen = await getPriorSessionProfile(client, 'test', 'TESTUSDT', day2 + 2 * HOUR);
+    const priorAfterAsia = await getPriorSessionProfile(client, 'test', 'TESTUSDT', day2 + 9 * HOUR);
+    console.log(`${priorAtOpen && priorAtOpen.periodEnd.getTime() <= day2 + 2 * HOUR && priorAtOpen.type !== 'day' && !priorAtOpen.levels ? '✅' : '❌'} Prior session during Asia: ${priorAtOpen && priorAtOpen.type} ending ${priorAtOpen && priorAtOpen.periodEnd.toISOString()}`);
+    console.log(`${priorAfterAsia && priorAfterAsia.type === 'asia' && priorAfterAsia.periodEnd.getTime() === day2 + 8 * HOUR ? '✅' : '❌'} Prior session after Asia closes: ${priorAfterAsia && priorAfterAsia.type}`);
+
+    // 4. Retention
+    collections.selectedSymbols = [{ symbols: [], timestamp: new Date() }];
+    collections.volumeProfiles = [
+        { symbol: 'NEWUSDT', type: 'day', periodStart: new Date(Date.now() - 5 * 24 * HOUR) },
+        { symbol: 'OLDUSDT', type: 'day', periodStart: new Date(Date.now() - 40 * 24 * HOUR) }
+    ];
+    const cleanup = await updateVolumeProfiles(client, 'test');
+    console.log(`${cleanup.profilesRemoved === 1 && collections.volumeProfiles[0].symbol === 'NEWUSDT' ? '✅' : '❌'} Profiles older than 30 days removed`);
+
+    // 5. Composite level rule
+    console.log('\n🚦 Validation');
+    const composite = { poc: 105, vah: 106, val: 100 };
+    const buyCandle = { open: 100.6, high: 100.8, low: 99.7, close: 100.7 };
+    const footprint = { poc: 99.9, vah: 100.3, val: 99.7, compositeProfile: composite };
+    const rules = { requirePocInTail: true, requireCompositeLevel: true, compositeTolerancePercent: 0.1 };
+
+    const atVal = validateTradeSignal(buyCandle, footprint, 'buy_reversal', rules);
+    console.log(`${atVal.isValidSignal && atVal.criteria.atCompositeVAL ? '✅' : '❌'} Buy with its tail through the composite VAL passes`);
+
+    const aboveVal = validateTradeSignal({ ...buyCandle, low: 100.5, open: 101.2, close: 101.3, high: 101.4 }, { ...footprint, poc: 100.6, vah: 101, val: 100.5 }, 'buy_reversal', rules);
+    console.log(`${!aboveVal.isValidSignal && aboveVal.criteria.atCompositeVAL === false ? '✅' : '❌'} Buy 0.5% above the composite VAL fails`);
+
+    const noComposite = validateTradeSignal(buyCandle, { ...footprint, compositeProfile: null }, 'buy_reversal', rules);
+    const ruleOff = validateTradeSignal(buyCandle, { ...footprint, compositeProfile: null }, 'buy_reversal', { requirePocInTail: true });
+    console.log(`${!noComposite.isValidSignal && ruleOff.isValidSignal ? '✅' : '❌'} Missing composite fails only when the rule is on`);
+
+    const sellAtVah = isAtCompositeLevel({ open: 105.8, high: 106.05, low: 105.5, close: 105.7 }, composite, 'sell', 0.1);
+    const sellClosedAbove = isAtCompositeLevel({ open: 106.5, high: 106.8, low: 106.3, close: 106.5 }, composite, 'sell', 0.1);
+    console.log(`${sellAtVah && !sellClosedAbove ? '✅' : '❌'} Sell at the composite VAH, not when it closes above it`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+/**
+ * Test Signal De-duplication
+ * Clustering of near-identical signals on overlapping intervals, parent
+ * promotion, the cooldown window, re-linking re-validated signals and
+ * settings normalization
+ */
+
+const { deduplicateSignal, relinkSignal, normalizeDeduplication } = require('./utils/signalDeduplicator');
+
+console.log('🧪 Testing Signal De-duplication');
+console.log('================================\n');
+
+// Minimal in-memory MongoDB: dotted paths, equality/$ne/$gte/$lte queries, $set/$unset updates
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+    const set = (doc, path, value) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), doc);
+        target[last] = value;
+    };
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(get(doc, key));
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (!('$ne' in condition) || value !== valueOf(condition.$ne))
+                && (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte));
+        }
+        return value === valueOf(condition);
+    });
+    const applySet = (doc, update) => {
+        Object.entries(update.$set || {}).forEach(([key, value]) => set(doc, key, value));
+        Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+    };
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: (query) => ({ toArray: async () => docs.filter(doc => matches(doc, query)) }),
+                    updateOne: async (query, update) => {
+                        const doc = docs.find(d => matches(d, query));
+                        if (doc) applySet(doc, update);
+                        return { matchedCount: doc ? 1 : 0 };
+                    },
+                    updateMany: async (query, update) => {
+                        const matched = docs.filter(d => matches(d, query));
+                        matched.forEach(doc => applySet(doc, update));
+                        return { matchedCount: matched.length };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const closeTime = Date.UTC(2025, 0, 1, 10, 15) - 1;
+let nextId = 1;
+
+// Valid signal; buys stop at the low, sells at the high
+const signal = (interval, signalType, stopPrice, score, minutesLater = 0) => ({
+    _id: nextId++,
+    symbol: 'TESTUSDT',
+    interval,
+    closeTime: new Date(closeTime + minutesLater * 60000),
+    candleData: signalType === 'buy'
+        ? { open: 101, high: 102, low: stopPrice, close: 101.5 }
+        : { open: 101, high: stopPrice, low: 100, close: 100.5 },
+    tradeSignal: { isValidSignal: true, signalType, score }
+});
+
+async function runTests() {
+    const collections = { reversalCandles: [] };
+    const client = createFakeClient(collections);
+    const save = async (doc, settings) => {
+        collections.reversalCandles.push(doc);
+        return deduplicateSignal(client, 'test', doc, settings);
+    };
+    const byInterval = interval => collections.reversalCandles.find(doc => doc.interval === interval && doc.tradeSignal.signalType === 'buy');
+
+    // 1. Clustering
+    console.log('🔗 Clustering');
+    const first = await save(signal('5m', 'buy', 100, 7));
+    console.log(`${first.role === 'parent' && byInterval('5m').deduplication.siblingCount === 0 ? '✅' : '❌'} First signal becomes the parent`);
+
+    const second = await save(signal('6m', 'buy', 100.1, 6));
+    const parent = byInterval('5m');
+    console.log(`${second.role === 'sibling' && byInterval('6m').deduplication.parentId === parent._id && byInterval('6m').deduplication.reason === 'cluster' ? '✅' : '❌'} 6m signal with a stop 0.1% away linked to the 5m parent`);
+    console.log(`${parent.deduplication.siblingCount === 1 && parent.deduplication.siblingIntervals.join() === '6m' ? '✅' : '❌'} Parent lists its sibling intervals`);
+
+    // 2. Promotion
+    console.log('\n⬆️ Promotion');
+    const third = await save(signal('10m', 'buy', 99.95, 8));
+    const promoted = byInterval('10m');
+    console.log(`${third.promoted && promoted.deduplication.role === 'parent' && promoted.deduplication.siblingCount === 2 ? '✅' : '❌'} Higher-scoring 10m signal becomes the parent of ${promoted.deduplication.siblingCount}`);
+    console.log(`${byInterval('5m').deduplication.parentId === promoted._id && byInterval('6m').deduplication.parentId === promoted._id ? '✅' : '❌'} Old parent and its siblings relinked to the 10m signal`);
+
+    // 3. Separate clusters
+    console.log('\n🧩 Separate signals');
+    const farStop = await save(signal('12m', 'buy', 98, 6));
+    const sell = await save(signal('5m', 'sell', 103, 6));
+    console.log(`${farStop.role === 'parent' ? '✅' : '❌'} Stop 2% away starts a new parent`);
+    console.log(`${sell.role === 'parent' ? '✅' : '❌'} Opposite direction is never linked`);
+
+    const later = await save(signal('15m', 'buy', 95, 6, 30));
+    console.log(`${later.role === 'parent' ? '✅' : '❌'} Signal 30 minutes later without cooldown is a new parent`);
+
+    // 4. Cooldown
+    console.log('\n⏳ Cooldown');
+    const cooldownSettings = { cooldownMinutes: 60 };
+    const cooled = await save(signal('20m', 'buy', 94, 9, 45), cooldownSettings);
+    const cooledDoc = byInterval('20m');
+    console.log(`${cooled.role === 'sibling' && cooledDoc.deduplication.reason === 'cooldown' && cooledDoc.deduplication.parentInterval === '15m' ? '✅' : '❌'} Signal 15 min after the 15m parent linked by the 60 min cooldown`);
+    console.log(`${byInterval('15m').deduplication.role === 'parent' ? '✅' : '❌'} Cooldown siblings never take over the parent`);
+
+    // 5. Skipped signals
+    const invalid = await save({ ...signal('7m', 'buy', 100, 0), tradeSignal: { isValidSignal: false } });
+    const disabled = await save(signal('8m', 'buy', 100, 9), { enabled: false });
+    console.log(`\n${invalid === null && disabled === null ? '✅' : '❌'} Invalid signals and disabled profiles are skipped`);
+
+    // 6. Re-validation (footprint upgrade)
+    console.log('\n🔁 Re-validation');
+    const doc10m = byInterval('10m');
+    const before10m = { ...doc10m };
+    doc10m.tradeSignal = { isValidSignal: false, signalType: null, score: 0 };
+    await relinkSignal(client, 'test', before10m, doc10m);
+    console.log(`${!doc10m.deduplication && byInterval('5m').deduplication.role === 'parent' && byInterval('6m').deduplication.parentId === byInterval('5m')._id ? '✅' : '❌'} Parent turned invalid: unlinked, best sibling (5m) takes over`);
+    console.log(`${byInterval('5m').deduplication.siblingCount === 1 ? '✅' : '❌'} New parent counts ${byInterval('5m').deduplication.siblingCount} sibling`);
+
+    const before6m = { ...byInterval('6m') };
+    byInterval('6m').tradeSignal = { isValidSignal: true, signalType: 'buy', score: 9 };
+    const relinked = await relinkSignal(client, 'test', before6m, byInterval('6m'));
+    console.log(`${relinked.promoted && byInterval('6m').deduplication.role === 'parent' && byInterval('5m').deduplication.parentId === byInterval('6m')._id ? '✅' : '❌'} Sibling upgraded to a higher score becomes the parent`);
+
+    // 7. Settings
+    const normalized = normalizeDeduplication({ enabled: 'false', cooldownMinutes: '30', stopTolerancePercent: '0.5' });
+    const errors = normalizeDeduplication({ closeTimeToleranceMinutes: -1, stopTolerancePercent: 'x' }).errors;
+    console.log(`${normalized.deduplication.enabled === false && normalized.deduplication.cooldownMinutes === 30 && errors.length === 2 ? '✅' : '❌'} Settings normalized: ${errors[0]}`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * Test Signal Outcome Tracking
+ * Runs buy and sell signals through scripted 1m candles and checks which of
+ * the stop and the 1R/2R/3R targets was hit first
+ */
+
+const { initializeOutcome, advanceOutcome, expireOutcome, rebookLegacyOutcomes } = require('./utils/signalOutcomeTracker');
+
+console.log('🧪 Testing Signal Outcome Tracking');
+console.log('==================================\n');
+
+const signalClose = new Date(Date.UTC(2025, 0, 1, 10, 0) - 1);
+
+// Buy: entry 100, stop 98 (R = 2) -> targets 102 / 104 / 106
+const buySignal = {
+    candleData: { open: 99, high: 100.5, low: 98, close: 100 },
+    tradeSignal: { signalType: 'buy' }
+};
+
+// Sell: entry 100, stop 101 (R = 1) -> targets 99 / 98 / 97
+const sellSignal = {
+    candleData: { open: 100.8, high: 101, low: 99.8, close: 100 },
+    tradeSignal: { signalType: 'sell' }
+};
+
+/**
+ * Build 1m candles from [high, low] pairs, starting right after the signal
+ */
+function buildCandles(ranges) {
+    return ranges.map(([high, low], i) => {
+        const openTime = new Date(signalClose.getTime() + 1 + i * 60000);
+        return { openTime, closeTime: new Date(openTime.getTime() + 59999), high, low, close: (high + low) / 2 };
+    });
+}
+
+const scenarios = [
+    {
+        name: 'Buy runs to 3R',
+        signal: buySignal,
+        candles: buildCandles([[101, 99.5], [102.5, 100.5], [104.2, 102], [106.1, 103]]),
+        expected: { result: 'win', firstHit: 'r1', rMultiple: 3, timeToOutcomeMinutes: 4 }
+    },
+    {
+        name: 'Buy stopped before 1R',
+        signal: buySignal,
+        candles: buildCandles([[101, 99], [100, 97.9], [110, 100]]),
+        expected: { result: 'loss', firstHit: 'stop', rMultiple: -1, timeToOutcomeMinutes: 2 }
+    },
+    {
+        name: 'Buy hits 1R then stop (booked at the stop)',
+        signal: buySignal,
+        candles: buildCandles([[102.1, 100], [101, 97.5]]),
+        expected: { result: 'loss', firstHit: 'r1', rMultiple: -1, maxTargetHit: 1, timeToOutcomeMinutes: 2 }
+    },
+    {
+        name: 'Sell touches stop and 1R in one candle',
+        signal: sellSignal,
+        candles: buildCandles([[101.2, 98.9]]),
+        expected: { result: 'loss', firstHit: 'stop', rMultiple: -1, timeToOutcomeMinutes: 1 }
+    },
+    {
+        name: 'Sell still open after 2R',
+        signal: sellSignal,
+        candles: buildCandles([[100.2, 99.5], [99.6, 97.9]]),
+        expected: { result: 'pending', firstHit: 'r1', rMultiple: null, timeToOutcomeMinutes: null }
+    }
+];
+
+scenarios.forEach(scenario => {
+    const outcome = advanceOutcome(initializeOutcome(scenario.signal), scenario.candles, signalClose);
+    const passed = Object.keys(scenario.expected).every(key => outcome[key] === scenario.expected[key]);
+
+    console.log(`${passed ? '✅' : '❌'} ${scenario.name}: ${outcome.result}, first hit ${outcome.firstHit}, ${outcome.rMultiple}R after ${outcome.timeToOutcomeMinutes}m`);
+    console.log(`   MFE: ${outcome.mfeR}R, MAE: ${outcome.maeR}R, candles checked: ${outcome.candlesChecked}`);
+});
+
+// Incremental tracking: two runs should match one run over the same candles
+const candles = buildCandles([[101, 99.5], [102.5, 100.5], [101, 98.5], [104.2, 102]]);
+const singleRun = advanceOutcome(initializeOutcome(buySignal), candles, signalClose);
+const twoRuns = advanceOutcome(advanceOutcome(initializeOutcome(buySignal), candles.slice(0, 2), signalClose), candles.slice(2), signalClose);
+const incrementalMatches = JSON.stringify({ ...singleRun, resolvedAt: null }) === JSON.stringify({ ...twoRuns, resolvedAt: null });
+console.log(`${incrementalMatches ? '✅' : '❌'} Incremental runs match a single run (max target ${twoRuns.maxTargetHit}R)`);
+
+// Horizon reached without stop or target: marked to market
+const expired = expireOutcome(advanceOutcome(initializeOutcome(buySignal), buildCandles([[101, 99], [101.5, 100.5]]), signalClose));
+const expiredPassed = expired.result === 'expired' && expired.rMultiple === 0.5;
+console.log(`${expiredPassed ? '✅' : '❌'} Expired without a target: ${expired.result}, ${expired.rMultiple}R at last close`);
+
+// Horizon reached after 2R: closed at the last close, not at the best target
+const expiredAfterTarget = expireOutcome(advanceOutcome(initializeOutcome(buySignal), buildCandles([[104.5, 100.5], [101.5, 100.5]]), signalClose));
+console.log(`${expiredAfterTarget.result === 'expired' && expiredAfterTarget.rMultiple === 0.5 && expiredAfterTarget.maxTargetHit === 2 && expiredAfterTarget.mfeR === 2.25 ? '✅' : '❌'} Expired after 2R: ${expiredAfterTarget.rMultiple}R at last close, max target ${expiredAfterTarget.maxTargetHit}R, MFE ${expiredAfterTarget.mfeR}R`);
+
+// Outcomes booked before the exit rule
+async function runRebookTest() {
+    const outcome = (fields) => ({ status: 'closed', riskPerUnit: 2, entryPrice: 100, signalType: 'buy', lastClose: 101, ...fields });
+    const docs = [
+        { _id: 1, outcome: outcome({ result: 'win', rMultiple: 2, maxTargetHit: 2, stopHitAt: new Date() }) },
+        { _id: 2, outcome: outcome({ result: 'win', rMultiple: 1, maxTargetHit: 1, stopHitAt: null }) },
+        { _id: 3, outcome: outcome({ result: 'win', rMultiple: 3, maxTargetHit: 3, stopHitAt: null }) }
+    ];
+    const client = {
+        db: () => ({
+            collection: () => ({
+                find: () => ({ toArray: async () => docs }),
+                bulkWrite: async (operations) => operations.forEach(({ updateOne }) => {
+                    const doc = docs.find(d => d._id === updateOne.filter._id);
+                    Object.entries(updateOne.update.$set).forEach(([key, value]) => { doc.outcome[key.replace('outcome.', '')] = value; });
+                })
+            })
+        })
+    };
+
+    const realLog = console.log;
+    console.log = () => {};
+    const rebooked = await rebookLegacyOutcomes(client, 'test');
+    console.log = realLog;
+    const booked = docs.map(d => `${d.outcome.result}:${d.outcome.rMultiple}`).join(',');
+    console.log(`${rebooked === 3 && booked === 'loss:-1,expired:0.5,win:3' ? '✅' : '❌'} Legacy outcomes re-booked: ${booked}`);
+}
+
+runRebookTest().then(() => {
+    console.log('\n🎉 All tests completed!');
+}).catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
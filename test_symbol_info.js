@@ -0,0 +1,103 @@
+/**
+ * Test Symbol Info
+ * exchangeInfo parsing, the symbolInfo sync, and the exchange tick sizes used by
+ * the footprint calculator, position sizing filters and price formatting
+ */
+
+const { parseSymbolInfo, syncSymbolInfo, loadSymbolInfo, getSymbolInfo, formatPrice } = require('./utils/symbolInfo');
+const { getTickSize, calculateReversalVolumeFootprint } = require('./utils/volumeFootprintCalculator');
+const { getQuantityFilters } = require('./utils/exchangeQuantityFilters');
+
+console.log('🧪 Testing Symbol Info');
+console.log('======================\n');
+
+// Minimal in-memory MongoDB: find({}), bulkWrite upserts by symbol
+function createFakeClient(collections) {
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: () => ({ toArray: async () => docs.slice() }),
+                    bulkWrite: async (operations) => {
+                        operations.forEach(({ updateOne }) => {
+                            const existing = docs.find(doc => doc.symbol === updateOne.filter.symbol);
+                            if (existing) {
+                                Object.assign(existing, updateOne.update.$set);
+                            } else {
+                                docs.push({ ...updateOne.filter, ...updateOne.update.$set });
+                            }
+                        });
+                        return { ok: 1 };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const exchangeSymbol = (symbol, tickSize, stepSize, extra = {}) => ({
+    symbol,
+    status: 'TRADING',
+    contractType: 'PERPETUAL',
+    quoteAsset: 'USDT',
+    pricePrecision: 2,
+    quantityPrecision: 3,
+    onboardDate: Date.UTC(2024, 5, 1),
+    filters: [
+        { filterType: 'PRICE_FILTER', tickSize, minPrice: '0.01', maxPrice: '1000000' },
+        { filterType: 'LOT_SIZE', stepSize, minQty: stepSize, maxQty: '1000' },
+        { filterType: 'MARKET_LOT_SIZE', stepSize, minQty: stepSize, maxQty: '120' },
+        { filterType: 'MIN_NOTIONAL', notional: '5' }
+    ],
+    ...extra
+});
+
+async function runTests() {
+    // 1. Parsing
+    const parsed = parseSymbolInfo(exchangeSymbol('BTCUSDT', '0.10', '0.001'));
+    const passed = parsed.tickSize === 0.1 && parsed.stepSize === 0.001 && parsed.maxQty === 1000
+        && parsed.marketMaxQty === 120 && parsed.minNotional === 5 && parsed.listedAt.getTime() === Date.UTC(2024, 5, 1);
+    console.log(`${passed ? '✅' : '❌'} PRICE_FILTER, LOT_SIZE, MARKET_LOT_SIZE, MIN_NOTIONAL and listing date parsed`);
+
+    // 2. Before any sync the old fallback is used
+    console.log(`${getTickSize('BTCUSDT', 60000) === 0.01 && getTickSize('NEWUSDT', 50) === 0.001 ? '✅' : '❌'} Unsynced symbols fall back to the built-in tick sizes`);
+
+    // 3. Sync
+    console.log('\n📏 Sync');
+    const collections = {};
+    const client = createFakeClient(collections);
+    const synced = await syncSymbolInfo(client, 'test', [
+        exchangeSymbol('BTCUSDT', '0.10', '0.001'),
+        exchangeSymbol('NEWUSDT', '0.0100', '1')
+    ]);
+    console.log(`${synced === 2 && collections.symbolInfo.length === 2 && collections.symbolInfo[0].updatedAt instanceof Date ? '✅' : '❌'} 2 symbols stored in symbolInfo`);
+    console.log(`${getTickSize('BTCUSDT', 60000) === 0.1 && getTickSize('NEWUSDT', 50) === 0.01 ? '✅' : '❌'} getTickSize uses the exchange tick sizes`);
+
+    await syncSymbolInfo(client, 'test', [exchangeSymbol('NEWUSDT', '0.001', '1')]);
+    console.log(`${collections.symbolInfo.length === 2 && getSymbolInfo('NEWUSDT').tickSize === 0.001 && getSymbolInfo('BTCUSDT').tickSize === 0.1 ? '✅' : '❌'} Re-sync updates in place and keeps symbols missing from the response`);
+
+    // 4. Footprint bins on the exchange tick
+    const trades = [60000.04, 60000.06, 60000.12, 60000.14, 60000.21].map((price, i) => ({ price, quantity: 1, timestamp: 1000 + i }));
+    const footprint = calculateReversalVolumeFootprint(trades, 'BTCUSDT', 1000, 2000);
+    console.log(`${footprint.poc === 60000.1 && footprint.tradesProcessed === 5 ? '✅' : '❌'} BTCUSDT trades binned on 0.1: POC ${footprint.poc}`);
+
+    // 5. Position sizing filters and price formatting
+    console.log('\n💰 Sizing & formatting');
+    const filters = await getQuantityFilters(client, 'test');
+    const btc = filters.get('BTCUSDT');
+    console.log(`${btc.stepSize === 0.001 && btc.maxQty === 120 && btc.minNotional === 5 ? '✅' : '❌'} Quantity filters from symbolInfo (market max qty ${btc.maxQty})`);
+    console.log(`${formatPrice('BTCUSDT', 60000.1234) === '60000.1' && formatPrice('UNKNOWNUSDT', 1.5) === '1.5' && formatPrice('BTCUSDT', null) === 'N/A' ? '✅' : '❌'} Prices formatted to the tick: ${formatPrice('BTCUSDT', 60000.1234)}`);
+
+    // 6. Startup load
+    collections.symbolInfo.push({ symbol: 'OLDUSDT', tickSize: 0.5 });
+    const loaded = await loadSymbolInfo(client, 'test');
+    console.log(`\n${loaded === 3 && getTickSize('OLDUSDT', 10) === 0.5 ? '✅' : '❌'} Stored metadata loaded at startup (${loaded} symbols)`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
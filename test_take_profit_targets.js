@@ -0,0 +1,86 @@
+/**
+ * Test Take-Profit Targets
+ * Structure-based targets, fixed R fallback, sell side and the prior session
+ * profile loaded from volumeProfiles
+ */
+
+const {
+    calculateTakeProfitTargets,
+    calculateSignalTakeProfit,
+    getSignalRisk
+} = require('./utils/takeProfitTargets');
+
+console.log('🧪 Testing Take-Profit Targets');
+console.log('==============================\n');
+
+// Buy pin bar: entry 100, stop 98 (risk 2)
+const buySignal = {
+    symbol: 'TESTUSDT',
+    candleData: { open: 99.5, high: 100.2, low: 98, close: 100 },
+    tradeSignal: { signalType: 'buy', isValidSignal: true },
+    volumeFootprint: { poc: 98.4, vah: 99, val: 98.2 }
+};
+
+// 1. No structure: fixed R multiples
+const fixed = calculateTakeProfitTargets(buySignal);
+console.log(`${fixed.targets.map(t => t.price).join(',') === '102,104,106' && fixed.targets.every(t => t.source === 'fixed_r') ? '✅' : '❌'} Fixed targets: ${fixed.targets.map(t => `${t.label} ${t.price} (${t.rr}R)`).join(', ')}`);
+console.log(`${fixed.rewardToRisk === 1 ? '✅' : '❌'} Reward-to-risk (TP1): ${fixed.rewardToRisk}`);
+
+// 2. Structure: session VAH at 101.5 (0.75R), session POC at 100.6 (0.3R, too close), swing high at 103 (1.5R)
+const structured = calculateTakeProfitTargets(buySignal, {
+    priorSession: { poc: 100.6, vah: 101.5, val: 99.2 },
+    swingHigh: 103,
+    swingLow: 97
+});
+const summary = structured.targets.map(t => `${t.label} ${t.price} ${t.source} ${t.rr}R`).join(', ');
+console.log(`${structured.targets[0].source === 'session_vah'
+    && structured.targets[1].source === 'swing_high'
+    && structured.targets[2].price === 106
+    && structured.targets[2].rr === 3 ? '✅' : '❌'} Structure first, then fixed R (TP3 at least 3R): ${summary}`);
+console.log(`${structured.rewardToRisk === 0.75 ? '✅' : '❌'} Reward-to-risk follows TP1: ${structured.rewardToRisk}`);
+
+// 3. Sell side: entry 50, stop 51 (risk 1); the candle footprint sits above the entry,
+// so the swing low is the only structure target
+const sellSignal = {
+    symbol: 'TESTUSDT',
+    candleData: { open: 50.2, high: 51, low: 49.9, close: 50 },
+    tradeSignal: { signalType: 'sell', isValidSignal: true },
+    volumeFootprint: { poc: 50.8, vah: 50.9, val: 50.4 }
+};
+const sell = calculateTakeProfitTargets(sellSignal, { swingLow: 47.5, swingHigh: 52 });
+console.log(`${sell.targets[0].price === 47.5 && sell.targets[0].rr === 2.5 && sell.targets[1].price === 47 && sell.targets[2].price === 46 ? '✅' : '❌'} Sell targets: ${sell.targets.map(t => `${t.label} ${t.price} (${t.rr}R)`).join(', ')}`);
+
+// 4. No usable risk
+const flat = { ...buySignal, candleData: { open: 100, high: 100, low: 100, close: 100 } };
+console.log(`${calculateTakeProfitTargets(flat) === null && getSignalRisk(flat) === null ? '✅' : '❌'} No targets without a stop distance`);
+
+// 5. Prior session from the stored session profiles (no candles stored)
+const HOUR = 60 * 60 * 1000;
+const patternStart = new Date(Date.UTC(2025, 0, 2, 9));
+const volumeProfiles = [
+    { symbol: 'TESTUSDT', type: 'asia', periodStart: new Date(Date.UTC(2025, 0, 2, 0)), periodEnd: new Date(Date.UTC(2025, 0, 2, 8)), poc: 100.6, vah: 101.5, val: 99.2 },
+    { symbol: 'TESTUSDT', type: 'london', periodStart: new Date(Date.UTC(2025, 0, 2, 7)), periodEnd: new Date(Date.UTC(2025, 0, 2, 16)), poc: 110, vah: 112, val: 108 }
+];
+const emptyCursor = { sort: () => emptyCursor, skip: () => emptyCursor, limit: () => emptyCursor, toArray: async () => [] };
+const fakeClient = {
+    db: () => ({
+        collection: (name) => ({
+            find: () => emptyCursor,
+            aggregate: () => emptyCursor,
+            findOne: async (query, options) => (name !== 'volumeProfiles' ? null : volumeProfiles
+                .filter(p => p.symbol === query.symbol && query.type.$in.includes(p.type) && p.periodEnd <= query.periodEnd.$lte)
+                .sort((a, b) => options.sort.periodEnd * (a.periodEnd - b.periodEnd))[0] || null)
+        })
+    })
+};
+
+(async () => {
+    const loaded = await calculateSignalTakeProfit(fakeClient, 'test', { ...buySignal, interval: '5', openTime: patternStart }, patternStart);
+    const prior = loaded.structure.priorSession;
+    console.log(`\n${prior && prior.type === 'asia' && prior.vah === 101.5 && loaded.targets[0].source === 'session_vah' ? '✅' : '❌'} Prior session read from volumeProfiles: ${prior && prior.type} VAH ${prior && prior.vah}, TP1 ${loaded.targets[0].source}`);
+
+    const early = await calculateSignalTakeProfit(fakeClient, 'test', { ...buySignal, interval: '5' }, new Date(patternStart.getTime() - 2 * HOUR));
+    console.log(`${early.structure.priorSession === null && early.targets.every(t => t.source === 'fixed_r') ? '✅' : '❌'} No finished session stored: fixed R targets only`);
+
+    console.log('\n🎉 All tests completed!');
+})();
@@ -0,0 +1,174 @@
+/**
+ * Test Trade Coverage
+ * aggTrades paged by trade id until the candle is covered, coverage from time
+ * and volume, and low-coverage signals rejected or down-weighted
+ */
+
+const {
+    fetchTradesUntilCovered,
+    fetchAllHistoricalTrades,
+    getTradePageLimit,
+    getRateLimiterStatus,
+    MAX_INLINE_TRADE_PAGES,
+    fetchReversalCandleTickData,
+    calculateTradeCoverage,
+    toFootprintCoverage
+} = require('./utils/fetchHistoricalTickData');
+const { validateTradeSignal, normalizeValidationRules, DEFAULT_VALIDATION_RULES } = require('./utils/tradeSignalValidator');
+const { setSymbolExchanges } = require('./utils/exchangeAdapters');
+const binanceAdapter = require('./utils/binanceAdapter');
+const bybitAdapter = require('./utils/bybitAdapter');
+
+console.log('🧪 Testing Trade Coverage');
+console.log('=========================\n');
+
+// No spacing between the fake requests
+binanceAdapter.rateLimit.minDelay = 0;
+bybitAdapter.rateLimit.minDelay = 0;
+
+const minute = Date.UTC(2025, 0, 15, 10, 0);
+const candleOpen = minute;
+const candleClose = minute + 15 * 60000 - 1;
+
+// Binance aggTrades (REST format): 3500 trades in the candle, 300 after it
+const exchangeTrades = Array.from({ length: 3800 }, (_, i) => ({
+    a: 10000 + i,
+    p: (100 + (i % 50) / 100).toFixed(2),
+    q: '0.5',
+    T: candleOpen + Math.floor(i * (15 * 60000) / 3500),
+    m: i % 3 === 0,
+    f: i,
+    l: i
+}));
+const candleVolume = 3500 * 0.5;
+
+// Fake Binance aggTrades endpoint: by time range or from a trade id; counts requests
+function useFakeBinance(failFromId = Infinity) {
+    const requests = [];
+    global.fetch = async (url) => {
+        const params = new URL(url).searchParams;
+        requests.push(params.has('fromId') ? `fromId=${params.get('fromId')}` : 'time');
+
+        if (parseInt(params.get('fromId')) >= failFromId) {
+            return { ok: false, status: 500, json: async () => ({}), text: async () => 'Internal error' };
+        }
+
+        const limit = parseInt(params.get('limit'));
+        const body = params.has('fromId')
+            ? exchangeTrades.filter(trade => trade.a >= parseInt(params.get('fromId'))).slice(0, limit)
+            : exchangeTrades.filter(trade => trade.T >= parseInt(params.get('startTime')) && trade.T <= parseInt(params.get('endTime'))).slice(0, limit);
+        return { ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) };
+    };
+    return requests;
+}
+
+// Reversal candle with its POC in the lower tail (valid buy)
+const buyCandle = { open: 104, high: 106, low: 95, close: 105 };
+const buyFootprint = { poc: 96, vah: 103, val: 95 };
+
+async function runTests() {
+    const realFetch = global.fetch;
+
+    // 1. Pagination by trade id
+    console.log('📄 Pagination');
+    let requests = useFakeBinance();
+    const full = await fetchTradesUntilCovered('BTCUSDT', candleOpen, candleClose);
+    console.log(`${full.complete && full.trades.length === 3500 && full.coveredUntil === candleClose ? '✅' : '❌'} All 3500 trades of the candle fetched (${full.trades.length})`);
+    console.log(`${requests.join() === 'time,fromId=11000,fromId=12000,fromId=13000' ? '✅' : '❌'} First page by time, then by trade id: ${requests.join(' ')}`);
+    console.log(`${full.trades.every((trade, i) => trade.id === 10000 + i) ? '✅' : '❌'} No gaps or duplicates, nothing after the close`);
+
+    requests = useFakeBinance();
+    const capped = await fetchTradesUntilCovered('BTCUSDT', candleOpen, candleClose, 2);
+    console.log(`${!capped.complete && capped.trades.length === 2000 && capped.coveredUntil === capped.trades[1999].timestamp - 1 && requests.length === 2 ? '✅' : '❌'} Page cap stops early and reports partial coverage`);
+
+    useFakeBinance();
+    const legacy = await fetchAllHistoricalTrades('BTCUSDT', candleOpen, candleClose, 2000);
+    console.log(`${Array.isArray(legacy) && legacy.length === 2000 ? '✅' : '❌'} fetchAllHistoricalTrades still returns the trades`);
+
+    // Page budget per candle
+    console.log(`${getTradePageLimit('BTCUSDT', candleOpen, candleOpen + 60000 - 1) === 1 && getTradePageLimit('BTCUSDT', candleOpen, candleClose) === MAX_INLINE_TRADE_PAGES ? '✅' : '❌'} Inline budget: 1 page for a 1m candle, ${MAX_INLINE_TRADE_PAGES} for 15m`);
+
+    const status = getRateLimiterStatus('BTCUSDT');
+    const background = getTradePageLimit('BTCUSDT', candleOpen, candleClose, true);
+    console.log(`${background === Math.min(30, Math.floor((status.hourlyLimit - status.requestCount) * 0.025)) && background > MAX_INLINE_TRADE_PAGES ? '✅' : '❌'} Background budget: ${background} pages`);
+
+    requests = useFakeBinance();
+    const spent = await fetchReversalCandleTickData('BTCUSDT', candleOpen, candleClose, '15m', candleVolume, 2);
+    console.log(`${spent.capped && !spent.complete && requests.length === 2 ? '✅' : '❌'} Candle that needs more pages than its budget is reported as capped`);
+
+    // 2. Coverage
+    console.log('\n📏 Coverage');
+    const complete = calculateTradeCoverage(candleOpen, candleClose, candleClose, candleVolume, candleVolume);
+    console.log(`${complete.percent === 100 && complete.volumeMatched === true ? '✅' : '❌'} Complete fetch: ${complete.percent}%, volume matched`);
+
+    const withinTolerance = calculateTradeCoverage(candleOpen, candleClose, candleClose, candleVolume * 0.995, candleVolume);
+    console.log(`${withinTolerance.volumeMatched === true && withinTolerance.percent === 99.5 ? '✅' : '❌'} 0.5% volume difference within tolerance (${withinTolerance.percent}%)`);
+
+    const partial = calculateTradeCoverage(candleOpen, candleClose, capped.coveredUntil, 1000, candleVolume);
+    console.log(`${partial.timePercent > 57 && partial.timePercent < 58 && partial.volumePercent === 57.1 && partial.percent === 57.1 && partial.volumeMatched === false ? '✅' : '❌'} Partial fetch: time ${partial.timePercent}%, volume ${partial.volumePercent}%`);
+
+    const noVolume = calculateTradeCoverage(candleOpen, candleClose, null, 10);
+    console.log(`${noVolume.percent === null && Object.keys(toFootprintCoverage(noVolume)).length === 0 ? '✅' : '❌'} Unknown time and volume -> no coverage on the footprint`);
+
+    const fields = toFootprintCoverage(partial);
+    console.log(`${fields.coverage === 57.1 && fields.coverageCheck.timePercent === partial.timePercent && fields.coverageCheck.percent === undefined ? '✅' : '❌'} Footprint gets coverage ${fields.coverage}% and the checks`);
+
+    // 3. Reversal candle fetch
+    console.log('\n🔍 Reversal fetch');
+    useFakeBinance();
+    const reversal = await fetchReversalCandleTickData('BTCUSDT', candleOpen, candleClose, '15m', candleVolume);
+    console.log(`${reversal.success && reversal.complete && reversal.coverage.percent === 100 && reversal.tradesCount === 3500 ? '✅' : '❌'} 15m candle fully covered (${reversal.coverage.percent}%)`);
+
+    const mismatched = await fetchReversalCandleTickData('BTCUSDT', candleOpen, candleClose, '15m', candleVolume * 1.2);
+    console.log(`${mismatched.coverage.timePercent === 100 && mismatched.coverage.volumePercent === 83.3 && mismatched.coverage.volumeMatched === false ? '✅' : '❌'} Candle volume mismatch lowers coverage to ${mismatched.coverage.percent}%`);
+
+    setSymbolExchanges({ ETHUSDT: 'bybit' });
+    global.fetch = async () => ({ ok: true, status: 200, json: async () => ({ retCode: 0, result: { list: [
+        { execId: 'b', price: '3000', size: '2', side: 'Buy', time: String(candleOpen + 120000) },
+        { execId: 'a', price: '3001', size: '1', side: 'Sell', time: String(candleOpen + 60000) }
+    ] } }) });
+    const recent = await fetchReversalCandleTickData('ETHUSDT', candleOpen, candleClose, '15m', 4);
+    console.log(`${!recent.complete && recent.coverage.timePercent === null && recent.coverage.percent === 75 ? '✅' : '❌'} Recent-trades exchange: coverage from volume only (${recent.coverage.percent}%)`);
+    setSymbolExchanges({});
+
+    useFakeBinance(12000);
+    const realConsoleError = console.error;
+    console.error = () => {}; // the expected request error
+    const failed = await fetchReversalCandleTickData('BTCUSDT', candleOpen, candleClose, '15m', candleVolume);
+    console.error = realConsoleError;
+    console.log(`${failed.success && !failed.complete && failed.tradesCount === 2000 && failed.coverage.percent < 58 ? '✅' : '❌'} Error mid-way keeps the partial trades at ${failed.coverage.percent}% coverage`);
+
+    // 4. Validator
+    console.log('\n🚦 Validator');
+    const covered = validateTradeSignal(buyCandle, { ...buyFootprint, coverage: 99 }, 'buy_reversal');
+    const baseScore = covered.score;
+    console.log(`${covered.isValidSignal && covered.criteria.tradeCoverageOk ? '✅' : '❌'} 99% coverage passes the ${DEFAULT_VALIDATION_RULES.minCoveragePercent}% default (score ${baseScore})`);
+
+    const downweighted = validateTradeSignal(buyCandle, { ...buyFootprint, coverage: 60 }, 'buy_reversal');
+    console.log(`${downweighted.isValidSignal && downweighted.criteria.tradeCoverageOk === false && downweighted.score === Math.round(baseScore * 6) / 10 ? '✅' : '❌'} 60% coverage keeps the signal, score ${baseScore} → ${downweighted.score}`);
+
+    const sparse = validateTradeSignal(buyCandle, { ...buyFootprint, coverage: 5 }, 'buy_reversal');
+    console.log(`${sparse.isValidSignal && sparse.score === 1 ? '✅' : '❌'} 5% coverage keeps the score on the 1-10 scale (${sparse.score})`);
+
+    const rejected = validateTradeSignal(buyCandle, { ...buyFootprint, coverage: 60 }, 'buy_reversal', { lowCoverageAction: 'reject' });
+    console.log(`${!rejected.isValidSignal && rejected.score === 0 && rejected.reason.includes('60%') ? '✅' : '❌'} Reject action: ${rejected.reason}`);
+
+    const lowerMinimum = validateTradeSignal(buyCandle, { ...buyFootprint, coverage: 60 }, 'buy_reversal', { minCoveragePercent: 50 });
+    console.log(`${lowerMinimum.isValidSignal && lowerMinimum.score === baseScore ? '✅' : '❌'} Profile minimum of 50% accepts 60% coverage unchanged`);
+
+    const unknown = validateTradeSignal(buyCandle, buyFootprint, 'buy_reversal');
+    console.log(`${unknown.isValidSignal && unknown.score === baseScore && unknown.criteria.tradeCoverageOk ? '✅' : '❌'} Footprints without coverage aren't checked`);
+
+    const { validationRules, errors } = normalizeValidationRules({ minCoveragePercent: '80', lowCoverageAction: 'reject' });
+    const invalid = normalizeValidationRules({ minCoveragePercent: 150, lowCoverageAction: 'ignore' });
+    console.log(`${validationRules.minCoveragePercent === 80 && validationRules.lowCoverageAction === 'reject' && errors.length === 0 && invalid.errors.length === 2 ? '✅' : '❌'} Coverage rules normalized, bad values rejected`);
+
+    global.fetch = realFetch;
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,160 @@
+/**
+ * Test Trade Store
+ * Trades stored from REST and the live stream, de-duplicated by trade id, and
+ * reversal candles served from the store without network when fully covered
+ */
+
+const { initializeTradeStore, storeTrades, getStoredTrades, removeDuplicateTrades } = require('./utils/tradeStore');
+const { fetchReversalCandleTickData } = require('./utils/fetchHistoricalTickData');
+const { WebSocketTickCollector } = require('./utils/websocketTickCollector');
+
+console.log('🧪 Testing Trade Store');
+console.log('======================\n');
+
+// Minimal in-memory MongoDB: equality/$in/$gte/$lte queries, sort, findOne, insertOne/insertMany, deleteMany
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$in === undefined || condition.$in.map(valueOf).includes(value))
+                && (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte));
+        }
+        return value === valueOf(condition);
+    });
+    let nextId = 1;
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => {
+                                const [[key, direction]] = Object.entries(sort);
+                                result = result.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key])));
+                                return cursor;
+                            },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    findOne: async (query) => docs.find(doc => matches(doc, query)) || null,
+                    insertOne: async (doc) => {
+                        docs.push({ _id: nextId++, ...doc });
+                        return { acknowledged: true };
+                    },
+                    insertMany: async (newDocs) => {
+                        newDocs.forEach(doc => docs.push({ _id: nextId++, ...doc }));
+                        return { insertedCount: newDocs.length };
+                    },
+                    deleteMany: async (query) => {
+                        const kept = docs.filter(doc => !matches(doc, query));
+                        const deletedCount = docs.length - kept.length;
+                        docs.splice(0, docs.length, ...kept);
+                        return { deletedCount };
+                    }
+                };
+            }
+        })
+    };
+}
+
+const minute = Date.UTC(2025, 0, 15, 10, 0);
+
+// Binance aggTrade (REST format) every 10 seconds
+const aggTrade = (index) => ({ a: index, p: (100 + index / 100).toFixed(2), q: '1', T: minute + index * 10000, m: index % 2 === 0, f: index, l: index });
+const exchangeTrades = Array.from({ length: 90 }, (_, i) => aggTrade(i)); // 15 minutes
+
+// Fake Binance aggTrades endpoint; counts requests
+function useFakeExchange() {
+    const requests = [];
+    global.fetch = async (url) => {
+        requests.push(url);
+        const params = new URL(url).searchParams;
+        const start = parseInt(params.get('startTime'));
+        const end = parseInt(params.get('endTime'));
+        const body = exchangeTrades.filter(trade => trade.T >= start && trade.T <= end);
+        return { ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) };
+    };
+    return requests;
+}
+
+async function runTests() {
+    const realFetch = global.fetch;
+    const collections = {};
+
+    // 1. Disabled store
+    console.log('⚙️ Disabled store');
+    console.log(`${await storeTrades('BTCUSDT', [{ id: 1, timestamp: minute }]) === 0 && await getStoredTrades('BTCUSDT', minute, minute + 60000) === null ? '✅' : '❌'} Without a client nothing is stored or read`);
+
+    initializeTradeStore(createFakeClient(collections), 'test');
+
+    // 2. De-duplication
+    console.log('\n🧹 De-duplication');
+    const trades = [
+        { id: 1, price: 100, quantity: 1, timestamp: minute + 1000, isBuyerMaker: true },
+        { id: 2, price: 101, quantity: 2, timestamp: minute + 2000, isBuyerMaker: false },
+        { id: 2, price: 101, quantity: 2, timestamp: minute + 2000, isBuyerMaker: false }
+    ];
+    console.log(`${removeDuplicateTrades(trades).length === 2 ? '✅' : '❌'} Duplicate trade ids removed`);
+    const firstInsert = await storeTrades('ETHUSDT', trades);
+    const secondInsert = await storeTrades('ETHUSDT', [...trades, { id: 3, price: 102, quantity: 1, timestamp: minute + 3000, isBuyerMaker: true }]);
+    console.log(`${firstInsert === 2 && secondInsert === 1 && collections.aggTrades.length === 3 ? '✅' : '❌'} Stored trades skipped on re-insert (${firstInsert} then ${secondInsert})`);
+    console.log(`${await getStoredTrades('ETHUSDT', minute, minute + 59999) === null ? '✅' : '❌'} Trades without coverage are not served`);
+
+    // 3. Coverage
+    console.log('\n📏 Coverage');
+    await storeTrades('ETHUSDT', [], { startTime: minute, endTime: minute + 29999 });
+    await storeTrades('ETHUSDT', [], { startTime: minute + 30000, endTime: minute + 59999 });
+    const ethCoverage = collections.aggTradeCoverage.filter(range => range.symbol === 'ETHUSDT');
+    console.log(`${ethCoverage.length === 1 && ethCoverage[0].start.getTime() === minute && ethCoverage[0].end.getTime() === minute + 59999 ? '✅' : '❌'} Adjacent ranges merged into one`);
+    const ethTrades = await getStoredTrades('ETHUSDT', minute, minute + 59999);
+    console.log(`${ethTrades && ethTrades.map(trade => trade.id).join() === '1,2,3' && ethTrades[0].timestamp === minute + 1000 ? '✅' : '❌'} Covered range served oldest first in the trade format`);
+    console.log(`${await getStoredTrades('ETHUSDT', minute, minute + 60000) === null ? '✅' : '❌'} Range reaching past the coverage is not served`);
+
+    // 4. REST fetch fills the store
+    console.log('\n🌐 REST responses');
+    const requests = useFakeExchange();
+    const fifteen = await fetchReversalCandleTickData('BTCUSDT', minute, minute + 15 * 60000 - 1, '15m');
+    const requestsAfterFifteen = requests.length;
+    console.log(`${fifteen.success && fifteen.tradesCount === 90 && fifteen.tradeSource === 'exchange' && requestsAfterFifteen === 1 ? '✅' : '❌'} 15m candle fetched from the exchange (${requestsAfterFifteen} request)`);
+
+    const five = await fetchReversalCandleTickData('BTCUSDT', minute + 5 * 60000, minute + 10 * 60000 - 1, '5m');
+    console.log(`${five.tradeSource === 'trade_store' && five.tradesCount === 30 && requests.length === requestsAfterFifteen ? '✅' : '❌'} Overlapping 5m candle served from the store with no request (${five.tradesCount} trades)`);
+
+    const again = await fetchReversalCandleTickData('BTCUSDT', minute, minute + 15 * 60000 - 1, '15m');
+    console.log(`${again.tradeSource === 'trade_store' && again.trades.map(trade => trade.id).join() === fifteen.trades.map(trade => trade.id).join() ? '✅' : '❌'} Recomputing the 15m footprint gives the same trades offline`);
+
+    // 5. Live stream fills the store
+    console.log('\n📡 Live stream');
+    const collector = new WebSocketTickCollector({ exchange: 'binance' });
+    const streamStart = minute + 20 * 60000;
+    collector.activeCandles.set('SOLUSDT', { startTime: streamStart, endTime: streamStart + 59999, interval: '1m', trades: [], collectionStarted: new Date(), streamingSince: null, interrupted: false });
+    [0, 1, 2].forEach(i => collector.handleMessage(JSON.stringify({ e: 'aggTrade', s: 'SOLUSDT', a: 500 + i, p: '20.5', q: '3', T: streamStart + i * 20000, m: false, f: 1, l: 1 })));
+    await collector.finalizeCandleCollection('SOLUSDT');
+    const streamed = await getStoredTrades('SOLUSDT', streamStart, streamStart + 59999);
+    console.log(`${streamed && streamed.length === 3 ? '✅' : '❌'} Streamed candle kept with its coverage (${streamed ? streamed.length : 0} trades)`);
+
+    const interrupted = new WebSocketTickCollector({ exchange: 'binance' });
+    const gapStart = streamStart + 60000;
+    interrupted.activeCandles.set('SOLUSDT', { startTime: gapStart, endTime: gapStart + 59999, interval: '1m', trades: [], collectionStarted: new Date(), streamingSince: null, interrupted: false });
+    interrupted.handleMessage(JSON.stringify({ e: 'aggTrade', s: 'SOLUSDT', a: 600, p: '20.6', q: '1', T: gapStart + 1000, m: true, f: 1, l: 1 }));
+    interrupted.activeCandles.get('SOLUSDT').interrupted = true;
+    await interrupted.finalizeCandleCollection('SOLUSDT');
+    const afterGap = await getStoredTrades('SOLUSDT', gapStart, gapStart + 59999);
+    console.log(`${afterGap === null && collections.aggTrades.some(trade => trade.id === 600) ? '✅' : '❌'} Candle with a disconnect stored without coverage`);
+
+    global.fetch = realFetch;
+    initializeTradeStore(null);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Test Trend Context Filter
+ * Builds falling, rising and sideways candle series and checks which
+ * reversal directions they support
+ */
+
+const { calculateTrendContext, evaluateTrendContext } = require('./utils/trendContextFilter');
+
+console.log('🧪 Testing Trend Context Filter');
+console.log('===============================\n');
+
+/**
+ * Build a candle series moving `step` per candle with a little noise
+ */
+function buildSeries(count, start, step) {
+    const candles = [];
+    let price = start;
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        const close = price + step + (i % 3 === 0 ? -step * 0.3 : 0);
+        candles.push({
+            open,
+            close,
+            high: Math.max(open, close) + Math.abs(step) * 0.2,
+            low: Math.min(open, close) - Math.abs(step) * 0.2
+        });
+        price = close;
+    }
+    return candles;
+}
+
+const settings = { lookback: 10, minNetMovePercent: 0.5, minStructureRatio: 0.4, maPeriod: 20, minMaDistancePercent: 0 };
+
+const scenarios = [
+    { name: 'Decline into buy reversal', candles: buildSeries(20, 100, -0.2), direction: 'buy', expected: true },
+    { name: 'Rally into sell reversal', candles: buildSeries(20, 100, 0.2), direction: 'sell', expected: true },
+    { name: 'Rally into buy reversal', candles: buildSeries(20, 100, 0.2), direction: 'buy', expected: false },
+    { name: 'Sideways into sell reversal', candles: buildSeries(20, 100, 0.001), direction: 'sell', expected: false },
+    { name: 'Only 5 candles of history', candles: buildSeries(5, 100, 0.2), direction: 'buy', expected: true }
+];
+
+scenarios.forEach(scenario => {
+    const metrics = calculateTrendContext(scenario.candles, settings);
+    const evaluation = evaluateTrendContext(scenario.direction, metrics, settings);
+    const passed = evaluation.passed === scenario.expected;
+
+    console.log(`${passed ? '✅' : '❌'} ${scenario.name}: ${evaluation.passed ? 'counts' : 'filtered'} - ${evaluation.reason}`);
+    console.log(`   Net move: ${metrics.netMovePercent}%, lower lows: ${metrics.lowerLows}, higher highs: ${metrics.higherHighs}, MA distance: ${metrics.maDistancePercent}%`);
+});
+
+console.log('\n🎉 All tests completed!');
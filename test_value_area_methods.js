@@ -0,0 +1,57 @@
+/**
+ * Test Value Area Methods
+ * top_volume vs single / two-level expansion from the POC, configurable
+ * value area percentage and the valueAreaMethod validation rule
+ */
+
+const { calculateVolumeFootprint, VALUE_AREA_METHODS } = require('./utils/volumeFootprintCalculator');
+const { normalizeValidationRules, DEFAULT_VALIDATION_RULES } = require('./utils/tradeSignalValidator');
+
+console.log('🧪 Testing Value Area Methods');
+console.log('=============================\n');
+
+// POC 103 with a high-volume level on each side further out
+const levels = [[100, 10], [101, 30], [102, 5], [103, 40], [104, 8], [105, 2], [106, 25]];
+const trades = levels.map(([price, quantity]) => ({ price, quantity, timestamp: 0 }));
+
+const expectations = {
+    top_volume: { val: 101, vah: 106, valueAreaVolume: 95 },
+    adjacent_single: { val: 100, vah: 104, valueAreaVolume: 93 },
+    adjacent_pair: { val: 100, vah: 105, valueAreaVolume: 95 }
+};
+
+// 1. Each method on the same profile (70% of 120 = 84)
+VALUE_AREA_METHODS.forEach(method => {
+    const footprint = calculateVolumeFootprint(trades, 1, 70, method);
+    const expected = expectations[method];
+    const passed = footprint.poc === 103
+        && footprint.val === expected.val
+        && footprint.vah === expected.vah
+        && footprint.valueAreaVolume === expected.valueAreaVolume
+        && footprint.valueAreaMethod === method;
+    console.log(`${passed ? '✅' : '❌'} ${method}: VA ${footprint.val}-${footprint.vah} with ${footprint.valueAreaVolume} volume`);
+});
+
+const byDefault = calculateVolumeFootprint(trades, 1);
+console.log(`${byDefault.valueAreaMethod === 'top_volume' && byDefault.vah === 106 ? '✅' : '❌'} Default method is top_volume`);
+
+// 2. Percentage
+const narrow = calculateVolumeFootprint(trades, 1, 50, 'adjacent_single');
+const wide = calculateVolumeFootprint(trades, 1, 90, 'adjacent_single');
+console.log(`\n${narrow.val === 101 && narrow.vah === 104 ? '✅' : '❌'} 50%: VA ${narrow.val}-${narrow.vah}`);
+console.log(`${wide.val === 100 && wide.vah === 106 ? '✅' : '❌'} 90%: VA ${wide.val}-${wide.vah}`);
+
+const single = calculateVolumeFootprint([{ price: 50, quantity: 3, timestamp: 0 }], 1, 70, 'adjacent_pair');
+console.log(`${single.val === 50 && single.vah === 50 && single.valueAreaVolume === 3 ? '✅' : '❌'} Single level profile`);
+
+// 3. Validation rule
+console.log('\n🚦 Validation rules');
+console.log(`${DEFAULT_VALIDATION_RULES.valueAreaMethod === 'top_volume' ? '✅' : '❌'} Default rule keeps top_volume`);
+
+const normalized = normalizeValidationRules({ valueAreaMethod: 'adjacent_pair', valueAreaPercent: '68' });
+console.log(`${normalized.errors.length === 0 && normalized.validationRules.valueAreaMethod === 'adjacent_pair' && normalized.validationRules.valueAreaPercent === 68 ? '✅' : '❌'} adjacent_pair at 68% accepted`);
+
+const invalid = normalizeValidationRules({ valueAreaMethod: 'tpo' });
+console.log(`${invalid.errors.length === 1 && invalid.validationRules.valueAreaMethod === undefined ? '✅' : '❌'} Unknown method rejected: ${invalid.errors[0]}`);
+
+console.log('\n🎉 All tests completed!');
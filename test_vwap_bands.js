@@ -0,0 +1,172 @@
+/**
+ * Test VWAP & Deviation Bands
+ * Running sums per day/session, per-candle updates with catch-up, σ distance
+ * of a signal and the requireVwapSide validation rule
+ */
+
+// Candles are read through the candle store; here they are plain documents in the
+// fake client's candleData collection (the bucket layout is tested in test_candle_store.js).
+// Stubbed before the readers below destructure it from the module
+const candleStore = require('./utils/candleStore');
+candleStore.getCandleCollection = db => db.collection('candleData');
+
+const {
+    addCandlesToVwap,
+    summarizeVwap,
+    updateVwapWithCandle,
+    getVwapContext,
+    buildVwapFromCandles
+} = require('./utils/vwapBands');
+const { validateTradeSignal, normalizeValidationRules } = require('./utils/tradeSignalValidator');
+
+console.log('🧪 Testing VWAP & Deviation Bands');
+console.log('=================================\n');
+
+const HOUR = 60 * 60 * 1000;
+const day1 = Date.UTC(2025, 0, 1);
+
+// Minimal in-memory MongoDB: equality/$gte/$lte queries, $inc/$max/$set/$setOnInsert updates
+function createFakeClient(collections) {
+    const valueOf = value => (value instanceof Date ? value.getTime() : value);
+    const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(doc[key]);
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            return (condition.$gte === undefined || value >= valueOf(condition.$gte))
+                && (condition.$lte === undefined || value <= valueOf(condition.$lte));
+        }
+        return value === valueOf(condition);
+    });
+    const sortDocs = (docs, sort = {}) => {
+        const [[key, direction] = []] = Object.entries(sort);
+        return key ? docs.slice().sort((a, b) => direction * (valueOf(a[key]) - valueOf(b[key]))) : docs;
+    };
+
+    return {
+        db: () => ({
+            collection: (name) => {
+                const docs = collections[name] = collections[name] || [];
+                return {
+                    findOne: async (query) => docs.find(doc => matches(doc, query)) || null,
+                    find: (query) => {
+                        let result = docs.filter(doc => matches(doc, query));
+                        const cursor = {
+                            sort: (sort) => { result = sortDocs(result, sort); return cursor; },
+                            skip: (n) => { result = result.slice(n); return cursor; },
+                            limit: (n) => { result = result.slice(0, n); return cursor; },
+                            toArray: async () => result
+                        };
+                        return cursor;
+                    },
+                    updateOne: async (query, update, options = {}) => {
+                        let doc = docs.find(d => matches(d, query));
+                        if (!doc) {
+                            if (!options.upsert) return { matchedCount: 0 };
+                            doc = { ...query, ...update.$setOnInsert };
+                            docs.push(doc);
+                        }
+                        Object.entries(update.$inc || {}).forEach(([key, amount]) => { doc[key] = (doc[key] || 0) + amount; });
+                        Object.entries(update.$max || {}).forEach(([key, value]) => {
+                            if (doc[key] === undefined || valueOf(value) > valueOf(doc[key])) doc[key] = value;
+                        });
+                        Object.assign(doc, update.$set || {});
+                        return { matchedCount: 1 };
+                    }
+                };
+            }
+        })
+    };
+}
+
+// Flat candle: typical price = price
+const minute = (time, price, volume) => ({
+    symbol: 'TESTUSDT',
+    interval: '1m',
+    openTime: new Date(time),
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume
+});
+
+// 1. Running sums
+const sums = addCandlesToVwap({}, [minute(0, 100, 1), minute(60000, 102, 1)]);
+const summary = summarizeVwap(sums, 'TESTUSDT');
+console.log(`${summary.vwap === 101 && summary.stdDev === 1 && summary.upperBand2 === 103 && summary.lowerBand1 === 100 ? '✅' : '❌'} VWAP ${summary.vwap}, σ ${summary.stdDev}, bands ${summary.lowerBand2}/${summary.lowerBand1}/${summary.upperBand1}/${summary.upperBand2}`);
+
+const typical = summarizeVwap(addCandlesToVwap({}, [{ high: 103, low: 97, close: 100, volume: 5 }]), 'TESTUSDT');
+console.log(`${typical.vwap === 100 && typical.stdDev === 0 ? '✅' : '❌'} Typical price (H+L+C)/3`);
+console.log(`${summarizeVwap({ volume: 0 }, 'TESTUSDT') === null ? '✅' : '❌'} No volume -> null`);
+
+async function runTests() {
+    const collections = { candleData: [] };
+    const client = createFakeClient(collections);
+    const store = (candle) => {
+        collections.candleData.push(candle);
+        return candle;
+    };
+
+    // 2. Per-candle updates (07:58 is in the day, Asia and London periods)
+    console.log('\n🕯️ Per-candle updates');
+    const c1 = store(minute(day1 + 7 * HOUR + 58 * 60000, 100, 10));
+    const updated = await updateVwapWithCandle(client, 'test', c1);
+    await updateVwapWithCandle(client, 'test', store(minute(day1 + 7 * HOUR + 59 * 60000, 102, 10)));
+    const dayVwap = collections.vwaps.find(v => v.type === 'day');
+    console.log(`${updated === 3 && collections.vwaps.length === 3 ? '✅' : '❌'} Day, Asia and London VWAPs created`);
+    console.log(`${dayVwap.vwap === 101 && dayVwap.stdDev === 1 && dayVwap.candlesProcessed === 2 ? '✅' : '❌'} Day VWAP ${dayVwap.vwap} ± ${dayVwap.stdDev}`);
+
+    const repeat = await updateVwapWithCandle(client, 'test', c1);
+    console.log(`${repeat === 0 && dayVwap.volume === 20 ? '✅' : '❌'} A candle already counted is ignored`);
+
+    // 08:00 stored but missed, 08:01 catches it up (Asia ended at 08:00)
+    store(minute(day1 + 8 * HOUR, 104, 10));
+    const afterGap = await updateVwapWithCandle(client, 'test', store(minute(day1 + 8 * HOUR + 60000, 104, 10)));
+    const asia = collections.vwaps.find(v => v.type === 'asia');
+    console.log(`${afterGap === 2 && dayVwap.candlesProcessed === 4 && dayVwap.vwap === 102.5 && asia.candlesProcessed === 2 ? '✅' : '❌'} Missed minute caught up from candleData: day VWAP ${dayVwap.vwap}, Asia untouched`);
+
+    // 3. Signal context
+    console.log('\n📏 Signal distance');
+    const closeTime = day1 + 8 * HOUR + 2 * 60000 - 1;
+    const context = await getVwapContext(client, 'test', 'TESTUSDT', 100.3, closeTime);
+    console.log(`${context.day.vwap === 102.5 && context.day.distanceSigma < -1 && context.session.type === 'london' ? '✅' : '❌'} Close 100.3 is ${context.day.distanceSigma}σ from the day VWAP; session = ${context.session.type}`);
+
+    const fromCandles = buildVwapFromCandles(collections.candleData, 'TESTUSDT', 100.3, closeTime + 1);
+    console.log(`${fromCandles.day.vwap === context.day.vwap && fromCandles.day.distanceSigma === context.day.distanceSigma ? '✅' : '❌'} Backtest VWAP from candles matches the stored one`);
+
+    const late = await getVwapContext(client, 'test', 'TESTUSDT', 100, day1 + 23 * HOUR);
+    console.log(`${late.day && late.session === null ? '✅' : '❌'} No session after 22:00 UTC`);
+
+    // 4. Validation rule
+    console.log('\n🚦 Validation');
+    const buyCandle = { open: 100.6, high: 100.8, low: 99.7, close: 100.7 };
+    const footprint = { poc: 99.9, vah: 100.3, val: 99.7, vwap: { day: { vwap: 101, distanceSigma: -1.2 }, session: { vwap: 100.5, distanceSigma: 0.4 } } };
+    const rules = { requirePocInTail: true, requireVwapSide: true, vwapAnchor: 'day' };
+
+    const belowDay = validateTradeSignal(buyCandle, footprint, 'buy_reversal', rules);
+    const aboveSession = validateTradeSignal(buyCandle, footprint, 'buy_reversal', { ...rules, vwapAnchor: 'session' });
+    console.log(`${belowDay.isValidSignal && belowDay.criteria.belowVwap ? '✅' : '❌'} Buy below the day VWAP passes`);
+    console.log(`${!aboveSession.isValidSignal && aboveSession.criteria.belowVwap === false ? '✅' : '❌'} Buy above the session VWAP fails`);
+
+    const noVwap = validateTradeSignal(buyCandle, { ...footprint, vwap: null }, 'buy_reversal', rules);
+    const ruleOff = validateTradeSignal(buyCandle, { ...footprint, vwap: null }, 'buy_reversal', { requirePocInTail: true });
+    console.log(`${!noVwap.isValidSignal && ruleOff.isValidSignal ? '✅' : '❌'} Missing VWAP fails only when the rule is on`);
+
+    const sell = validateTradeSignal(
+        { open: 99.4, high: 100.3, low: 99.2, close: 99.3 },
+        { poc: 100.1, vah: 100.3, val: 99.7, vwap: { day: { vwap: 99 } } },
+        'sell_reversal',
+        rules
+    );
+    console.log(`${sell.isValidSignal && sell.criteria.aboveVwap ? '✅' : '❌'} Sell above the day VWAP passes`);
+
+    const normalized = normalizeValidationRules({ requireVwapSide: 'true', vwapAnchor: 'session' });
+    const invalid = normalizeValidationRules({ vwapAnchor: 'week' });
+    console.log(`${normalized.validationRules.requireVwapSide === true && normalized.validationRules.vwapAnchor === 'session' && invalid.errors.length === 1 ? '✅' : '❌'} Rule normalization: ${invalid.errors[0]}`);
+
+    console.log('\n🎉 All tests completed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
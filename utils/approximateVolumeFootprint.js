@@ -0,0 +1,209 @@
+/**
+ * Approximate Volume Footprint
+ * Degraded mode for when the aggTrades of a reversal can't be fetched
+ * (IP ban, API errors): the profile is built from the constituent 1m candles instead.
+ *
+ * Each minute's volume is spread evenly across its high-low range; its taker-buy
+ * volume becomes buy volume and the remainder sell volume. The profile goes
+ * through the same validateTradeSignal criteria as a tick footprint and both the
+ * footprint and the signal are flagged `approximate`, so the footprint upgrade job
+ * can replace them once ticks are available.
+ */
+
+const { getCandleData } = require('../models/database');
+const { calculateVolumeFootprint, getTickSize, getBinSize, DEFAULT_VALUE_AREA_METHOD } = require('./volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { validateTradeSignal } = require('./tradeSignalValidator');
+
+// Price levels across the range of the candles (tick size when the range is small)
+const APPROXIMATE_PROFILE_BINS = 100;
+
+/**
+ * Bin size for a profile over a price range: a multiple of the tick size giving
+ * at most `bins` levels
+ * @param {string} symbol - Trading symbol
+ * @param {number} high - Range high
+ * @param {number} low - Range low
+ * @param {number} bins - Maximum number of levels
+ * @returns {number} Bin size
+ */
+function getProfileBinSize(symbol, high, low, bins) {
+    return getBinSize(getTickSize(symbol, high), high, low, { mode: 'row_count', rows: bins }).binSize;
+}
+
+/**
+ * Spread each candle's volume evenly over its range as pseudo trades
+ * Taker-buy volume becomes buyer-initiated trades (isBuyerMaker false) and the
+ * rest seller-initiated; candles without taker-buy volume get unsided trades
+ * @param {Array} candles - 1m candles (high, low, volume, takerBuyBaseAssetVolume)
+ * @param {number} binSize - Price step between pseudo trades
+ * @returns {Array} Pseudo trades { price, quantity, isBuyerMaker }
+ */
+function spreadCandleVolume(candles, binSize) {
+    const pseudoTrades = [];
+
+    candles.forEach(candle => {
+        if (!(candle.volume > 0) || !(candle.high >= candle.low)) {
+            return;
+        }
+
+        const steps = Math.max(1, Math.round((candle.high - candle.low) / binSize));
+        const levels = steps + 1;
+        const hasTakerBuy = typeof candle.takerBuyBaseAssetVolume === 'number' && !isNaN(candle.takerBuyBaseAssetVolume);
+        const buyVolume = hasTakerBuy ? Math.min(candle.takerBuyBaseAssetVolume, candle.volume) : 0;
+        const sellVolume = candle.volume - buyVolume;
+
+        for (let i = 0; i <= steps; i++) {
+            const price = candle.low + ((candle.high - candle.low) * i) / steps;
+
+            if (!hasTakerBuy) {
+                pseudoTrades.push({ price, quantity: candle.volume / levels });
+                continue;
+            }
+
+            if (buyVolume > 0) {
+                pseudoTrades.push({ price, quantity: buyVolume / levels, isBuyerMaker: false });
+            }
+            if (sellVolume > 0) {
+                pseudoTrades.push({ price, quantity: sellVolume / levels, isBuyerMaker: true });
+            }
+        }
+    });
+
+    return pseudoTrades;
+}
+
+/**
+ * Approximate volume footprint from 1m candles
+ * @param {Array} candles - 1m candles covering the reversal
+ * @param {string} symbol - Trading symbol
+ * @param {number} [valueAreaPercent=70] - Share of volume inside the value area
+ * @param {number} [bins=APPROXIMATE_PROFILE_BINS] - Maximum number of price levels
+ * @returns {Object} Footprint like calculateReversalVolumeFootprint (binning is always
+ *   row_count) plus { approximate, buyVolume, sellVolume, candlesProcessed }, or { error }
+ */
+function calculateApproximateVolumeFootprint(candles, symbol, valueAreaPercent = 70, bins = APPROXIMATE_PROFILE_BINS, valueAreaMethod = DEFAULT_VALUE_AREA_METHOD) {
+    const usable = (candles || []).filter(candle => candle.volume > 0 && candle.high >= candle.low);
+
+    if (usable.length === 0) {
+        return {
+            poc: null,
+            vah: null,
+            val: null,
+            totalVolume: 0,
+            valueAreaVolume: 0,
+            error: 'No 1m candles with volume available',
+            symbol: symbol,
+            candlesProcessed: 0
+        };
+    }
+
+    const high = Math.max(...usable.map(candle => candle.high));
+    const low = Math.min(...usable.map(candle => candle.low));
+    const binning = getBinSize(getTickSize(symbol, high), high, low, { mode: 'row_count', rows: bins });
+    const pseudoTrades = spreadCandleVolume(usable, binning.binSize);
+
+    const footprint = calculateVolumeFootprint(pseudoTrades, binning.binSize, valueAreaPercent, valueAreaMethod);
+    const buyVolume = pseudoTrades.filter(trade => trade.isBuyerMaker === false).reduce((sum, trade) => sum + trade.quantity, 0);
+    const sellVolume = pseudoTrades.filter(trade => trade.isBuyerMaker === true).reduce((sum, trade) => sum + trade.quantity, 0);
+
+    return {
+        ...footprint,
+        binning,
+        symbol: symbol,
+        approximate: true,
+        buyVolume: Math.round(buyVolume * 100) / 100,
+        sellVolume: Math.round(sellVolume * 100) / 100,
+        candlesProcessed: usable.length,
+        calculatedAt: new Date()
+    };
+}
+
+/**
+ * Build an approximate footprint and trade signal for a reversal whose ticks
+ * couldn't be fetched, and set them on reversalData
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} reversalData - Reversal about to be saved (symbol, interval, candleData)
+ * @param {Object} options - { patternType, openTime, closeTime, validationRules, reason, compositeProfile, vwap }
+ *   openTime/closeTime in ms cover the whole pattern; reason says why ticks were unavailable
+ * @returns {Promise<boolean>} True when an approximate footprint was built
+ */
+async function applyApproximateFootprint(client, dbName, reversalData, options) {
+    const { patternType, openTime, closeTime, validationRules, reason, compositeProfile = null, vwap = null } = options;
+    const minutes = Math.ceil((closeTime - openTime) / 60000);
+
+    const candles = await getCandleData(
+        client, dbName, reversalData.symbol, '1m', minutes + 1, 0,
+        new Date(openTime), new Date(closeTime)
+    );
+
+    const volumeFootprint = calculateApproximateVolumeFootprint(
+        candles.filter(candle => new Date(candle.openTime).getTime() < closeTime),
+        reversalData.symbol,
+        validationRules.valueAreaPercent,
+        undefined,
+        validationRules.valueAreaMethod
+    );
+
+    if (volumeFootprint.error) {
+        reversalData.tradeSignal = {
+            isValidSignal: false,
+            signalType: null,
+            reason: `No footprint: ${reason}; ${volumeFootprint.error}`,
+            score: 0,
+            criteria: {},
+            validatedAt: new Date(),
+            approximate: true
+        };
+        return false;
+    }
+
+    reversalData.volumeFootprint = {
+        poc: volumeFootprint.poc,
+        vah: volumeFootprint.vah,
+        val: volumeFootprint.val,
+        totalVolume: volumeFootprint.totalVolume,
+        valueAreaVolume: volumeFootprint.valueAreaVolume,
+        valueAreaPercentage: volumeFootprint.valueAreaPercentage,
+        valueAreaMethod: volumeFootprint.valueAreaMethod,
+        binning: volumeFootprint.binning,
+        buyVolume: volumeFootprint.buyVolume,
+        sellVolume: volumeFootprint.sellVolume,
+        tickDataSource: 'approximate_1m',
+        approximate: true,
+        approximateReason: reason,
+        calculatedAt: new Date(),
+        candlesProcessed: volumeFootprint.candlesProcessed,
+        orderFlow: analyzeOrderFlow(volumeFootprint, reversalData.candleData, validationRules),
+        compositeProfile,
+        vwap
+    };
+
+    const tradeSignalValidation = validateTradeSignal(
+        reversalData.candleData,
+        reversalData.volumeFootprint,
+        patternType,
+        validationRules
+    );
+
+    reversalData.tradeSignal = {
+        isValidSignal: tradeSignalValidation.isValidSignal,
+        signalType: tradeSignalValidation.signalType,
+        reason: `${tradeSignalValidation.reason} (approximate profile from ${volumeFootprint.candlesProcessed} 1m candles)`,
+        score: tradeSignalValidation.score || 0,
+        criteria: tradeSignalValidation.criteria,
+        validatedAt: new Date(),
+        approximate: true
+    };
+
+    return true;
+}
+
+module.exports = {
+    APPROXIMATE_PROFILE_BINS,
+    getProfileBinSize,
+    spreadCandleVolume,
+    calculateApproximateVolumeFootprint,
+    applyApproximateFootprint
+};
@@ -4,7 +4,9 @@
  */
 
 const { fetchReversalCandleTickData, isHistoricalDataAvailable } = require('./fetchHistoricalTickData');
-const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
+const { calculateReversalVolumeFootprint, getReversalBinning } = require('./volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { DEFAULT_VALIDATION_RULES } = require('./tradeSignalValidator');
 
 /**
  * Backfill volume footprints for existing reversal candles
@@ -142,12 +144,20 @@ async function backfillVolumeFootprints(client, dbName, options = {}) {
                         continue;
                     }
 
-                    // Calculate volume footprint
+                    // Calculate volume footprint with the value area and binning rules of the candle's profile
+                    const validationRules = {
+                        ...DEFAULT_VALIDATION_RULES,
+                        ...(candle.detectionProfile && candle.detectionProfile.validationRules)
+                    };
+                    const binning = await getReversalBinning(client, dbName, candle.symbol, candle.interval, openTime, validationRules);
                     const volumeFootprint = calculateReversalVolumeFootprint(
                         tickDataResult.trades,
                         candle.symbol,
                         openTime,
-                        closeTime
+                        closeTime,
+                        validationRules.valueAreaPercent,
+                        validationRules.valueAreaMethod,
+                        binning
                     );
 
                     if (volumeFootprint.error) {
@@ -173,10 +183,13 @@ async function backfillVolumeFootprints(client, dbName, options = {}) {
                                         totalVolume: volumeFootprint.totalVolume,
                                         valueAreaVolume: volumeFootprint.valueAreaVolume,
                                         valueAreaPercentage: volumeFootprint.valueAreaPercentage,
+                                        valueAreaMethod: volumeFootprint.valueAreaMethod,
+                                        binning: volumeFootprint.binning,
                                         tickDataSource: 'historical',
                                         calculatedAt: new Date(),
                                         tradesProcessed: volumeFootprint.tradesProcessed,
-                                        executionTime: tickDataResult.executionTime
+                                        executionTime: tickDataResult.executionTime,
+                                        orderFlow: analyzeOrderFlow(volumeFootprint, candle.candleData, validationRules)
                                     }
                                 }
                             }
@@ -0,0 +1,295 @@
+/**
+ * Backtest Data Loader
+ * Reads 1-minute candles and aggregate trades for offline backtests, either
+ * from candleData or from files exported from Binance (data.binance.vision):
+ *
+ * - Kline CSV:    open_time,open,high,low,close,volume,close_time,quote_volume,count,
+ *                 taker_buy_volume,taker_buy_quote_volume,ignore
+ * - aggTrades CSV: agg_trade_id,price,quantity,first_trade_id,last_trade_id,transact_time,is_buyer_maker
+ * - JSON:         an array of candle documents / trade objects in our own format
+ *
+ * Header rows are skipped. Never calls the Binance API.
+ *
+ * Files are only read from the backtest data directory (BACKTEST_DATA_DIR,
+ * default ./data); relative paths are taken from it and paths that resolve
+ * outside it - symlinks included - are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getCandleCollection } = require('./candleStore');
+
+/**
+ * A problem with the backtest input (unknown profile, missing or invalid data file)
+ * Its message only repeats what the request gave, so it can be stored on the report.
+ */
+class BacktestInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BacktestInputError';
+    }
+}
+
+/**
+ * Directory backtest data files are read from
+ * @returns {string} Absolute path of BACKTEST_DATA_DIR (default ./data)
+ */
+function getBacktestDataDir() {
+    return path.resolve(process.env.BACKTEST_DATA_DIR || 'data');
+}
+
+/**
+ * Is target strictly inside dir?
+ */
+function isInsideDirectory(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve a data file path against the data directory
+ * @param {string} filePath - Path relative to the data directory, or absolute inside it
+ * @returns {string|null} Absolute path, or null when it isn't inside the data directory
+ */
+function resolveDataPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath.trim()) {
+        return null;
+    }
+
+    const dataDir = getBacktestDataDir();
+    const resolved = path.resolve(dataDir, filePath);
+
+    return isInsideDirectory(dataDir, resolved) ? resolved : null;
+}
+
+/**
+ * Resolve a data file to its real path, following symlinks
+ * @param {string} filePath - Path as given in the config
+ * @returns {Promise<string>} Real path inside the data directory
+ * @throws {BacktestInputError} When the file is outside the data directory or missing
+ */
+async function resolveDataFile(filePath) {
+    const resolved = resolveDataPath(filePath);
+
+    if (!resolved) {
+        throw new BacktestInputError(`Data file "${filePath}" is outside the backtest data directory`);
+    }
+
+    let dataDir;
+    let realPath;
+    try {
+        dataDir = await fs.promises.realpath(getBacktestDataDir());
+        realPath = await fs.promises.realpath(resolved);
+    } catch (error) {
+        throw new BacktestInputError(`Data file "${filePath}" can't be read`);
+    }
+
+    if (!isInsideDirectory(dataDir, realPath)) {
+        throw new BacktestInputError(`Data file "${filePath}" is outside the backtest data directory`);
+    }
+
+    return realPath;
+}
+
+/**
+ * Read a JSON data file; parse errors aren't passed on as they quote the file
+ * @param {string} filePath - Path as given in the config
+ * @returns {Promise<*>} Parsed content
+ */
+async function readJsonDataFile(filePath) {
+    const realPath = await resolveDataFile(filePath);
+
+    try {
+        return JSON.parse(await fs.promises.readFile(realPath, 'utf8'));
+    } catch (error) {
+        throw new BacktestInputError(`Data file "${filePath}" is not valid JSON`);
+    }
+}
+
+/**
+ * Normalize a timestamp that may be in microseconds (newer Binance dumps) to milliseconds
+ */
+function toMilliseconds(value) {
+    const timestamp = Number(value);
+    return timestamp > 1e14 ? Math.floor(timestamp / 1000) : timestamp;
+}
+
+/**
+ * Read a file line by line, skipping empty lines and header rows
+ * @param {string} filePath - CSV file path
+ * @param {Function} onRow - Called with the split columns of each data row
+ */
+async function readCsvRows(filePath, onRow) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(await resolveDataFile(filePath)),
+        crlfDelay: Infinity
+    });
+
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            const columns = line.split(',');
+
+            // Header rows start with a column name instead of a number
+            if (isNaN(Number(columns[0]))) {
+                continue;
+            }
+
+            onRow(columns);
+        }
+    } catch (error) {
+        throw new BacktestInputError(`Data file "${filePath}" can't be read`);
+    }
+}
+
+/**
+ * Convert a kline CSV row to a candleData document
+ */
+function parseKlineRow(columns, symbol) {
+    return {
+        symbol,
+        interval: '1m',
+        openTime: new Date(toMilliseconds(columns[0])),
+        closeTime: new Date(toMilliseconds(columns[6])),
+        open: parseFloat(columns[1]),
+        high: parseFloat(columns[2]),
+        low: parseFloat(columns[3]),
+        close: parseFloat(columns[4]),
+        volume: parseFloat(columns[5]),
+        quoteAssetVolume: parseFloat(columns[7]),
+        numberOfTrades: parseInt(columns[8], 10),
+        takerBuyBaseAssetVolume: parseFloat(columns[9]),
+        takerBuyQuoteAssetVolume: parseFloat(columns[10])
+    };
+}
+
+/**
+ * Convert an aggTrades CSV row to the trade format used by the footprint calculator
+ */
+function parseAggTradeRow(columns) {
+    return {
+        id: parseInt(columns[0], 10),
+        price: parseFloat(columns[1]),
+        quantity: parseFloat(columns[2]),
+        firstTradeId: parseInt(columns[3], 10),
+        lastTradeId: parseInt(columns[4], 10),
+        timestamp: toMilliseconds(columns[5]),
+        isBuyerMaker: columns[6].trim().toLowerCase() === 'true'
+    };
+}
+
+/**
+ * Load 1-minute candles from kline CSV or JSON files
+ * @param {Array<string>} filePaths - Files for one symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (exclusive)
+ * @returns {Promise<Array>} Candles sorted by openTime, duplicates removed
+ */
+async function loadCandlesFromFiles(filePaths, symbol, startDate, endDate) {
+    const candlesByOpenTime = new Map();
+
+    const addCandle = (candle) => {
+        if (candle.openTime >= startDate && candle.openTime < endDate) {
+            candlesByOpenTime.set(candle.openTime.getTime(), candle);
+        }
+    };
+
+    for (const filePath of filePaths) {
+        if (filePath.endsWith('.json')) {
+            const candles = await readJsonDataFile(filePath);
+            candles.forEach(candle => addCandle({
+                ...candle,
+                symbol,
+                interval: '1m',
+                openTime: new Date(candle.openTime),
+                closeTime: new Date(candle.closeTime)
+            }));
+        } else {
+            await readCsvRows(filePath, columns => addCandle(parseKlineRow(columns, symbol)));
+        }
+    }
+
+    return [...candlesByOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+}
+
+/**
+ * Load 1-minute candles for a symbol from the candle store
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (exclusive)
+ * @returns {Promise<Array>} Candles sorted by openTime
+ */
+async function loadCandlesFromDatabase(client, dbName, symbol, startDate, endDate) {
+    return getCandleCollection(client.db(dbName))
+        .find({
+            symbol,
+            interval: '1m',
+            openTime: { $gte: startDate, $lt: endDate }
+        })
+        .sort({ openTime: 1 })
+        .toArray();
+}
+
+/**
+ * Stream trades from aggTrades files and hand each trade to every window it falls in.
+ * Only trades inside a window are kept in memory, so month-long files are fine.
+ * Files must be in chronological order and trades sorted within each file.
+ * @param {Array<string>} filePaths - aggTrades files for one symbol
+ * @param {Array<Object>} windows - Objects with { startTime, endTime } in ms; a `trades` array is filled in
+ * @returns {Promise<number>} Number of trades assigned
+ */
+async function collectTradesForWindows(filePaths, windows) {
+    const sorted = [...windows].sort((a, b) => a.startTime - b.startTime);
+    sorted.forEach(window => {
+        window.trades = [];
+    });
+
+    let nextWindow = 0;
+    let active = [];
+    let assigned = 0;
+
+    const assign = (trade) => {
+        while (nextWindow < sorted.length && sorted[nextWindow].startTime <= trade.timestamp) {
+            active.push(sorted[nextWindow]);
+            nextWindow++;
+        }
+
+        active = active.filter(window => window.endTime >= trade.timestamp);
+
+        for (const window of active) {
+            window.trades.push(trade);
+            assigned++;
+        }
+    };
+
+    for (const filePath of filePaths) {
+        if (nextWindow >= sorted.length && active.length === 0) {
+            break;
+        }
+
+        if (filePath.endsWith('.json')) {
+            const trades = await readJsonDataFile(filePath);
+            trades.forEach(trade => assign({ ...trade, timestamp: toMilliseconds(trade.timestamp) }));
+        } else {
+            await readCsvRows(filePath, columns => assign(parseAggTradeRow(columns)));
+        }
+    }
+
+    return assigned;
+}
+
+module.exports = {
+    BacktestInputError,
+    getBacktestDataDir,
+    resolveDataPath,
+    loadCandlesFromFiles,
+    loadCandlesFromDatabase,
+    collectTradesForWindows
+};
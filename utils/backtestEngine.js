@@ -0,0 +1,609 @@
+/**
+ * Offline Backtest Engine
+ * Replays stored 1-minute candles through the live pipeline and simulates the
+ * resulting trades:
+ *
+ * 1. Build each interval from 1m candles with the live artificial candle logic
+ * 2. Detect reversals (detectReversalPattern) and apply the trend context stage
+ * 3. Calculate the volume footprint from imported aggTrades files and run validateTradeSignal
+ * 4. Follow each valid signal through later 1m candles with the outcome tracker
+ *    (exit at 3R or the stop) and compound an equity curve at a fixed risk per trade
+ *
+ * Candles come from the candle store or kline files, trades only from files -
+ * nothing is fetched from Binance. Files are read from the backtest data
+ * directory only (see backtestDataLoader). Reports are stored in the
+ * `backtests` collection; a failed run stores a generic error unless the input
+ * was at fault.
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    isArtificialCandleBoundary,
+    getCompletedCandleBoundaries,
+    createArtificialCandle,
+    MIN_SOURCE_CANDLE_RATIO
+} = require('./hybridCandleDataManager');
+const { DEFAULT_DETECTION_THRESHOLDS, getReversalDirection } = require('./reversalCandleDetector');
+const { detectReversalPattern, getSignalCandle, PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { DEFAULT_TREND_CONTEXT, normalizeTrendContext, calculateTrendContext, evaluateTrendContext } = require('./trendContextFilter');
+const { normalizeThresholds } = require('./detectionProfiles');
+const { calculateReversalVolumeFootprint, calculateAverageTrueRange, getBinningOptions, BINNING_ATR_PERIOD } = require('./volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { buildCompositeFromCandles } = require('./sessionVolumeProfiles');
+const { buildVwapFromCandles } = require('./vwapBands');
+const { DEFAULT_VALIDATION_RULES, normalizeValidationRules, validateTradeSignal } = require('./tradeSignalValidator');
+const { OUTCOME_HORIZON_MINUTES, initializeOutcome, advanceOutcome, expireOutcome } = require('./signalOutcomeTracker');
+const {
+    BacktestInputError,
+    resolveDataPath,
+    loadCandlesFromFiles,
+    loadCandlesFromDatabase,
+    collectTradesForWindows
+} = require('./backtestDataLoader');
+const { getDetectionProfiles } = require('../models/database');
+
+const CANDLE_SOURCES = ['database', 'files'];
+
+// Stored on failed runs instead of the raw error, which may quote a data file
+const GENERIC_FAILURE_MESSAGE = 'Run failed, see the server log for details';
+
+const DEFAULT_BACKTEST_SETTINGS = Object.freeze({
+    intervals: ['5m', '15m'],
+    candleSource: 'database',
+    initialEquity: 10000,
+    riskPerTradePercent: 1
+});
+
+/**
+ * Validate and normalize a backtest configuration
+ * @param {Object} input - Raw configuration
+ * @returns {Object} { config, errors }
+ */
+function normalizeBacktestConfig(input = {}) {
+    const errors = [];
+    const config = {
+        name: input.name || null,
+        symbols: Array.isArray(input.symbols) ? input.symbols.map(s => String(s).trim().toUpperCase()).filter(Boolean) : [],
+        startDate: new Date(input.startDate),
+        endDate: new Date(input.endDate),
+        intervals: Array.isArray(input.intervals) && input.intervals.length > 0 ? input.intervals : [...DEFAULT_BACKTEST_SETTINGS.intervals],
+        candleSource: input.candleSource || DEFAULT_BACKTEST_SETTINGS.candleSource,
+        candleFiles: isPlainObject(input.candleFiles) ? input.candleFiles : {},
+        tradeFiles: isPlainObject(input.tradeFiles) ? input.tradeFiles : {},
+        detectionProfile: input.detectionProfile || null,
+        initialEquity: input.initialEquity !== undefined ? parseFloat(input.initialEquity) : DEFAULT_BACKTEST_SETTINGS.initialEquity,
+        riskPerTradePercent: input.riskPerTradePercent !== undefined ? parseFloat(input.riskPerTradePercent) : DEFAULT_BACKTEST_SETTINGS.riskPerTradePercent
+    };
+
+    if (config.symbols.length === 0) {
+        errors.push('symbols must be a non-empty array');
+    }
+
+    if (isNaN(config.startDate.getTime()) || isNaN(config.endDate.getTime())) {
+        errors.push('startDate and endDate must be valid dates');
+    } else if (config.endDate <= config.startDate) {
+        errors.push('endDate must be after startDate');
+    }
+
+    for (const interval of config.intervals) {
+        const minutes = parseInt(interval, 10);
+        if (!/^\d+m$/.test(interval) || minutes < 1 || minutes > 60) {
+            errors.push(`Unsupported interval "${interval}" (use 1m-60m)`);
+        }
+    }
+
+    if (!CANDLE_SOURCES.includes(config.candleSource)) {
+        errors.push(`candleSource must be one of ${CANDLE_SOURCES.join(', ')}`);
+    } else if (config.candleSource === 'files') {
+        config.symbols
+            .filter(symbol => !Array.isArray(config.candleFiles[symbol]) || config.candleFiles[symbol].length === 0)
+            .forEach(symbol => errors.push(`candleFiles.${symbol} is required when candleSource is "files"`));
+    }
+
+    ['candleFiles', 'tradeFiles'].forEach(key => {
+        Object.entries(config[key]).forEach(([symbol, files]) => {
+            if (!Array.isArray(files) || files.some(file => !resolveDataPath(file))) {
+                errors.push(`${key}.${symbol} must list files inside the backtest data directory`);
+            }
+        });
+    });
+
+    if (isNaN(config.initialEquity) || config.initialEquity <= 0) {
+        errors.push('initialEquity must be a positive number');
+    }
+
+    if (isNaN(config.riskPerTradePercent) || config.riskPerTradePercent <= 0 || config.riskPerTradePercent > 100) {
+        errors.push('riskPerTradePercent must be between 0 and 100');
+    }
+
+    const { thresholds, errors: thresholdErrors } = normalizeThresholds(input.thresholds);
+    const { trendContext, errors: trendContextErrors } = normalizeTrendContext(input.trendContext);
+    const { validationRules, errors: validationRuleErrors } = normalizeValidationRules(input.validationRules);
+    config.thresholds = thresholds;
+    config.trendContext = trendContext;
+    config.validationRules = validationRules;
+    errors.push(...thresholdErrors, ...trendContextErrors, ...validationRuleErrors);
+
+    return { config, errors };
+}
+
+/**
+ * Build candles of one interval from 1-minute candles, with the same
+ * boundaries and minimum coverage as the live artificial candle generator
+ * @param {Array} oneMinuteCandles - 1m candles sorted by openTime
+ * @param {string} symbol - Trading symbol
+ * @param {number} intervalMinutes - Interval to build (1 returns the input)
+ * @returns {Array} Candles sorted by openTime
+ */
+function buildIntervalCandles(oneMinuteCandles, symbol, intervalMinutes) {
+    if (intervalMinutes === 1 || oneMinuteCandles.length === 0) {
+        return oneMinuteCandles;
+    }
+
+    const byOpenTime = new Map(oneMinuteCandles.map(candle => [candle.openTime.getTime(), candle]));
+    const firstBoundary = oneMinuteCandles[0].openTime.getTime() + 60000;
+    const lastBoundary = oneMinuteCandles[oneMinuteCandles.length - 1].openTime.getTime() + 60000;
+    const minCandlesRequired = Math.max(1, Math.floor(intervalMinutes * MIN_SOURCE_CANDLE_RATIO));
+    const candles = [];
+
+    for (let time = firstBoundary; time <= lastBoundary; time += 60000) {
+        const boundary = new Date(time);
+
+        if (!isArtificialCandleBoundary(boundary, intervalMinutes)) {
+            continue;
+        }
+
+        const { candleStart, candleEnd } = getCompletedCandleBoundaries(boundary, intervalMinutes);
+        const sourceCandles = [];
+
+        for (let minute = candleStart.getTime(); minute < candleEnd.getTime(); minute += 60000) {
+            if (byOpenTime.has(minute)) {
+                sourceCandles.push(byOpenTime.get(minute));
+            }
+        }
+
+        if (sourceCandles.length >= minCandlesRequired) {
+            candles.push(createArtificialCandle(sourceCandles, symbol, intervalMinutes, candleStart, candleEnd));
+        }
+    }
+
+    return candles;
+}
+
+/**
+ * Detect reversals on one interval's candles
+ * Each reversal carries the ATR of the candles before it for the atr binning mode.
+ * @param {Array} candles - Interval candles sorted by openTime
+ * @param {Object} thresholds - Detection thresholds
+ * @param {Object} trendContextSettings - Trend context settings
+ * @returns {Object} { reversals, filteredByContext }
+ */
+function detectBacktestReversals(candles, thresholds, trendContextSettings) {
+    const reversals = [];
+    let filteredByContext = 0;
+    const priorCount = Math.max(trendContextSettings.lookback, trendContextSettings.maPeriod);
+
+    for (let i = 0; i < candles.length; i++) {
+        const candle = candles[i];
+        const previousCandles = candles.slice(Math.max(0, i - PATTERN_LOOKBACK), i);
+        const reversalPattern = detectReversalPattern(candle, previousCandles, thresholds);
+
+        if (!reversalPattern) {
+            continue;
+        }
+
+        let trendContext = null;
+        const patternStartIndex = Math.max(0, i - (reversalPattern.candleCount || 1) + 1);
+
+        if (trendContextSettings.mode !== 'off') {
+            const priorCandles = candles.slice(Math.max(0, patternStartIndex - priorCount), Math.max(0, patternStartIndex));
+            const metrics = calculateTrendContext(priorCandles, trendContextSettings);
+            const evaluation = evaluateTrendContext(getReversalDirection(reversalPattern.type), metrics, trendContextSettings);
+
+            if (trendContextSettings.mode === 'enforce' && !evaluation.passed) {
+                filteredByContext++;
+                continue;
+            }
+
+            trendContext = { mode: trendContextSettings.mode, ...metrics, ...evaluation };
+        }
+
+        const signalCandle = getSignalCandle(candle, reversalPattern);
+
+        reversals.push({
+            symbol: candle.symbol,
+            interval: candle.interval,
+            openTime: candle.openTime,
+            closeTime: candle.closeTime,
+            candleData: signalCandle.candleData,
+            reversalPattern,
+            trendContext,
+            atr: calculateAverageTrueRange(candles.slice(Math.max(0, patternStartIndex - BINNING_ATR_PERIOD), patternStartIndex)),
+            startTime: new Date(signalCandle.openTime).getTime(),
+            endTime: candle.closeTime.getTime()
+        });
+    }
+
+    return { reversals, filteredByContext };
+}
+
+/**
+ * Index of the first candle opening after a time (binary search)
+ */
+function findFirstCandleAfter(candles, time) {
+    let low = 0;
+    let high = candles.length;
+
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (candles[middle].openTime.getTime() <= time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Follow a valid signal through later 1m candles
+ * @param {Object} reversal - Reversal with a valid tradeSignal
+ * @param {Array} oneMinuteCandles - All 1m candles of the symbol
+ * @returns {Object|null} Trade record, or null when there's no usable stop distance
+ */
+function simulateTrade(reversal, oneMinuteCandles) {
+    const initialOutcome = initializeOutcome(reversal);
+
+    if (!initialOutcome) {
+        return null;
+    }
+
+    const closeTime = reversal.closeTime.getTime();
+    const horizonEnd = closeTime + OUTCOME_HORIZON_MINUTES * 60 * 1000;
+    const startIndex = findFirstCandleAfter(oneMinuteCandles, closeTime);
+    const endIndex = findFirstCandleAfter(oneMinuteCandles, horizonEnd - 1);
+
+    let outcome = advanceOutcome(initialOutcome, oneMinuteCandles.slice(startIndex, endIndex), reversal.closeTime);
+    let endOfData = false;
+
+    if (outcome.status === 'open') {
+        // Either the horizon passed or the data ran out first
+        endOfData = endIndex >= oneMinuteCandles.length;
+        outcome = expireOutcome(outcome);
+    }
+
+    return {
+        symbol: reversal.symbol,
+        interval: reversal.interval,
+        patternType: reversal.reversalPattern.type,
+        signalType: reversal.tradeSignal.signalType,
+        score: reversal.tradeSignal.score,
+        entryTime: reversal.closeTime,
+        exitTime: new Date(closeTime + outcome.timeToOutcomeMinutes * 60 * 1000),
+        entryPrice: outcome.entryPrice,
+        stopPrice: outcome.stopPrice,
+        result: outcome.result,
+        firstHit: outcome.firstHit,
+        rMultiple: outcome.rMultiple,
+        mfeR: outcome.mfeR,
+        maeR: outcome.maeR,
+        timeToOutcomeMinutes: outcome.timeToOutcomeMinutes,
+        endOfData
+    };
+}
+
+/**
+ * Detect reversals on every configured interval of one symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Array} oneMinuteCandles - 1m candles sorted by openTime
+ * @param {Object} config - Settings with intervals, thresholds and trendContext
+ * @param {Map} [intervalCache] - Built interval candles, reused across calls with the same 1m data
+ * @returns {Object} { reversals, filteredByContext }
+ */
+function detectSymbolReversals(symbol, oneMinuteCandles, config, intervalCache = new Map()) {
+    let reversals = [];
+    let filteredByContext = 0;
+
+    for (const interval of config.intervals) {
+        if (!intervalCache.has(interval)) {
+            intervalCache.set(interval, buildIntervalCandles(oneMinuteCandles, symbol, parseInt(interval, 10)));
+        }
+
+        const detected = detectBacktestReversals(intervalCache.get(interval), config.thresholds, config.trendContext);
+
+        reversals = reversals.concat(detected.reversals);
+        filteredByContext += detected.filteredByContext;
+    }
+
+    return { reversals, filteredByContext };
+}
+
+/**
+ * Validate reversals against their trades and simulate the valid signals
+ * @param {Array} reversals - Reversals from detectSymbolReversals
+ * @param {Function} getTrades - Returns the trades of a reversal's window
+ * @param {Array} oneMinuteCandles - 1m candles sorted by openTime
+ * @param {Object} validationRules - Validation rules (value area %, POC in tail, order flow)
+ * @returns {Object} { trades, signalsWithoutTradeData, validSignals }
+ */
+function evaluateReversals(reversals, getTrades, oneMinuteCandles, validationRules) {
+    const rules = { ...DEFAULT_VALIDATION_RULES, ...validationRules };
+    const trades = [];
+    let signalsWithoutTradeData = 0;
+    let validSignals = 0;
+
+    for (const reversal of reversals) {
+        const windowTrades = getTrades(reversal);
+
+        if (windowTrades.length === 0) {
+            signalsWithoutTradeData++;
+            continue;
+        }
+
+        const volumeFootprint = calculateReversalVolumeFootprint(
+            windowTrades, reversal.symbol, reversal.startTime, reversal.endTime, rules.valueAreaPercent, rules.valueAreaMethod,
+            getBinningOptions(rules, reversal.atr)
+        );
+        volumeFootprint.orderFlow = analyzeOrderFlow(volumeFootprint, reversal.candleData, rules);
+        
+        // Stored session profiles don't exist for history, build the composite from the replayed candles
+        if (rules.requireCompositeLevel) {
+            volumeFootprint.compositeProfile = buildCompositeFromCandles(
+                oneMinuteCandles, reversal.symbol, rules.compositeDays, reversal.endTime + 1
+            );
+        }
+        if (rules.requireVwapSide) {
+            volumeFootprint.vwap = buildVwapFromCandles(
+                oneMinuteCandles, reversal.symbol, reversal.candleData.close, reversal.endTime + 1
+            );
+        }
+        const tradeSignal = validateTradeSignal(reversal.candleData, volumeFootprint, reversal.reversalPattern.type, rules);
+
+        if (!tradeSignal.isValidSignal) {
+            continue;
+        }
+
+        validSignals++;
+
+        const trade = simulateTrade({ ...reversal, tradeSignal }, oneMinuteCandles);
+        if (trade) {
+            trades.push(trade);
+        }
+    }
+
+    return { trades, signalsWithoutTradeData, validSignals };
+}
+
+/**
+ * Run the detection, validation and trade simulation for one symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Array} oneMinuteCandles - 1m candles sorted by openTime
+ * @param {Object} config - Normalized config with resolved thresholds/trendContext/validationRules
+ * @returns {Promise<Object>} { trades, counts }
+ */
+async function simulateSymbol(symbol, oneMinuteCandles, config) {
+    const { reversals, filteredByContext } = detectSymbolReversals(symbol, oneMinuteCandles, config);
+
+    const tradeFiles = config.tradeFiles[symbol] || [];
+    if (tradeFiles.length > 0 && reversals.length > 0) {
+        await collectTradesForWindows(tradeFiles, reversals);
+    }
+
+    const evaluation = evaluateReversals(reversals, reversal => reversal.trades || [], oneMinuteCandles, config.validationRules);
+
+    return {
+        trades: evaluation.trades,
+        counts: {
+            candles: oneMinuteCandles.length,
+            reversalsDetected: reversals.length,
+            reversalsFilteredByContext: filteredByContext,
+            signalsWithoutTradeData: evaluation.signalsWithoutTradeData,
+            validSignals: evaluation.validSignals
+        }
+    };
+}
+
+/**
+ * Build the stats and equity curve from simulated trades
+ * Trades are applied in exit order; each risks riskPerTradePercent of current equity
+ * @param {Array} trades - Trade records
+ * @param {Object} config - { initialEquity, riskPerTradePercent }
+ * @returns {Object} { trades, equityCurve, stats }
+ */
+function buildBacktestReport(trades, config) {
+    const ordered = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+    const equityCurve = [];
+
+    let equity = config.initialEquity;
+    let peak = equity;
+    let maxDrawdownPercent = 0;
+
+    ordered.forEach((trade, index) => {
+        equity += equity * (config.riskPerTradePercent / 100) * trade.rMultiple;
+        peak = Math.max(peak, equity);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+        equityCurve.push({ time: trade.exitTime, equity: round(equity, 2), tradeIndex: index });
+    });
+
+    const wins = ordered.filter(trade => trade.rMultiple > 0);
+    const losses = ordered.filter(trade => trade.rMultiple <= 0);
+    const totalWinR = wins.reduce((sum, trade) => sum + trade.rMultiple, 0);
+    const totalLossR = losses.reduce((sum, trade) => sum + Math.abs(trade.rMultiple), 0);
+    const totalR = totalWinR - totalLossR;
+
+    return {
+        trades: ordered,
+        equityCurve,
+        stats: {
+            totalTrades: ordered.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: ordered.length > 0 ? round((wins.length / ordered.length) * 100, 1) : 0,
+            totalR: round(totalR, 2),
+            avgR: ordered.length > 0 ? round(totalR / ordered.length, 2) : 0,
+            avgWinR: wins.length > 0 ? round(totalWinR / wins.length, 2) : 0,
+            avgLossR: losses.length > 0 ? round(totalLossR / losses.length, 2) : 0,
+            profitFactor: totalLossR > 0 ? round(totalWinR / totalLossR, 2) : null,
+            maxDrawdownPercent: round(maxDrawdownPercent, 2),
+            initialEquity: config.initialEquity,
+            finalEquity: round(equity, 2),
+            returnPercent: round(((equity - config.initialEquity) / config.initialEquity) * 100, 2)
+        }
+    };
+}
+
+/**
+ * Merge the named detection profile (if any) with the config's own settings
+ */
+async function resolveBacktestSettings(client, dbName, config) {
+    let profile = null;
+
+    if (config.detectionProfile) {
+        const profiles = await getDetectionProfiles(client, dbName);
+        profile = profiles.find(p => p.name === config.detectionProfile);
+
+        if (!profile) {
+            throw new BacktestInputError(`Unknown detection profile "${config.detectionProfile}"`);
+        }
+    }
+
+    return {
+        ...config,
+        thresholds: { ...DEFAULT_DETECTION_THRESHOLDS, ...(profile ? profile.thresholds : {}), ...config.thresholds },
+        trendContext: { ...DEFAULT_TREND_CONTEXT, ...(profile ? profile.trendContext : {}), ...config.trendContext },
+        validationRules: { ...DEFAULT_VALIDATION_RULES, ...(profile ? profile.validationRules : {}), ...config.validationRules }
+    };
+}
+
+/**
+ * Load the 1m candles of one symbol from the configured candle source
+ */
+async function loadSymbolCandles(client, dbName, settings, symbol) {
+    return settings.candleSource === 'files'
+        ? loadCandlesFromFiles(settings.candleFiles[symbol], symbol, settings.startDate, settings.endDate)
+        : loadCandlesFromDatabase(client, dbName, symbol, settings.startDate, settings.endDate);
+}
+
+/**
+ * Run a backtest and store the report in the `backtests` collection
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} config - Normalized config (see normalizeBacktestConfig)
+ * @param {ObjectId} [backtestId] - Existing backtest document to complete
+ * @returns {Promise<Object>} Stored backtest document
+ */
+async function runBacktest(client, dbName, config, backtestId = null) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+
+    const collection = client.db(dbName).collection('backtests');
+    const startedAt = new Date();
+
+    if (!backtestId) {
+        const inserted = await collection.insertOne({ name: config.name, config, status: 'running', createdAt: startedAt });
+        backtestId = inserted.insertedId;
+    }
+
+    try {
+        const settings = await resolveBacktestSettings(client, dbName, config);
+        const totals = { candles: 0, reversalsDetected: 0, reversalsFilteredByContext: 0, signalsWithoutTradeData: 0, validSignals: 0 };
+        let trades = [];
+
+        console.log(`🧪 Backtest ${backtestId}: ${settings.symbols.length} symbols, ${settings.intervals.join(', ')}, ${settings.startDate.toISOString()} → ${settings.endDate.toISOString()}`);
+
+        for (const symbol of settings.symbols) {
+            const oneMinuteCandles = await loadSymbolCandles(client, dbName, settings, symbol);
+
+            const result = await simulateSymbol(symbol, oneMinuteCandles, settings);
+            trades = trades.concat(result.trades);
+            Object.keys(totals).forEach(key => {
+                totals[key] += result.counts[key];
+            });
+
+            console.log(`   ${symbol}: ${result.counts.candles} candles, ${result.counts.reversalsDetected} reversals, ${result.trades.length} trades`);
+        }
+
+        const report = buildBacktestReport(trades, settings);
+        const completedAt = new Date();
+
+        await collection.updateOne({ _id: backtestId }, {
+            $set: {
+                status: 'completed',
+                resolvedSettings: {
+                    thresholds: settings.thresholds,
+                    trendContext: settings.trendContext,
+                    validationRules: settings.validationRules
+                },
+                counts: totals,
+                ...report,
+                completedAt,
+                durationMs: completedAt - startedAt
+            }
+        });
+
+        console.log(`✅ Backtest ${backtestId} completed: ${report.stats.totalTrades} trades, ${report.stats.winRate}% win rate, ${report.stats.totalR}R`);
+
+    } catch (error) {
+        console.error(`❌ Backtest ${backtestId} failed:`, error);
+        await collection.updateOne({ _id: backtestId }, {
+            $set: { status: 'failed', error: getStoredErrorMessage(error), completedAt: new Date() }
+        });
+    }
+
+    return collection.findOne({ _id: new ObjectId(backtestId) });
+}
+
+/**
+ * Create a backtest document and run it in the background
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} config - Normalized config
+ * @returns {Promise<ObjectId>} Backtest id
+ */
+async function startBacktest(client, dbName, config) {
+    const collection = client.db(dbName).collection('backtests');
+    const inserted = await collection.insertOne({ name: config.name, config, status: 'running', createdAt: new Date() });
+
+    runBacktest(client, dbName, config, inserted.insertedId).catch(error => {
+        console.error('❌ Background backtest failed:', error);
+    });
+
+    return inserted.insertedId;
+}
+
+/**
+ * Error message to store on a failed backtest or sweep
+ * Only input errors are passed on; anything else may carry file contents or internals.
+ * @param {Error} error - The error the run failed with
+ * @returns {string}
+ */
+function getStoredErrorMessage(error) {
+    return error instanceof BacktestInputError ? error.message : GENERIC_FAILURE_MESSAGE;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    DEFAULT_BACKTEST_SETTINGS,
+    normalizeBacktestConfig,
+    buildIntervalCandles,
+    detectBacktestReversals,
+    detectSymbolReversals,
+    evaluateReversals,
+    simulateSymbol,
+    buildBacktestReport,
+    resolveBacktestSettings,
+    loadSymbolCandles,
+    runBacktest,
+    startBacktest,
+    getStoredErrorMessage
+};
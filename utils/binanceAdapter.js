@@ -0,0 +1,238 @@
+/**
+ * Binance USDT-M Futures Adapter
+ * Exchange adapter (see exchangeAdapters.js) for the Binance Futures REST API
+ * (fapi) and market streams (fstream). Everything that knows about Binance URLs,
+ * response arrays and message fields (k.x, T, m ...) lives here.
+ */
+
+const { parseSymbolInfo } = require('./symbolInfo');
+
+const REST_URL = 'https://fapi.binance.com/fapi/v1';
+
+/**
+ * GET a REST endpoint and return the parsed JSON
+ * The error message keeps the status code and body (-1003 / 418 mark an IP ban).
+ */
+async function request(path, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${REST_URL}${path}${query ? `?${query}` : ''}`);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Binance API error ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * All contracts of the exchange as symbol metadata
+ * @returns {Promise<Array>} symbolInfo entries (see symbolInfo.parseSymbolInfo) with `exchange`
+ */
+async function fetchSymbolUniverse() {
+    const exchangeInfo = await request('/exchangeInfo');
+
+    return exchangeInfo.symbols.map(exchangeSymbol => ({ ...parseSymbolInfo(exchangeSymbol), exchange: 'binance' }));
+}
+
+/**
+ * 24h ticker statistics of all contracts
+ * @returns {Promise<Array>} [{ symbol, priceChangePercent, priceChange, volume, count }]
+ */
+async function fetch24hTickers() {
+    const tickers = await request('/ticker/24hr');
+
+    return tickers.map(ticker => ({
+        symbol: ticker.symbol,
+        priceChangePercent: parseFloat(ticker.priceChangePercent),
+        priceChange: parseFloat(ticker.priceChange),
+        volume: parseFloat(ticker.volume),
+        count: parseInt(ticker.count)
+    }));
+}
+
+/**
+ * Klines of one symbol
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval (1m, 5m, 1h ...)
+ * @param {Object} [options] - { startTime, endTime, limit } (limit max 1500)
+ * @returns {Promise<Array>} Candles oldest first, times in milliseconds
+ */
+async function fetchKlines(symbol, interval, options = {}) {
+    const params = { symbol, interval };
+    if (options.startTime) params.startTime = options.startTime;
+    if (options.endTime) params.endTime = options.endTime;
+    if (options.limit) params.limit = options.limit;
+
+    const data = await request('/klines', params);
+
+    // [openTime, open, high, low, close, volume, closeTime, quoteAssetVolume, trades, takerBuyBase, takerBuyQuote, ignore]
+    return data.map(candle => ({
+        openTime: candle[0],
+        open: parseFloat(candle[1]),
+        high: parseFloat(candle[2]),
+        low: parseFloat(candle[3]),
+        close: parseFloat(candle[4]),
+        volume: parseFloat(candle[5]),
+        closeTime: candle[6],
+        quoteAssetVolume: parseFloat(candle[7]),
+        numberOfTrades: candle[8],
+        takerBuyBaseAssetVolume: parseFloat(candle[9]),
+        takerBuyQuoteAssetVolume: parseFloat(candle[10])
+    }));
+}
+
+/**
+ * Convert an aggTrade (REST or stream, same fields) to the internal trade format
+ */
+function toTrade(trade) {
+    return {
+        id: trade.a,                    // Aggregate trade ID
+        price: parseFloat(trade.p),
+        quantity: parseFloat(trade.q),
+        timestamp: parseInt(trade.T),   // Trade time
+        isBuyerMaker: trade.m,
+        firstTradeId: trade.f,
+        lastTradeId: trade.l
+    };
+}
+
+/**
+ * Aggregated trades of one symbol in a time range
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @param {number} limit - Maximum trades (max 1000)
+ * @returns {Promise<Array>} Trades oldest first
+ */
+async function fetchAggTrades(symbol, startTime, endTime, limit = 1000) {
+    const trades = await request('/aggTrades', {
+        symbol,
+        startTime: startTime.toString(),
+        endTime: endTime.toString(),
+        limit: Math.min(limit, 1000).toString()
+    });
+
+    if (!Array.isArray(trades)) {
+        throw new Error('Invalid response format from Binance API');
+    }
+
+    return trades.map(toTrade);
+}
+
+/**
+ * Aggregated trades of one symbol from a trade id on
+ * Used to page through busy ranges: the next page starts at the last id + 1.
+ * @param {string} symbol - Trading symbol
+ * @param {number} fromId - First aggTrade id
+ * @param {number} limit - Maximum trades (max 1000)
+ * @returns {Promise<Array>} Trades oldest first
+ */
+async function fetchAggTradesFromId(symbol, fromId, limit = 1000) {
+    const trades = await request('/aggTrades', {
+        symbol,
+        fromId: fromId.toString(),
+        limit: Math.min(limit, 1000).toString()
+    });
+
+    if (!Array.isArray(trades)) {
+        throw new Error('Invalid response format from Binance API');
+    }
+
+    return trades.map(toTrade);
+}
+
+/**
+ * Subscribe/unsubscribe message for 1m kline or aggTrade streams
+ * @param {string} channel - 'kline' or 'trade'
+ * @param {Array} symbols - Trading symbols
+ * @param {string} action - 'subscribe' or 'unsubscribe'
+ * @returns {Object} Message to send
+ */
+function buildStreamRequest(channel, symbols, action) {
+    const suffix = channel === 'kline' ? '@kline_1m' : '@aggTrade';
+
+    return {
+        method: action === 'unsubscribe' ? 'UNSUBSCRIBE' : 'SUBSCRIBE',
+        params: symbols.map(symbol => `${symbol.toLowerCase()}${suffix}`),
+        id: Date.now()
+    };
+}
+
+/**
+ * Klines of a stream message
+ * @param {Object} message - Parsed stream message
+ * @returns {Array} [{ symbol, isClosed, eventTime, openTime, closeTime, open, high, low, close, volume, ... }]
+ */
+function parseKlineMessage(message) {
+    if (message.e !== 'kline') {
+        return [];
+    }
+
+    const kline = message.k;
+
+    return [{
+        symbol: kline.s,
+        isClosed: kline.x, // Is this kline closed?
+        eventTime: message.E || Date.now(),
+        openTime: kline.t,
+        closeTime: kline.T,
+        open: parseFloat(kline.o),
+        high: parseFloat(kline.h),
+        low: parseFloat(kline.l),
+        close: parseFloat(kline.c),
+        volume: parseFloat(kline.v),
+        quoteAssetVolume: parseFloat(kline.q),
+        numberOfTrades: kline.n,
+        takerBuyBaseAssetVolume: parseFloat(kline.V),
+        takerBuyQuoteAssetVolume: parseFloat(kline.Q)
+    }];
+}
+
+/**
+ * Trades of a stream message
+ * @param {Object} message - Parsed stream message
+ * @returns {Array} [{ symbol, trade }]
+ */
+function parseTradeMessage(message) {
+    if (message.e !== 'aggTrade') {
+        return [];
+    }
+
+    return [{ symbol: message.s, trade: toTrade(message) }];
+}
+
+/**
+ * Ban expiry of a failed request, or null when the error isn't a ban
+ * -1003 (too many requests) and HTTP 418 ban the IP, usually "until <timestamp>".
+ */
+function getBanExpiry(error) {
+    if (!error.message.includes('-1003') && !error.message.includes('418')) {
+        return null;
+    }
+
+    const banMatch = error.message.match(/until (\d+)/);
+    return banMatch ? parseInt(banMatch[1]) : Date.now() + (24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    name: 'binance',
+    label: 'Binance',
+    streamUrl: 'wss://fstream.binance.com/ws',
+    maxStreamsPerRequest: 10,
+    streamPing: null, // The server pings every 3 minutes; ws answers with pong
+    historicalTrades: true,
+    rateLimit: {
+        minDelay: 2000, // 2 seconds minimum between requests
+        hourlyLimit: 1200, // Conservative hourly limit
+        getBanExpiry
+    },
+    fetchSymbolUniverse,
+    fetch24hTickers,
+    fetchKlines,
+    fetchAggTrades,
+    fetchAggTradesFromId,
+    buildStreamRequest,
+    parseKlineMessage,
+    parseTradeMessage
+};
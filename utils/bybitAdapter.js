@@ -0,0 +1,286 @@
+/**
+ * Bybit Linear (USDT perpetual) Adapter
+ * Exchange adapter (see exchangeAdapters.js) for the Bybit v5 REST API and
+ * public linear stream. Responses are converted to the Binance-shaped candles,
+ * trades and symbol metadata the rest of the system uses.
+ *
+ * Differences from Binance:
+ * - Klines carry no trade count or taker buy volume (stored as null)
+ * - The REST API only serves the latest 1000 public trades, so tick data of
+ *   older candles is incomplete; live footprints use the stream
+ * - The stream needs an application-level {"op":"ping"} every 20 seconds
+ */
+
+const REST_URL = 'https://api.bybit.com/v5/market';
+
+// Kline interval -> [Bybit interval, duration in ms]
+const KLINE_INTERVALS = {
+    '1m': ['1', 60000],
+    '3m': ['3', 3 * 60000],
+    '5m': ['5', 5 * 60000],
+    '15m': ['15', 15 * 60000],
+    '30m': ['30', 30 * 60000],
+    '1h': ['60', 60 * 60000],
+    '2h': ['120', 120 * 60000],
+    '4h': ['240', 240 * 60000],
+    '6h': ['360', 360 * 60000],
+    '12h': ['720', 720 * 60000],
+    '1d': ['D', 24 * 60 * 60000],
+    '1w': ['W', 7 * 24 * 60 * 60000]
+};
+
+const parseNumber = value => (value !== undefined && value !== null && value !== '' && !isNaN(parseFloat(value)) ? parseFloat(value) : null);
+
+/**
+ * GET a market endpoint of the linear category and return `result`
+ * Bybit answers errors with HTTP 200 and a non-zero retCode.
+ */
+async function request(path, params = {}) {
+    const query = new URLSearchParams({ category: 'linear', ...params }).toString();
+    const response = await fetch(`${REST_URL}${path}?${query}`);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Bybit API error ${response.status}: ${errorText}`);
+    }
+
+    const body = await response.json();
+
+    if (body.retCode !== 0) {
+        throw new Error(`Bybit API error ${body.retCode}: ${body.retMsg}`);
+    }
+
+    return body.result;
+}
+
+/**
+ * Symbol metadata of one instruments-info entry, in the symbolInfo format
+ * @param {Object} instrument - Entry of instruments-info result.list
+ * @returns {Object} { symbol, status, contractType, quoteAsset, tickSize, stepSize, ... }
+ */
+function parseInstrument(instrument) {
+    const priceFilter = instrument.priceFilter || {};
+    const lotSizeFilter = instrument.lotSizeFilter || {};
+
+    return {
+        symbol: instrument.symbol,
+        exchange: 'bybit',
+        status: instrument.status === 'Trading' ? 'TRADING' : instrument.status || null,
+        contractType: instrument.contractType === 'LinearPerpetual' ? 'PERPETUAL' : instrument.contractType || null,
+        quoteAsset: instrument.quoteCoin || null,
+        tickSize: parseNumber(priceFilter.tickSize),
+        minPrice: parseNumber(priceFilter.minPrice),
+        maxPrice: parseNumber(priceFilter.maxPrice),
+        stepSize: parseNumber(lotSizeFilter.qtyStep),
+        minQty: parseNumber(lotSizeFilter.minOrderQty),
+        maxQty: parseNumber(lotSizeFilter.maxOrderQty),
+        marketStepSize: parseNumber(lotSizeFilter.qtyStep),
+        marketMinQty: parseNumber(lotSizeFilter.minOrderQty),
+        marketMaxQty: parseNumber(lotSizeFilter.maxMktOrderQty),
+        minNotional: parseNumber(lotSizeFilter.minNotionalValue),
+        pricePrecision: parseNumber(instrument.priceScale),
+        quantityPrecision: null,
+        listedAt: instrument.launchTime ? new Date(parseInt(instrument.launchTime)) : null
+    };
+}
+
+/**
+ * All linear contracts as symbol metadata (instruments-info is paged by cursor)
+ * @returns {Promise<Array>} symbolInfo entries with `exchange`
+ */
+async function fetchSymbolUniverse() {
+    const instruments = [];
+    let cursor = '';
+
+    do {
+        const result = await request('/instruments-info', { limit: '1000', ...(cursor ? { cursor } : {}) });
+        instruments.push(...result.list);
+        cursor = result.nextPageCursor;
+    } while (cursor);
+
+    return instruments.map(parseInstrument);
+}
+
+/**
+ * 24h ticker statistics of all linear contracts
+ * Bybit has no 24h trade count, so `count` is null.
+ * @returns {Promise<Array>} [{ symbol, priceChangePercent, priceChange, volume, count }]
+ */
+async function fetch24hTickers() {
+    const result = await request('/tickers');
+
+    return result.list.map(ticker => ({
+        symbol: ticker.symbol,
+        priceChangePercent: parseFloat(ticker.price24hPcnt) * 100,
+        priceChange: parseFloat(ticker.lastPrice) - parseFloat(ticker.prevPrice24h),
+        volume: parseFloat(ticker.volume24h),
+        count: null
+    }));
+}
+
+/**
+ * Klines of one symbol
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval (1m, 5m, 1h ...)
+ * @param {Object} [options] - { startTime, endTime, limit } (limit max 1000)
+ * @returns {Promise<Array>} Candles oldest first, times in milliseconds
+ */
+async function fetchKlines(symbol, interval, options = {}) {
+    const [bybitInterval, intervalMs] = KLINE_INTERVALS[interval] || [];
+
+    if (!bybitInterval) {
+        throw new Error(`Unsupported Bybit kline interval: ${interval}`);
+    }
+
+    const params = { symbol, interval: bybitInterval };
+    if (options.startTime) params.start = options.startTime;
+    if (options.endTime) params.end = options.endTime;
+    if (options.limit) params.limit = Math.min(options.limit, 1000);
+
+    const result = await request('/kline', params);
+
+    // [startTime, open, high, low, close, volume, turnover], newest first
+    return result.list.slice().reverse().map(candle => {
+        const openTime = parseInt(candle[0]);
+
+        return {
+            openTime,
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5]),
+            closeTime: openTime + intervalMs - 1,
+            quoteAssetVolume: parseFloat(candle[6]),
+            numberOfTrades: null,
+            takerBuyBaseAssetVolume: null,
+            takerBuyQuoteAssetVolume: null
+        };
+    });
+}
+
+/**
+ * Convert a public trade to the internal trade format
+ * The taker side is given; a taker sell means the buyer was the maker.
+ */
+function toTrade(trade) {
+    return {
+        id: trade.execId || trade.i,
+        price: parseFloat(trade.price || trade.p),
+        quantity: parseFloat(trade.size || trade.v),
+        timestamp: parseInt(trade.time || trade.T),
+        isBuyerMaker: (trade.side || trade.S) === 'Sell',
+        firstTradeId: null,
+        lastTradeId: null
+    };
+}
+
+/**
+ * Public trades of one symbol in a time range
+ * Only the latest 1000 trades are available over REST, so older ranges come
+ * back partial or empty.
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @param {number} limit - Maximum trades (max 1000)
+ * @returns {Promise<Array>} Trades oldest first
+ */
+async function fetchAggTrades(symbol, startTime, endTime, limit = 1000) {
+    const result = await request('/recent-trade', { symbol, limit: Math.min(limit, 1000).toString() });
+
+    return result.list
+        .map(toTrade)
+        .filter(trade => trade.timestamp >= startTime && trade.timestamp <= endTime)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Subscribe/unsubscribe message for 1m kline or public trade topics
+ * @param {string} channel - 'kline' or 'trade'
+ * @param {Array} symbols - Trading symbols
+ * @param {string} action - 'subscribe' or 'unsubscribe'
+ * @returns {Object} Message to send
+ */
+function buildStreamRequest(channel, symbols, action) {
+    const prefix = channel === 'kline' ? 'kline.1.' : 'publicTrade.';
+
+    return {
+        op: action === 'unsubscribe' ? 'unsubscribe' : 'subscribe',
+        args: symbols.map(symbol => `${prefix}${symbol}`),
+        req_id: String(Date.now())
+    };
+}
+
+/**
+ * Klines of a stream message
+ * @param {Object} message - Parsed stream message
+ * @returns {Array} [{ symbol, isClosed, eventTime, openTime, closeTime, open, high, low, close, volume, ... }]
+ */
+function parseKlineMessage(message) {
+    if (typeof message.topic !== 'string' || !message.topic.startsWith('kline.')) {
+        return [];
+    }
+
+    const symbol = message.topic.split('.')[2];
+
+    return (message.data || []).map(kline => ({
+        symbol,
+        isClosed: kline.confirm === true,
+        eventTime: kline.timestamp || message.ts || Date.now(),
+        openTime: kline.start,
+        closeTime: kline.end,
+        open: parseFloat(kline.open),
+        high: parseFloat(kline.high),
+        low: parseFloat(kline.low),
+        close: parseFloat(kline.close),
+        volume: parseFloat(kline.volume),
+        quoteAssetVolume: parseFloat(kline.turnover),
+        numberOfTrades: null,
+        takerBuyBaseAssetVolume: null,
+        takerBuyQuoteAssetVolume: null
+    }));
+}
+
+/**
+ * Trades of a stream message
+ * @param {Object} message - Parsed stream message
+ * @returns {Array} [{ symbol, trade }]
+ */
+function parseTradeMessage(message) {
+    if (typeof message.topic !== 'string' || !message.topic.startsWith('publicTrade.')) {
+        return [];
+    }
+
+    return (message.data || []).map(trade => ({ symbol: trade.s, trade: toTrade(trade) }));
+}
+
+/**
+ * Ban expiry of a failed request, or null when the error isn't a ban
+ * HTTP 403 ("access too frequent") blocks the IP for 10 minutes.
+ */
+function getBanExpiry(error) {
+    return error.message.includes('Bybit API error 403') ? Date.now() + (10 * 60 * 1000) : null;
+}
+
+module.exports = {
+    name: 'bybit',
+    label: 'Bybit',
+    streamUrl: 'wss://stream.bybit.com/v5/public/linear',
+    maxStreamsPerRequest: 10,
+    streamPing: { intervalMs: 20000, message: { op: 'ping' } },
+    historicalTrades: false,
+    rateLimit: {
+        minDelay: 1000,
+        hourlyLimit: 3000,
+        getBanExpiry
+    },
+    KLINE_INTERVALS,
+    parseInstrument,
+    fetchSymbolUniverse,
+    fetch24hTickers,
+    fetchKlines,
+    fetchAggTrades,
+    buildStreamRequest,
+    parseKlineMessage,
+    parseTradeMessage
+};
@@ -0,0 +1,547 @@
+/**
+ * Candle Store
+ * OHLC candles of every interval in bucketed documents instead of one document
+ * per candle: `candleBuckets` holds one document per symbol, interval and UTC hour
+ * with that hour's candles, oldest first.
+ *
+ * - { symbol, interval, bucketStart } is unique, and a candle is only pushed into
+ *   its bucket when no candle with the same openTime is there, so every
+ *   symbol/interval/openTime has exactly one candle
+ * - `expiresAt` (TTL index) is the end of the bucket plus the retention of its
+ *   interval, so candles expire steadily by the hour instead of in cleanup bursts.
+ *   Retention defaults to DEFAULT_CANDLE_RETENTION_HOURS and can be set per
+ *   interval with CANDLE_RETENTION_HOURS=1m:2,15m:12,60m:48. It is raised per
+ *   interval to hold the candle history the detection profiles look back over
+ *   (setRequiredCandleHistory), e.g. 22 candles of 60m need 22 hours
+ *
+ * getCandleCollection(db) returns a collection-like accessor over the buckets
+ * with the part of the driver API the code uses on candles (find with
+ * sort/skip/limit/count/toArray, findOne with sort, countDocuments, distinct, upserting
+ * updateOne with $set, deleteMany), taking the same queries and returning the
+ * same candle documents as the former `candleData` collection. Reads run as
+ * aggregations on the buckets: the candle conditions filter each bucket's candles
+ * on the server ($filter), skip/limit apply to the unwound candles, and counts of
+ * whole buckets add up their `count`, so only the candles asked for are sent.
+ *
+ * migrateLegacyCandles moves the documents of the former `candleData` collection
+ * into buckets and drops it; it can be interrupted and run again.
+ */
+
+const CANDLE_BUCKETS_COLLECTION = 'candleBuckets';
+const LEGACY_CANDLE_COLLECTION = 'candleData';
+
+const BUCKET_MS = 60 * 60 * 1000;
+
+const DEFAULT_CANDLE_RETENTION_HOURS = 2;
+
+// Legacy candles read per migration batch
+const MIGRATION_BATCH_SIZE = 5000;
+
+let candleRetention = null;
+
+// Candles of every interval the detection profiles read before a reversal
+let requiredCandleHistory = 0;
+
+/**
+ * Parse a CANDLE_RETENTION_HOURS list ("1m:2,15m:12,60m:48")
+ * Entries without a positive number of hours are skipped with a warning.
+ * @param {string} value - Comma separated interval:hours pairs
+ * @returns {Map} interval -> hours
+ */
+function parseCandleRetention(value) {
+    const retention = new Map();
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [interval, hours] = entry.split(':').map(part => part.trim());
+        const parsed = parseFloat(hours);
+
+        if (!/^\d+m$/.test(interval) || isNaN(parsed) || parsed <= 0) {
+            console.warn(`⚠️ Ignoring CANDLE_RETENTION_HOURS entry "${entry}"`);
+            return;
+        }
+
+        retention.set(interval, parsed);
+    });
+
+    return retention;
+}
+
+/**
+ * Hours the candles of an interval are kept: the configured retention, raised
+ * to cover the required candle history of the interval
+ * @param {string} interval - Candle interval (e.g. '1m', '15m')
+ * @returns {number} Retention in hours
+ */
+function getCandleRetentionHours(interval) {
+    if (!candleRetention) {
+        candleRetention = parseCandleRetention(process.env.CANDLE_RETENTION_HOURS);
+    }
+
+    const configured = candleRetention.get(interval) || DEFAULT_CANDLE_RETENTION_HOURS;
+    const historyHours = Math.ceil(requiredCandleHistory * (parseInt(interval, 10) || 1) / 60);
+
+    return Math.max(configured, historyHours);
+}
+
+/**
+ * Set how many candles of each interval must stay stored
+ * Buckets pick up the new retention on their next write.
+ * @param {number} candles - Candles before a reversal that detection reads
+ */
+function setRequiredCandleHistory(candles) {
+    requiredCandleHistory = Math.max(0, candles || 0);
+}
+
+/**
+ * Replace the per-interval retention
+ * @param {Object|Map} retention - interval -> hours
+ */
+function setCandleRetention(retention) {
+    const entries = retention instanceof Map ? [...retention.entries()] : Object.entries(retention || {});
+
+    candleRetention = parseCandleRetention(entries.map(([interval, hours]) => `${interval}:${hours}`).join(','));
+}
+
+const valueOf = value => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Start of the bucket holding a candle
+ * @param {Date|number} openTime - Candle open time
+ * @returns {Date} Bucket start (UTC hour)
+ */
+function getBucketStart(openTime) {
+    return new Date(Math.floor(valueOf(openTime) / BUCKET_MS) * BUCKET_MS);
+}
+
+/**
+ * Expiry of a bucket: its end plus the retention of its interval
+ * @param {string} interval - Candle interval
+ * @param {Date} bucketStart - Bucket start
+ * @returns {Date} expiresAt
+ */
+function getBucketExpiry(interval, bucketStart) {
+    return new Date(bucketStart.getTime() + BUCKET_MS + getCandleRetentionHours(interval) * 60 * 60 * 1000);
+}
+
+/**
+ * Does a candle match a query?
+ * Supports equality (Dates by time) and $gt/$gte/$lt/$lte/$in/$ne per field.
+ */
+function matchesCandle(candle, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        const value = valueOf(candle[key]);
+
+        if (!condition || typeof condition !== 'object' || condition instanceof Date) {
+            return value === valueOf(condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$gt': return value > valueOf(operand);
+                case '$gte': return value >= valueOf(operand);
+                case '$lt': return value < valueOf(operand);
+                case '$lte': return value <= valueOf(operand);
+                case '$in': return operand.map(valueOf).includes(value);
+                case '$ne': return value !== valueOf(operand);
+                default: throw new Error(`Unsupported candle query operator ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Aggregation condition for the candles of a bucket (as `$$candle`) matching a query
+ * Mirrors matchesCandle; symbol and interval are left to the bucket query.
+ * @returns {Object|null} $and expression, or null when every candle of a matched bucket matches
+ */
+function toCandleCondition(query) {
+    const conditions = [];
+
+    Object.entries(query).forEach(([key, condition]) => {
+        if (key === 'symbol' || key === 'interval') {
+            return;
+        }
+
+        const field = `$$candle.${key}`;
+
+        if (!condition || typeof condition !== 'object' || condition instanceof Date) {
+            conditions.push({ $eq: [field, condition] });
+            return;
+        }
+
+        Object.entries(condition).forEach(([operator, operand]) => {
+            if (!['$gt', '$gte', '$lt', '$lte', '$in', '$ne'].includes(operator)) {
+                throw new Error(`Unsupported candle query operator ${operator}`);
+            }
+            conditions.push({ [operator]: [field, operand] });
+        });
+    });
+
+    return conditions.length > 0 ? { $and: conditions } : null;
+}
+
+/**
+ * The candles of a bucket matching a query, as an aggregation expression
+ */
+function toCandlesExpression(query) {
+    const condition = toCandleCondition(query);
+    return condition ? { $filter: { input: '$candles', as: 'candle', cond: condition } } : '$candles';
+}
+
+/**
+ * Bucket query for a candle query: symbol/interval as given, bucketStart
+ * bounded by the openTime and closeTime conditions (a candle closes after it opens)
+ */
+function toBucketQuery(query) {
+    const bucketQuery = {};
+    const bucketStart = {};
+
+    ['symbol', 'interval'].forEach(key => {
+        if (query[key] !== undefined) {
+            bucketQuery[key] = query[key];
+        }
+    });
+
+    const openTime = query.openTime;
+    if (openTime instanceof Date || typeof openTime === 'number') {
+        bucketQuery.bucketStart = getBucketStart(openTime);
+        return bucketQuery;
+    }
+
+    if (openTime && typeof openTime === 'object') {
+        if (openTime.$gte !== undefined || openTime.$gt !== undefined) {
+            bucketStart.$gte = getBucketStart(openTime.$gte !== undefined ? openTime.$gte : openTime.$gt);
+        }
+        if (openTime.$lte !== undefined) {
+            bucketStart.$lte = getBucketStart(openTime.$lte);
+        }
+        if (openTime.$lt !== undefined) {
+            bucketStart.$lt = new Date(valueOf(openTime.$lt));
+        }
+    }
+
+    const closeTime = query.closeTime;
+    if (closeTime && typeof closeTime === 'object' && !(closeTime instanceof Date)) {
+        const before = closeTime.$lt !== undefined ? closeTime.$lt : closeTime.$lte;
+        if (before !== undefined && (bucketStart.$lt === undefined || valueOf(before) < bucketStart.$lt.getTime())) {
+            bucketStart.$lt = new Date(valueOf(before) + (closeTime.$lt !== undefined ? 0 : 1));
+        }
+    }
+
+    if (Object.keys(bucketStart).length > 0) {
+        bucketQuery.bucketStart = bucketStart;
+    }
+
+    return bucketQuery;
+}
+
+/**
+ * Compare two candles by a sort spec ({ openTime: -1 }, ...)
+ */
+function compareCandles(sort) {
+    const keys = Object.entries(sort || {});
+
+    return (a, b) => {
+        for (const [key, direction] of keys) {
+            const difference = valueOf(a[key]) - valueOf(b[key]);
+            if (difference !== 0 && !isNaN(difference)) {
+                return direction * difference;
+            }
+        }
+        return 0;
+    };
+}
+
+/**
+ * Group candles into bucket documents (the shape stored in candleBuckets)
+ * Later candles of the same symbol/interval/openTime replace earlier ones.
+ * @param {Array} candles - Candle documents (symbol, interval, openTime as Date ...)
+ * @returns {Array} [{ symbol, interval, bucketStart, candles (oldest first), count, expiresAt }]
+ */
+function toCandleBuckets(candles) {
+    const buckets = new Map();
+
+    candles.forEach(({ _id, ...candle }) => {
+        const bucketStart = getBucketStart(candle.openTime);
+        const key = `${candle.symbol}|${candle.interval}|${bucketStart.getTime()}`;
+
+        if (!buckets.has(key)) {
+            buckets.set(key, {
+                symbol: candle.symbol,
+                interval: candle.interval,
+                bucketStart,
+                candles: new Map(),
+                expiresAt: getBucketExpiry(candle.interval, bucketStart)
+            });
+        }
+
+        buckets.get(key).candles.set(valueOf(candle.openTime), candle);
+    });
+
+    return [...buckets.values()].map(bucket => {
+        const bucketCandles = [...bucket.candles.values()].sort(compareCandles({ openTime: 1 }));
+        return { ...bucket, candles: bucketCandles, count: bucketCandles.length };
+    });
+}
+
+/**
+ * Cursor over the candles matching a query
+ * Like a driver cursor: sort/skip/limit chain and toArray/count resolve it.
+ */
+function createCandleCursor(buckets, query) {
+    let sort = null;
+    let skip = 0;
+    let limit = 0;
+
+    const load = () => {
+        const ascending = !sort || Object.keys(sort)[0] !== 'openTime' || sort.openTime > 0;
+        const candles = toCandlesExpression(query);
+
+        const pipeline = [
+            { $match: toBucketQuery(query) },
+            { $sort: { bucketStart: ascending ? 1 : -1 } },
+            { $project: { _id: 0, candles: ascending ? candles : { $reverseArray: candles } } },
+            { $unwind: '$candles' },
+            { $replaceRoot: { newRoot: '$candles' } }
+        ];
+
+        // Buckets already give openTime order; other sorts are applied here
+        if (sort && Object.keys(sort).some(key => key !== 'openTime')) {
+            pipeline.push({ $sort: sort });
+        }
+        if (skip > 0) {
+            pipeline.push({ $skip: skip });
+        }
+        if (limit > 0) {
+            pipeline.push({ $limit: limit });
+        }
+
+        return buckets.aggregate(pipeline).toArray();
+    };
+
+    const cursor = {
+        sort: (spec) => {
+            sort = spec;
+            return cursor;
+        },
+        skip: (count) => {
+            skip = count;
+            return cursor;
+        },
+        limit: (count) => {
+            limit = count;
+            return cursor;
+        },
+        toArray: load,
+        count: () => countCandles(buckets, query)
+    };
+
+    return cursor;
+}
+
+/**
+ * Number of candles matching a query
+ * Whole buckets count by their `count`, others by their filtered candles.
+ */
+async function countCandles(buckets, query) {
+    const candles = toCandlesExpression(query);
+    const [result] = await buckets.aggregate([
+        { $match: toBucketQuery(query) },
+        { $group: { _id: null, count: { $sum: candles === '$candles' ? '$count' : { $size: candles } } } }
+    ]).toArray();
+
+    return result ? result.count : 0;
+}
+
+/**
+ * Upsert one candle into its bucket
+ * Updates the candle in place when its bucket holds it; otherwise pushes it,
+ * creating the bucket when needed. A concurrent insert of the same bucket fails
+ * on the unique key and is retried as an update.
+ */
+async function upsertCandle(buckets, filter, fields, upsert) {
+    if (!filter.symbol || !filter.interval || filter.openTime === undefined) {
+        throw new Error('Candle updates need symbol, interval and openTime');
+    }
+
+    const bucketStart = getBucketStart(filter.openTime);
+    const bucketKey = { symbol: filter.symbol, interval: filter.interval, bucketStart };
+    const candleSet = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`candles.$.${key}`, value]));
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const updated = await buckets.updateOne(
+            { ...bucketKey, 'candles.openTime': filter.openTime },
+            { $set: candleSet }
+        );
+
+        if (updated.matchedCount > 0 || !upsert) {
+            return { acknowledged: true, matchedCount: updated.matchedCount, modifiedCount: updated.modifiedCount, upsertedCount: 0 };
+        }
+
+        try {
+            await buckets.updateOne(
+                { ...bucketKey, 'candles.openTime': { $ne: filter.openTime } },
+                {
+                    $push: { candles: { $each: [{ ...filter, ...fields }], $sort: { openTime: 1 } } },
+                    $inc: { count: 1 },
+                    $set: { expiresAt: getBucketExpiry(filter.interval, bucketStart) }
+                },
+                { upsert: true }
+            );
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+        } catch (error) {
+            // The bucket was created, or the candle pushed, since the first update
+            if (error.code !== 11000 || attempt > 0) {
+                throw error;
+            }
+        }
+    }
+
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+}
+
+/**
+ * Collection-like access to the candles of a database
+ * @param {Object} db - MongoDB database (client.db(dbName))
+ * @returns {Object} { find, findOne, countDocuments, distinct, updateOne, deleteMany } on candle documents
+ */
+function getCandleCollection(db) {
+    const buckets = db.collection(CANDLE_BUCKETS_COLLECTION);
+
+    return {
+        find: (query = {}) => createCandleCursor(buckets, query),
+
+        findOne: async (query = {}, options = {}) => {
+            const [candle] = await createCandleCursor(buckets, query).sort(options.sort).limit(1).toArray();
+            return candle || null;
+        },
+
+        countDocuments: (query = {}) => countCandles(buckets, query),
+
+        distinct: async (key, query = {}) => {
+            if (key === 'symbol' || key === 'interval') {
+                return buckets.distinct(key, toBucketQuery(query));
+            }
+
+            const candles = await createCandleCursor(buckets, query).toArray();
+            return [...new Set(candles.map(candle => candle[key]))];
+        },
+
+        /**
+         * @param {Object} filter - { symbol, interval, openTime }
+         * @param {Object} update - { $set: candle fields }
+         * @param {Object} [options] - { upsert }
+         */
+        updateOne: (filter, update, options = {}) => {
+            const unsupported = Object.keys(update).filter(operator => operator !== '$set');
+            if (unsupported.length > 0) {
+                throw new Error(`Unsupported candle update operator ${unsupported[0]}`);
+            }
+
+            return upsertCandle(buckets, filter, update.$set || {}, !!options.upsert);
+        },
+
+        /**
+         * Remove matching candles; buckets left empty are deleted
+         * Meant for maintenance scripts: a candle written to a bucket while it is
+         * being rewritten here may be lost.
+         */
+        deleteMany: async (query = {}) => {
+            const documents = await buckets.find(toBucketQuery(query)).toArray();
+            let deletedCount = 0;
+
+            for (const bucket of documents) {
+                const kept = bucket.candles.filter(candle => !matchesCandle(candle, query));
+
+                if (kept.length === bucket.candles.length) {
+                    continue;
+                }
+
+                deletedCount += bucket.candles.length - kept.length;
+
+                if (kept.length === 0) {
+                    await buckets.deleteOne({ _id: bucket._id });
+                } else {
+                    await buckets.updateOne({ _id: bucket._id }, { $set: { candles: kept, count: kept.length } });
+                }
+            }
+
+            return { acknowledged: true, deletedCount };
+        }
+    };
+}
+
+/**
+ * Move the candles of the former per-candle `candleData` collection into buckets
+ * Candles past their retention are dropped; migrated candles are deleted from
+ * the old collection batch by batch, which is dropped once empty, so an
+ * interrupted migration continues where it stopped.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Object>} { migrated, expired }
+ */
+async function migrateLegacyCandles(client, dbName) {
+    const db = client.db(dbName);
+    const [legacy] = await db.listCollections({ name: LEGACY_CANDLE_COLLECTION }).toArray();
+    const result = { migrated: 0, expired: 0 };
+
+    if (!legacy) {
+        return result;
+    }
+
+    const legacyCollection = db.collection(LEGACY_CANDLE_COLLECTION);
+    const candles = getCandleCollection(db);
+
+    console.log('🚚 Migrating candleData into candle buckets...');
+
+    while (true) {
+        const batch = await legacyCollection.find({}).limit(MIGRATION_BATCH_SIZE).toArray();
+
+        if (batch.length === 0) {
+            break;
+        }
+
+        const live = batch.filter(candle => candle.openTime && getBucketExpiry(candle.interval, getBucketStart(candle.openTime)) > new Date());
+        result.expired += batch.length - live.length;
+
+        for (const bucket of toCandleBuckets(live)) {
+            try {
+                await db.collection(CANDLE_BUCKETS_COLLECTION).insertOne(bucket);
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+
+                // Bucket already written (live data or an earlier run): merge candle by candle
+                for (const { symbol, interval, openTime, ...fields } of bucket.candles) {
+                    await candles.updateOne({ symbol, interval, openTime }, { $set: fields }, { upsert: true });
+                }
+            }
+        }
+
+        result.migrated += live.length;
+        await legacyCollection.deleteMany({ _id: { $in: batch.map(candle => candle._id) } });
+    }
+
+    await legacyCollection.drop();
+
+    console.log(`✅ Migrated ${result.migrated} candles into buckets (${result.expired} past retention dropped)`);
+    return result;
+}
+
+module.exports = {
+    CANDLE_BUCKETS_COLLECTION,
+    LEGACY_CANDLE_COLLECTION,
+    BUCKET_MS,
+    DEFAULT_CANDLE_RETENTION_HOURS,
+    parseCandleRetention,
+    getCandleRetentionHours,
+    setRequiredCandleHistory,
+    setCandleRetention,
+    getBucketStart,
+    getBucketExpiry,
+    matchesCandle,
+    toCandleBuckets,
+    getCandleCollection,
+    migrateLegacyCandles
+};
@@ -0,0 +1,164 @@
+/**
+ * Multi-Timeframe Confluence Engine
+ * Groups reversals of one symbol that close at the same minute on different
+ * intervals (e.g. 5m, 10m and 15m all closing at 10:15) and stores a
+ * `confluence` record on every member of the group.
+ *
+ * Confluence score (0-10):
+ * - each same-direction reversal adds its weight, opposite-direction ones subtract it
+ * - weight = 2 for a valid trade signal, 1 for a reversal without one
+ * - weights are scaled by (1 + intervalMinutes / 60) so higher timeframes count more
+ */
+
+const { getReversalDirection } = require('./reversalCandleDetector');
+
+// Reversals closing within this window are (re)grouped on every run
+const CONFLUENCE_LOOKBACK_MINUTES = 120;
+
+const MAX_CONFLUENCE_SCORE = 10;
+
+/**
+ * Round a close time to the minute boundary it closes on
+ * @param {Date|number} closeTime - Candle close time (usually boundary - 1ms)
+ * @returns {number} Boundary timestamp in milliseconds
+ */
+function getCloseMinute(closeTime) {
+    const time = closeTime instanceof Date ? closeTime.getTime() : new Date(closeTime).getTime();
+    return Math.round(time / 60000) * 60000;
+}
+
+/**
+ * Weight of one reversal in the confluence score
+ * @param {Object} reversal - Reversal document
+ * @returns {number} Weight
+ */
+function getConfluenceWeight(reversal) {
+    const minutes = parseInt(reversal.interval, 10) || 1;
+    const base = reversal.tradeSignal && reversal.tradeSignal.isValidSignal ? 2 : 1;
+    return base * (1 + minutes / 60);
+}
+
+function sortIntervals(intervals) {
+    return [...new Set(intervals)].sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+}
+
+/**
+ * Build the confluence record for one direction of a symbol/close-minute group
+ * @param {Array} group - Reversals of one symbol closing at the same minute
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} closeMinute - Shared close boundary (ms)
+ * @returns {Object} Confluence record
+ */
+function calculateConfluence(group, direction, closeMinute) {
+    const aligned = group.filter(r => getReversalDirection(r.reversalPattern.type) === direction);
+    const opposing = group.filter(r => getReversalDirection(r.reversalPattern.type) !== direction);
+    const valid = aligned.filter(r => r.tradeSignal && r.tradeSignal.isValidSignal);
+
+    const rawScore = aligned.reduce((sum, r) => sum + getConfluenceWeight(r), 0) -
+        opposing.reduce((sum, r) => sum + getConfluenceWeight(r), 0);
+
+    const score = Math.max(0, Math.min(MAX_CONFLUENCE_SCORE, rawScore));
+    const timeframes = sortIntervals(aligned.map(r => r.interval));
+    const validTimeframes = sortIntervals(valid.map(r => r.interval));
+
+    return {
+        closeMinute: new Date(closeMinute),
+        direction,
+        timeframes,
+        timeframeCount: timeframes.length,
+        validTimeframes,
+        validSignalCount: validTimeframes.length,
+        opposingTimeframes: sortIntervals(opposing.map(r => r.interval)),
+        score: Math.round(score * 10) / 10
+    };
+}
+
+/**
+ * Has the stored confluence record changed in a way worth writing?
+ */
+function isConfluenceChanged(previous, next) {
+    if (!previous) {
+        return true;
+    }
+
+    return previous.score !== next.score ||
+        previous.timeframes.join(',') !== next.timeframes.join(',') ||
+        previous.validTimeframes.join(',') !== next.validTimeframes.join(',') ||
+        previous.opposingTimeframes.join(',') !== next.opposingTimeframes.join(',');
+}
+
+/**
+ * Recalculate confluence for recently closed reversals
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} options - { lookbackMinutes }
+ * @returns {Promise<Object>} { reversalsScanned, groupsFound, reversalsUpdated }
+ */
+async function updateConfluence(client, dbName, options = {}) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+
+    const lookbackMinutes = options.lookbackMinutes || CONFLUENCE_LOOKBACK_MINUTES;
+    const collection = client.db(dbName).collection('reversalCandles');
+
+    const reversals = await collection.find(
+        { closeTime: { $gte: new Date(Date.now() - lookbackMinutes * 60 * 1000) } },
+        { projection: { symbol: 1, interval: 1, closeTime: 1, reversalPattern: 1, tradeSignal: 1, confluence: 1 } }
+    ).toArray();
+
+    // Group by symbol + close boundary
+    const groups = new Map();
+    for (const reversal of reversals) {
+        if (!reversal.reversalPattern || !getReversalDirection(reversal.reversalPattern.type)) {
+            continue;
+        }
+
+        const key = `${reversal.symbol}|${getCloseMinute(reversal.closeTime)}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(reversal);
+    }
+
+    const operations = [];
+    const now = new Date();
+
+    for (const [key, group] of groups) {
+        const closeMinute = parseInt(key.split('|')[1], 10);
+        const records = {
+            buy: calculateConfluence(group, 'buy', closeMinute),
+            sell: calculateConfluence(group, 'sell', closeMinute)
+        };
+
+        for (const reversal of group) {
+            const record = records[getReversalDirection(reversal.reversalPattern.type)];
+
+            if (isConfluenceChanged(reversal.confluence, record)) {
+                operations.push({
+                    updateOne: {
+                        filter: { _id: reversal._id },
+                        update: { $set: { confluence: { ...record, updatedAt: now } } }
+                    }
+                });
+            }
+        }
+    }
+
+    if (operations.length > 0) {
+        await collection.bulkWrite(operations, { ordered: false });
+    }
+
+    return {
+        reversalsScanned: reversals.length,
+        groupsFound: groups.size,
+        reversalsUpdated: operations.length
+    };
+}
+
+module.exports = {
+    CONFLUENCE_LOOKBACK_MINUTES,
+    getCloseMinute,
+    calculateConfluence,
+    updateConfluence
+};
@@ -0,0 +1,239 @@
+/**
+ * Detection Profiles
+ * Named threshold sets for the reversal candle detector, stored in MongoDB.
+ * A profile can be assigned per symbol, per interval or per symbol + interval;
+ * the most specific assignment wins, then the profile flagged as default,
+ * then the built-in thresholds from reversalCandleDetector.
+ */
+
+const { DEFAULT_DETECTION_THRESHOLDS } = require('./reversalCandleDetector');
+const { getDetectionProfiles, getDetectionProfileOverrides } = require('../models/database');
+const { DEFAULT_TREND_CONTEXT, getTrendHistoryCandles } = require('./trendContextFilter');
+const { DEFAULT_VALIDATION_RULES } = require('./tradeSignalValidator');
+const { DEFAULT_DEDUPLICATION } = require('./signalDeduplicator');
+const { PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { setRequiredCandleHistory } = require('./candleStore');
+
+const BUILTIN_PROFILE_NAME = 'builtin';
+
+// Profiles are resolved for every closed candle, so keep them in memory briefly
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Validate and normalize a thresholds object coming from user input
+ * @param {Object} input - Raw thresholds (numbers or numeric strings)
+ * @returns {Object} { thresholds, errors } - only known keys are kept
+ */
+function normalizeThresholds(input = {}) {
+    const thresholds = {};
+    const errors = [];
+
+    for (const key of Object.keys(DEFAULT_DETECTION_THRESHOLDS)) {
+        if (input[key] === undefined || input[key] === null || input[key] === '') {
+            continue;
+        }
+
+        const value = parseFloat(input[key]);
+
+        if (isNaN(value) || value < 0 || value > 100) {
+            errors.push(`${key} must be a number between 0 and 100`);
+            continue;
+        }
+
+        thresholds[key] = value;
+    }
+
+    return { thresholds, errors };
+}
+
+class DetectionProfileResolver {
+    constructor(client, dbName) {
+        this.client = client;
+        this.dbName = dbName;
+
+        this.profiles = new Map();
+        this.overrides = new Map();
+        this.defaultProfileName = null;
+        this.loadedAt = 0;
+        this.loadingPromise = null;
+    }
+
+    /**
+     * Reload profiles and overrides from the database
+     */
+    async refresh() {
+        const [profiles, overrides] = await Promise.all([
+            getDetectionProfiles(this.client, this.dbName),
+            getDetectionProfileOverrides(this.client, this.dbName)
+        ]);
+
+        this.profiles = new Map(profiles.map(profile => [profile.name, profile]));
+        this.overrides = new Map(overrides.map(o => [this.overrideKey(o.symbol, o.interval), o.profileName]));
+
+        const defaultProfile = profiles.find(profile => profile.isDefault);
+        this.defaultProfileName = defaultProfile ? defaultProfile.name : null;
+        this.loadedAt = Date.now();
+
+        setRequiredCandleHistory(this.getRequiredCandleHistory());
+    }
+
+    /**
+     * Candles the profiles in use read before a reversal (trend context plus
+     * the earlier candles of multi-candle patterns), so the candle store keeps them
+     * @returns {number} Candles per interval
+     */
+    getRequiredCandleHistory() {
+        const inUse = [...new Set([this.defaultProfileName, ...this.overrides.values()])]
+            .map(name => this.profiles.get(name))
+            .filter(Boolean);
+        const trendContexts = inUse.map(profile => profile.trendContext);
+
+        // Intervals without an override fall back to the built-in settings
+        if (!this.defaultProfileName || !this.profiles.has(this.defaultProfileName)) {
+            trendContexts.push(DEFAULT_TREND_CONTEXT);
+        }
+
+        return Math.max(0, ...trendContexts.map(getTrendHistoryCandles)) + PATTERN_LOOKBACK;
+    }
+
+    /**
+     * Refresh the cache if it is stale; concurrent callers share one reload
+     */
+    async ensureFresh() {
+        if (Date.now() - this.loadedAt < CACHE_TTL_MS) {
+            return;
+        }
+
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.refresh().finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+
+        await this.loadingPromise;
+    }
+
+    /**
+     * Drop the cache so the next resolve reads from the database
+     */
+    invalidate() {
+        this.loadedAt = 0;
+    }
+
+    overrideKey(symbol, interval) {
+        return `${symbol || '*'}|${interval || '*'}`;
+    }
+
+    /**
+     * Resolve the active profile for a symbol and interval
+     * @param {string} symbol - Trading symbol
+     * @param {string} interval - Candle interval (e.g. '1m', '15m')
+     * @returns {Promise<Object>} { name, source, thresholds, trendContext, validationRules, deduplication }
+     */
+    async resolve(symbol, interval) {
+        try {
+            await this.ensureFresh();
+        } catch (error) {
+            // Keep detecting with whatever we have rather than stopping the pipeline
+            console.error('❌ Error loading detection profiles, using cached/built-in thresholds:', error.message);
+        }
+
+        const candidates = [
+            { key: this.overrideKey(symbol, interval), source: 'symbol_interval' },
+            { key: this.overrideKey(symbol, null), source: 'symbol' },
+            { key: this.overrideKey(null, interval), source: 'interval' }
+        ];
+
+        for (const candidate of candidates) {
+            const profileName = this.overrides.get(candidate.key);
+            const profile = profileName && this.profiles.get(profileName);
+
+            if (profile) {
+                return this.buildResolvedProfile(profile, candidate.source);
+            }
+        }
+
+        if (this.defaultProfileName && this.profiles.has(this.defaultProfileName)) {
+            return this.buildResolvedProfile(this.profiles.get(this.defaultProfileName), 'default');
+        }
+
+        return {
+            name: BUILTIN_PROFILE_NAME,
+            source: BUILTIN_PROFILE_NAME,
+            thresholds: { ...DEFAULT_DETECTION_THRESHOLDS },
+            trendContext: { ...DEFAULT_TREND_CONTEXT },
+            validationRules: { ...DEFAULT_VALIDATION_RULES },
+            deduplication: { ...DEFAULT_DEDUPLICATION }
+        };
+    }
+
+    buildResolvedProfile(profile, source) {
+        return {
+            name: profile.name,
+            source,
+            thresholds: { ...DEFAULT_DETECTION_THRESHOLDS, ...(profile.thresholds || {}) },
+            trendContext: { ...DEFAULT_TREND_CONTEXT, ...(profile.trendContext || {}) },
+            validationRules: { ...DEFAULT_VALIDATION_RULES, ...(profile.validationRules || {}) },
+            deduplication: { ...DEFAULT_DEDUPLICATION, ...(profile.deduplication || {}) }
+        };
+    }
+}
+
+// Global instance
+let globalProfileResolver = null;
+
+/**
+ * Get or create the global detection profile resolver
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {DetectionProfileResolver} Resolver instance
+ */
+function getGlobalProfileResolver(client, dbName) {
+    if (!globalProfileResolver && client) {
+        globalProfileResolver = new DetectionProfileResolver(client, dbName);
+    }
+    return globalProfileResolver;
+}
+
+/**
+ * Resolve the active detection profile for a symbol and interval
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Candle interval
+ * @returns {Promise<Object>} { name, source, thresholds, trendContext, validationRules, deduplication }
+ */
+async function resolveDetectionProfile(client, dbName, symbol, interval) {
+    const resolver = getGlobalProfileResolver(client, dbName);
+
+    if (!resolver) {
+        return {
+            name: BUILTIN_PROFILE_NAME,
+            source: BUILTIN_PROFILE_NAME,
+            thresholds: { ...DEFAULT_DETECTION_THRESHOLDS },
+            trendContext: { ...DEFAULT_TREND_CONTEXT },
+            validationRules: { ...DEFAULT_VALIDATION_RULES },
+            deduplication: { ...DEFAULT_DEDUPLICATION }
+        };
+    }
+
+    return resolver.resolve(symbol, interval);
+}
+
+/**
+ * Invalidate the cached profiles after an edit
+ */
+function invalidateDetectionProfiles() {
+    if (globalProfileResolver) {
+        globalProfileResolver.invalidate();
+    }
+}
+
+module.exports = {
+    BUILTIN_PROFILE_NAME,
+    DetectionProfileResolver,
+    normalizeThresholds,
+    getGlobalProfileResolver,
+    resolveDetectionProfile,
+    invalidateDetectionProfiles
+};
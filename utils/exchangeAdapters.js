@@ -0,0 +1,182 @@
+/**
+ * Exchange Adapters
+ * One adapter per exchange hides its URLs, payloads and limits behind the same
+ * interface, so collectors and fetchers work on normalized data:
+ *
+ * - name / label                          'binance', 'Binance'
+ * - fetchSymbolUniverse()                 symbolInfo entries (tick/lot sizes, status, contract type)
+ * - fetch24hTickers()                     [{ symbol, priceChangePercent, priceChange, volume, count }]
+ * - fetchKlines(symbol, interval, opts)   candles oldest first (openTime/closeTime in ms)
+ * - fetchAggTrades(symbol, start, end)    [{ id, price, quantity, timestamp, isBuyerMaker, ... }]
+ * - fetchAggTradesFromId(symbol, fromId)  the same from a trade id on (historicalTrades exchanges only)
+ * - streamUrl, maxStreamsPerRequest, streamPing
+ * - buildStreamRequest(channel, symbols, action)   'kline' (1m) or 'trade' topics
+ * - parseKlineMessage(message) / parseTradeMessage(message)
+ * - historicalTrades                      false when REST only serves recent trades
+ * - rateLimit { minDelay, hourlyLimit, getBanExpiry(error) }
+ *
+ * The exchange is chosen per deployment (EXCHANGE, default binance) and can be
+ * overridden per symbol (SYMBOL_EXCHANGES=BTCUSDT:bybit,ETHUSDT:binance).
+ */
+
+const binanceAdapter = require('./binanceAdapter');
+const bybitAdapter = require('./bybitAdapter');
+
+const EXCHANGE_ADAPTERS = {
+    binance: binanceAdapter,
+    bybit: bybitAdapter
+};
+
+const DEFAULT_EXCHANGE = 'binance';
+
+let symbolExchanges = null;
+
+/**
+ * Parse a SYMBOL_EXCHANGES list ("BTCUSDT:bybit,ETHUSDT:binance")
+ * Entries with an unknown exchange are skipped with a warning.
+ * @param {string} value - Comma separated symbol:exchange pairs
+ * @returns {Map} symbol -> exchange
+ */
+function parseSymbolExchanges(value) {
+    const mapping = new Map();
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [symbol, exchange] = entry.split(':').map(part => part.trim());
+        const name = (exchange || '').toLowerCase();
+
+        if (!symbol || !EXCHANGE_ADAPTERS[name]) {
+            console.warn(`⚠️ Ignoring SYMBOL_EXCHANGES entry "${entry}": unknown exchange`);
+            return;
+        }
+
+        mapping.set(symbol.toUpperCase(), name);
+    });
+
+    return mapping;
+}
+
+/**
+ * Exchange of this deployment
+ * @returns {string} Exchange name
+ */
+function getDeploymentExchange() {
+    const name = (process.env.EXCHANGE || DEFAULT_EXCHANGE).toLowerCase();
+
+    return EXCHANGE_ADAPTERS[name] ? name : DEFAULT_EXCHANGE;
+}
+
+/**
+ * Adapter of an exchange
+ * @param {string} [name] - Exchange name (default: the deployment exchange)
+ * @returns {Object} Exchange adapter
+ */
+function getExchangeAdapter(name) {
+    const adapter = EXCHANGE_ADAPTERS[(name || getDeploymentExchange()).toLowerCase()];
+
+    if (!adapter) {
+        throw new Error(`Unknown exchange: ${name}`);
+    }
+
+    return adapter;
+}
+
+/**
+ * Per-symbol exchange overrides, read from SYMBOL_EXCHANGES on first use
+ * @returns {Map} symbol -> exchange
+ */
+function getSymbolExchanges() {
+    if (!symbolExchanges) {
+        symbolExchanges = parseSymbolExchanges(process.env.SYMBOL_EXCHANGES);
+    }
+
+    return symbolExchanges;
+}
+
+/**
+ * Replace the per-symbol exchange overrides
+ * @param {Object|Map} mapping - symbol -> exchange
+ */
+function setSymbolExchanges(mapping) {
+    const entries = mapping instanceof Map ? [...mapping.entries()] : Object.entries(mapping || {});
+
+    symbolExchanges = parseSymbolExchanges(entries.map(([symbol, exchange]) => `${symbol}:${exchange}`).join(','));
+}
+
+/**
+ * Exchange a symbol is traded on
+ * @param {string} symbol - Trading symbol
+ * @returns {string} Exchange name
+ */
+function getSymbolExchange(symbol) {
+    return getSymbolExchanges().get(symbol) || getDeploymentExchange();
+}
+
+/**
+ * Adapter of the exchange a symbol is traded on
+ * @param {string} symbol - Trading symbol
+ * @returns {Object} Exchange adapter
+ */
+function getSymbolAdapter(symbol) {
+    return getExchangeAdapter(getSymbolExchange(symbol));
+}
+
+/**
+ * Split symbols by the exchange they are traded on
+ * @param {Array} symbols - Trading symbols
+ * @returns {Map} exchange -> symbols
+ */
+function groupSymbolsByExchange(symbols) {
+    const groups = new Map();
+
+    symbols.forEach(symbol => {
+        const exchange = getSymbolExchange(symbol);
+        groups.set(exchange, (groups.get(exchange) || []).concat(symbol));
+    });
+
+    return groups;
+}
+
+/**
+ * Active USDT trading pairs of an exchange
+ * @param {string} [exchange] - Exchange name (default: the deployment exchange)
+ * @returns {Promise<string[]>} Symbol names sorted alphabetically
+ */
+async function getUSDTSymbols(exchange) {
+    const universe = await getExchangeAdapter(exchange).fetchSymbolUniverse();
+
+    return universe
+        .filter(info => info.quoteAsset === 'USDT' && info.status === 'TRADING')
+        .map(info => info.symbol)
+        .sort();
+}
+
+/**
+ * Symbol metadata of the symbols overridden to another exchange than the deployment's
+ * @returns {Promise<Array>} symbolInfo entries from their own exchanges
+ */
+async function fetchOverriddenSymbolInfo() {
+    const deploymentExchange = getDeploymentExchange();
+    const overridden = [...getSymbolExchanges().keys()].filter(symbol => getSymbolExchange(symbol) !== deploymentExchange);
+    const infos = [];
+
+    for (const [exchange, symbols] of groupSymbolsByExchange(overridden)) {
+        const universe = await getExchangeAdapter(exchange).fetchSymbolUniverse();
+        infos.push(...universe.filter(info => symbols.includes(info.symbol)));
+    }
+
+    return infos;
+}
+
+module.exports = {
+    EXCHANGE_ADAPTERS,
+    DEFAULT_EXCHANGE,
+    parseSymbolExchanges,
+    getDeploymentExchange,
+    getExchangeAdapter,
+    setSymbolExchanges,
+    getSymbolExchange,
+    getSymbolAdapter,
+    groupSymbolsByExchange,
+    getUSDTSymbols,
+    fetchOverriddenSymbolInfo
+};
@@ -0,0 +1,51 @@
+/**
+ * Exchange Quantity Filters
+ * Quantity step size, min/max quantity and min notional per symbol, taken from
+ * the exchangeInfo metadata in `symbolInfo` (see symbolInfo.js).
+ */
+
+const { parseSymbolInfo, getAllSymbolInfo } = require('./symbolInfo');
+
+/**
+ * Quantity filters for market orders from stored symbol metadata
+ * MARKET_LOT_SIZE caps the quantity of market orders below LOT_SIZE.
+ * @param {Object} info - Symbol metadata
+ * @returns {Object} { stepSize, minQty, maxQty, minNotional }
+ */
+function toQuantityFilter(info) {
+    const maxQty = [info.maxQty, info.marketMaxQty].filter(value => value > 0);
+
+    return {
+        stepSize: info.marketStepSize || info.stepSize || null,
+        minQty: info.marketMinQty || info.minQty || 0,
+        maxQty: maxQty.length > 0 ? Math.min(...maxQty) : null,
+        minNotional: info.minNotional || 0
+    };
+}
+
+/**
+ * Extract the quantity filters of one exchangeInfo symbol
+ * @param {Object} exchangeSymbol - Entry of exchangeInfo.symbols
+ * @returns {Object} { stepSize, minQty, maxQty, minNotional }
+ */
+function parseQuantityFilters(exchangeSymbol) {
+    return toQuantityFilter(parseSymbolInfo(exchangeSymbol));
+}
+
+/**
+ * Quantity filters of all synced symbols
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Map>} symbol -> { stepSize, minQty, maxQty, minNotional }
+ */
+async function getQuantityFilters(client, dbName) {
+    const symbols = await getAllSymbolInfo(client, dbName);
+
+    return new Map([...symbols.values()].map(info => [info.symbol, toQuantityFilter(info)]));
+}
+
+module.exports = {
+    toQuantityFilter,
+    parseQuantityFilters,
+    getQuantityFilters
+};
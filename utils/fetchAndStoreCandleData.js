@@ -11,6 +11,7 @@ const { fetchReversalCandleTickData } = require('./fetchHistoricalTickData');
 const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
 const { getGlobalTickCollector } = require('./websocketTickCollector');
 const { validateTradeSignal } = require('./tradeSignalValidator');
+const { getCandleCollection } = require('./candleStore');
 
 /**
  * Fetches 1-minute candle data for selected symbols and stores it in the database
@@ -57,7 +58,7 @@ async function fetchAndStoreCandleData(client, dbName, options = {}) {
 
     // Step 3: Store the 1-minute data in the candleData collection
     console.log('💾 Storing 1-minute candle data in database...');
-    const candleCollection = db.collection('candleData');
+    const candleCollection = getCandleCollection(db);
 
     // Process each symbol's data
     for (const symbol of selectedSymbols) {
@@ -114,9 +115,6 @@ async function fetchAndStoreCandleData(client, dbName, options = {}) {
           fetchedAt: new Date()
         }));
 
-        // Create a compound index for efficient querying if it doesn't exist
-        await ensureIndexes(candleCollection);
-
         // Store the 1-minute candle data (NOTE: We only detect reversal patterns for 1-minute data here,
         // all other timeframes will have their reversals detected when artificially generated)
         let reversalPatternsDetected = 0;
@@ -294,27 +292,4 @@ async function getSelectedSymbols(db) {
   }
 }
 
-/**
- * Ensures necessary indexes exist on the candleData collection
- * @param {Object} collection - MongoDB collection
- */
-async function ensureIndexes(collection) {
-  try {
-    // Create a compound index for symbol + interval + openTime for efficient querying
-    await collection.createIndex(
-      { symbol: 1, interval: 1, openTime: 1 },
-      { unique: true }
-    );
-    
-    // Additional indexes for common query patterns
-    await collection.createIndex({ symbol: 1 });
-    await collection.createIndex({ interval: 1 });
-    await collection.createIndex({ openTime: 1 });
-    
-  } catch (error) {
-    console.error('Error creating indexes:', error);
-    // Continue execution even if index creation fails
-  }
-}
-
 module.exports = fetchAndStoreCandleData;
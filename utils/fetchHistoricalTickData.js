@@ -1,17 +1,53 @@
 /**
- * Historical Tick Data Fetcher for Binance Futures - Rate Limited Edition
- * Fetches aggregated trade data with comprehensive rate limiting to prevent IP bans
+ * Historical Tick Data Fetcher - Rate Limited Edition
+ * Fetches aggregated trade data through each symbol's exchange adapter, with one
+ * rate limiter per exchange (limits and ban detection from the adapter's policy)
+ * to prevent IP bans. Reversal candles are read from the local trade store first;
+ * fetched trades are added to it.
+ *
+ * Ranges are paged by trade id until a trade past the close time shows the range
+ * is complete. Each candle gets a page budget (getTradePageLimit): a few pages
+ * inline, more for the background footprint upgrade, and never more than a share
+ * of the requests left this hour. Every reversal fetch reports its coverage: how
+ * far the trades reach into the candle and how much of the candle's volume they
+ * add up to.
  */
 
+const { getExchangeAdapter, getSymbolExchange, getSymbolAdapter } = require('./exchangeAdapters');
+const { removeDuplicateTrades, storeTrades, getStoredTrades } = require('./tradeStore');
+
+// Trades per REST page (exchange maximum)
+const TRADE_PAGE_SIZE = 1000;
+
+// Pages per range before giving up on completeness (~30k trades, background fetches)
+const MAX_TRADE_PAGES = 30;
+
+// Pages per candle minute fetched inline while a reversal is processed, and their cap;
+// candles that need more are finished by the footprint upgrade job
+const INLINE_PAGES_PER_MINUTE = 1;
+const MAX_INLINE_TRADE_PAGES = 5;
+
+// Share of the requests left this hour one candle may use
+const CANDLE_REQUEST_SHARE = 0.025;
+
+// Allowed difference between the summed trade quantity and the candle volume
+const VOLUME_TOLERANCE_PERCENT = 1;
+
 /**
- * Binance Rate Limiter - Prevents IP bans with intelligent request management
+ * Exchange Rate Limiter - Prevents IP bans with intelligent request management
  */
-class BinanceRateLimiter {
-    constructor() {
+class ExchangeRateLimiter {
+    /**
+     * @param {string} exchange - Exchange name
+     * @param {Object} policy - Adapter rateLimit { minDelay, hourlyLimit, getBanExpiry }
+     */
+    constructor(exchange, policy) {
+        this.exchange = exchange;
+        this.getBanExpiry = policy.getBanExpiry;
         this.lastRequest = 0;
-        this.minDelay = 2000; // 2 seconds minimum between requests
+        this.minDelay = policy.minDelay; // Minimum delay between requests
         this.requestCount = 0;
-        this.hourlyLimit = 1200; // Conservative hourly limit
+        this.hourlyLimit = policy.hourlyLimit; // Conservative hourly limit
         this.hourlyReset = Date.now() + (60 * 60 * 1000); // Next hour
         this.isBanned = false;
         this.banExpiry = 0;
@@ -19,7 +55,7 @@ class BinanceRateLimiter {
         this.backoffDelay = 1000; // Start with 1 second
         this.maxBackoff = 60000; // Max 60 seconds
         
-        console.log('🚦 BinanceRateLimiter initialized with conservative limits');
+        console.log(`🚦 ${exchange} rate limiter initialized with conservative limits`);
     }
     
     /**
@@ -102,24 +138,29 @@ class BinanceRateLimiter {
         this.consecutiveErrors++;
         this.backoffDelay = Math.min(this.backoffDelay * 2, this.maxBackoff);
         
-        // Check for ban error codes
-        if (error.message.includes('-1003') || error.message.includes('418')) {
-            // Extract ban timestamp if available
-            const banMatch = error.message.match(/until (\d+)/);
-            if (banMatch) {
-                this.setBanned(parseInt(banMatch[1]));
-            } else {
-                // Default ban duration if not specified
-                this.setBanned(Date.now() + (24 * 60 * 60 * 1000)); // 24 hours
-            }
+        // Check for ban error codes of the exchange
+        const banExpiry = this.getBanExpiry(error);
+        if (banExpiry) {
+            this.setBanned(banExpiry);
         }
     }
     
+    /**
+     * Requests left before the hourly limit
+     */
+    getRemainingRequests() {
+        if (Date.now() > this.hourlyReset) {
+            return this.hourlyLimit;
+        }
+        return Math.max(0, this.hourlyLimit - this.requestCount);
+    }
+    
     /**
      * Get current status
      */
     getStatus() {
         return {
+            exchange: this.exchange,
             isBanned: this.isBannedNow(),
             banExpiry: this.banExpiry,
             requestCount: this.requestCount,
@@ -130,17 +171,33 @@ class BinanceRateLimiter {
     }
 }
 
-// Global rate limiter instance
-const rateLimiter = new BinanceRateLimiter();
+// Global rate limiter instances, one per exchange
+const rateLimiters = new Map();
+
+/**
+ * Rate limiter of an exchange
+ * @param {string} [exchange] - Exchange name (default: the deployment exchange)
+ * @returns {ExchangeRateLimiter}
+ */
+function getRateLimiter(exchange) {
+    const adapter = getExchangeAdapter(exchange);
+
+    if (!rateLimiters.has(adapter.name)) {
+        rateLimiters.set(adapter.name, new ExchangeRateLimiter(adapter.name, adapter.rateLimit));
+    }
+
+    return rateLimiters.get(adapter.name);
+}
 
 /**
  * Initialize rate limiter with current ban status (if any)
  * Call this on startup if you know the IP is currently banned
  * @param {number} banUntilTimestamp - Ban expiry timestamp (optional)
+ * @param {string} [exchange] - Exchange name (default: the deployment exchange)
  */
-function initializeCurrentBanStatus(banUntilTimestamp = null) {
+function initializeCurrentBanStatus(banUntilTimestamp = null, exchange) {
     if (banUntilTimestamp && banUntilTimestamp > Date.now()) {
-        rateLimiter.setBanned(banUntilTimestamp);
+        getRateLimiter(exchange).setBanned(banUntilTimestamp);
         console.log(`🚫 Initialized with current IP ban until ${new Date(banUntilTimestamp).toISOString()}`);
     } else {
         console.log('✅ Rate limiter initialized without any active bans');
@@ -149,25 +206,46 @@ function initializeCurrentBanStatus(banUntilTimestamp = null) {
 
 /**
  * Get rate limiter status for external use
+ * @param {string} [symbol] - Symbol whose exchange to check (default: the deployment exchange)
  * @returns {Object} Current rate limiter status
  */
-function getRateLimiterStatus() {
-    return rateLimiter.getStatus();
+function getRateLimiterStatus(symbol) {
+    return getRateLimiter(symbol ? getSymbolExchange(symbol) : undefined).getStatus();
 }
 
 /**
  * Check if currently banned (for external use)
+ * @param {string} [symbol] - Symbol whose exchange to check (default: the deployment exchange)
  * @returns {boolean} True if currently banned
  */
-function isCurrentlyBanned() {
-    return rateLimiter.isBannedNow();
+function isCurrentlyBanned(symbol) {
+    return getRateLimiter(symbol ? getSymbolExchange(symbol) : undefined).isBannedNow();
 }
 
 // Initialize rate limiter clean (no hardcoded bans)
 initializeCurrentBanStatus();
 
 /**
- * Fetch historical aggregated trade data from Binance Futures API - Rate Limited
+ * Page budget for the trades of one candle
+ * Inline fetches get INLINE_PAGES_PER_MINUTE per candle minute (at most
+ * MAX_INLINE_TRADE_PAGES), background fetches MAX_TRADE_PAGES; both are capped
+ * at CANDLE_REQUEST_SHARE of the exchange's requests left this hour.
+ * @param {string} symbol - Trading symbol
+ * @param {number} openTime - Candle open time (milliseconds)
+ * @param {number} closeTime - Candle close time (milliseconds)
+ * @param {boolean} [background] - Fetch runs in a background job
+ * @returns {number} Maximum requests (at least 1)
+ */
+function getTradePageLimit(symbol, openTime, closeTime, background = false) {
+    const minutes = Math.max(1, Math.ceil((closeTime - openTime) / 60000));
+    const cap = background ? MAX_TRADE_PAGES : Math.min(MAX_INLINE_TRADE_PAGES, minutes * INLINE_PAGES_PER_MINUTE);
+    const remaining = getRateLimiter(getSymbolExchange(symbol)).getRemainingRequests();
+
+    return Math.max(1, Math.min(cap, Math.floor(remaining * CANDLE_REQUEST_SHARE)));
+}
+
+/**
+ * Fetch historical aggregated trade data from the symbol's exchange - Rate Limited
  * @param {string} symbol - Trading symbol (e.g., 'BTCUSDT')
  * @param {number} startTime - Start time in milliseconds
  * @param {number} endTime - End time in milliseconds
@@ -183,8 +261,8 @@ async function fetchHistoricalAggTrades(symbol, startTime, endTime, limit = 1000
         throw new Error('End time must be after start time');
     }
 
-    const maxLimit = Math.min(limit, 1000); // Binance API limit
-    const baseUrl = 'https://fapi.binance.com/fapi/v1/aggTrades';
+    const adapter = getSymbolAdapter(symbol);
+    const rateLimiter = getRateLimiter(adapter.name);
     
     try {
         // 🚦 RATE LIMITING - Wait for permission to make request
@@ -192,112 +270,136 @@ async function fetchHistoricalAggTrades(symbol, startTime, endTime, limit = 1000
         
         console.log(`📊 Fetching historical trades for ${symbol} from ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()}`);
         
-        const params = new URLSearchParams({
-            symbol: symbol,
-            startTime: startTime.toString(),
-            endTime: endTime.toString(),
-            limit: maxLimit.toString()
-        });
-
-        const response = await fetch(`${baseUrl}?${params}`);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            const error = new Error(`Binance API error ${response.status}: ${errorText}`);
-            
-            // 🚦 Handle rate limit errors
-            rateLimiter.onError(error);
-            throw error;
-        }
-
-        const trades = await response.json();
-        
-        if (!Array.isArray(trades)) {
-            throw new Error('Invalid response format from Binance API');
-        }
+        // Trades in the internal format (id, price, quantity, timestamp, isBuyerMaker ...)
+        const processedTrades = await adapter.fetchAggTrades(symbol, startTime, endTime, limit);
 
         // 🚦 Mark successful request
         rateLimiter.onSuccess();
 
-        // Transform Binance aggTrades format to our internal format
-        const processedTrades = trades.map(trade => ({
-            id: trade.a,                    // Aggregate trade ID
-            price: parseFloat(trade.p),     // Price
-            quantity: parseFloat(trade.q),  // Quantity
-            timestamp: parseInt(trade.T),   // Trade time
-            isBuyerMaker: trade.m,         // Is buyer maker
-            firstTradeId: trade.f,         // First trade ID
-            lastTradeId: trade.l           // Last trade ID
-        }));
-
         console.log(`✅ Retrieved ${processedTrades.length} trades for ${symbol} (Requests: ${rateLimiter.getStatus().requestCount}/${rateLimiter.getStatus().hourlyLimit})`);
         return processedTrades;
 
     } catch (error) {
         console.error(`❌ Error fetching historical trades for ${symbol}:`, error.message);
         
-        // 🚦 Handle errors in rate limiter
+        // 🚦 Handle errors in rate limiter (ban codes come from the adapter's policy)
         rateLimiter.onError(error);
         throw error;
     }
 }
 
 /**
- * Fetch all trades for a time range with pagination support - Rate Limited
+ * Fetch aggregated trades from a trade id on - Rate Limited
+ * @param {string} symbol - Trading symbol
+ * @param {number} fromId - First aggTrade id
+ * @param {number} limit - Maximum number of trades to fetch (default 1000, max 1000)
+ * @returns {Promise<Array>} Array of trade objects
+ */
+async function fetchHistoricalAggTradesFromId(symbol, fromId, limit = 1000) {
+    const adapter = getSymbolAdapter(symbol);
+    const rateLimiter = getRateLimiter(adapter.name);
+
+    if (!adapter.fetchAggTradesFromId) {
+        throw new Error(`${adapter.label} doesn't serve trades by id`);
+    }
+
+    try {
+        // 🚦 RATE LIMITING - Wait for permission to make request
+        await rateLimiter.waitForRateLimit();
+
+        const processedTrades = await adapter.fetchAggTradesFromId(symbol, fromId, limit);
+
+        // 🚦 Mark successful request
+        rateLimiter.onSuccess();
+
+        console.log(`✅ Retrieved ${processedTrades.length} trades for ${symbol} from id ${fromId} (Requests: ${rateLimiter.getStatus().requestCount}/${rateLimiter.getStatus().hourlyLimit})`);
+        return processedTrades;
+
+    } catch (error) {
+        console.error(`❌ Error fetching trades for ${symbol} from id ${fromId}:`, error.message);
+
+        // 🚦 Handle errors in rate limiter (ban codes come from the adapter's policy)
+        rateLimiter.onError(error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch every trade of a time range, paging by trade id until the range is covered - Rate Limited
+ * The first page is requested by time; while pages come back full the next one
+ * starts after the last trade id. The range is complete once a page is short or
+ * reaches past endTime. Exchanges that only serve recent trades get one request
+ * and are never complete.
  * @param {string} symbol - Trading symbol
  * @param {number} startTime - Start time in milliseconds
  * @param {number} endTime - End time in milliseconds
- * @param {number} maxTrades - Maximum total trades to fetch (default 2000 - reduced)
- * @returns {Promise<Array>} Complete array of trades for the time period
+ * @param {number} maxPages - Maximum requests (default MAX_TRADE_PAGES)
+ * @returns {Promise<Object>} { trades, complete, coveredUntil (ms, null when unknown), pages, capped (stopped at maxPages) }
  */
-async function fetchAllHistoricalTrades(symbol, startTime, endTime, maxTrades = 2000) {
+async function fetchTradesUntilCovered(symbol, startTime, endTime, maxPages = MAX_TRADE_PAGES) {
+    const historicalTrades = getSymbolAdapter(symbol).historicalTrades;
     const allTrades = [];
-    let currentStartTime = startTime;
-    let requestCount = 0;
-    const maxRequests = Math.min(Math.ceil(maxTrades / 1000), 3); // Limit to max 3 requests
+    let pages = 0;
+    let complete = false;
+    let capped = false;
+
+    // Last trade reached; trades sharing its millisecond may still be on the next page
+    const coveredUntil = trades => {
+        if (complete) {
+            return endTime;
+        }
+        return historicalTrades && trades.length > 0 ? trades[trades.length - 1].timestamp - 1 : null;
+    };
+
+    const uniqueSorted = () => removeDuplicateTrades(allTrades).sort((a, b) => a.timestamp - b.timestamp);
 
     try {
-        while (currentStartTime < endTime && requestCount < maxRequests) {
-            // Each call to fetchHistoricalAggTrades already has rate limiting built in
-            const trades = await fetchHistoricalAggTrades(symbol, currentStartTime, endTime, 1000);
-            
-            if (trades.length === 0) {
-                console.log(`📝 No more trades found for ${symbol} after ${new Date(currentStartTime).toISOString()}`);
+        // Each request already has rate limiting built in
+        let page = await fetchHistoricalAggTrades(symbol, startTime, endTime, TRADE_PAGE_SIZE);
+        pages++;
+
+        while (true) {
+            allTrades.push(...page.filter(trade => trade.timestamp >= startTime && trade.timestamp <= endTime));
+
+            if (!historicalTrades) {
                 break;
             }
 
-            // Filter trades to ensure they're within our time range
-            const filteredTrades = trades.filter(trade => 
-                trade.timestamp >= startTime && trade.timestamp <= endTime
-            );
+            // A short page, or one reaching past the range, is the last one needed
+            if (page.length < TRADE_PAGE_SIZE || page[page.length - 1].timestamp > endTime) {
+                complete = true;
+                break;
+            }
 
-            allTrades.push(...filteredTrades);
-            
-            // Update start time for next request (use last trade timestamp + 1)
-            const lastTrade = trades[trades.length - 1];
-            currentStartTime = lastTrade.timestamp + 1;
-            
-            requestCount++;
+            if (pages >= maxPages) {
+                capped = true;
+                console.warn(`⚠️ Stopped paging ${symbol} trades after ${pages} requests at ${new Date(page[page.length - 1].timestamp).toISOString()}`);
+                break;
+            }
+
+            page = await fetchHistoricalAggTradesFromId(symbol, page[page.length - 1].id + 1, TRADE_PAGE_SIZE);
+            pages++;
 
-            console.log(`📈 Progress: ${allTrades.length} trades collected for ${symbol} (Request ${requestCount}/${maxRequests})`);
+            console.log(`📈 Progress: ${allTrades.length} trades collected for ${symbol} (Request ${pages}/${maxPages})`);
         }
 
-        // Remove duplicates and sort by timestamp
-        const uniqueTrades = removeDuplicateTrades(allTrades);
-        uniqueTrades.sort((a, b) => a.timestamp - b.timestamp);
+        const uniqueTrades = uniqueSorted();
 
-        console.log(`🏁 Completed: ${uniqueTrades.length} unique trades for ${symbol}`);
-        return uniqueTrades;
+        // Keep them for overlapping candles; the range only counts as stored when complete
+        await storeTrades(symbol, uniqueTrades, complete ? { startTime, endTime } : null);
+
+        console.log(`🏁 Completed: ${uniqueTrades.length} unique trades for ${symbol} (${complete ? 'complete' : 'partial'})`);
+        return { trades: uniqueTrades, complete, coveredUntil: coveredUntil(uniqueTrades), pages, capped };
 
     } catch (error) {
-        console.error(`❌ Error in fetchAllHistoricalTrades for ${symbol}:`, error.message);
+        console.error(`❌ Error in fetchTradesUntilCovered for ${symbol}:`, error.message);
         
         // Return partial results if we have some data
         if (allTrades.length > 0) {
             console.log(`⚠️ Returning partial data: ${allTrades.length} trades`);
-            const uniqueTrades = removeDuplicateTrades(allTrades);
-            uniqueTrades.sort((a, b) => a.timestamp - b.timestamp);
-            return uniqueTrades;
+            const uniqueTrades = uniqueSorted();
+            await storeTrades(symbol, uniqueTrades);
+            return { trades: uniqueTrades, complete: false, coveredUntil: coveredUntil(uniqueTrades), pages, capped };
         }
         
         throw error;
@@ -305,41 +407,102 @@ async function fetchAllHistoricalTrades(symbol, startTime, endTime, maxTrades =
 }
 
 /**
- * Remove duplicate trades based on trade ID
- * @param {Array} trades - Array of trade objects
- * @returns {Array} Array of unique trades
+ * Fetch all trades for a time range with pagination support - Rate Limited
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @param {number} maxTrades - Maximum total trades to fetch (default MAX_TRADE_PAGES pages)
+ * @returns {Promise<Array>} Complete array of trades for the time period
  */
-function removeDuplicateTrades(trades) {
-    const seen = new Set();
-    return trades.filter(trade => {
-        if (seen.has(trade.id)) {
-            return false;
-        }
-        seen.add(trade.id);
-        return true;
-    });
+async function fetchAllHistoricalTrades(symbol, startTime, endTime, maxTrades = MAX_TRADE_PAGES * TRADE_PAGE_SIZE) {
+    const result = await fetchTradesUntilCovered(symbol, startTime, endTime, Math.max(1, Math.ceil(maxTrades / TRADE_PAGE_SIZE)));
+    return result.trades;
+}
+
+/**
+ * Coverage of a candle by its trades
+ * - timePercent: share of the candle's time the trades are known to be complete for (null when unknown)
+ * - volumePercent: summed trade quantity against the candle's volume, capped at 100 (null without a volume)
+ * - volumeMatched: the two volumes agree within VOLUME_TOLERANCE_PERCENT (null without a volume)
+ * @param {number} openTime - Candle open time (milliseconds)
+ * @param {number} closeTime - Candle close time (milliseconds)
+ * @param {number|null} coveredUntil - Time the trades are complete up to (milliseconds)
+ * @param {number} tradeVolume - Summed trade quantity
+ * @param {number} [candleVolume] - Candle volume
+ * @returns {Object} { percent (lower of the two, null when neither is known), timePercent, volumePercent, tradeVolume, candleVolume, volumeMatched }
+ */
+function calculateTradeCoverage(openTime, closeTime, coveredUntil, tradeVolume, candleVolume = null) {
+    const round = value => Math.round(value * 10) / 10;
+    const hasVolume = candleVolume > 0;
+
+    const timePercent = coveredUntil === null || coveredUntil === undefined
+        ? null
+        : round(Math.min(100, Math.max(0, (coveredUntil - openTime) / (closeTime - openTime) * 100)));
+    const volumePercent = hasVolume ? round(Math.min(100, tradeVolume / candleVolume * 100)) : null;
+    const known = [timePercent, volumePercent].filter(value => value !== null);
+
+    return {
+        percent: known.length > 0 ? Math.min(...known) : null,
+        timePercent,
+        volumePercent,
+        tradeVolume,
+        candleVolume: hasVolume ? candleVolume : null,
+        volumeMatched: hasVolume ? Math.abs(tradeVolume - candleVolume) / candleVolume * 100 <= VOLUME_TOLERANCE_PERCENT : null
+    };
+}
+
+/**
+ * Footprint fields of a trade coverage: `coverage` (percent, read by the
+ * validator) and `coverageCheck` (the rest)
+ * @param {Object} [coverage] - calculateTradeCoverage result
+ * @returns {Object} { coverage, coverageCheck }, or {} without a known coverage
+ */
+function toFootprintCoverage(coverage) {
+    if (!coverage || coverage.percent === null) {
+        return {};
+    }
+
+    const { percent, ...coverageCheck } = coverage;
+    return { coverage: percent, coverageCheck };
 }
 
 /**
  * Fetch tick data for a specific reversal candle
+ * Served from the local trade store when it holds the whole candle, so no request is made.
  * @param {string} symbol - Trading symbol
  * @param {number} openTime - Candle open time (milliseconds)
  * @param {number} closeTime - Candle close time (milliseconds)
  * @param {string} interval - Candle interval for context
- * @returns {Promise<Object>} Trade data and metadata
+ * @param {number} [candleVolume] - Candle volume, cross-checked against the summed trades
+ * @param {number} [maxPages] - Request budget (default: the inline getTradePageLimit)
+ * @returns {Promise<Object>} Trade data and metadata, with `complete`, `capped` (page budget ran out) and `coverage` (see calculateTradeCoverage)
  */
-async function fetchReversalCandleTickData(symbol, openTime, closeTime, interval) {
+async function fetchReversalCandleTickData(symbol, openTime, closeTime, interval, candleVolume = null, maxPages = getTradePageLimit(symbol, openTime, closeTime)) {
     const startTime = performance.now();
     
     try {
         console.log(`🔍 Fetching tick data for ${symbol} ${interval} reversal candle`);
         console.log(`📅 Time range: ${new Date(openTime).toISOString()} to ${new Date(closeTime).toISOString()}`);
         
-        // Calculate appropriate max trades based on candle duration
-        const durationMinutes = (closeTime - openTime) / (1000 * 60);
-        const maxTrades = Math.min(Math.max(durationMinutes * 100, 1000), 10000); // Estimate trades per minute
+        const storedTrades = await getStoredTrades(symbol, openTime, closeTime);
+        if (storedTrades) {
+            console.log(`💾 Using ${storedTrades.length} stored trades for ${symbol} ${interval}`);
+        }
+        
+        const fetched = storedTrades
+            ? { trades: storedTrades, complete: true, coveredUntil: closeTime }
+            : await fetchTradesUntilCovered(symbol, openTime, closeTime, maxPages);
+        const trades = fetched.trades;
+        
+        const coverage = calculateTradeCoverage(
+            openTime, closeTime, fetched.coveredUntil,
+            trades.reduce((sum, trade) => sum + parseFloat(trade.quantity), 0),
+            candleVolume
+        );
         
-        const trades = await fetchAllHistoricalTrades(symbol, openTime, closeTime, maxTrades);
+        if (coverage.percent !== null && coverage.percent < 100) {
+            console.log(`⚠️ ${symbol} ${interval} trades cover ${coverage.percent}% of the candle (time ${coverage.timePercent ?? '-'}%, volume ${coverage.volumePercent ?? '-'}%)`);
+        }
         
         const executionTime = Math.round(performance.now() - startTime);
         
@@ -353,6 +516,10 @@ async function fetchReversalCandleTickData(symbol, openTime, closeTime, interval
             },
             trades: trades,
             tradesCount: trades.length,
+            tradeSource: storedTrades ? 'trade_store' : 'exchange',
+            complete: fetched.complete,
+            capped: Boolean(fetched.capped),
+            coverage: coverage,
             executionTime: executionTime,
             fetchedAt: new Date(),
             success: true
@@ -391,9 +558,9 @@ async function batchFetchReversalTickData(reversalCandles, maxCandles = 10, skip
         return [];
     }
 
-    // Check ban status first
-    if (skipOnBan && rateLimiter.isBannedNow()) {
-        const status = rateLimiter.getStatus();
+    // Check ban status first (skip only when every candle's exchange is banned)
+    if (skipOnBan && reversalCandles.every(candle => isCurrentlyBanned(candle.symbol))) {
+        const status = getRateLimiterStatus(reversalCandles[0].symbol);
         const waitMinutes = Math.round((status.banExpiry - Date.now()) / 1000 / 60);
         console.log(`🚫 Skipping batch fetch: IP banned for ${waitMinutes} more minutes`);
         return [];
@@ -414,7 +581,7 @@ async function batchFetchReversalTickData(reversalCandles, maxCandles = 10, skip
         
         try {
             // Check if we got banned during processing
-            if (skipOnBan && rateLimiter.isBannedNow()) {
+            if (skipOnBan && isCurrentlyBanned(candle.symbol)) {
                 console.log(`🚫 Stopping batch processing: IP banned during execution`);
                 break;
             }
@@ -429,7 +596,7 @@ async function batchFetchReversalTickData(reversalCandles, maxCandles = 10, skip
             results.push(result);
             
             // Show rate limiter status
-            const status = rateLimiter.getStatus();
+            const status = getRateLimiterStatus(candle.symbol);
             console.log(`📊 Rate Limit Status: ${status.requestCount}/${status.hourlyLimit} requests used`);
             
         } catch (error) {
@@ -484,8 +651,17 @@ async function isHistoricalDataAvailable(symbol, timestamp) {
 }
 
 module.exports = {
+    TRADE_PAGE_SIZE,
+    MAX_TRADE_PAGES,
+    MAX_INLINE_TRADE_PAGES,
+    VOLUME_TOLERANCE_PERCENT,
+    getTradePageLimit,
     fetchHistoricalAggTrades,
+    fetchHistoricalAggTradesFromId,
+    fetchTradesUntilCovered,
     fetchAllHistoricalTrades,
+    calculateTradeCoverage,
+    toFootprintCoverage,
     fetchReversalCandleTickData,
     batchFetchReversalTickData,
     isHistoricalDataAvailable,
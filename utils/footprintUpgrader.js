@@ -0,0 +1,221 @@
+/**
+ * Footprint Upgrader
+ * Replaces approximate footprints (built from 1m candles when ticks were unavailable)
+ * with true tick footprints once aggTrades can be fetched again, including candles
+ * whose trades needed more pages than the inline budget allows. The signal is
+ * re-validated with the profile's validation rules and its take-profit targets
+ * are recalculated; the approximate score is kept in `footprintUpgrade`. When
+ * the signal's validity or direction changes its outcome is reset. Valid
+ * signals are linked to their de-duplication cluster again with the new score.
+ */
+
+const { fetchReversalCandleTickData, getTradePageLimit, isCurrentlyBanned, toFootprintCoverage } = require('./fetchHistoricalTickData');
+const { calculateReversalVolumeFootprint, getReversalBinning } = require('./volumeFootprintCalculator');
+const { validateTradeSignal, DEFAULT_VALIDATION_RULES } = require('./tradeSignalValidator');
+const { calculateSignalTakeProfit } = require('./takeProfitTargets');
+const { findNakedPocsNearSignal } = require('./nakedPocTracker');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { applyScoreCalibration } = require('./scoreCalibration');
+const { getReversalCompositeProfile } = require('./sessionVolumeProfiles');
+const { relinkSignal } = require('./signalDeduplicator');
+
+// Reversals upgraded per run (each one is a tick fetch)
+const UPGRADE_BATCH_SIZE = 5;
+
+// Older approximate signals are left as they are
+const UPGRADE_MAX_AGE_HOURS = 24;
+
+// Give up on a reversal after this many failed tick fetches
+const MAX_UPGRADE_ATTEMPTS = 5;
+
+/**
+ * Upgrade one approximate reversal to a tick footprint
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} reversal - reversalCandles document with tradeSignal.approximate
+ * @returns {Promise<Object>} { upgraded, error }
+ */
+async function upgradeApproximateFootprint(client, dbName, reversal) {
+    const collection = client.db(dbName).collection('reversalCandles');
+    const previous = reversal.footprintUpgrade || {};
+    const attempts = (previous.attempts || 0) + 1;
+
+    const patternStart = (reversal.reversalPattern && reversal.reversalPattern.patternStartTime) || reversal.openTime;
+    const openTime = new Date(patternStart).getTime();
+    const closeTime = new Date(reversal.closeTime).getTime();
+    const validationRules = {
+        ...DEFAULT_VALIDATION_RULES,
+        ...(reversal.detectionProfile && reversal.detectionProfile.validationRules)
+    };
+
+    let volumeFootprint;
+    let executionTime;
+    let coverage;
+
+    try {
+        const tickDataResult = await fetchReversalCandleTickData(
+            reversal.symbol, openTime, closeTime, reversal.interval, reversal.candleData && reversal.candleData.volume,
+            getTradePageLimit(reversal.symbol, openTime, closeTime, true)
+        );
+
+        if (!tickDataResult.success || tickDataResult.trades.length === 0) {
+            throw new Error(`Tick data fetch failed: ${tickDataResult.error || 'No trades found'}`);
+        }
+
+        const binning = await getReversalBinning(client, dbName, reversal.symbol, reversal.interval, openTime, validationRules);
+        volumeFootprint = calculateReversalVolumeFootprint(
+            tickDataResult.trades, reversal.symbol, openTime, closeTime,
+            validationRules.valueAreaPercent, validationRules.valueAreaMethod, binning
+        );
+        executionTime = tickDataResult.executionTime;
+        coverage = tickDataResult.coverage;
+
+        if (volumeFootprint.error) {
+            throw new Error(`Volume footprint calculation failed: ${volumeFootprint.error}`);
+        }
+
+    } catch (error) {
+        await collection.updateOne(
+            { _id: reversal._id },
+            { $set: { footprintUpgrade: { ...previous, attempts, lastAttemptAt: new Date(), lastError: error.message } } }
+        );
+        return { upgraded: false, error: error.message };
+    }
+
+    const upgraded = {
+        ...reversal,
+        volumeFootprint: {
+            poc: volumeFootprint.poc,
+            vah: volumeFootprint.vah,
+            val: volumeFootprint.val,
+            totalVolume: volumeFootprint.totalVolume,
+            valueAreaVolume: volumeFootprint.valueAreaVolume,
+            valueAreaPercentage: volumeFootprint.valueAreaPercentage,
+            valueAreaMethod: volumeFootprint.valueAreaMethod,
+            binning: volumeFootprint.binning,
+            tickDataSource: 'upgrade',
+            calculatedAt: new Date(),
+            tradesProcessed: volumeFootprint.tradesProcessed,
+            executionTime,
+            ...toFootprintCoverage(coverage),
+            orderFlow: analyzeOrderFlow(volumeFootprint, reversal.candleData, validationRules),
+            compositeProfile: await getReversalCompositeProfile(client, dbName, reversal.symbol, closeTime, validationRules),
+            vwap: reversal.volumeFootprint.vwap || null // the stored VWAPs have moved on since
+        }
+    };
+
+    const tradeSignalValidation = validateTradeSignal(
+        upgraded.candleData,
+        upgraded.volumeFootprint,
+        reversal.reversalPattern.type,
+        validationRules
+    );
+
+    upgraded.tradeSignal = {
+        isValidSignal: tradeSignalValidation.isValidSignal,
+        signalType: tradeSignalValidation.signalType,
+        reason: tradeSignalValidation.reason,
+        score: tradeSignalValidation.score || 0,
+        criteria: tradeSignalValidation.criteria,
+        validatedAt: new Date()
+    };
+
+    const update = {
+        $set: {
+            volumeFootprint: upgraded.volumeFootprint,
+            tradeSignal: upgraded.tradeSignal,
+            footprintUpgrade: {
+                attempts,
+                upgradedAt: new Date(),
+                approximateScore: reversal.tradeSignal.score,
+                approximateIsValid: reversal.tradeSignal.isValidSignal
+            }
+        }
+    };
+
+    if (upgraded.tradeSignal.isValidSignal) {
+        await applyScoreCalibration(client, dbName, upgraded); // fills update.$set.tradeSignal (same object)
+        update.$set.takeProfit = await calculateSignalTakeProfit(client, dbName, upgraded, patternStart);
+        update.$set.nakedPocs = await findNakedPocsNearSignal(client, dbName, { ...upgraded, takeProfit: update.$set.takeProfit });
+    } else {
+        update.$unset = { takeProfit: '', nakedPocs: '' };
+    }
+
+    // The outcome was measured for the approximate signal; the tracker starts over
+    const signalChanged = upgraded.tradeSignal.isValidSignal !== reversal.tradeSignal.isValidSignal
+        || upgraded.tradeSignal.signalType !== reversal.tradeSignal.signalType;
+    if (signalChanged && reversal.outcome) {
+        update.$unset = { ...update.$unset, outcome: '' };
+    }
+
+    await collection.updateOne({ _id: reversal._id }, update);
+
+    // The new score can change which signal of a cluster is the parent
+    if (reversal.deduplication || upgraded.tradeSignal.isValidSignal) {
+        await relinkSignal(
+            client, dbName, reversal, { ...upgraded, takeProfit: update.$set.takeProfit },
+            reversal.detectionProfile && reversal.detectionProfile.deduplication
+        );
+    }
+
+    console.log(`⬆️ Upgraded ${reversal.symbol} ${reversal.interval} footprint: score ${reversal.tradeSignal.score} → ${upgraded.tradeSignal.score} (${upgraded.tradeSignal.isValidSignal ? '✅ VALID' : '❌ INVALID'})`);
+
+    return { upgraded: true, error: null };
+}
+
+/**
+ * Upgrade a batch of recent approximate footprints, oldest attempt first
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} [options] - { limit, maxAgeHours }
+ * @returns {Promise<Object>} { checked, upgraded, failed, skipped }
+ */
+async function upgradeApproximateFootprints(client, dbName, options = {}) {
+    const { limit = UPGRADE_BATCH_SIZE, maxAgeHours = UPGRADE_MAX_AGE_HOURS } = options;
+    const result = { checked: 0, upgraded: 0, failed: 0, skipped: false };
+
+    // Ticks can't be fetched while banned - that's why these are approximate
+    if (isCurrentlyBanned()) {
+        result.skipped = true;
+        return result;
+    }
+
+    const reversals = await client.db(dbName).collection('reversalCandles')
+        .find({
+            'tradeSignal.approximate': true,
+            closeTime: { $gte: new Date(Date.now() - maxAgeHours * 60 * 60 * 1000) },
+            'footprintUpgrade.attempts': { $not: { $gte: MAX_UPGRADE_ATTEMPTS } }
+        })
+        .sort({ 'footprintUpgrade.lastAttemptAt': 1, closeTime: -1 })
+        .limit(limit)
+        .toArray();
+
+    for (const reversal of reversals) {
+        result.checked++;
+
+        try {
+            const outcome = await upgradeApproximateFootprint(client, dbName, reversal);
+            if (outcome.upgraded) {
+                result.upgraded++;
+            } else {
+                result.failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Error upgrading ${reversal.symbol} ${reversal.interval} footprint:`, error.message);
+            result.failed++;
+        }
+
+        // Stop early if this batch got us banned
+        if (isCurrentlyBanned(reversal.symbol)) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    MAX_UPGRADE_ATTEMPTS,
+    upgradeApproximateFootprint,
+    upgradeApproximateFootprints
+};
@@ -1,15 +1,26 @@
 /**
  * Gap Recovery System for Missing 1-minute Candle Data
- * Recovers missing candles during WebSocket disconnections using Binance REST API
+ * Recovers missing candles during WebSocket disconnections using the exchange REST API
  * Ensures data integrity for artificial candle generation
  */
 
 const getPerpetualCandleData = require('./getPerpetualCandleData');
-const { detectReversalCandle } = require('./reversalCandleDetector');
-const { saveReversalCandle } = require('../models/database');
+const { detectReversalPattern, getSignalCandle, PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { resolveDetectionProfile } = require('./detectionProfiles');
+const { applyTrendContext } = require('./trendContextFilter');
+const { saveReversalCandle, getPreviousCandles } = require('../models/database');
 const { fetchReversalCandleTickData } = require('./fetchHistoricalTickData');
-const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
-const { validateTradeSignal } = require('./tradeSignalValidator');
+const { calculateReversalVolumeFootprint, getReversalBinning } = require('./volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { validateTradeSignal, DEFAULT_VALIDATION_RULES } = require('./tradeSignalValidator');
+const { applyApproximateFootprint } = require('./approximateVolumeFootprint');
+const { calculateSignalTakeProfit } = require('./takeProfitTargets');
+const { findNakedPocsNearSignal } = require('./nakedPocTracker');
+const { deduplicateSignalSafely } = require('./signalDeduplicator');
+const { applyScoreCalibration } = require('./scoreCalibration');
+const { getReversalCompositeProfile } = require('./sessionVolumeProfiles');
+const { getReversalVwap } = require('./vwapBands');
+const { getCandleCollection } = require('./candleStore');
 
 class GapRecoverySystem {
     constructor(client, dbName) {
@@ -203,11 +214,17 @@ class GapRecoverySystem {
                     await this.storeRecoveredCandle(candleData);
                     candlesRecovered++;
                     
-                    // Check for reversal patterns
-                    const reversalPattern = detectReversalCandle(candleData);
+                    // Check for reversal patterns using the active profile
+                    const detectionProfile = await resolveDetectionProfile(
+                        this.client, this.dbName, symbol, candleData.interval
+                    );
+                    const previousCandles = await getPreviousCandles(
+                        this.client, this.dbName, symbol, candleData.interval, candleData.openTime, PATTERN_LOOKBACK
+                    );
+                    const reversalPattern = detectReversalPattern(candleData, previousCandles, detectionProfile.thresholds);
                     if (reversalPattern) {
                         console.log(`🔄 Reversal pattern detected in recovered ${symbol} candle: ${reversalPattern.type}`);
-                        await this.processRecoveredReversalCandle(candleData, reversalPattern);
+                        await this.processRecoveredReversalCandle(candleData, reversalPattern, detectionProfile);
                         reversalPatternsDetected++;
                     }
                 }
@@ -227,7 +244,7 @@ class GapRecoverySystem {
      */
     async storeRecoveredCandle(candleData) {
         try {
-            const candleCollection = this.db.collection('candleData');
+            const candleCollection = getCandleCollection(this.db);
             
             await candleCollection.updateOne(
                 { 
@@ -248,27 +265,42 @@ class GapRecoverySystem {
     /**
      * Process reversal candle with volume footprint (for recovered data)
      */
-    async processRecoveredReversalCandle(candleData, reversalPattern) {
+    async processRecoveredReversalCandle(candleData, reversalPattern, detectionProfile) {
         try {
+            const context = await applyTrendContext(
+                this.client, this.dbName, candleData, reversalPattern,
+                detectionProfile && detectionProfile.trendContext
+            );
+            
+            if (!context.accepted) {
+                console.log(`⏭️ Recovered ${reversalPattern.type} in ${candleData.symbol} skipped: ${context.trendContext.reason}`);
+                return;
+            }
+            
+            // Multi-candle patterns are validated on their composite candle
+            const signalCandle = getSignalCandle(candleData, reversalPattern);
+            const validationRules = { ...DEFAULT_VALIDATION_RULES, ...(detectionProfile && detectionProfile.validationRules) };
+            
             const reversalData = {
                 symbol: candleData.symbol,
                 interval: candleData.interval,
                 openTime: candleData.openTime,
                 closeTime: candleData.closeTime,
-                candleData: {
-                    open: candleData.open,
-                    high: candleData.high,
-                    low: candleData.low,
-                    close: candleData.close,
-                    volume: candleData.volume,
-                    numberOfTrades: candleData.numberOfTrades
-                },
-                reversalPattern: reversalPattern
+                candleData: signalCandle.candleData,
+                reversalPattern: reversalPattern,
+                detectionProfile: detectionProfile || null,
+                trendContext: context.trendContext
             };
             
             // Calculate volume footprint for recovered reversal
-            const openTime = candleData.openTime instanceof Date ? candleData.openTime.getTime() : candleData.openTime;
+            const openTime = signalCandle.openTime instanceof Date ? signalCandle.openTime.getTime() : signalCandle.openTime;
             const closeTime = candleData.closeTime instanceof Date ? candleData.closeTime.getTime() : candleData.closeTime;
+            const compositeProfile = await getReversalCompositeProfile(
+                this.client, this.dbName, candleData.symbol, closeTime, validationRules
+            );
+            const vwap = await getReversalVwap(
+                this.client, this.dbName, candleData.symbol, reversalData.candleData.close, closeTime
+            );
             
             const tickDataResult = await fetchReversalCandleTickData(
                 candleData.symbol,
@@ -277,12 +309,19 @@ class GapRecoverySystem {
                 candleData.interval
             );
             
-            if (tickDataResult.success && tickDataResult.trades.length > 0) {
+            // Candles the inline page budget can't cover are approximated and upgraded later
+            if (tickDataResult.success && tickDataResult.trades.length > 0 && !tickDataResult.capped) {
+                const binning = await getReversalBinning(
+                    this.client, this.dbName, candleData.symbol, candleData.interval, openTime, validationRules
+                );
                 const volumeFootprint = calculateReversalVolumeFootprint(
                     tickDataResult.trades,
                     candleData.symbol,
                     openTime,
-                    closeTime
+                    closeTime,
+                    validationRules.valueAreaPercent,
+                    validationRules.valueAreaMethod,
+                    binning
                 );
                 
                 if (!volumeFootprint.error) {
@@ -293,17 +332,23 @@ class GapRecoverySystem {
                         totalVolume: volumeFootprint.totalVolume,
                         valueAreaVolume: volumeFootprint.valueAreaVolume,
                         valueAreaPercentage: volumeFootprint.valueAreaPercentage,
+                        valueAreaMethod: volumeFootprint.valueAreaMethod,
+                        binning: volumeFootprint.binning,
                         tickDataSource: 'gap_recovery',
                         calculatedAt: new Date(),
                         tradesProcessed: volumeFootprint.tradesProcessed,
-                        executionTime: tickDataResult.executionTime
+                        executionTime: tickDataResult.executionTime,
+                        orderFlow: analyzeOrderFlow(volumeFootprint, reversalData.candleData, validationRules),
+                        compositeProfile,
+                        vwap
                     };
                     
                     // Validate trade signal for recovered reversal
                     const tradeSignalValidation = validateTradeSignal(
                         reversalData.candleData,
                         reversalData.volumeFootprint,
-                        reversalPattern.type
+                        reversalPattern.type,
+                        validationRules
                     );
                     
                     reversalData.tradeSignal = {
@@ -317,8 +362,41 @@ class GapRecoverySystem {
                 }
             }
             
-            // Save recovered reversal candle
-            await saveReversalCandle(this.client, this.dbName, reversalData);
+            // No ticks: approximate the profile from the 1m candles (upgraded later)
+            if (!reversalData.volumeFootprint) {
+                const reason = tickDataResult.capped
+                    ? 'Trade page budget used up, paging continues in the background'
+                    : tickDataResult.error || 'No trades found';
+                
+                try {
+                    await applyApproximateFootprint(this.client, this.dbName, reversalData, {
+                        patternType: reversalPattern.type,
+                        openTime,
+                        closeTime,
+                        validationRules,
+                        reason,
+                        compositeProfile,
+                        vwap
+                    });
+                } catch (error) {
+                    console.error(`❌ Approximate footprint failed for recovered ${candleData.symbol} ${candleData.interval}:`, error.message);
+                }
+            }
+            
+            if (reversalData.tradeSignal && reversalData.tradeSignal.isValidSignal) {
+                await applyScoreCalibration(this.client, this.dbName, reversalData);
+                reversalData.takeProfit = await calculateSignalTakeProfit(
+                    this.client, this.dbName, reversalData, reversalPattern.patternStartTime
+                );
+                reversalData.nakedPocs = await findNakedPocsNearSignal(this.client, this.dbName, reversalData);
+            }
+            
+            // Save recovered reversal candle and link it to similar signals
+            const saved = await saveReversalCandle(this.client, this.dbName, reversalData);
+            await deduplicateSignalSafely(
+                this.client, this.dbName, { ...reversalData, _id: saved.insertedId },
+                detectionProfile && detectionProfile.deduplication
+            );
             
         } catch (error) {
             console.error(`❌ Error processing recovered reversal candle:`, error);
@@ -3,12 +3,15 @@
  * This function is designed to be run by a cron job at regular intervals
  */
 
-const { detectReversalCandle } = require('./reversalCandleDetector');
-const { saveReversalCandle } = require('../models/database');
+const { detectReversalPattern, getSignalCandle, PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { resolveDetectionProfile } = require('./detectionProfiles');
+const { applyTrendContext } = require('./trendContextFilter');
+const { saveReversalCandle, getPreviousCandles } = require('../models/database');
 const { fetchReversalCandleTickData } = require('./fetchHistoricalTickData');
 const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
 const { getGlobalTickCollector } = require('./websocketTickCollector');
 const { validateTradeSignal } = require('./tradeSignalValidator');
+const { getCandleCollection } = require('./candleStore');
 
 /**
  * Generates artificial candle data by aggregating 1-minute candles into specified intervals
@@ -79,10 +82,7 @@ async function generateArtificialCandleData(client, dbName, interval) {
     results.symbolsProcessed = selectedSymbols.length;
 
     // Step 2: Process each symbol
-    const candleCollection = db.collection('candleData');
-    
-    // Create a compound index for efficient querying if it doesn't exist
-    await ensureIndexes(candleCollection);
+    const candleCollection = getCandleCollection(db);
     
     // Calculate the time range for aggregation
     // Use a reasonable time range to ensure we have enough data
@@ -138,6 +138,7 @@ async function generateArtificialCandleData(client, dbName, interval) {
         // Step 6: Store the artificial candles and detect reversal patterns
         let reversalPatternsForSymbol = 0;
         let reversalPatternsSavedForSymbol = 0;
+        const detectionProfile = await resolveDetectionProfile(client, dbName, symbol, `${interval}m`);
         
         for (const candle of artificialCandles) {
           // Store the artificial candle
@@ -153,7 +154,10 @@ async function generateArtificialCandleData(client, dbName, interval) {
           
           // Detect reversal pattern for this artificial candle
           try {
-            const reversalPattern = detectReversalCandle(candle);
+            const previousCandles = await getPreviousCandles(
+              client, dbName, candle.symbol, candle.interval, candle.openTime, PATTERN_LOOKBACK
+            );
+            const reversalPattern = detectReversalPattern(candle, previousCandles, detectionProfile.thresholds);
             
             if (reversalPattern) {
               reversalPatternsForSymbol++;
@@ -168,21 +172,28 @@ async function generateArtificialCandleData(client, dbName, interval) {
               });
               
               if (!existingReversal) {
+                const context = await applyTrendContext(
+                  client, dbName, candle, reversalPattern, detectionProfile.trendContext
+                );
+                
+                if (!context.accepted) {
+                  console.log(`⏭️ ${reversalPattern.type} in ${candle.symbol} ${candle.interval} skipped: ${context.trendContext.reason}`);
+                  continue;
+                }
+                
+                // Multi-candle patterns are validated on their composite candle
+                const signalCandle = getSignalCandle(candle, reversalPattern);
+                
                 // Prepare base reversal data
                 const reversalData = {
                   symbol: candle.symbol,
                   interval: candle.interval,
                   openTime: candle.openTime,
                   closeTime: candle.closeTime,
-                  candleData: {
-                    open: candle.open,
-                    high: candle.high,
-                    low: candle.low,
-                    close: candle.close,
-                    volume: candle.volume,
-                    numberOfTrades: candle.numberOfTrades
-                  },
-                  reversalPattern: reversalPattern
+                  candleData: signalCandle.candleData,
+                  reversalPattern: reversalPattern,
+                  detectionProfile: detectionProfile,
+                  trendContext: context.trendContext
                 };
 
                 // Calculate volume footprint for ALL 1-60 minute intervals using 1-minute tick aggregation
@@ -197,7 +208,7 @@ async function generateArtificialCandleData(client, dbName, interval) {
                   try {
                     console.log(`🎯 Calculating volume footprint for ${candle.symbol} ${candle.interval} artificial reversal candle`);
                     
-                    const openTime = candle.openTime instanceof Date ? candle.openTime.getTime() : candle.openTime;
+                    const openTime = signalCandle.openTime instanceof Date ? signalCandle.openTime.getTime() : signalCandle.openTime;
                     const closeTime = candle.closeTime instanceof Date ? candle.closeTime.getTime() : candle.closeTime;
                     
                     // Fetch 1-minute tick data for the artificial candle's time period and calculate volume footprint
@@ -471,27 +482,4 @@ async function getSelectedSymbols(db) {
   }
 }
 
-/**
- * Ensures necessary indexes exist on the candleData collection
- * @param {Object} collection - MongoDB collection
- */
-async function ensureIndexes(collection) {
-  try {
-    // Create a compound index for symbol + interval + openTime for efficient querying
-    await collection.createIndex(
-      { symbol: 1, interval: 1, openTime: 1 },
-      { unique: true }
-    );
-    
-    // Additional indexes for common query patterns
-    await collection.createIndex({ symbol: 1 });
-    await collection.createIndex({ interval: 1 });
-    await collection.createIndex({ openTime: 1 });
-    
-  } catch (error) {
-    console.error('Error creating indexes:', error);
-    // Continue execution even if index creation fails
-  }
-}
-
 module.exports = generateArtificialCandleData;
@@ -1,29 +1,27 @@
 /**
- * Fetches top gainers and losers from Binance Futures PERPETUAL contracts only
+ * Fetches top gainers and losers from the deployment exchange's USDT PERPETUAL contracts only
  * Returns top 30 gainers + top 30 losers for maximum volatility coverage
  */
 
+const { getExchangeAdapter } = require('./exchangeAdapters');
+
 /**
- * Fetches the top moving symbols (gainers and losers) from Binance Futures PERPETUAL contracts only
+ * Fetches the top moving symbols (gainers and losers) from USDT PERPETUAL contracts only
  * @param {number} topCount - Number of top gainers and losers to fetch (default: 30)
+ * @param {string} [exchange] - Exchange name (default: the deployment exchange)
  * @returns {Promise<Object>} Object containing gainers, losers, and combined symbols
  */
-async function getTopMoversSymbols(topCount = 30) {
+async function getTopMoversSymbols(topCount = 30, exchange) {
     try {
-        console.log('🔥 Fetching top movers from Binance Futures PERPETUAL contracts...');
+        const adapter = getExchangeAdapter(exchange);
+        console.log(`🔥 Fetching top movers from ${adapter.label} PERPETUAL contracts...`);
         
-        // First, fetch exchange info to identify perpetual contracts
+        // First, fetch the symbol universe to identify perpetual contracts
         console.log('📋 Fetching exchange info to identify perpetual contracts...');
-        const exchangeResponse = await fetch('https://fapi.binance.com/fapi/v1/exchangeInfo');
-        
-        if (!exchangeResponse.ok) {
-            throw new Error(`Binance Exchange Info API error: ${exchangeResponse.status} - ${exchangeResponse.statusText}`);
-        }
-        
-        const exchangeInfo = await exchangeResponse.json();
+        const symbolInfo = await adapter.fetchSymbolUniverse();
         
         // Filter for USDT perpetual contracts only
-        const perpetualSymbols = exchangeInfo.symbols
+        const perpetualSymbols = symbolInfo
             .filter(symbol => 
                 symbol.symbol.endsWith('USDT') && 
                 symbol.contractType === 'PERPETUAL' &&
@@ -33,32 +31,26 @@ async function getTopMoversSymbols(topCount = 30) {
         
         console.log(`🎯 Found ${perpetualSymbols.length} active USDT perpetual contracts`);
         
-        // Now fetch 24hr ticker statistics from Binance Futures
-        const response = await fetch('https://fapi.binance.com/fapi/v1/ticker/24hr');
-        
-        if (!response.ok) {
-            throw new Error(`Binance API error: ${response.status} - ${response.statusText}`);
-        }
-        
-        const tickerData = await response.json();
+        // Now fetch 24hr ticker statistics
+        const tickerData = await adapter.fetch24hTickers();
         
         // Filter for perpetual USDT pairs only with active trading
         const perpetualTickers = tickerData.filter(ticker => 
             perpetualSymbols.includes(ticker.symbol) && 
-            ticker.count > 0 && // Has trading activity
-            parseFloat(ticker.volume) > 0 // Has volume
+            (ticker.count === null || ticker.count > 0) && // Has trading activity (count is unknown on some exchanges)
+            ticker.volume > 0 // Has volume
         );
         
         console.log(`📊 Found ${perpetualTickers.length} active perpetual USDT trading pairs with volume`);
         
         // Sort by price change percentage for gainers (descending - highest first)
         const sortedByGains = [...perpetualTickers].sort((a, b) => 
-            parseFloat(b.priceChangePercent) - parseFloat(a.priceChangePercent)
+            b.priceChangePercent - a.priceChangePercent
         );
         
         // Sort by price change percentage for losers (ascending - lowest first)
         const sortedByLosses = [...perpetualTickers].sort((a, b) => 
-            parseFloat(a.priceChangePercent) - parseFloat(b.priceChangePercent)
+            a.priceChangePercent - b.priceChangePercent
         );
         
         // Get top gainers and losers
@@ -76,35 +68,25 @@ async function getTopMoversSymbols(topCount = 30) {
         const uniqueSymbols = [...new Set(combinedSymbols)];
         
         console.log(`🎯 Selected ${uniqueSymbols.length} most volatile PERPETUAL contract symbols:`);
-        console.log(`📈 Top ${topCount} Perpetual Gainers: ${gainerSymbols.slice(0, 5).join(', ')}... (${parseFloat(topGainers[0].priceChangePercent).toFixed(2)}% to ${parseFloat(topGainers[topCount-1].priceChangePercent).toFixed(2)}%)`);
-        console.log(`📉 Top ${topCount} Perpetual Losers: ${loserSymbols.slice(0, 5).join(', ')}... (${parseFloat(topLosers[0].priceChangePercent).toFixed(2)}% to ${parseFloat(topLosers[topCount-1].priceChangePercent).toFixed(2)}%)`);
+        console.log(`📈 Top ${topCount} Perpetual Gainers: ${gainerSymbols.slice(0, 5).join(', ')}... (${topGainers[0].priceChangePercent.toFixed(2)}% to ${topGainers[topGainers.length - 1].priceChangePercent.toFixed(2)}%)`);
+        console.log(`📉 Top ${topCount} Perpetual Losers: ${loserSymbols.slice(0, 5).join(', ')}... (${topLosers[0].priceChangePercent.toFixed(2)}% to ${topLosers[topLosers.length - 1].priceChangePercent.toFixed(2)}%)`);
         
         return {
             success: true,
             symbols: uniqueSymbols,
             gainers: {
                 symbols: gainerSymbols,
-                data: topGainers.map(ticker => ({
-                    symbol: ticker.symbol,
-                    priceChangePercent: parseFloat(ticker.priceChangePercent),
-                    priceChange: parseFloat(ticker.priceChange),
-                    volume: parseFloat(ticker.volume),
-                    count: parseInt(ticker.count)
-                }))
+                data: topGainers
             },
             losers: {
                 symbols: loserSymbols,
-                data: topLosers.map(ticker => ({
-                    symbol: ticker.symbol,
-                    priceChangePercent: parseFloat(ticker.priceChangePercent),
-                    priceChange: parseFloat(ticker.priceChange),
-                    volume: parseFloat(ticker.volume),
-                    count: parseInt(ticker.count)
-                }))
+                data: topLosers
             },
             totalSymbols: uniqueSymbols.length,
+            symbolInfo: symbolInfo, // for the symbol metadata sync
+            exchange: adapter.name,
             fetchTime: new Date(),
-            source: 'binance_24hr_ticker'
+            source: `${adapter.name}_24hr_ticker`
         };
         
     } catch (error) {
@@ -4,14 +4,144 @@
  * Manages the complete data flow from historical backfill to real-time processing
  */
 
-const { getGlobalCandleCollector, initializeGlobalCandleCollector } = require('./websocketCandleCollector');
-const { detectReversalCandle } = require('./reversalCandleDetector');
-const { saveReversalCandle } = require('../models/database');
-const { fetchReversalCandleTickData, isCurrentlyBanned } = require('./fetchHistoricalTickData');
-const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
-const { validateTradeSignal } = require('./tradeSignalValidator');
+const { initializeGlobalCandleCollector } = require('./websocketCandleCollector');
+const { initializeGlobalTickCollector } = require('./websocketTickCollector');
+const { groupSymbolsByExchange } = require('./exchangeAdapters');
+const { detectReversalPattern, getSignalCandle, PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { resolveDetectionProfile } = require('./detectionProfiles');
+const { applyTrendContext } = require('./trendContextFilter');
+const { saveReversalCandle, getPreviousCandles } = require('../models/database');
+const { fetchReversalCandleTickData, isCurrentlyBanned, calculateTradeCoverage, toFootprintCoverage } = require('./fetchHistoricalTickData');
+const { calculateReversalVolumeFootprint, getReversalBinning } = require('./volumeFootprintCalculator');
+const { analyzeOrderFlow } = require('./orderFlowAnalyzer');
+const { validateTradeSignal, DEFAULT_VALIDATION_RULES } = require('./tradeSignalValidator');
 const { getGlobalGapRecoverySystem } = require('./gapRecoverySystem');
+const { calculateSignalTakeProfit } = require('./takeProfitTargets');
+const { applyApproximateFootprint } = require('./approximateVolumeFootprint');
+const { getReversalCompositeProfile } = require('./sessionVolumeProfiles');
+const { updateVwapWithCandle, getReversalVwap } = require('./vwapBands');
+const { findNakedPocsNearSignal, getGlobalNakedPocMonitor } = require('./nakedPocTracker');
+const { deduplicateSignalSafely } = require('./signalDeduplicator');
+const { applyScoreCalibration } = require('./scoreCalibration');
+const { calculateMinuteProfileFootprint, recordStreamedMinute, recordMinuteProfilesFromStore } = require('./minuteVolumeProfiles');
 const getPerpetualCandleData = require('./getPerpetualCandleData');
+const { getCandleCollection } = require('./candleStore');
+
+// Time cycle definitions for artificial candle generation (interval minutes -> cycle minutes)
+const ARTIFICIAL_TIME_CYCLES = Object.freeze({
+    2: 60, 3: 60, 4: 60, 5: 60, 6: 60,
+    7: 420, 8: 120, 9: 360, 10: 60, 11: 660,
+    12: 60, 13: 780, 14: 420, 15: 60, 16: 240,
+    17: 1020, 18: 360, 19: 1140, 20: 60,
+    21: 420, 22: 660, 23: 1380, 24: 120, 25: 300,
+    26: 780, 27: 540, 28: 420, 29: 1740, 30: 60,
+    31: 1860, 32: 480, 33: 660, 34: 1020, 35: 420,
+    36: 180, 37: 2220, 38: 1140, 39: 780, 40: 120,
+    41: 2460, 42: 420, 43: 2580, 44: 660, 45: 180,
+    46: 1380, 47: 2820, 48: 240, 49: 2940, 50: 300,
+    51: 1020, 52: 780, 53: 3180, 54: 540, 55: 660,
+    56: 840, 57: 1140, 58: 1740, 59: 3540, 60: 60
+});
+
+// An artificial candle needs at least this share of its 1-minute candles
+const MIN_SOURCE_CANDLE_RATIO = 0.8;
+
+/**
+ * Does an artificial candle of this interval complete at the given minute?
+ * @param {Date} currentTime - Minute boundary being processed
+ * @param {number} intervalMinutes - Artificial interval (2-60)
+ * @returns {boolean} True when a candle just completed
+ */
+function isArtificialCandleBoundary(currentTime, intervalMinutes) {
+    const cycleMinutes = ARTIFICIAL_TIME_CYCLES[intervalMinutes];
+    
+    // Get current minute of day (0-1439)
+    const minuteOfDay = currentTime.getUTCHours() * 60 + currentTime.getUTCMinutes();
+    
+    // Check if we're at a cycle boundary and interval boundary
+    const cyclePosition = minuteOfDay % cycleMinutes;
+    const intervalPosition = cyclePosition % intervalMinutes;
+    
+    // Generate when we complete an interval within the cycle
+    return intervalPosition === 0 && cyclePosition < cycleMinutes;
+}
+
+/**
+ * Calculate the boundaries of the just-completed artificial candle
+ * @param {Date} currentTime - Minute boundary being processed
+ * @param {number} intervalMinutes - Artificial interval (2-60)
+ * @returns {Object} { candleStart, candleEnd } - candleEnd is the next boundary minus 1ms
+ */
+function getCompletedCandleBoundaries(currentTime, intervalMinutes) {
+    const cycleMinutes = ARTIFICIAL_TIME_CYCLES[intervalMinutes];
+    const minuteOfDay = currentTime.getUTCHours() * 60 + currentTime.getUTCMinutes();
+    
+    // Find current position within cycle
+    const cycleStart = Math.floor(minuteOfDay / cycleMinutes) * cycleMinutes;
+    const intervalIndex = Math.floor((minuteOfDay - cycleStart) / intervalMinutes);
+    
+    // Calculate the PREVIOUS (completed) candle boundaries
+    const completedCandleStartMinute = cycleStart + ((intervalIndex - 1) * intervalMinutes);
+    
+    // Convert back to Date objects
+    const candleStart = new Date(currentTime);
+    candleStart.setUTCHours(Math.floor(completedCandleStartMinute / 60));
+    candleStart.setUTCMinutes(completedCandleStartMinute % 60);
+    candleStart.setUTCSeconds(0, 0);
+    
+    const candleEnd = new Date(candleStart);
+    candleEnd.setUTCMinutes(candleEnd.getUTCMinutes() + intervalMinutes);
+    candleEnd.setUTCMilliseconds(-1); // End just before next candle
+    
+    return { candleStart, candleEnd };
+}
+
+/**
+ * Create an artificial candle from 1-minute candles
+ * @param {Array} oneMinuteCandles - 1-minute candles inside the period
+ * @param {string} symbol - Trading symbol
+ * @param {number} intervalMinutes - Artificial interval
+ * @param {Date} startTime - Candle open time
+ * @param {Date} endTime - Candle close time
+ * @returns {Object} Candle document in candleData format
+ */
+function createArtificialCandle(oneMinuteCandles, symbol, intervalMinutes, startTime, endTime) {
+    // Sort candles by openTime to ensure correct order
+    oneMinuteCandles.sort((a, b) => a.openTime - b.openTime);
+    
+    const firstCandle = oneMinuteCandles[0];
+    const lastCandle = oneMinuteCandles[oneMinuteCandles.length - 1];
+    
+    // Calculate OHLCV by aggregating all 1-minute candles
+    const high = Math.max(...oneMinuteCandles.map(c => c.high));
+    const low = Math.min(...oneMinuteCandles.map(c => c.low));
+    const volume = oneMinuteCandles.reduce((sum, c) => sum + c.volume, 0);
+    const quoteAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.quoteAssetVolume, 0);
+    const numberOfTrades = oneMinuteCandles.reduce((sum, c) => sum + c.numberOfTrades, 0);
+    const takerBuyBaseAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.takerBuyBaseAssetVolume, 0);
+    const takerBuyQuoteAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.takerBuyQuoteAssetVolume, 0);
+    
+    return {
+        symbol,
+        interval: `${intervalMinutes}m`,
+        openTime: startTime,
+        closeTime: endTime,
+        open: firstCandle.open,
+        high,
+        low,
+        close: lastCandle.close,
+        volume,
+        quoteAssetVolume,
+        numberOfTrades,
+        takerBuyBaseAssetVolume,
+        takerBuyQuoteAssetVolume,
+        artificiallyGenerated: true,
+        sourceInterval: '1m',
+        sourceCandles: oneMinuteCandles.length,
+        fetchedAt: new Date(),
+        dataSource: 'websocket_realtime_artificial'
+    };
+}
 
 class HybridCandleDataManager {
     constructor(client, dbName) {
@@ -19,26 +149,14 @@ class HybridCandleDataManager {
         this.dbName = dbName;
         this.db = client.db(dbName);
         
-        // WebSocket collector instance
-        this.candleCollector = null;
+        // WebSocket collector instances, one per exchange (exchange -> collector)
+        this.candleCollectors = new Map();
+        this.tickCollectors = new Map();
         this.isWebSocketActive = false;
         this.webSocketStartTime = null;
         
         // Time cycle definitions for artificial candle generation
-        this.TIME_CYCLES = {
-            2: 60, 3: 60, 4: 60, 5: 60, 6: 60,
-            7: 420, 8: 120, 9: 360, 10: 60, 11: 660,
-            12: 60, 13: 780, 14: 420, 15: 60, 16: 240,
-            17: 1020, 18: 360, 19: 1140, 20: 60,
-            21: 420, 22: 660, 23: 1380, 24: 120, 25: 300,
-            26: 780, 27: 540, 28: 420, 29: 1740, 30: 60,
-            31: 1860, 32: 480, 33: 660, 34: 1020, 35: 420,
-            36: 180, 37: 2220, 38: 1140, 39: 780, 40: 120,
-            41: 2460, 42: 420, 43: 2580, 44: 660, 45: 180,
-            46: 1380, 47: 2820, 48: 240, 49: 2940, 50: 300,
-            51: 1020, 52: 780, 53: 3180, 54: 540, 55: 660,
-            56: 840, 57: 1140, 58: 1740, 59: 3540, 60: 60
-        };
+        this.TIME_CYCLES = ARTIFICIAL_TIME_CYCLES;
         
         // All intervals we support (2-60 minutes)
         this.supportedIntervals = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
@@ -163,46 +281,12 @@ class HybridCandleDataManager {
     
     /**
      * Initialize WebSocket for real-time data with gap recovery
+     * Symbols traded on different exchanges get one collector per exchange.
      */
     async initializeWebSocket(selectedSymbols) {
         try {
-            // Initialize gap recovery system
-            const gapRecoverySystem = getGlobalGapRecoverySystem(this.client, this.dbName);
-            
-            this.candleCollector = await initializeGlobalCandleCollector({
-                onClosedCandle: (candleData) => this.handleRealtimeCandle(candleData),
-                onConnect: () => {
-                    console.log('✅ WebSocket connected - real-time 1-minute data active');
-                    this.isWebSocketActive = true;
-                    this.webSocketStartTime = Date.now();
-                },
-                onDisconnect: (code, reason) => {
-                    console.log(`🔌 WebSocket disconnected: ${code} - ${reason}`);
-                    this.isWebSocketActive = false;
-                },
-                onError: (error) => {
-                    console.error('❌ WebSocket error:', error);
-                },
-                onGapDetected: async (gaps) => {
-                    console.log(`🚨 Gap recovery triggered for ${gaps.length} symbols`);
-                    try {
-                        const recoveryStats = await gapRecoverySystem.processDetectedGaps(gaps);
-                        console.log(`✅ Gap recovery completed: ${recoveryStats.totalCandlesRecovered} candles recovered`);
-                        
-                        // Update stats
-                        this.stats.gapsRecovered = (this.stats.gapsRecovered || 0) + recoveryStats.totalCandlesRecovered;
-                        this.stats.lastGapRecovery = recoveryStats.lastRecoveryTime;
-                        
-                    } catch (error) {
-                        console.error('❌ Gap recovery failed:', error);
-                    }
-                }
-            }, selectedSymbols); // Pass symbols for immediate connection
-            
-            // Initialize last candle timestamps for gap detection
-            if (selectedSymbols.length > 0) {
-                console.log('📊 Initializing gap detection timestamps...');
-                await this.candleCollector.initializeLastCandleTimestamps(selectedSymbols);
+            for (const [exchange, symbols] of groupSymbolsByExchange(selectedSymbols)) {
+                await this.initializeExchangeWebSocket(exchange, symbols);
             }
             
             return true;
@@ -213,6 +297,62 @@ class HybridCandleDataManager {
         }
     }
     
+    /**
+     * Connect the candlestick collector of one exchange
+     * @param {string} exchange - Exchange name
+     * @param {Array} symbols - Symbols traded on that exchange
+     */
+    async initializeExchangeWebSocket(exchange, symbols) {
+        // Initialize gap recovery system
+        const gapRecoverySystem = getGlobalGapRecoverySystem(this.client, this.dbName);
+        
+        const candleCollector = await initializeGlobalCandleCollector({
+            exchange,
+            onClosedCandle: (candleData) => this.handleRealtimeCandle(candleData),
+            onPriceUpdate: (update) => getGlobalNakedPocMonitor(this.client, this.dbName).checkPrice(update),
+            onConnect: () => {
+                console.log(`✅ ${exchange} WebSocket connected - real-time 1-minute data active`);
+                this.isWebSocketActive = true;
+                this.webSocketStartTime = Date.now();
+            },
+            onDisconnect: (code, reason) => {
+                console.log(`🔌 ${exchange} WebSocket disconnected: ${code} - ${reason}`);
+                this.isWebSocketActive = false;
+            },
+            onError: (error) => {
+                console.error('❌ WebSocket error:', error);
+            },
+            onGapDetected: async (gaps) => {
+                console.log(`🚨 Gap recovery triggered for ${gaps.length} symbols`);
+                try {
+                    const recoveryStats = await gapRecoverySystem.processDetectedGaps(gaps);
+                    console.log(`✅ Gap recovery completed: ${recoveryStats.totalCandlesRecovered} candles recovered`);
+                    
+                    // Update stats
+                    this.stats.gapsRecovered = (this.stats.gapsRecovered || 0) + recoveryStats.totalCandlesRecovered;
+                    this.stats.lastGapRecovery = recoveryStats.lastRecoveryTime;
+                    
+                } catch (error) {
+                    console.error('❌ Gap recovery failed:', error);
+                }
+            }
+        }, symbols); // Pass symbols for immediate connection
+        
+        this.candleCollectors.set(exchange, candleCollector);
+        
+        // Trade stream of the same symbols, closed per minute into minute volume profiles
+        const tickCollector = await initializeGlobalTickCollector({ exchange });
+        tickCollector.onMinuteClosedCallback = (symbol, minute) => recordStreamedMinute(this.client, this.dbName, symbol, minute);
+        tickCollector.recordSymbols(symbols);
+        this.tickCollectors.set(exchange, tickCollector);
+        
+        // Initialize last candle timestamps for gap detection
+        if (symbols.length > 0) {
+            console.log('📊 Initializing gap detection timestamps...');
+            await candleCollector.initializeLastCandleTimestamps(symbols);
+        }
+    }
+    
     /**
      * Handle real-time candle data from WebSocket with proper timing synchronization
      */
@@ -248,7 +388,7 @@ class HybridCandleDataManager {
      */
     async processOneMinuteCandle(candleData) {
         try {
-            const candleCollection = this.db.collection('candleData');
+            const candleCollection = getCandleCollection(this.db);
             
             // Store the 1-minute candle
             await candleCollection.updateOne(
@@ -261,8 +401,21 @@ class HybridCandleDataManager {
                 { upsert: true }
             );
             
-            // Detect reversal pattern for 1-minute candles
-            const reversalPattern = detectReversalCandle(candleData);
+            // Fold it into the daily/session VWAPs before any reversal is measured against them
+            try {
+                await updateVwapWithCandle(this.client, this.dbName, candleData);
+            } catch (vwapError) {
+                console.error(`❌ Error updating VWAP for ${candleData.symbol}:`, vwapError.message);
+            }
+            
+            // Detect reversal pattern for 1-minute candles using the active profile
+            const detectionProfile = await resolveDetectionProfile(
+                this.client, this.dbName, candleData.symbol, candleData.interval
+            );
+            const previousCandles = await getPreviousCandles(
+                this.client, this.dbName, candleData.symbol, candleData.interval, candleData.openTime, PATTERN_LOOKBACK
+            );
+            const reversalPattern = detectReversalPattern(candleData, previousCandles, detectionProfile.thresholds);
             
             if (reversalPattern) {
                 console.log(`🔄 Reversal pattern detected in ${candleData.symbol} 1m candle: ${reversalPattern.type}`);
@@ -276,7 +429,7 @@ class HybridCandleDataManager {
                 });
                 
                 if (!existingReversal) {
-                    await this.processReversalCandle(candleData, reversalPattern);
+                    await this.processReversalCandle(candleData, reversalPattern, detectionProfile);
                     this.stats.reversalPatternsDetected++;
                 }
             }
@@ -288,99 +441,110 @@ class HybridCandleDataManager {
     
     /**
      * Process reversal candle with IP ban protection and smart volume footprint calculation
+     * @returns {Promise<boolean>} true if the reversal was saved
      */
-    async processReversalCandle(candleData, reversalPattern) {
+    async processReversalCandle(candleData, reversalPattern, detectionProfile) {
         try {
+            // Check the move leading into the reversal before spending API calls on it
+            const context = await applyTrendContext(
+                this.client, this.dbName, candleData, reversalPattern,
+                detectionProfile && detectionProfile.trendContext
+            );
+            
+            if (!context.accepted) {
+                console.log(`⏭️ ${reversalPattern.type} in ${candleData.symbol} ${candleData.interval} skipped: ${context.trendContext.reason}`);
+                return false;
+            }
+            
+            // Multi-candle patterns are validated on their composite candle
+            const signalCandle = getSignalCandle(candleData, reversalPattern);
+            const validationRules = { ...DEFAULT_VALIDATION_RULES, ...(detectionProfile && detectionProfile.validationRules) };
+            
             const reversalData = {
                 symbol: candleData.symbol,
                 interval: candleData.interval,
                 openTime: candleData.openTime,
                 closeTime: candleData.closeTime,
-                candleData: {
-                    open: candleData.open,
-                    high: candleData.high,
-                    low: candleData.low,
-                    close: candleData.close,
-                    volume: candleData.volume,
-                    numberOfTrades: candleData.numberOfTrades
-                },
-                reversalPattern: reversalPattern
+                candleData: signalCandle.candleData,
+                reversalPattern: reversalPattern,
+                detectionProfile: detectionProfile || null,
+                trendContext: context.trendContext
+            };
+            
+            const openTime = signalCandle.openTime instanceof Date ? signalCandle.openTime.getTime() : signalCandle.openTime;
+            const closeTime = candleData.closeTime instanceof Date ? candleData.closeTime.getTime() : candleData.closeTime;
+            
+            // Composite value area of the last days and the anchored VWAPs, for the optional level checks
+            const levelContext = {
+                compositeProfile: await getReversalCompositeProfile(
+                    this.client, this.dbName, candleData.symbol, closeTime, validationRules
+                ),
+                vwap: await getReversalVwap(
+                    this.client, this.dbName, candleData.symbol, reversalData.candleData.close, closeTime
+                )
             };
             
+            const binning = await getReversalBinning(
+                this.client, this.dbName, candleData.symbol, candleData.interval, openTime, validationRules
+            );
+            
+            // Merged from the stored minute profiles when every minute has one (no trades needed)
+            const profileFootprint = await calculateMinuteProfileFootprint(
+                this.client, this.dbName, candleData.symbol, openTime, closeTime,
+                validationRules.valueAreaPercent, validationRules.valueAreaMethod, binning
+            );
+            
             // 🚫 IP BAN PROTECTION - Check if API is banned before attempting tick data fetch
-            const isBanned = isCurrentlyBanned();
+            const isBanned = isCurrentlyBanned(candleData.symbol);
             
-            if (isBanned) {
-                console.log(`🚫 Skipping volume footprint for ${candleData.symbol} ${candleData.interval} - IP banned`);
-                this.stats.volumeFootprintSkipped++;
+            if (profileFootprint) {
+                console.log(`🧩 ${candleData.symbol} ${candleData.interval} footprint merged from ${profileFootprint.minuteProfiles} minute profiles`);
+                // Every minute is present; the volume check catches trades the stream missed
+                const coverage = calculateTradeCoverage(openTime, closeTime, closeTime, profileFootprint.totalVolume, reversalData.candleData.volume);
+                this.applyTickTradeSignal(reversalData, reversalPattern, { ...profileFootprint, coverage }, validationRules, levelContext, 'minute_profiles', 0);
                 
-                // Create a basic trade signal validation without volume footprint
-                const basicTradeSignalValidation = this.createBasicTradeSignal(reversalData.candleData, reversalPattern.type);
-                
-                reversalData.tradeSignal = {
-                    isValidSignal: basicTradeSignalValidation.isValidSignal,
-                    signalType: basicTradeSignalValidation.signalType,
-                    reason: `${basicTradeSignalValidation.reason} (Volume footprint skipped - IP banned)`,
-                    score: basicTradeSignalValidation.score || 0,
-                    criteria: basicTradeSignalValidation.criteria,
-                    validatedAt: new Date(),
-                    fallbackMode: true
-                };
+            } else if (isBanned) {
+                console.log(`🚫 Skipping tick fetch for ${candleData.symbol} ${candleData.interval} - IP banned, using 1m candles`);
+                this.stats.volumeFootprintSkipped++;
                 
-                console.log(`🚦 Basic trade signal: ${basicTradeSignalValidation.isValidSignal ? '✅ VALID' : '❌ INVALID'} (${basicTradeSignalValidation.signalType || 'none'}) - IP ban fallback`);
+                await this.applyApproximateTradeSignal(reversalData, reversalPattern, openTime, closeTime, validationRules, 'IP banned', levelContext);
                 
             } else {
                 // Try to calculate volume footprint normally
                 try {
-                    const openTime = candleData.openTime instanceof Date ? candleData.openTime.getTime() : candleData.openTime;
-                    const closeTime = candleData.closeTime instanceof Date ? candleData.closeTime.getTime() : candleData.closeTime;
-                    
                     const tickDataResult = await fetchReversalCandleTickData(
                         candleData.symbol,
                         openTime,
                         closeTime,
-                        candleData.interval
+                        candleData.interval,
+                        reversalData.candleData.volume
                     );
                     
+                    // Long candles aren't paged inline; the footprint upgrade job finishes them
+                    if (tickDataResult.capped) {
+                        throw new Error('Trade page budget used up, paging continues in the background');
+                    }
+                    
                     if (tickDataResult.success && tickDataResult.trades.length > 0) {
+                        // Minutes now held by the trade store serve the intervals nested in this one
+                        await recordMinuteProfilesFromStore(this.client, this.dbName, candleData.symbol, openTime, closeTime);
+                        
                         const volumeFootprint = calculateReversalVolumeFootprint(
                             tickDataResult.trades,
                             candleData.symbol,
                             openTime,
-                            closeTime
+                            closeTime,
+                            validationRules.valueAreaPercent,
+                            validationRules.valueAreaMethod,
+                            binning
                         );
                         
                         if (!volumeFootprint.error) {
-                            reversalData.volumeFootprint = {
-                                poc: volumeFootprint.poc,
-                                vah: volumeFootprint.vah,
-                                val: volumeFootprint.val,
-                                totalVolume: volumeFootprint.totalVolume,
-                                valueAreaVolume: volumeFootprint.valueAreaVolume,
-                                valueAreaPercentage: volumeFootprint.valueAreaPercentage,
-                                tickDataSource: candleData.dataSource === 'websocket_realtime' ? 'realtime' : 'historical',
-                                calculatedAt: new Date(),
-                                tradesProcessed: volumeFootprint.tradesProcessed,
-                                executionTime: tickDataResult.executionTime
-                            };
-                            
-                            // Validate trade signal with volume footprint
-                            const tradeSignalValidation = validateTradeSignal(
-                                reversalData.candleData,
-                                reversalData.volumeFootprint,
-                                reversalPattern.type
+                            this.applyTickTradeSignal(
+                                reversalData, reversalPattern, { ...volumeFootprint, coverage: tickDataResult.coverage }, validationRules, levelContext,
+                                candleData.dataSource === 'websocket_realtime' ? 'realtime' : 'historical',
+                                tickDataResult.executionTime
                             );
-                            
-                            reversalData.tradeSignal = {
-                                isValidSignal: tradeSignalValidation.isValidSignal,
-                                signalType: tradeSignalValidation.signalType,
-                                reason: tradeSignalValidation.reason,
-                                score: tradeSignalValidation.score || 0,
-                                criteria: tradeSignalValidation.criteria,
-                                validatedAt: new Date()
-                            };
-                            
-                            console.log(`🚦 Trade signal: ${tradeSignalValidation.isValidSignal ? '✅ VALID' : '❌ INVALID'} (${tradeSignalValidation.signalType || 'none'})`);
                         } else {
                             throw new Error(`Volume footprint calculation failed: ${volumeFootprint.error}`);
                         }
@@ -392,81 +556,107 @@ class HybridCandleDataManager {
                     console.log(`⚠️ Volume footprint failed for ${candleData.symbol} ${candleData.interval}: ${volumeError.message}`);
                     this.stats.volumeFootprintSkipped++;
                     
-                    // Fallback to basic trade signal
-                    const basicTradeSignalValidation = this.createBasicTradeSignal(reversalData.candleData, reversalPattern.type);
-                    
-                    reversalData.tradeSignal = {
-                        isValidSignal: basicTradeSignalValidation.isValidSignal,
-                        signalType: basicTradeSignalValidation.signalType,
-                        reason: `${basicTradeSignalValidation.reason} (Volume footprint failed)`,
-                        score: basicTradeSignalValidation.score || 0,
-                        criteria: basicTradeSignalValidation.criteria,
-                        validatedAt: new Date(),
-                        fallbackMode: true
-                    };
-                    
-                    console.log(`🚦 Fallback trade signal: ${basicTradeSignalValidation.isValidSignal ? '✅ VALID' : '❌ INVALID'} (${basicTradeSignalValidation.signalType || 'none'})`);
+                    // Fall back to a profile approximated from the 1m candles
+                    await this.applyApproximateTradeSignal(reversalData, reversalPattern, openTime, closeTime, validationRules, volumeError.message, levelContext);
                 }
             }
             
-            // Save reversal candle
-            await saveReversalCandle(this.client, this.dbName, reversalData);
+            // Take-profit targets from the footprint and recent structure, hit rate of the score
+            if (reversalData.tradeSignal.isValidSignal && reversalData.volumeFootprint) {
+                await applyScoreCalibration(this.client, this.dbName, reversalData);
+                reversalData.takeProfit = await calculateSignalTakeProfit(
+                    this.client, this.dbName, reversalData, reversalPattern.patternStartTime
+                );
+                reversalData.nakedPocs = await findNakedPocsNearSignal(this.client, this.dbName, reversalData);
+            }
+            
+            // Save reversal candle, then link it to similar signals of overlapping intervals
+            const saved = await saveReversalCandle(this.client, this.dbName, reversalData);
+            await deduplicateSignalSafely(
+                this.client, this.dbName, { ...reversalData, _id: saved.insertedId },
+                detectionProfile && detectionProfile.deduplication
+            );
+            return true;
             
         } catch (error) {
             console.error(`❌ Error processing reversal candle:`, error);
+            return false;
         }
     }
     
     /**
-     * Create basic trade signal validation without volume footprint
+     * Validate a reversal against its tick footprint (from trades or merged minute profiles)
+     * volumeFootprint.coverage is the calculateTradeCoverage result of its trades.
      */
-    createBasicTradeSignal(candleData, reversalType) {
-        // Simple validation based on candle properties only
-        const bodySize = Math.abs(candleData.close - candleData.open);
-        const range = candleData.high - candleData.low;
-        const bodyRatio = range > 0 ? bodySize / range : 0;
-        
-        // Basic scoring based on candle strength
-        let score = 0;
-        let isValid = false;
-        let signalType = 'WEAK';
-        
-        // Strong candle body (>60% of range)
-        if (bodyRatio > 0.6) {
-            score += 30;
-        }
+    applyTickTradeSignal(reversalData, reversalPattern, volumeFootprint, validationRules, levelContext, tickDataSource, executionTime) {
+        reversalData.volumeFootprint = {
+            poc: volumeFootprint.poc,
+            vah: volumeFootprint.vah,
+            val: volumeFootprint.val,
+            totalVolume: volumeFootprint.totalVolume,
+            valueAreaVolume: volumeFootprint.valueAreaVolume,
+            valueAreaPercentage: volumeFootprint.valueAreaPercentage,
+            valueAreaMethod: volumeFootprint.valueAreaMethod,
+            binning: volumeFootprint.binning,
+            tickDataSource: tickDataSource,
+            calculatedAt: new Date(),
+            tradesProcessed: volumeFootprint.tradesProcessed,
+            executionTime: executionTime,
+            ...toFootprintCoverage(volumeFootprint.coverage),
+            orderFlow: analyzeOrderFlow(volumeFootprint, reversalData.candleData, validationRules),
+            ...levelContext
+        };
         
-        // High volume relative to recent average (approximation)
-        if (candleData.volume > 0) {
-            score += 20;
-        }
+        // Validate trade signal with volume footprint
+        const tradeSignalValidation = validateTradeSignal(
+            reversalData.candleData,
+            reversalData.volumeFootprint,
+            reversalPattern.type,
+            validationRules
+        );
         
-        // Reversal type specific scoring
-        if (reversalType === 'hammer' || reversalType === 'inverted_hammer') {
-            score += 25;
-            signalType = 'REVERSAL';
-        } else if (reversalType === 'doji') {
-            score += 15;
-            signalType = 'INDECISION';
-        }
+        reversalData.tradeSignal = {
+            isValidSignal: tradeSignalValidation.isValidSignal,
+            signalType: tradeSignalValidation.signalType,
+            reason: tradeSignalValidation.reason,
+            score: tradeSignalValidation.score || 0,
+            criteria: tradeSignalValidation.criteria,
+            validatedAt: new Date()
+        };
         
-        // Determine validity
-        if (score >= 50) {
-            isValid = true;
-            signalType = score >= 70 ? 'STRONG' : 'MODERATE';
+        console.log(`🚦 Trade signal: ${tradeSignalValidation.isValidSignal ? '✅ VALID' : '❌ INVALID'} (${tradeSignalValidation.signalType || 'none'})`);
+    }
+    
+    /**
+     * Validate a reversal against a volume profile approximated from its 1m candles
+     * Used when ticks can't be fetched; the footprint upgrade job replaces it later
+     */
+    async applyApproximateTradeSignal(reversalData, reversalPattern, openTime, closeTime, validationRules, reason, levelContext) {
+        try {
+            await applyApproximateFootprint(this.client, this.dbName, reversalData, {
+                patternType: reversalPattern.type,
+                openTime,
+                closeTime,
+                validationRules,
+                reason,
+                ...levelContext
+            });
+            
+            console.log(`🚦 Approximate trade signal: ${reversalData.tradeSignal.isValidSignal ? '✅ VALID' : '❌ INVALID'} (${reversalData.tradeSignal.signalType || 'none'}) - ${reason}`);
+            
+        } catch (error) {
+            console.error(`❌ Approximate footprint failed for ${reversalData.symbol} ${reversalData.interval}:`, error.message);
+            
+            reversalData.tradeSignal = {
+                isValidSignal: false,
+                signalType: null,
+                reason: `No footprint: ${reason}; ${error.message}`,
+                score: 0,
+                criteria: {},
+                validatedAt: new Date(),
+                approximate: true
+            };
         }
-        
-        return {
-            isValidSignal: isValid,
-            signalType: signalType,
-            reason: `Basic candle analysis - Body ratio: ${(bodyRatio * 100).toFixed(1)}%`,
-            score: score,
-            criteria: {
-                bodyRatio: bodyRatio,
-                volumePresent: candleData.volume > 0,
-                reversalType: reversalType
-            }
-        };
     }
     
     /**
@@ -484,7 +674,7 @@ class HybridCandleDataManager {
                 if (this.shouldGenerateArtificialCandle(currentMinute, interval)) {
                     // Calculate the completed candle boundaries
                     const { candleStart, candleEnd } = this.calculateCompletedCandleBoundaries(
-                        currentMinute, interval, this.TIME_CYCLES[interval]
+                        currentMinute, interval
                     );
                     
                     console.log(`🔧 Generating ${interval}m candle: ${candleStart.toISOString()} → ${candleEnd.toISOString()}`);
@@ -558,7 +748,7 @@ class HybridCandleDataManager {
      */
     async verifyOneMinuteCandleStored(candleData) {
         try {
-            const candleCollection = this.db.collection('candleData');
+            const candleCollection = getCandleCollection(this.db);
             
             const storedCandle = await candleCollection.findOne({
                 symbol: candleData.symbol,
@@ -583,7 +773,7 @@ class HybridCandleDataManager {
                 if (this.shouldGenerateArtificialCandle(currentMinute, interval)) {
                     // Calculate the completed candle boundaries
                     const { candleStart, candleEnd } = this.calculateCompletedCandleBoundaries(
-                        currentMinute, interval, this.TIME_CYCLES[interval]
+                        currentMinute, interval
                     );
                     
                     console.log(`🔧 [Verified] Generating ${interval}m candle: ${candleStart.toISOString()} → ${candleEnd.toISOString()}`);
@@ -623,7 +813,7 @@ class HybridCandleDataManager {
      */
     async verifyEnoughOneMinuteData(startTime, endTime, intervalMinutes) {
         try {
-            const candleCollection = this.db.collection('candleData');
+            const candleCollection = getCandleCollection(this.db);
             const selectedSymbols = await this.getSelectedSymbols();
             
             if (selectedSymbols.length === 0) {
@@ -668,20 +858,11 @@ class HybridCandleDataManager {
      * Uses simplified modulo-based approach while preserving cycle alignment
      */
     shouldGenerateArtificialCandle(currentTime, intervalMinutes) {
-        const cycleMinutes = this.TIME_CYCLES[intervalMinutes];
-        
-        // Get current minute of day (0-1439)
-        const minuteOfDay = currentTime.getUTCHours() * 60 + currentTime.getUTCMinutes();
-        
-        // Check if we're at a cycle boundary and interval boundary
-        const cyclePosition = minuteOfDay % cycleMinutes;
-        const intervalPosition = cyclePosition % intervalMinutes;
-        
-        // Generate when we complete an interval within the cycle
-        const shouldGenerate = intervalPosition === 0 && cyclePosition < cycleMinutes;
+        const shouldGenerate = isArtificialCandleBoundary(currentTime, intervalMinutes);
         
         if (shouldGenerate) {
-            console.log(`🎯 Triggering ${intervalMinutes}m generation: minute ${minuteOfDay}, cycle pos ${cyclePosition}, interval pos ${intervalPosition}`);
+            const minuteOfDay = currentTime.getUTCHours() * 60 + currentTime.getUTCMinutes();
+            console.log(`🎯 Triggering ${intervalMinutes}m generation: minute ${minuteOfDay}, cycle pos ${minuteOfDay % this.TIME_CYCLES[intervalMinutes]}`);
         }
         
         return shouldGenerate;
@@ -690,28 +871,8 @@ class HybridCandleDataManager {
     /**
      * Calculate the boundaries of the just-completed candle
      */
-    calculateCompletedCandleBoundaries(currentTime, intervalMinutes, cycleMinutes) {
-        const minuteOfDay = currentTime.getUTCHours() * 60 + currentTime.getUTCMinutes();
-        
-        // Find current position within cycle
-        const cycleStart = Math.floor(minuteOfDay / cycleMinutes) * cycleMinutes;
-        const intervalIndex = Math.floor((minuteOfDay - cycleStart) / intervalMinutes);
-        
-        // Calculate the PREVIOUS (completed) candle boundaries
-        const completedCandleStartMinute = cycleStart + ((intervalIndex - 1) * intervalMinutes);
-        const completedCandleEndMinute = completedCandleStartMinute + intervalMinutes;
-        
-        // Convert back to Date objects
-        const candleStart = new Date(currentTime);
-        candleStart.setUTCHours(Math.floor(completedCandleStartMinute / 60));
-        candleStart.setUTCMinutes(completedCandleStartMinute % 60);
-        candleStart.setUTCSeconds(0, 0);
-        
-        const candleEnd = new Date(candleStart);
-        candleEnd.setUTCMinutes(candleEnd.getUTCMinutes() + intervalMinutes);
-        candleEnd.setUTCMilliseconds(-1); // End just before next candle
-        
-        return { candleStart, candleEnd };
+    calculateCompletedCandleBoundaries(currentTime, intervalMinutes) {
+        return getCompletedCandleBoundaries(currentTime, intervalMinutes);
     }
     
     /**
@@ -748,7 +909,7 @@ class HybridCandleDataManager {
             }
             
             results.symbolsProcessed = selectedSymbols.length;
-            const candleCollection = this.db.collection('candleData');
+            const candleCollection = getCandleCollection(this.db);
             
             // Process each symbol with duplicate prevention
             for (const symbol of selectedSymbols) {
@@ -851,7 +1012,7 @@ class HybridCandleDataManager {
             }).sort({ openTime: 1 }).toArray();
             
             // Check if we have sufficient data (at least 80% of expected candles)
-            const minCandlesRequired = Math.floor(intervalMinutes * 0.8);
+            const minCandlesRequired = Math.floor(intervalMinutes * MIN_SOURCE_CANDLE_RATIO);
             
             if (oneMinuteCandles.length < minCandlesRequired) {
                 console.log(`⚠️ Insufficient data for ${symbol} ${intervalMinutes}m candle: ${oneMinuteCandles.length}/${intervalMinutes} 1-minute candles`);
@@ -859,7 +1020,7 @@ class HybridCandleDataManager {
             }
             
             // Create the artificial candle from 1-minute data
-            const artificialCandle = this.createArtificialCandle(
+            const artificialCandle = createArtificialCandle(
                 oneMinuteCandles, symbol, intervalMinutes, startTime, endTime
             );
             
@@ -876,8 +1037,14 @@ class HybridCandleDataManager {
             
             result.success = true;
             
-            // Detect reversal pattern for this artificial candle
-            const reversalPattern = detectReversalCandle(artificialCandle);
+            // Detect reversal pattern for this artificial candle using the active profile
+            const detectionProfile = await resolveDetectionProfile(
+                this.client, this.dbName, symbol, `${intervalMinutes}m`
+            );
+            const previousCandles = await getPreviousCandles(
+                this.client, this.dbName, symbol, `${intervalMinutes}m`, startTime, PATTERN_LOOKBACK
+            );
+            const reversalPattern = detectReversalPattern(artificialCandle, previousCandles, detectionProfile.thresholds);
             
             if (reversalPattern) {
                 result.reversalDetected = true;
@@ -892,8 +1059,7 @@ class HybridCandleDataManager {
                 });
                 
                 if (!existingReversal) {
-                    await this.processReversalCandle(artificialCandle, reversalPattern);
-                    result.reversalSaved = true;
+                    result.reversalSaved = await this.processReversalCandle(artificialCandle, reversalPattern, detectionProfile);
                 }
             }
             
@@ -942,41 +1108,7 @@ class HybridCandleDataManager {
      * Create an artificial candle from 1-minute candles
      */
     createArtificialCandle(oneMinuteCandles, symbol, intervalMinutes, startTime, endTime) {
-        // Sort candles by openTime to ensure correct order
-        oneMinuteCandles.sort((a, b) => a.openTime - b.openTime);
-        
-        const firstCandle = oneMinuteCandles[0];
-        const lastCandle = oneMinuteCandles[oneMinuteCandles.length - 1];
-        
-        // Calculate OHLCV by aggregating all 1-minute candles
-        const high = Math.max(...oneMinuteCandles.map(c => c.high));
-        const low = Math.min(...oneMinuteCandles.map(c => c.low));
-        const volume = oneMinuteCandles.reduce((sum, c) => sum + c.volume, 0);
-        const quoteAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.quoteAssetVolume, 0);
-        const numberOfTrades = oneMinuteCandles.reduce((sum, c) => sum + c.numberOfTrades, 0);
-        const takerBuyBaseAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.takerBuyBaseAssetVolume, 0);
-        const takerBuyQuoteAssetVolume = oneMinuteCandles.reduce((sum, c) => sum + c.takerBuyQuoteAssetVolume, 0);
-        
-        return {
-            symbol,
-            interval: `${intervalMinutes}m`,
-            openTime: startTime,
-            closeTime: endTime,
-            open: firstCandle.open,
-            high,
-            low,
-            close: lastCandle.close,
-            volume,
-            quoteAssetVolume,
-            numberOfTrades,
-            takerBuyBaseAssetVolume,
-            takerBuyQuoteAssetVolume,
-            artificiallyGenerated: true,
-            sourceInterval: '1m',
-            sourceCandles: oneMinuteCandles.length,
-            fetchedAt: new Date(),
-            dataSource: 'websocket_realtime_artificial'
-        };
+        return createArtificialCandle(oneMinuteCandles, symbol, intervalMinutes, startTime, endTime);
     }
     
     /**
@@ -1031,14 +1163,31 @@ class HybridCandleDataManager {
         console.log(`🔄 Updating symbols for hybrid system...`);
         
         try {
-            // Update WebSocket subscriptions
-            if (this.candleCollector && this.isWebSocketActive) {
-                const result = this.candleCollector.updateSymbolSubscriptions(newSymbols);
-                console.log(`📊 Updated WebSocket subscriptions: +${result.added} -${result.removed} = ${result.total} total`);
+            // Load historical data for new symbols (collected before the subscriptions change)
+            const currentSymbols = [...this.candleCollectors.values()].flatMap(collector => Array.from(collector.subscribedSymbols));
+            
+            // Update WebSocket subscriptions of each exchange
+            if (this.isWebSocketActive) {
+                const groups = groupSymbolsByExchange(newSymbols);
+                
+                for (const [exchange, collector] of this.candleCollectors) {
+                    const result = collector.updateSymbolSubscriptions(groups.get(exchange) || []);
+                    console.log(`📊 Updated ${exchange} WebSocket subscriptions: +${result.added} -${result.removed} = ${result.total} total`);
+                }
+                
+                for (const [exchange, collector] of this.tickCollectors) {
+                    const result = collector.recordSymbols(groups.get(exchange) || []);
+                    console.log(`📊 Updated ${exchange} trade recording: +${result.added} -${result.removed} = ${result.total} total`);
+                }
+                
+                // Exchanges without a collector yet
+                for (const [exchange, symbols] of groups) {
+                    if (!this.candleCollectors.has(exchange)) {
+                        await this.initializeExchangeWebSocket(exchange, symbols);
+                    }
+                }
             }
             
-            // Load historical data for new symbols
-            const currentSymbols = this.candleCollector ? Array.from(this.candleCollector.subscribedSymbols) : [];
             const newSymbolsToLoad = newSymbols.filter(symbol => !currentSymbols.includes(symbol));
             
             if (newSymbolsToLoad.length > 0) {
@@ -1061,7 +1210,15 @@ class HybridCandleDataManager {
      * Get system status
      */
     getStatus() {
-        const wsStatus = this.candleCollector ? this.candleCollector.getStatus() : null;
+        const collectorStatuses = [...this.candleCollectors.values()].map(collector => collector.getStatus());
+        
+        // Combined subscription counts; per-exchange details in `exchanges`
+        const wsStatus = collectorStatuses.length > 0 ? {
+            isConnected: collectorStatuses.every(status => status.isConnected),
+            subscribedSymbols: collectorStatuses.flatMap(status => status.subscribedSymbols),
+            subscribedCount: collectorStatuses.reduce((sum, status) => sum + status.subscribedCount, 0),
+            exchanges: collectorStatuses
+        } : null;
         
         return {
             isActive: this.isWebSocketActive,
@@ -1081,10 +1238,11 @@ class HybridCandleDataManager {
     async cleanup() {
         console.log('🧹 Cleaning up Hybrid Candle Data Manager...');
         
-        if (this.candleCollector) {
-            this.candleCollector.disconnect();
-            this.candleCollector = null;
+        for (const collector of [...this.candleCollectors.values(), ...this.tickCollectors.values()]) {
+            collector.disconnect();
         }
+        this.candleCollectors.clear();
+        this.tickCollectors.clear();
         
         this.isWebSocketActive = false;
         console.log('✅ Hybrid Candle Data Manager cleaned up');
@@ -1128,6 +1286,11 @@ async function cleanupGlobalHybridManager() {
 }
 
 module.exports = {
+    ARTIFICIAL_TIME_CYCLES,
+    MIN_SOURCE_CANDLE_RATIO,
+    isArtificialCandleBoundary,
+    getCompletedCandleBoundaries,
+    createArtificialCandle,
     HybridCandleDataManager,
     getGlobalHybridManager,
     initializeGlobalHybridManager,
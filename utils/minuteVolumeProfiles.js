@@ -0,0 +1,261 @@
+/**
+ * Minute Volume Profiles
+ * A compact price -> buy/sell volume map for every closed 1m candle, at the
+ * exchange tick size. The footprint of any N-minute candle is the merge of its
+ * minutes, so the 2m-60m intervals need no trades of their own and the
+ * footprints of nested intervals always agree with each other.
+ *
+ * Sources:
+ * - the live trade stream, which records every tracked symbol and closes each
+ *   minute (only minutes streamed from their first second are complete)
+ * - the local trade store, for minutes it holds completely (REST fetches)
+ *
+ * Profiles are stored in `minuteProfiles`, one per symbol and minute, and
+ * expire with the trade store (TRADE_RETENTION_DAYS).
+ */
+
+const {
+    calculateReversalVolumeFootprint,
+    getTickSize,
+    getDecimalPlaces,
+    DEFAULT_VALUE_AREA_METHOD
+} = require('./volumeFootprintCalculator');
+const { getCoveredRanges, getStoredTrades } = require('./tradeStore');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minute profile of one 1m candle
+ * @param {string} symbol - Trading symbol
+ * @param {number} openTime - Minute open time in milliseconds
+ * @param {Array} trades - Trades of the minute (price, quantity, isBuyerMaker)
+ * @param {string} source - 'stream' or 'trade_store'
+ * @returns {Object} { symbol, openTime, closeTime, tickSize, levels: [[price, buy, sell]], totalVolume, tradesCount, source }
+ */
+function buildMinuteProfile(symbol, openTime, trades, source) {
+    const usable = trades.filter(trade => parseFloat(trade.quantity) > 0 && parseFloat(trade.price) > 0);
+    const tickSize = getTickSize(symbol, usable.length > 0 ? parseFloat(usable[0].price) : 0);
+    const decimals = getDecimalPlaces(tickSize);
+    const levels = new Map();
+    let totalVolume = 0;
+
+    usable.forEach(trade => {
+        const price = parseFloat((Math.round(parseFloat(trade.price) / tickSize) * tickSize).toFixed(decimals));
+        const quantity = parseFloat(trade.quantity);
+        const level = levels.get(price) || [price, 0, 0];
+
+        level[trade.isBuyerMaker ? 2 : 1] += quantity;
+        levels.set(price, level);
+        totalVolume += quantity;
+    });
+
+    return {
+        symbol,
+        openTime: new Date(openTime),
+        closeTime: new Date(openTime + MINUTE_MS - 1),
+        tickSize,
+        levels: [...levels.values()].sort((a, b) => a[0] - b[0]),
+        totalVolume,
+        tradesCount: usable.length,
+        source
+    };
+}
+
+/**
+ * Merge minute profiles into one price map
+ * @param {Array} profiles - Minute profiles
+ * @returns {Object} { levels: [{ price, buy, sell }] by price, totalVolume, tradesCount }
+ */
+function mergeMinuteProfiles(profiles) {
+    const levels = new Map();
+    let totalVolume = 0;
+    let tradesCount = 0;
+
+    profiles.forEach(profile => {
+        profile.levels.forEach(([price, buy, sell]) => {
+            const level = levels.get(price) || { price, buy: 0, sell: 0 };
+            level.buy += buy;
+            level.sell += sell;
+            levels.set(price, level);
+        });
+        totalVolume += profile.totalVolume;
+        tradesCount += profile.tradesCount;
+    });
+
+    return {
+        levels: [...levels.values()].sort((a, b) => a.price - b.price),
+        totalVolume,
+        tradesCount
+    };
+}
+
+/**
+ * Store minute profiles, replacing those of the same symbol and minute
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Array} profiles - Minute profiles
+ * @returns {Promise<number>} Profiles written
+ */
+async function saveMinuteProfiles(client, dbName, profiles) {
+    if (!client || profiles.length === 0) {
+        return 0;
+    }
+
+    await client.db(dbName).collection('minuteProfiles').bulkWrite(profiles.map(profile => ({
+        updateOne: {
+            filter: { symbol: profile.symbol, openTime: profile.openTime },
+            update: { $set: { ...profile, updatedAt: new Date() } },
+            upsert: true
+        }
+    })), { ordered: false });
+
+    return profiles.length;
+}
+
+/**
+ * Minute profiles of a range, when every minute has one
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Open time of the first minute (milliseconds)
+ * @param {number} endTime - Close time of the last minute (milliseconds)
+ * @returns {Promise<Array|null>} Profiles oldest first, or null when a minute is missing
+ */
+async function getMinuteProfiles(client, dbName, symbol, startTime, endTime) {
+    const expectedMinutes = Math.round((endTime + 1 - startTime) / MINUTE_MS);
+
+    const profiles = await client.db(dbName).collection('minuteProfiles')
+        .find({ symbol, openTime: { $gte: new Date(startTime), $lte: new Date(endTime) } })
+        .sort({ openTime: 1 })
+        .toArray();
+
+    return profiles.length === expectedMinutes ? profiles : null;
+}
+
+/**
+ * Footprint of a candle merged from its minute profiles
+ * Gives the same result as the footprint of the candle's trades: levels are
+ * re-binned by calculateReversalVolumeFootprint like raw trades. Never throws.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} openTime - Candle open time (milliseconds)
+ * @param {number} closeTime - Candle close time (milliseconds)
+ * @param {number} valueAreaPercent - Share of total volume in the value area (default 70)
+ * @param {string} valueAreaMethod - One of VALUE_AREA_METHODS (default top_volume)
+ * @param {Object} [binning] - Binning options (see getBinningOptions)
+ * @returns {Promise<Object|null>} Footprint with `minuteProfiles` (count), or null when a minute is missing
+ */
+async function calculateMinuteProfileFootprint(client, dbName, symbol, openTime, closeTime, valueAreaPercent = 70, valueAreaMethod = DEFAULT_VALUE_AREA_METHOD, binning = {}) {
+    try {
+        const profiles = await getMinuteProfiles(client, dbName, symbol, openTime, closeTime);
+
+        if (!profiles) {
+            return null;
+        }
+
+        const merged = mergeMinuteProfiles(profiles);
+
+        if (merged.totalVolume <= 0) {
+            return null;
+        }
+
+        // One taker-buy and one taker-sell entry per price level
+        const levelTrades = merged.levels.flatMap(level => [
+            { price: level.price, quantity: level.buy, timestamp: openTime, isBuyerMaker: false },
+            { price: level.price, quantity: level.sell, timestamp: openTime, isBuyerMaker: true }
+        ]).filter(trade => trade.quantity > 0);
+
+        const footprint = calculateReversalVolumeFootprint(levelTrades, symbol, openTime, closeTime, valueAreaPercent, valueAreaMethod, binning);
+
+        if (footprint.error) {
+            return null;
+        }
+
+        return {
+            ...footprint,
+            tradesCount: merged.tradesCount,
+            tradesProcessed: merged.tradesCount,
+            minuteProfiles: profiles.length
+        };
+    } catch (error) {
+        console.error(`❌ Error merging minute profiles for ${symbol}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store the profile of a minute closed by the trade stream
+ * Minutes the stream didn't see from their start are skipped. Never throws.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {Object} minute - { openTime, trades, complete } from the tick collector
+ * @returns {Promise<boolean>} true when stored
+ */
+async function recordStreamedMinute(client, dbName, symbol, minute) {
+    if (!minute.complete) {
+        return false;
+    }
+
+    try {
+        await saveMinuteProfiles(client, dbName, [buildMinuteProfile(symbol, minute.openTime, minute.trades, 'stream')]);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error storing minute profile for ${symbol}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Store the profiles of the whole minutes of a range that the trade store holds completely
+ * Never throws.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @returns {Promise<number>} Profiles stored
+ */
+async function recordMinuteProfilesFromStore(client, dbName, symbol, startTime, endTime) {
+    try {
+        const profiles = [];
+
+        for (const range of await getCoveredRanges(symbol, startTime, endTime)) {
+            const firstMinute = Math.ceil(range.startTime / MINUTE_MS) * MINUTE_MS;
+            const lastMinute = Math.floor((range.endTime + 1) / MINUTE_MS) * MINUTE_MS - MINUTE_MS;
+
+            if (lastMinute < firstMinute) {
+                continue;
+            }
+
+            const trades = await getStoredTrades(symbol, firstMinute, lastMinute + MINUTE_MS - 1);
+
+            // Read error or range no longer fully stored - not the same as no trades
+            if (!trades) {
+                continue;
+            }
+
+            for (let minute = firstMinute; minute <= lastMinute; minute += MINUTE_MS) {
+                const minuteTrades = trades.filter(trade => trade.timestamp >= minute && trade.timestamp < minute + MINUTE_MS);
+                profiles.push(buildMinuteProfile(symbol, minute, minuteTrades, 'trade_store'));
+            }
+        }
+
+        return await saveMinuteProfiles(client, dbName, profiles);
+    } catch (error) {
+        console.error(`❌ Error storing minute profiles for ${symbol}:`, error.message);
+        return 0;
+    }
+}
+
+module.exports = {
+    MINUTE_MS,
+    buildMinuteProfile,
+    mergeMinuteProfiles,
+    saveMinuteProfiles,
+    getMinuteProfiles,
+    calculateMinuteProfileFootprint,
+    recordStreamedMinute,
+    recordMinuteProfilesFromStore
+};
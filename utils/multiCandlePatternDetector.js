@@ -0,0 +1,365 @@
+/**
+ * Multi-Candle Reversal Pattern Detection Utility
+ * Detects two and three candle reversal patterns on consecutive candles of
+ * the same symbol and interval:
+ * - Bullish / bearish engulfing
+ * - Tweezer bottom / top
+ * - Morning / evening star
+ * - Bullish / bearish three-bar reversal
+ *
+ * Each pattern is also described by a composite candle (first open, last
+ * close, pattern high/low). A valid multi-candle reversal collapses into a
+ * pin-bar shaped composite, so the same volume footprint and trade signal
+ * validation can be applied to it.
+ */
+
+const {
+    DEFAULT_DETECTION_THRESHOLDS,
+    detectReversalCandle,
+    calculateConfidence
+} = require('./reversalCandleDetector');
+
+// Number of candles needed before the latest one (three-candle patterns)
+const PATTERN_LOOKBACK = 2;
+
+// Tweezer highs/lows must match within this share of the larger candle range
+const TWEEZER_TOLERANCE = 0.05;
+
+// Star candle body must be at most this share of the first candle body
+const STAR_BODY_RATIO = 0.3;
+
+// First candle of a star pattern must be a strong candle
+const STAR_FIRST_BODY_PERCENTAGE = 50;
+
+/**
+ * Detect the best reversal pattern ending at the latest candle
+ * Single-candle pin bars take precedence over multi-candle patterns.
+ * @param {Object} candle - Latest closed candle
+ * @param {Array} previousCandles - Preceding candles of the same symbol/interval, oldest first
+ * @param {Object} [thresholds] - Detection thresholds
+ * @returns {Object|null} Reversal pattern data or null
+ */
+function detectReversalPattern(candle, previousCandles = [], thresholds = DEFAULT_DETECTION_THRESHOLDS) {
+    const pinBar = detectReversalCandle(candle, thresholds);
+
+    if (pinBar) {
+        return pinBar;
+    }
+
+    return detectMultiCandlePattern([...previousCandles, candle], thresholds);
+}
+
+/**
+ * Detect a multi-candle reversal pattern ending at the last candle
+ * @param {Array} candles - Consecutive candles, oldest first (2 or more)
+ * @param {Object} [thresholds] - Detection thresholds (minStopLossRisk is applied)
+ * @returns {Object|null} Reversal pattern data or null
+ */
+function detectMultiCandlePattern(candles, thresholds = DEFAULT_DETECTION_THRESHOLDS) {
+    if (!Array.isArray(candles) || !candles.every(isValidCandle)) {
+        return null;
+    }
+
+    // Patterns only make sense on back-to-back candles
+    candles = getConsecutiveTail(candles);
+    if (candles.length < 2) {
+        return null;
+    }
+
+    const { minStopLossRisk } = { ...DEFAULT_DETECTION_THRESHOLDS, ...thresholds };
+
+    const lastThree = candles.slice(-3);
+    const lastTwo = candles.slice(-2);
+
+    // Three-candle patterns are more specific, so check them first
+    const detectors = [];
+    if (lastThree.length === 3) {
+        detectors.push(
+            () => detectStar(lastThree),
+            () => detectThreeBar(lastThree)
+        );
+    }
+    detectors.push(
+        () => detectEngulfing(lastTwo),
+        () => detectTweezer(lastTwo)
+    );
+
+    for (const detect of detectors) {
+        const match = detect();
+
+        if (!match) {
+            continue;
+        }
+
+        const pattern = buildPatternResult(match.type, match.direction, match.candles);
+
+        if (!pattern) {
+            continue;
+        }
+
+        if (pattern.stopLossRisk < minStopLossRisk) {
+            console.log(`🚫 ${match.type} skipped for ${pattern.compositeCandle.close}: Risk ${pattern.stopLossRisk}% < ${minStopLossRisk}% threshold`);
+            continue;
+        }
+
+        return pattern;
+    }
+
+    return null;
+}
+
+/**
+ * Bullish / bearish engulfing: second body fully covers an opposite-colored first body
+ */
+function detectEngulfing([first, second]) {
+    const firstBody = Math.abs(first.close - first.open);
+    const secondBody = Math.abs(second.close - second.open);
+
+    if (secondBody <= firstBody || firstBody === 0) {
+        return null;
+    }
+
+    if (isBearish(first) && isBullish(second) &&
+        second.open <= first.close && second.close > first.open) {
+        return { type: 'bullish_engulfing', direction: 'buy', candles: [first, second] };
+    }
+
+    if (isBullish(first) && isBearish(second) &&
+        second.open >= first.close && second.close < first.open) {
+        return { type: 'bearish_engulfing', direction: 'sell', candles: [first, second] };
+    }
+
+    return null;
+}
+
+/**
+ * Tweezer bottom / top: opposite-colored candles sharing the same low / high
+ */
+function detectTweezer([first, second]) {
+    const tolerance = Math.max(first.high - first.low, second.high - second.low) * TWEEZER_TOLERANCE;
+
+    if (tolerance === 0) {
+        return null;
+    }
+
+    if (isBearish(first) && isBullish(second) && Math.abs(first.low - second.low) <= tolerance) {
+        return { type: 'tweezer_bottom', direction: 'buy', candles: [first, second] };
+    }
+
+    if (isBullish(first) && isBearish(second) && Math.abs(first.high - second.high) <= tolerance) {
+        return { type: 'tweezer_top', direction: 'sell', candles: [first, second] };
+    }
+
+    return null;
+}
+
+/**
+ * Morning / evening star: strong candle, small star beyond its close,
+ * then an opposite candle closing past the first candle's midpoint
+ */
+function detectStar([first, star, last]) {
+    const firstRange = first.high - first.low;
+    const firstBody = Math.abs(first.close - first.open);
+    const starBody = Math.abs(star.close - star.open);
+
+    if (firstRange === 0 || (firstBody / firstRange) * 100 < STAR_FIRST_BODY_PERCENTAGE) {
+        return null;
+    }
+
+    if (starBody > firstBody * STAR_BODY_RATIO) {
+        return null;
+    }
+
+    const firstMidpoint = (first.open + first.close) / 2;
+    const slack = firstBody * 0.1;
+
+    if (isBearish(first) && isBullish(last) &&
+        Math.max(star.open, star.close) <= first.close + slack &&
+        last.close >= firstMidpoint) {
+        return { type: 'morning_star', direction: 'buy', candles: [first, star, last] };
+    }
+
+    if (isBullish(first) && isBearish(last) &&
+        Math.min(star.open, star.close) >= first.close - slack &&
+        last.close <= firstMidpoint) {
+        return { type: 'evening_star', direction: 'sell', candles: [first, star, last] };
+    }
+
+    return null;
+}
+
+/**
+ * Three-bar reversal: middle bar makes the extreme, third bar closes beyond the middle bar's range
+ */
+function detectThreeBar([first, middle, last]) {
+    if (middle.low < first.low && middle.low < last.low &&
+        isBullish(last) && last.close > middle.high) {
+        return { type: 'bullish_three_bar', direction: 'buy', candles: [first, middle, last] };
+    }
+
+    if (middle.high > first.high && middle.high > last.high &&
+        isBearish(last) && last.close < middle.low) {
+        return { type: 'bearish_three_bar', direction: 'sell', candles: [first, middle, last] };
+    }
+
+    return null;
+}
+
+/**
+ * Build the stored pattern object from the matched candles
+ * @param {string} type - Pattern type
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {Array} candles - Pattern candles, oldest first
+ * @returns {Object|null} Pattern data or null for a zero-range composite
+ */
+function buildPatternResult(type, direction, candles) {
+    const compositeCandle = buildCompositeCandle(candles);
+    const { open, high, low, close } = compositeCandle;
+
+    const totalLength = high - low;
+    if (totalLength === 0) {
+        return null;
+    }
+
+    const bodySize = Math.abs(close - open);
+    const upperTail = high - Math.max(open, close);
+    const lowerTail = Math.min(open, close) - low;
+
+    const bodyPercentage = (bodySize / totalLength) * 100;
+    const upperTailPercentage = (upperTail / totalLength) * 100;
+    const lowerTailPercentage = (lowerTail / totalLength) * 100;
+    const bodyPosition = direction === 'buy'
+        ? (lowerTail / totalLength) * 100
+        : ((Math.max(open, close) - low) / totalLength) * 100;
+
+    const stopLossPrice = direction === 'buy' ? low : high;
+    const stopLossRisk = direction === 'buy'
+        ? ((close - low) / close) * 100
+        : ((high - close) / close) * 100;
+
+    const lastCandle = candles[candles.length - 1];
+
+    return {
+        type,
+        direction,
+        candleCount: candles.length,
+        patternStartTime: candles[0].openTime,
+        patternCandles: candles.map(c => ({
+            openTime: c.openTime,
+            open: c.open,
+            high: c.high,
+            low: c.low,
+            close: c.close
+        })),
+        compositeCandle,
+        bodyPercentage: Math.round(bodyPercentage * 100) / 100,
+        upperTailPercentage: Math.round(upperTailPercentage * 100) / 100,
+        lowerTailPercentage: Math.round(lowerTailPercentage * 100) / 100,
+        totalLength,
+        bodySize,
+        upperTail,
+        lowerTail,
+        candleColor: isBullish(lastCandle) ? 'green' : isBearish(lastCandle) ? 'red' : 'doji',
+        bodyPosition: Math.round(bodyPosition * 100) / 100,
+        confidence: calculateConfidence(direction, bodyPercentage, upperTailPercentage, lowerTailPercentage, bodyPosition),
+        stopLossPrice,
+        stopLossRisk: Math.round(stopLossRisk * 100) / 100
+    };
+}
+
+/**
+ * Combine consecutive candles into one OHLCV candle
+ * @param {Array} candles - Candles, oldest first
+ * @returns {Object} Composite candle
+ */
+function buildCompositeCandle(candles) {
+    return {
+        open: candles[0].open,
+        high: Math.max(...candles.map(c => c.high)),
+        low: Math.min(...candles.map(c => c.low)),
+        close: candles[candles.length - 1].close,
+        volume: candles.reduce((sum, c) => sum + (c.volume || 0), 0),
+        numberOfTrades: candles.reduce((sum, c) => sum + (c.numberOfTrades || 0), 0)
+    };
+}
+
+/**
+ * Get the OHLC data and time window a signal should be validated on
+ * Pin bars use their own candle; multi-candle patterns use the composite
+ * candle starting at the first pattern candle.
+ * @param {Object} candleData - Latest candle
+ * @param {Object} reversalPattern - Detected pattern
+ * @returns {Object} { candleData, openTime } for storage and tick data fetch
+ */
+function getSignalCandle(candleData, reversalPattern) {
+    if (!reversalPattern || !reversalPattern.compositeCandle) {
+        return {
+            candleData: {
+                open: candleData.open,
+                high: candleData.high,
+                low: candleData.low,
+                close: candleData.close,
+                volume: candleData.volume,
+                numberOfTrades: candleData.numberOfTrades
+            },
+            openTime: candleData.openTime
+        };
+    }
+
+    return {
+        candleData: { ...reversalPattern.compositeCandle },
+        openTime: reversalPattern.patternStartTime
+    };
+}
+
+/**
+ * Trim candles to the unbroken run ending at the last candle
+ * Candles without openTime/interval (e.g. test data) are assumed consecutive.
+ * @param {Array} candles - Candles, oldest first
+ * @returns {Array} Consecutive candles, oldest first
+ */
+function getConsecutiveTail(candles) {
+    const last = candles[candles.length - 1];
+
+    if (!last || last.openTime === undefined || !last.interval) {
+        return candles;
+    }
+
+    const intervalMs = parseInt(last.interval, 10) * 60 * 1000;
+    const tail = [last];
+
+    for (let i = candles.length - 2; i >= 0; i--) {
+        const expectedOpen = toMillis(tail[0].openTime) - intervalMs;
+        if (candles[i].interval !== last.interval || toMillis(candles[i].openTime) !== expectedOpen) {
+            break;
+        }
+        tail.unshift(candles[i]);
+    }
+
+    return tail;
+}
+
+function toMillis(time) {
+    return time instanceof Date ? time.getTime() : new Date(time).getTime();
+}
+
+function isValidCandle(candle) {
+    return candle && typeof candle.open === 'number' && typeof candle.high === 'number' &&
+        typeof candle.low === 'number' && typeof candle.close === 'number';
+}
+
+function isBullish(candle) {
+    return candle.close > candle.open;
+}
+
+function isBearish(candle) {
+    return candle.close < candle.open;
+}
+
+module.exports = {
+    PATTERN_LOOKBACK,
+    detectReversalPattern,
+    detectMultiCandlePattern,
+    buildCompositeCandle,
+    getSignalCandle
+};
@@ -0,0 +1,369 @@
+/**
+ * Naked POC Tracker
+ * A naked POC is the POC of a finished day or session profile (see
+ * sessionVolumeProfiles) that price hasn't traded back to since the period ended.
+ *
+ * - registerNakedPocs: stores the POC of every finished period in `nakedPocs`
+ *   with the period end as its creation time
+ * - checkNakedPocFills: marks POCs filled from closed 1m candles (backstop)
+ * - NakedPocMonitor: checks every kline update from the WebSocket stream against
+ *   the open POCs, marks touched ones filled and records a `levelAlerts` entry
+ * - findNakedPocsNearSignal: flags signals whose stop or targets sit near an open POC
+ */
+
+const { getCandleData, getSelectedSymbols } = require('../models/database');
+const { getSignalRisk } = require('./takeProfitTargets');
+const { getCandleRetentionHours } = require('./candleStore');
+
+// A stop/target within this distance (% of price) of a naked POC is flagged
+const NAKED_POC_PROXIMITY_PERCENT = 0.15;
+
+// Filled and unfilled POCs are kept this long after their period ended
+const NAKED_POC_RETENTION_DAYS = 30;
+
+/**
+ * Store the POCs of a symbol's finished profile periods
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<number>} Naked POCs registered
+ */
+async function registerNakedPocs(client, dbName, symbol, now = Date.now()) {
+    const db = client.db(dbName);
+    const finished = await db.collection('volumeProfiles')
+        .find({ symbol, periodEnd: { $lte: new Date(now) }, nakedPocRegisteredAt: { $exists: false } })
+        .toArray();
+
+    let registered = 0;
+
+    for (const profile of finished) {
+        if (typeof profile.poc === 'number') {
+            await db.collection('nakedPocs').updateOne(
+                { symbol, type: profile.type, periodStart: profile.periodStart },
+                {
+                    $setOnInsert: {
+                        periodEnd: profile.periodEnd,
+                        price: profile.poc,
+                        createdAt: profile.periodEnd,
+                        filledAt: null
+                    }
+                },
+                { upsert: true }
+            );
+            registered++;
+        }
+
+        await db.collection('volumeProfiles').updateOne(
+            { _id: profile._id },
+            { $set: { nakedPocRegisteredAt: new Date(now) } }
+        );
+    }
+
+    return registered;
+}
+
+/**
+ * Mark open naked POCs filled when a 1m candle after their creation traded through them
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {Array} candles - 1m candles sorted by openTime
+ * @returns {Promise<number>} Naked POCs filled
+ */
+async function checkNakedPocFills(client, dbName, symbol, candles) {
+    const collection = client.db(dbName).collection('nakedPocs');
+    const openPocs = await collection.find({ symbol, filledAt: null }).toArray();
+    let filled = 0;
+
+    for (const nakedPoc of openPocs) {
+        const createdAt = new Date(nakedPoc.createdAt).getTime();
+        const fill = candles.find(candle => new Date(candle.openTime).getTime() >= createdAt
+            && candle.low <= nakedPoc.price && candle.high >= nakedPoc.price);
+
+        if (fill) {
+            const result = await collection.updateOne(
+                { _id: nakedPoc._id, filledAt: null },
+                { $set: { filledAt: new Date(fill.openTime), fillSource: 'candles' } }
+            );
+            filled += result.modifiedCount || 0;
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Register new naked POCs and check fills for all selected symbols, then drop expired ones
+ * Runs after the session profiles were updated so finished periods have their final POC
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Object>} { registered, filled, removed }
+ */
+async function updateNakedPocs(client, dbName) {
+    const now = Date.now();
+    const symbols = await getSelectedSymbols(client, dbName);
+    const result = { registered: 0, filled: 0, removed: 0 };
+
+    for (const symbol of symbols) {
+        try {
+            result.registered += await registerNakedPocs(client, dbName, symbol, now);
+
+            // The whole 1m retention of the candle store; older fills were caught by the WebSocket monitor
+            const fillCheckMinutes = getCandleRetentionHours('1m') * 60;
+            const candles = await getCandleData(
+                client, dbName, symbol, '1m', fillCheckMinutes, 0, new Date(now - fillCheckMinutes * 60000), new Date(now)
+            );
+            result.filled += await checkNakedPocFills(client, dbName, symbol, candles);
+        } catch (error) {
+            console.error(`❌ Error updating ${symbol} naked POCs:`, error.message);
+        }
+    }
+
+    const removed = await client.db(dbName).collection('nakedPocs').deleteMany({
+        createdAt: { $lt: new Date(now - NAKED_POC_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+    });
+    result.removed = removed.deletedCount;
+
+    // Pick up new and filled POCs in the live monitor
+    await getGlobalNakedPocMonitor(client, dbName).refresh();
+
+    return result;
+}
+
+/**
+ * List naked POCs
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} [filters] - { symbol, status: 'open' | 'filled' | 'all', limit }
+ * @returns {Promise<Array>} Naked POCs, newest first
+ */
+async function getNakedPocs(client, dbName, filters = {}) {
+    const { symbol, status = 'open', limit = 100 } = filters;
+    const query = {};
+
+    if (symbol) {
+        query.symbol = symbol;
+    }
+
+    if (status === 'open') {
+        query.filledAt = null;
+    } else if (status === 'filled') {
+        query.filledAt = { $ne: null };
+    }
+
+    return client.db(dbName).collection('nakedPocs')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * List level alerts raised by the naked POC monitor
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} [filters] - { symbol, limit }
+ * @returns {Promise<Array>} Alerts, newest first
+ */
+async function getLevelAlerts(client, dbName, filters = {}) {
+    const { symbol, limit = 100 } = filters;
+
+    return client.db(dbName).collection('levelAlerts')
+        .find(symbol ? { symbol } : {})
+        .sort({ touchedAt: -1 })
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Naked POCs open at a time that sit near the signal's stop or targets
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} signal - Reversal document (candleData, tradeSignal, takeProfit, closeTime)
+ * @returns {Promise<Object|null>} { nearStop, nearTargets, proximityPercent } or null when none are near
+ */
+async function findNakedPocsNearSignal(client, dbName, signal) {
+    const risk = getSignalRisk(signal);
+
+    if (!risk) {
+        return null;
+    }
+
+    try {
+        const signalTime = new Date(signal.closeTime);
+        const nakedPocs = await client.db(dbName).collection('nakedPocs')
+            .find({ symbol: signal.symbol, createdAt: { $lte: signalTime } })
+            .toArray();
+
+        // Still naked when the signal closed (a later fill doesn't matter)
+        const openAtSignal = nakedPocs.filter(nakedPoc => !nakedPoc.filledAt || new Date(nakedPoc.filledAt) > signalTime);
+
+        return flagNakedPocLevels(risk.stopPrice, (signal.takeProfit && signal.takeProfit.targets) || [], openAtSignal);
+    } catch (error) {
+        console.error(`❌ Error checking naked POCs for ${signal.symbol}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Match a stop and targets against naked POC levels
+ * @param {number} stopPrice - Stop price
+ * @param {Array} targets - [{ label, price }]
+ * @param {Array} nakedPocs - Naked POC documents
+ * @param {number} [proximityPercent] - Max distance in % of the level price
+ * @returns {Object|null} { nearStop, nearTargets, proximityPercent } or null when none are near
+ */
+function flagNakedPocLevels(stopPrice, targets, nakedPocs, proximityPercent = NAKED_POC_PROXIMITY_PERCENT) {
+    const near = (price) => nakedPocs
+        .map(nakedPoc => ({
+            price: nakedPoc.price,
+            type: nakedPoc.type,
+            periodStart: nakedPoc.periodStart,
+            distancePercent: Math.round((Math.abs(price - nakedPoc.price) / nakedPoc.price) * 10000) / 100
+        }))
+        .filter(level => level.distancePercent <= proximityPercent)
+        .sort((a, b) => a.distancePercent - b.distancePercent);
+
+    const nearStop = near(stopPrice);
+    const nearTargets = targets
+        .map(target => ({ label: target.label, targetPrice: target.price, nakedPocs: near(target.price) }))
+        .filter(target => target.nakedPocs.length > 0);
+
+    if (nearStop.length === 0 && nearTargets.length === 0) {
+        return null;
+    }
+
+    return { nearStop, nearTargets, proximityPercent };
+}
+
+/**
+ * Naked POC Monitor
+ * Keeps the open naked POCs in memory and checks live kline updates against them
+ */
+class NakedPocMonitor {
+    constructor(client, dbName) {
+        this.client = client;
+        this.dbName = dbName;
+        this.openPocs = new Map(); // symbol -> naked POC documents
+        this.stats = {
+            openPocs: 0,
+            alertsRaised: 0,
+            lastRefresh: null,
+            lastAlert: null
+        };
+    }
+
+    /**
+     * Reload the open naked POCs from the database
+     */
+    async refresh() {
+        const openPocs = await this.client.db(this.dbName).collection('nakedPocs')
+            .find({ filledAt: null })
+            .toArray();
+
+        this.openPocs = new Map();
+        openPocs.forEach(nakedPoc => {
+            if (!this.openPocs.has(nakedPoc.symbol)) {
+                this.openPocs.set(nakedPoc.symbol, []);
+            }
+            this.openPocs.get(nakedPoc.symbol).push(nakedPoc);
+        });
+
+        this.stats.openPocs = openPocs.length;
+        this.stats.lastRefresh = new Date();
+    }
+
+    /**
+     * Check a live price update against the symbol's open naked POCs
+     * @param {Object} update - { symbol, high, low, close, time } of the current kline
+     * @returns {Array} Naked POCs touched by this update
+     */
+    checkPrice(update) {
+        const openPocs = this.openPocs.get(update.symbol);
+
+        if (!openPocs || openPocs.length === 0) {
+            return [];
+        }
+
+        const time = new Date(update.time);
+        const touched = openPocs.filter(nakedPoc => time >= new Date(nakedPoc.createdAt)
+            && update.low <= nakedPoc.price && update.high >= nakedPoc.price);
+
+        if (touched.length > 0) {
+            this.openPocs.set(update.symbol, openPocs.filter(nakedPoc => !touched.includes(nakedPoc)));
+
+            touched.forEach(nakedPoc => {
+                this.recordTouch(nakedPoc, update).catch(error => {
+                    console.error(`❌ Error recording naked POC touch for ${update.symbol}:`, error.message);
+                });
+            });
+        }
+
+        return touched;
+    }
+
+    /**
+     * Mark a naked POC filled and raise a level alert
+     */
+    async recordTouch(nakedPoc, update) {
+        const db = this.client.db(this.dbName);
+        const touchedAt = new Date(update.time);
+
+        const result = await db.collection('nakedPocs').updateOne(
+            { _id: nakedPoc._id, filledAt: null },
+            { $set: { filledAt: touchedAt, fillSource: 'websocket' } }
+        );
+
+        // Already filled by the candle backstop
+        if (!result.modifiedCount) {
+            return;
+        }
+
+        await db.collection('levelAlerts').insertOne({
+            type: 'naked_poc_touch',
+            symbol: nakedPoc.symbol,
+            level: nakedPoc.price,
+            levelType: nakedPoc.type,
+            periodStart: nakedPoc.periodStart,
+            levelCreatedAt: nakedPoc.createdAt,
+            triggerPrice: update.close,
+            touchedAt
+        });
+
+        this.stats.alertsRaised++;
+        this.stats.lastAlert = touchedAt;
+
+        console.log(`🔔 ${nakedPoc.symbol} touched naked ${nakedPoc.type} POC ${nakedPoc.price} (from ${new Date(nakedPoc.periodStart).toISOString()})`);
+    }
+
+    getStatus() {
+        return { ...this.stats };
+    }
+}
+
+// Global naked POC monitor instance
+let globalNakedPocMonitor = null;
+
+/**
+ * Get or create global naked POC monitor
+ */
+function getGlobalNakedPocMonitor(client, dbName) {
+    if (!globalNakedPocMonitor && client && dbName) {
+        globalNakedPocMonitor = new NakedPocMonitor(client, dbName);
+    }
+    return globalNakedPocMonitor;
+}
+
+module.exports = {
+    NAKED_POC_PROXIMITY_PERCENT,
+    NakedPocMonitor,
+    registerNakedPocs,
+    checkNakedPocFills,
+    updateNakedPocs,
+    getNakedPocs,
+    getLevelAlerts,
+    findNakedPocsNearSignal,
+    flagNakedPocLevels,
+    getGlobalNakedPocMonitor
+};
@@ -0,0 +1,148 @@
+/**
+ * Order Flow Analyzer
+ * Buy/sell (aggressor) analysis of a volume footprint's price levels:
+ * - delta: buy volume - sell volume for the candle, at the POC and in the
+ *   lower tail / body / upper tail of the candle
+ * - diagonal imbalances: buy volume at a price vs sell volume one level below
+ *   (buy imbalance), sell volume at a price vs buy volume one level above
+ *   (sell imbalance), when one side is at least `imbalanceRatio` times the other
+ * - stacked imbalances: `stackedImbalanceLevels` or more consecutive levels
+ *   with an imbalance on the same side, stored as price zones
+ *
+ * Buy volume is taker buys (isBuyerMaker false) and sell volume taker sells.
+ */
+
+const { getDecimalPlaces } = require('./volumeFootprintCalculator');
+
+const DEFAULT_ORDER_FLOW_SETTINGS = Object.freeze({
+    imbalanceRatio: 3,
+    stackedImbalanceLevels: 3
+});
+
+// Individual imbalances kept on the reversal (counts cover all of them)
+const MAX_STORED_IMBALANCES = 50;
+
+/**
+ * Analyze the buy/sell volume per price of a footprint
+ * @param {Object} footprint - Result of calculateVolumeFootprint (buySellVolumeMap, tickSize, poc)
+ * @param {Object} candleData - OHLC of the signal candle (for the tail / body split)
+ * @param {Object} [settings] - { imbalanceRatio, stackedImbalanceLevels }
+ * @returns {Object|null} Order flow summary, or null when the trades had no aggressor side
+ */
+function analyzeOrderFlow(footprint, candleData, settings = {}) {
+    const buySellVolumeMap = footprint && footprint.buySellVolumeMap;
+
+    if (!buySellVolumeMap || Object.keys(buySellVolumeMap).length === 0) {
+        return null;
+    }
+
+    const { imbalanceRatio, stackedImbalanceLevels } = { ...DEFAULT_ORDER_FLOW_SETTINGS, ...settings };
+    const tickSize = footprint.tickSize;
+    const decimals = getDecimalPlaces(tickSize);
+    const keyOf = price => price.toFixed(decimals);
+
+    const levels = Object.entries(buySellVolumeMap)
+        .map(([price, volume]) => ({ price: parseFloat(price), buy: volume.buy, sell: volume.sell }))
+        .sort((a, b) => a.price - b.price);
+
+    const bodyHigh = Math.max(candleData.open, candleData.close);
+    const bodyLow = Math.min(candleData.open, candleData.close);
+
+    let buyVolume = 0;
+    let sellVolume = 0;
+    const sectionDelta = { lowerTail: 0, body: 0, upperTail: 0 };
+
+    levels.forEach(level => {
+        buyVolume += level.buy;
+        sellVolume += level.sell;
+
+        const section = level.price < bodyLow ? 'lowerTail' : level.price > bodyHigh ? 'upperTail' : 'body';
+        sectionDelta[section] += level.buy - level.sell;
+    });
+
+    // Diagonal imbalances
+    const imbalances = [];
+    levels.forEach(level => {
+        const below = buySellVolumeMap[keyOf(level.price - tickSize)];
+        const above = buySellVolumeMap[keyOf(level.price + tickSize)];
+        const sellBelow = below ? below.sell : 0;
+        const buyAbove = above ? above.buy : 0;
+
+        if (level.buy > 0 && level.buy >= imbalanceRatio * sellBelow) {
+            imbalances.push({ price: level.price, side: 'buy', ratio: sellBelow > 0 ? round(level.buy / sellBelow) : null });
+        }
+        if (level.sell > 0 && level.sell >= imbalanceRatio * buyAbove) {
+            imbalances.push({ price: level.price, side: 'sell', ratio: buyAbove > 0 ? round(level.sell / buyAbove) : null });
+        }
+    });
+
+    const stackedImbalances = [
+        ...findStackedImbalances(imbalances.filter(imbalance => imbalance.side === 'buy'), 'buy', tickSize, stackedImbalanceLevels),
+        ...findStackedImbalances(imbalances.filter(imbalance => imbalance.side === 'sell'), 'sell', tickSize, stackedImbalanceLevels)
+    ].sort((a, b) => a.low - b.low);
+
+    const pocLevel = footprint.poc !== null && footprint.poc !== undefined
+        ? buySellVolumeMap[keyOf(footprint.poc)]
+        : null;
+    const totalVolume = buyVolume + sellVolume;
+
+    return {
+        buyVolume: round(buyVolume),
+        sellVolume: round(sellVolume),
+        delta: round(buyVolume - sellVolume),
+        deltaPercent: totalVolume > 0 ? round(((buyVolume - sellVolume) / totalVolume) * 100) : 0,
+        pocDelta: pocLevel ? round(pocLevel.buy - pocLevel.sell) : null,
+        lowerTailDelta: round(sectionDelta.lowerTail),
+        bodyDelta: round(sectionDelta.body),
+        upperTailDelta: round(sectionDelta.upperTail),
+        imbalanceRatio,
+        stackedImbalanceLevels,
+        buyImbalanceCount: imbalances.filter(imbalance => imbalance.side === 'buy').length,
+        sellImbalanceCount: imbalances.filter(imbalance => imbalance.side === 'sell').length,
+        imbalances: imbalances.slice(0, MAX_STORED_IMBALANCES),
+        stackedImbalances
+    };
+}
+
+/**
+ * Group same-side imbalances on consecutive price levels into zones
+ * @param {Array} imbalances - Imbalances of one side, sorted by price
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} tickSize - Price step between levels
+ * @param {number} minLevels - Minimum consecutive levels for a zone
+ * @returns {Array} Zones { side, low, high, levels }
+ */
+function findStackedImbalances(imbalances, side, tickSize, minLevels) {
+    const zones = [];
+    let run = [];
+
+    const closeRun = () => {
+        if (run.length >= minLevels) {
+            zones.push({ side, low: run[0].price, high: run[run.length - 1].price, levels: run.length });
+        }
+        run = [];
+    };
+
+    imbalances.forEach(imbalance => {
+        const previous = run[run.length - 1];
+
+        // Half a tick of tolerance for floating point price keys
+        if (previous && imbalance.price - previous.price > tickSize * 1.5) {
+            closeRun();
+        }
+        run.push(imbalance);
+    });
+    closeRun();
+
+    return zones;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    DEFAULT_ORDER_FLOW_SETTINGS,
+    analyzeOrderFlow,
+    findStackedImbalances
+};
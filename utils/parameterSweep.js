@@ -0,0 +1,617 @@
+/**
+ * Parameter Sweeps
+ * Grid or random search over detector thresholds and validation rules on top
+ * of the offline backtest engine, validated walk-forward:
+ *
+ * - The backtest range is split into `folds` consecutive windows; each window
+ *   has an in-sample part (first inSamplePercent) and an out-of-sample part
+ * - Every parameter set is simulated once over the full range and its trades
+ *   are bucketed into the fold windows by entry time
+ * - Sets are ranked by pooled in-sample expectancy (average R per trade); the
+ *   out-of-sample windows never influence the ranking, so their results stay
+ *   an honest estimate of the chosen set
+ * - The walk-forward summary picks the best in-sample set of each fold and
+ *   reports the pooled out-of-sample result of those picks
+ *
+ * Candles are loaded once per symbol, reversal detection is shared between sets
+ * with the same thresholds, and trade files are streamed once per symbol.
+ */
+
+const { ObjectId } = require('mongodb');
+const { DEFAULT_DETECTION_THRESHOLDS } = require('./reversalCandleDetector');
+const { DEFAULT_VALIDATION_RULES, normalizeValidationRules } = require('./tradeSignalValidator');
+const { normalizeThresholds } = require('./detectionProfiles');
+const {
+    normalizeBacktestConfig,
+    resolveBacktestSettings,
+    loadSymbolCandles,
+    detectSymbolReversals,
+    evaluateReversals,
+    buildBacktestReport,
+    getStoredErrorMessage
+} = require('./backtestEngine');
+const { collectTradesForWindows } = require('./backtestDataLoader');
+
+// Parameters that can be swept and the settings group they belong to
+const SWEEP_PARAMETERS = Object.freeze({
+    ...Object.fromEntries(Object.keys(DEFAULT_DETECTION_THRESHOLDS).map(key => [key, 'thresholds'])),
+    ...Object.fromEntries(Object.keys(DEFAULT_VALIDATION_RULES).map(key => [key, 'validationRules']))
+});
+
+const SEARCH_METHODS = ['grid', 'random'];
+
+// Every set is a full backtest, so keep sweeps bounded
+const MAX_PARAMETER_SETS = 500;
+
+const DEFAULT_SWEEP_SETTINGS = Object.freeze({
+    method: 'grid',
+    iterations: 50,
+    folds: 4,
+    inSamplePercent: 70,
+    minTrades: 10
+});
+
+/**
+ * Expand a parameter spec into its candidate values
+ * Accepts an array of values or { min, max, step }
+ */
+function expandParameterValues(spec) {
+    if (Array.isArray(spec)) {
+        return spec;
+    }
+
+    if (spec && typeof spec === 'object') {
+        const min = parseFloat(spec.min);
+        const max = parseFloat(spec.max);
+        const step = parseFloat(spec.step);
+
+        if (isNaN(min) || isNaN(max) || isNaN(step) || step <= 0 || max < min) {
+            return [];
+        }
+
+        const values = [];
+        for (let value = min; value <= max + step / 1000; value += step) {
+            values.push(Math.round(value * 10000) / 10000);
+        }
+        return values;
+    }
+
+    return [];
+}
+
+/**
+ * Validate and normalize a sweep configuration
+ * @param {Object} input - Backtest config plus { search, walkForward, minTrades }
+ * @returns {Object} { config, errors }
+ */
+function normalizeSweepConfig(input = {}) {
+    const { config, errors } = normalizeBacktestConfig(input);
+    const search = input.search || {};
+    const walkForward = input.walkForward || {};
+
+    config.search = {
+        method: search.method || DEFAULT_SWEEP_SETTINGS.method,
+        iterations: parseInt(search.iterations || DEFAULT_SWEEP_SETTINGS.iterations, 10),
+        seed: search.seed !== undefined ? parseInt(search.seed, 10) : Date.now() % 2147483647,
+        parameters: {}
+    };
+    config.walkForward = {
+        folds: parseInt(walkForward.folds || DEFAULT_SWEEP_SETTINGS.folds, 10),
+        inSamplePercent: parseFloat(walkForward.inSamplePercent || DEFAULT_SWEEP_SETTINGS.inSamplePercent)
+    };
+    config.minTrades = parseInt(input.minTrades !== undefined ? input.minTrades : DEFAULT_SWEEP_SETTINGS.minTrades, 10);
+
+    if (!SEARCH_METHODS.includes(config.search.method)) {
+        errors.push(`search.method must be one of ${SEARCH_METHODS.join(', ')}`);
+    }
+
+    if (config.search.method === 'random' && (isNaN(config.search.iterations) || config.search.iterations < 1 || config.search.iterations > MAX_PARAMETER_SETS)) {
+        errors.push(`search.iterations must be between 1 and ${MAX_PARAMETER_SETS}`);
+    }
+
+    if (isNaN(config.search.seed)) {
+        errors.push('search.seed must be an integer');
+    }
+
+    const parameterSpecs = search.parameters || {};
+
+    if (Object.keys(parameterSpecs).length === 0) {
+        errors.push('search.parameters must list at least one parameter');
+    }
+
+    for (const [key, spec] of Object.entries(parameterSpecs)) {
+        if (!SWEEP_PARAMETERS[key]) {
+            errors.push(`Unknown sweep parameter "${key}" (use ${Object.keys(SWEEP_PARAMETERS).join(', ')})`);
+            continue;
+        }
+
+        const rawValues = expandParameterValues(spec);
+        const values = [];
+
+        for (const rawValue of rawValues) {
+            const normalize = SWEEP_PARAMETERS[key] === 'thresholds' ? normalizeThresholds : normalizeValidationRules;
+            const result = normalize({ [key]: rawValue });
+            const normalized = result.thresholds || result.validationRules;
+
+            if (result.errors.length > 0 || normalized[key] === undefined) {
+                errors.push(...result.errors);
+                continue;
+            }
+
+            if (!values.includes(normalized[key])) {
+                values.push(normalized[key]);
+            }
+        }
+
+        if (rawValues.length === 0) {
+            errors.push(`search.parameters.${key} must be an array of values or { min, max, step }`);
+            continue;
+        }
+
+        config.search.parameters[key] = values;
+    }
+
+    if (config.search.method === 'grid' && errors.length === 0) {
+        const gridSize = countGridCombinations(config.search.parameters);
+        if (gridSize > MAX_PARAMETER_SETS) {
+            errors.push(`Grid has ${gridSize} combinations (max ${MAX_PARAMETER_SETS}) - narrow it or use method "random"`);
+        }
+    }
+
+    if (isNaN(config.walkForward.folds) || config.walkForward.folds < 1 || config.walkForward.folds > 20) {
+        errors.push('walkForward.folds must be between 1 and 20');
+    }
+
+    if (isNaN(config.walkForward.inSamplePercent) || config.walkForward.inSamplePercent <= 0 || config.walkForward.inSamplePercent >= 100) {
+        errors.push('walkForward.inSamplePercent must be between 0 and 100 (exclusive)');
+    }
+
+    if (isNaN(config.minTrades) || config.minTrades < 0) {
+        errors.push('minTrades must be zero or a positive integer');
+    }
+
+    return { config, errors };
+}
+
+function countGridCombinations(parameters) {
+    return Object.values(parameters).reduce((total, values) => total * values.length, 1);
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so random sweeps can be repeated
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build the parameter sets to test
+ * Grid: every combination. Random: up to `iterations` distinct combinations.
+ * @param {Object} search - Normalized search ({ method, iterations, seed, parameters })
+ * @returns {Array<Object>} Parameter sets ({ key: value })
+ */
+function generateParameterSets(search) {
+    const keys = Object.keys(search.parameters);
+
+    if (search.method === 'grid') {
+        return keys.reduce((sets, key) => {
+            const expanded = [];
+            sets.forEach(set => {
+                search.parameters[key].forEach(value => expanded.push({ ...set, [key]: value }));
+            });
+            return expanded;
+        }, [{}]);
+    }
+
+    const random = createRandom(search.seed);
+    const target = Math.min(search.iterations, countGridCombinations(search.parameters));
+    const seen = new Set();
+    const sets = [];
+
+    // Bounded so a small space can't loop forever on duplicates
+    for (let attempt = 0; sets.length < target && attempt < target * 20; attempt++) {
+        const set = {};
+        keys.forEach(key => {
+            const values = search.parameters[key];
+            set[key] = values[Math.floor(random() * values.length)];
+        });
+
+        const id = JSON.stringify(set);
+        if (!seen.has(id)) {
+            seen.add(id);
+            sets.push(set);
+        }
+    }
+
+    return sets;
+}
+
+/**
+ * Split a date range into walk-forward folds
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {number} folds - Number of consecutive fold windows
+ * @param {number} inSamplePercent - Share of each window used in-sample
+ * @returns {Array<Object>} [{ fold, inSample: { start, end }, outOfSample: { start, end } }]
+ */
+function splitWalkForward(startDate, endDate, folds, inSamplePercent) {
+    const start = startDate.getTime();
+    const foldLength = (endDate.getTime() - start) / folds;
+    const splits = [];
+
+    for (let fold = 0; fold < folds; fold++) {
+        const foldStart = start + fold * foldLength;
+        const split = foldStart + foldLength * (inSamplePercent / 100);
+        const foldEnd = fold === folds - 1 ? endDate.getTime() : foldStart + foldLength;
+
+        splits.push({
+            fold: fold + 1,
+            inSample: { start: new Date(Math.round(foldStart)), end: new Date(Math.round(split)) },
+            outOfSample: { start: new Date(Math.round(split)), end: new Date(Math.round(foldEnd)) }
+        });
+    }
+
+    return splits;
+}
+
+/**
+ * Summarize a list of trades
+ * @param {Array} trades - Trade records
+ * @param {Object} config - { initialEquity, riskPerTradePercent }
+ * @returns {Object} { totalTrades, winRate, expectancy, totalR, profitFactor, maxDrawdownPercent }
+ */
+function summarizeTrades(trades, config) {
+    const { stats } = buildBacktestReport(trades, config);
+
+    return {
+        totalTrades: stats.totalTrades,
+        winRate: stats.winRate,
+        expectancy: stats.avgR,
+        totalR: stats.totalR,
+        profitFactor: stats.profitFactor,
+        maxDrawdownPercent: stats.maxDrawdownPercent
+    };
+}
+
+function isInRange(trade, range) {
+    return trade.entryTime >= range.start && trade.entryTime < range.end;
+}
+
+/**
+ * Score one parameter set's trades against the walk-forward folds
+ * @param {Array} trades - All trades of the set
+ * @param {Array} splits - Folds from splitWalkForward
+ * @param {Object} config - { initialEquity, riskPerTradePercent }
+ * @returns {Object} { overall, inSample, outOfSample, folds, profitableFolds }
+ */
+function evaluateParameterSet(trades, splits, config) {
+    const folds = splits.map(split => {
+        const inSampleTrades = trades.filter(trade => isInRange(trade, split.inSample));
+        const outOfSampleTrades = trades.filter(trade => isInRange(trade, split.outOfSample));
+
+        return {
+            fold: split.fold,
+            inSampleTrades,
+            outOfSampleTrades,
+            inSample: summarizeTrades(inSampleTrades, config),
+            outOfSample: summarizeTrades(outOfSampleTrades, config)
+        };
+    });
+
+    const inSampleTrades = folds.flatMap(fold => fold.inSampleTrades);
+    const outOfSampleTrades = folds.flatMap(fold => fold.outOfSampleTrades);
+
+    return {
+        overall: summarizeTrades(trades, config),
+        inSample: summarizeTrades(inSampleTrades, config),
+        outOfSample: summarizeTrades(outOfSampleTrades, config),
+        profitableFolds: folds.filter(fold => fold.outOfSample.totalTrades > 0 && fold.outOfSample.expectancy > 0).length,
+        folds
+    };
+}
+
+/**
+ * Rank evaluated parameter sets by in-sample expectancy
+ * Out-of-sample results are carried along for display but never used to order
+ * the sets. Sets with fewer than minTrades in-sample trades are ranked after the rest
+ * @param {Array} results - [{ inSample, outOfSample, ... }]
+ * @param {number} minTrades - Minimum in-sample trades to be ranked normally
+ * @returns {Array} Results sorted best first, with rank and eligible set
+ */
+function rankSweepResults(results, minTrades) {
+    return results
+        .map(result => ({ ...result, eligible: result.inSample.totalTrades >= minTrades }))
+        .sort((a, b) => {
+            if (a.eligible !== b.eligible) {
+                return a.eligible ? -1 : 1;
+            }
+            if (b.inSample.expectancy !== a.inSample.expectancy) {
+                return b.inSample.expectancy - a.inSample.expectancy;
+            }
+            if (b.inSample.totalTrades !== a.inSample.totalTrades) {
+                return b.inSample.totalTrades - a.inSample.totalTrades;
+            }
+            return a.parameterSetIndex - b.parameterSetIndex;
+        })
+        .map((result, index) => ({ ...result, rank: index + 1 }));
+}
+
+/**
+ * Walk-forward selection: in each fold pick the best in-sample set and
+ * record how it did out-of-sample
+ * @param {Array} evaluations - [{ parameterSetIndex, folds }] with trades kept on each fold
+ * @param {Array} splits - Folds from splitWalkForward
+ * @param {number} minTrades - Minimum trades over the whole sweep (split evenly across folds)
+ * @param {Object} config - { initialEquity, riskPerTradePercent }
+ * @returns {Object} { folds, outOfSample }
+ */
+function buildWalkForwardSummary(evaluations, splits, minTrades, config) {
+    const minFoldTrades = Math.max(1, Math.ceil(minTrades / splits.length));
+    let selectedTrades = [];
+
+    const folds = splits.map((split, foldIndex) => {
+        let best = null;
+
+        for (const evaluation of evaluations) {
+            const fold = evaluation.folds[foldIndex];
+
+            if (fold.inSample.totalTrades < minFoldTrades) {
+                continue;
+            }
+
+            if (!best || fold.inSample.expectancy > best.fold.inSample.expectancy) {
+                best = { evaluation, fold };
+            }
+        }
+
+        if (best) {
+            selectedTrades = selectedTrades.concat(best.fold.outOfSampleTrades);
+        }
+
+        return {
+            fold: split.fold,
+            inSampleRange: split.inSample,
+            outOfSampleRange: split.outOfSample,
+            parameterSetIndex: best ? best.evaluation.parameterSetIndex : null,
+            parameters: best ? best.evaluation.parameters : null,
+            inSample: best ? best.fold.inSample : null,
+            outOfSample: best ? best.fold.outOfSample : null
+        };
+    });
+
+    return {
+        folds,
+        outOfSample: summarizeTrades(selectedTrades, config)
+    };
+}
+
+/**
+ * Apply a parameter set on top of the resolved base settings
+ */
+function applyParameterSet(settings, parameters) {
+    const thresholds = { ...settings.thresholds };
+    const validationRules = { ...settings.validationRules };
+
+    Object.entries(parameters).forEach(([key, value]) => {
+        if (SWEEP_PARAMETERS[key] === 'thresholds') {
+            thresholds[key] = value;
+        } else {
+            validationRules[key] = value;
+        }
+    });
+
+    return { ...settings, thresholds, validationRules };
+}
+
+/**
+ * Simulate every parameter set over all symbols
+ * @returns {Promise<Array>} Per set: { parameters, settings, trades, counts }
+ */
+async function simulateParameterSets(client, dbName, settings, parameterSets, onSymbolDone) {
+    const runs = parameterSets.map(parameters => ({
+        parameters,
+        settings: applyParameterSet(settings, parameters),
+        trades: [],
+        counts: { reversalsDetected: 0, validSignals: 0, signalsWithoutTradeData: 0 }
+    }));
+
+    for (const symbol of settings.symbols) {
+        const oneMinuteCandles = await loadSymbolCandles(client, dbName, settings, symbol);
+        const intervalCache = new Map();
+        const detectionCache = new Map();
+        const windows = new Map();
+
+        // Detection only depends on thresholds, so sets that differ in validation rules share it
+        for (const run of runs) {
+            const detectionKey = JSON.stringify(run.settings.thresholds);
+
+            if (!detectionCache.has(detectionKey)) {
+                const { reversals } = detectSymbolReversals(symbol, oneMinuteCandles, run.settings, intervalCache);
+                reversals.forEach(reversal => {
+                    const windowKey = `${reversal.startTime}:${reversal.endTime}`;
+                    if (!windows.has(windowKey)) {
+                        windows.set(windowKey, { startTime: reversal.startTime, endTime: reversal.endTime });
+                    }
+                });
+                detectionCache.set(detectionKey, reversals);
+            }
+
+            run.reversals = detectionCache.get(detectionKey);
+        }
+
+        const tradeFiles = settings.tradeFiles[symbol] || [];
+        if (tradeFiles.length > 0 && windows.size > 0) {
+            await collectTradesForWindows(tradeFiles, [...windows.values()]);
+        }
+
+        const getTrades = reversal => {
+            const window = windows.get(`${reversal.startTime}:${reversal.endTime}`);
+            return (window && window.trades) || [];
+        };
+
+        for (const run of runs) {
+            const evaluation = evaluateReversals(run.reversals, getTrades, oneMinuteCandles, run.settings.validationRules);
+
+            run.trades = run.trades.concat(evaluation.trades);
+            run.counts.reversalsDetected += run.reversals.length;
+            run.counts.validSignals += evaluation.validSignals;
+            run.counts.signalsWithoutTradeData += evaluation.signalsWithoutTradeData;
+            delete run.reversals;
+        }
+
+        if (onSymbolDone) {
+            await onSymbolDone(symbol, oneMinuteCandles.length);
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Run a parameter sweep and store the ranked results in `parameterSweeps`
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} config - Normalized config (see normalizeSweepConfig)
+ * @param {ObjectId} [sweepId] - Existing sweep document to complete
+ * @returns {Promise<Object>} Stored sweep document
+ */
+async function runParameterSweep(client, dbName, config, sweepId = null) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+
+    const collection = client.db(dbName).collection('parameterSweeps');
+    const startedAt = new Date();
+
+    if (!sweepId) {
+        const inserted = await collection.insertOne({ name: config.name, config, status: 'running', createdAt: startedAt });
+        sweepId = inserted.insertedId;
+    }
+
+    try {
+        const settings = await resolveBacktestSettings(client, dbName, config);
+        const parameterSets = generateParameterSets(config.search);
+        const splits = splitWalkForward(settings.startDate, settings.endDate, config.walkForward.folds, config.walkForward.inSamplePercent);
+        let symbolsCompleted = 0;
+
+        console.log(`🔬 Sweep ${sweepId}: ${parameterSets.length} parameter sets (${config.search.method}), ${settings.symbols.length} symbols, ${splits.length} folds`);
+
+        const runs = await simulateParameterSets(client, dbName, settings, parameterSets, async (symbol, candleCount) => {
+            symbolsCompleted++;
+            console.log(`   ${symbol}: ${candleCount} candles simulated for ${parameterSets.length} sets`);
+            await collection.updateOne({ _id: sweepId }, {
+                $set: { progress: { symbolsCompleted, totalSymbols: settings.symbols.length } }
+            });
+        });
+
+        const evaluations = runs.map((run, index) => ({
+            parameterSetIndex: index,
+            parameters: run.parameters,
+            thresholds: run.settings.thresholds,
+            validationRules: run.settings.validationRules,
+            counts: run.counts,
+            ...evaluateParameterSet(run.trades, splits, settings)
+        }));
+
+        const walkForward = buildWalkForwardSummary(evaluations, splits, config.minTrades, settings);
+
+        // Trades are only needed for the fold selection above
+        const results = rankSweepResults(evaluations.map(evaluation => ({
+            ...evaluation,
+            folds: evaluation.folds.map(fold => ({ fold: fold.fold, inSample: fold.inSample, outOfSample: fold.outOfSample }))
+        })), config.minTrades);
+
+        const completedAt = new Date();
+
+        await collection.updateOne({ _id: sweepId }, {
+            $set: {
+                status: 'completed',
+                resolvedSettings: {
+                    thresholds: settings.thresholds,
+                    trendContext: settings.trendContext,
+                    validationRules: settings.validationRules
+                },
+                parameterSetCount: parameterSets.length,
+                splits,
+                results,
+                bestResult: results[0] || null,
+                walkForward,
+                completedAt,
+                durationMs: completedAt - startedAt
+            }
+        });
+
+        console.log(`✅ Sweep ${sweepId} completed: walk-forward out-of-sample expectancy ${walkForward.outOfSample.expectancy}R over ${walkForward.outOfSample.totalTrades} trades`);
+
+    } catch (error) {
+        console.error(`❌ Sweep ${sweepId} failed:`, error);
+        await collection.updateOne({ _id: sweepId }, {
+            $set: { status: 'failed', error: getStoredErrorMessage(error), completedAt: new Date() }
+        });
+    }
+
+    return collection.findOne({ _id: new ObjectId(sweepId) });
+}
+
+/**
+ * Create a sweep document and run it in the background
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} config - Normalized config
+ * @returns {Promise<ObjectId>} Sweep id
+ */
+async function startParameterSweep(client, dbName, config) {
+    const collection = client.db(dbName).collection('parameterSweeps');
+    const inserted = await collection.insertOne({ name: config.name, config, status: 'running', createdAt: new Date() });
+
+    runParameterSweep(client, dbName, config, inserted.insertedId).catch(error => {
+        console.error('❌ Background sweep failed:', error);
+    });
+
+    return inserted.insertedId;
+}
+
+/**
+ * Build a detection profile from a ranked sweep result
+ * @param {Object} sweep - Completed sweep document
+ * @param {number} rank - Rank of the result to export (1 = best)
+ * @returns {Object|null} { thresholds, trendContext, validationRules, description } or null if the rank doesn't exist
+ */
+function buildProfileFromSweepResult(sweep, rank) {
+    const result = (sweep.results || []).find(r => r.rank === rank);
+
+    if (!result) {
+        return null;
+    }
+
+    const parameters = Object.entries(result.parameters).map(([key, value]) => `${key}=${value}`).join(', ');
+
+    return {
+        thresholds: result.thresholds,
+        trendContext: sweep.resolvedSettings.trendContext,
+        validationRules: result.validationRules,
+        description: `Sweep "${sweep.name || sweep._id}" rank ${rank}: ${parameters} `
+            + `(out-of-sample ${result.outOfSample.expectancy}R over ${result.outOfSample.totalTrades} trades)`
+    };
+}
+
+module.exports = {
+    SWEEP_PARAMETERS,
+    DEFAULT_SWEEP_SETTINGS,
+    normalizeSweepConfig,
+    generateParameterSets,
+    splitWalkForward,
+    evaluateParameterSet,
+    rankSweepResults,
+    buildWalkForwardSummary,
+    runParameterSweep,
+    startParameterSweep,
+    buildProfileFromSweepResult
+};
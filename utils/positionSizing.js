@@ -0,0 +1,184 @@
+/**
+ * Position Sizing
+ * Turns account equity and risk % per trade into a position for a signal:
+ * quantity (rounded down to the symbol's step size), notional and leverage.
+ *
+ * Settings live in the sizingSettings collection, one document per user plus
+ * a 'global' document; a user without their own settings uses the global ones,
+ * and without either the defaults below apply.
+ *
+ * The stop distance is the signal's stopLossRisk (close to low for buys, close to
+ * high for sells). It is recomputed from the candle because the stored value is
+ * rounded to 0.01%, which is too coarse for tight stops.
+ */
+
+const { getSizingSettings } = require('../models/database');
+const { getSignalRisk } = require('./takeProfitTargets');
+
+const GLOBAL_SIZING_USER = 'global';
+
+const DEFAULT_SIZING_SETTINGS = {
+    accountEquity: 10000, // quote currency (USDT)
+    riskPercent: 1, // % of equity lost if the stop is hit
+    maxLeverage: 20 // positions needing more are scaled down
+};
+
+// Keeps user names usable as query values and document keys
+const USER_PATTERN = /^[A-Za-z0-9_.-]{1,50}$/;
+
+/**
+ * Normalize a user name from a query string or body
+ * @param {string} user - Raw user name
+ * @returns {string} User name, or 'global' when missing
+ */
+function normalizeSizingUser(user) {
+    const value = typeof user === 'string' ? user.trim() : '';
+    return value ? value : GLOBAL_SIZING_USER;
+}
+
+/**
+ * Validate and normalize sizing settings coming from user input
+ * @param {Object} input - Raw settings (numbers or numeric strings)
+ * @returns {Object} { settings, errors } - only known keys are kept
+ */
+function normalizeSizingSettings(input = {}) {
+    const settings = {};
+    const errors = [];
+    const limits = {
+        accountEquity: { min: 1, max: 1e12 },
+        riskPercent: { min: 0.01, max: 100 },
+        maxLeverage: { min: 1, max: 125 }
+    };
+
+    for (const [key, { min, max }] of Object.entries(limits)) {
+        if (input[key] === undefined || input[key] === null || input[key] === '') {
+            continue;
+        }
+
+        const value = parseFloat(input[key]);
+
+        if (isNaN(value) || value < min || value > max) {
+            errors.push(`${key} must be a number between ${min} and ${max}`);
+            continue;
+        }
+
+        settings[key] = value;
+    }
+
+    return { settings, errors };
+}
+
+/**
+ * Resolve the sizing settings of a user (user -> global -> defaults)
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} [user] - User name
+ * @returns {Promise<Object>} { user, source, ...settings }
+ */
+async function resolveSizingSettings(client, dbName, user) {
+    const sizingUser = normalizeSizingUser(user);
+    const candidates = sizingUser === GLOBAL_SIZING_USER ? [GLOBAL_SIZING_USER] : [sizingUser, GLOBAL_SIZING_USER];
+
+    for (const candidate of candidates) {
+        const document = await getSizingSettings(client, dbName, candidate);
+
+        if (document) {
+            return {
+                ...DEFAULT_SIZING_SETTINGS,
+                ...normalizeSizingSettings(document.settings).settings,
+                user: sizingUser,
+                source: candidate === GLOBAL_SIZING_USER ? 'global' : 'user'
+            };
+        }
+    }
+
+    return { ...DEFAULT_SIZING_SETTINGS, user: sizingUser, source: 'default' };
+}
+
+/**
+ * Round a quantity down to a multiple of the step size
+ * @param {number} quantity - Raw quantity
+ * @param {number} stepSize - Exchange step size (e.g. 0.001)
+ * @returns {number} Rounded quantity
+ */
+function roundToStepSize(quantity, stepSize) {
+    if (!stepSize || stepSize <= 0) {
+        return quantity;
+    }
+
+    const decimals = Math.max(0, Math.ceil(-Math.log10(stepSize) - 1e-9));
+    // The epsilon keeps 0.3 / 0.1 = 2.9999999999999996 from rounding down a step
+    const steps = Math.floor(quantity / stepSize + 1e-9);
+
+    return parseFloat((steps * stepSize).toFixed(decimals));
+}
+
+/**
+ * Calculate the position for a signal
+ * @param {Object} signal - Reversal document (candleData, tradeSignal, reversalPattern)
+ * @param {Object} settings - { accountEquity, riskPercent, maxLeverage }
+ * @param {Object} [quantityFilter] - { stepSize, minQty, maxQty, minNotional } of the symbol
+ * @returns {Object|null} Position, or null when the signal has no usable stop
+ */
+function calculatePositionSize(signal, settings, quantityFilter = null) {
+    const risk = getSignalRisk(signal);
+
+    if (!risk) {
+        return null;
+    }
+
+    const { entryPrice, stopPrice, riskPerUnit } = risk;
+    const { accountEquity, riskPercent, maxLeverage } = { ...DEFAULT_SIZING_SETTINGS, ...settings };
+    const filter = quantityFilter || {};
+
+    const riskAmount = accountEquity * (riskPercent / 100);
+    let rawQuantity = riskAmount / riskPerUnit;
+
+    // Scale down positions that would need more than the allowed leverage
+    const maxQuantity = (accountEquity * maxLeverage) / entryPrice;
+    const leverageCapped = rawQuantity > maxQuantity;
+    if (leverageCapped) {
+        rawQuantity = maxQuantity;
+    }
+
+    if (filter.maxQty && rawQuantity > filter.maxQty) {
+        rawQuantity = filter.maxQty;
+    }
+
+    const quantity = roundToStepSize(rawQuantity, filter.stepSize);
+    const notional = quantity * entryPrice;
+
+    return {
+        accountEquity,
+        riskPercent,
+        riskAmount: round(riskAmount, 2),
+        entryPrice,
+        stopPrice,
+        stopLossRisk: round((riskPerUnit / entryPrice) * 100, 4),
+        quantity,
+        notional: round(notional, 2),
+        leverage: round(notional / accountEquity, 2),
+        actualRiskAmount: round(quantity * riskPerUnit, 2),
+        stepSize: filter.stepSize || null,
+        leverageCapped,
+        belowMinimum: quantity <= 0
+            || (filter.minQty > 0 && quantity < filter.minQty)
+            || (filter.minNotional > 0 && notional < filter.minNotional)
+    };
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    GLOBAL_SIZING_USER,
+    DEFAULT_SIZING_SETTINGS,
+    USER_PATTERN,
+    normalizeSizingUser,
+    normalizeSizingSettings,
+    resolveSizingSettings,
+    roundToStepSize,
+    calculatePositionSize
+};
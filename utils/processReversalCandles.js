@@ -3,9 +3,13 @@
  * This utility processes all existing candle data and identifies reversal patterns
  */
 
-const { detectReversalCandle } = require('./reversalCandleDetector');
+const { getReversalDirection } = require('./reversalCandleDetector');
+const { detectReversalPattern, getSignalCandle, PATTERN_LOOKBACK } = require('./multiCandlePatternDetector');
+const { resolveDetectionProfile } = require('./detectionProfiles');
+const { applyTrendContext } = require('./trendContextFilter');
 const { saveReversalCandle, ensureReversalCandleIndexes } = require('../models/database');
 const { getSelectedSymbols } = require('../config/database');
+const { getCandleCollection } = require('./candleStore');
 
 /**
  * Process all existing candles for reversal patterns
@@ -21,6 +25,7 @@ async function processAllReversalCandles(client, dbName, options = {}) {
         totalCandlesProcessed: 0,
         reversalPatternsFound: 0,
         reversalPatternsSaved: 0,
+        reversalPatternsFilteredByContext: 0,
         buyReversals: 0,
         sellReversals: 0,
         errors: [],
@@ -71,6 +76,7 @@ async function processAllReversalCandles(client, dbName, options = {}) {
                     results.totalCandlesProcessed += symbolResults.candlesProcessed;
                     results.reversalPatternsFound += symbolResults.patternsFound;
                     results.reversalPatternsSaved += symbolResults.patternsSaved;
+                    results.reversalPatternsFilteredByContext += symbolResults.patternsFilteredByContext;
                     results.buyReversals += symbolResults.buyReversals;
                     results.sellReversals += symbolResults.sellReversals;
                     results.errors.push(...symbolResults.errors);
@@ -112,13 +118,14 @@ async function processAllReversalCandles(client, dbName, options = {}) {
  */
 async function processSymbolInterval(client, dbName, symbol, interval, options = {}) {
     const db = client.db(dbName);
-    const candleCollection = db.collection('candleData');
+    const candleCollection = getCandleCollection(db);
     const reversalCollection = db.collection('reversalCandles');
     
     const results = {
         candlesProcessed: 0,
         patternsFound: 0,
         patternsSaved: 0,
+        patternsFilteredByContext: 0,
         buyReversals: 0,
         sellReversals: 0,
         errors: []
@@ -126,6 +133,13 @@ async function processSymbolInterval(client, dbName, symbol, interval, options =
     
     const batchSize = options.batchSize || 1000;
     let skip = 0;
+    
+    // Resolve once per symbol/interval; profiles don't change mid-run
+    const detectionProfile = await resolveDetectionProfile(client, dbName, symbol, interval);
+    
+    // Candles are read in time order, so the previous ones for multi-candle
+    // patterns can be carried over between batches
+    let previousCandles = [];
     let hasMoreData = true;
     
     while (hasMoreData) {
@@ -151,12 +165,13 @@ async function processSymbolInterval(client, dbName, symbol, interval, options =
                     results.candlesProcessed++;
                     
                     // Detect reversal pattern
-                    const reversalPattern = detectReversalCandle(candle);
+                    const reversalPattern = detectReversalPattern(candle, previousCandles, detectionProfile.thresholds);
+                    previousCandles = [...previousCandles, candle].slice(-PATTERN_LOOKBACK);
                     
                     if (reversalPattern) {
                         results.patternsFound++;
                         
-                        if (reversalPattern.type === 'buy_reversal') {
+                        if (getReversalDirection(reversalPattern.type) === 'buy') {
                             results.buyReversals++;
                         } else {
                             results.sellReversals++;
@@ -170,21 +185,25 @@ async function processSymbolInterval(client, dbName, symbol, interval, options =
                         });
                         
                         if (!existingReversal) {
+                            const context = await applyTrendContext(
+                                client, dbName, candle, reversalPattern, detectionProfile.trendContext
+                            );
+                            
+                            if (!context.accepted) {
+                                results.patternsFilteredByContext++;
+                                continue;
+                            }
+                            
                             // Save the reversal pattern
                             const reversalData = {
                                 symbol: symbol,
                                 interval: interval,
                                 openTime: candle.openTime,
                                 closeTime: candle.closeTime,
-                                candleData: {
-                                    open: candle.open,
-                                    high: candle.high,
-                                    low: candle.low,
-                                    close: candle.close,
-                                    volume: candle.volume,
-                                    numberOfTrades: candle.numberOfTrades
-                                },
-                                reversalPattern: reversalPattern
+                                candleData: getSignalCandle(candle, reversalPattern).candleData,
+                                reversalPattern: reversalPattern,
+                                detectionProfile: detectionProfile,
+                                trendContext: context.trendContext
                             };
                             
                             await saveReversalCandle(client, dbName, reversalData);
@@ -225,7 +244,7 @@ async function processSymbolInterval(client, dbName, symbol, interval, options =
  */
 async function getAvailableIntervals(db) {
     try {
-        const candleCollection = db.collection('candleData');
+        const candleCollection = getCandleCollection(db);
         const intervals = await candleCollection.distinct('interval');
         return intervals.sort();
     } catch (error) {
@@ -251,6 +270,7 @@ async function processSpecificReversalCandles(client, dbName, symbols, intervals
         totalCandlesProcessed: 0,
         reversalPatternsFound: 0,
         reversalPatternsSaved: 0,
+        reversalPatternsFilteredByContext: 0,
         buyReversals: 0,
         sellReversals: 0,
         errors: [],
@@ -284,6 +304,7 @@ async function processSpecificReversalCandles(client, dbName, symbols, intervals
                     results.totalCandlesProcessed += symbolResults.candlesProcessed;
                     results.reversalPatternsFound += symbolResults.patternsFound;
                     results.reversalPatternsSaved += symbolResults.patternsSaved;
+                    results.reversalPatternsFilteredByContext += symbolResults.patternsFilteredByContext;
                     results.buyReversals += symbolResults.buyReversals;
                     results.sellReversals += symbolResults.sellReversals;
                     results.errors.push(...symbolResults.errors);
@@ -1,23 +1,83 @@
 /**
  * Reversal Candle Pattern Detection Utility
  * Detects reversal candle patterns based on specific criteria:
- * 1. Body size must not exceed 38% of total candle length
- * 2. Long tail on opposite side of reversal direction
- * 3. Short tail (≤10%) on reversal direction side
+ * 1. Body size must stay below maxBodyPercentage of total candle length
+ * 2. Long tail (≥ minLongTailPercentage) on opposite side of reversal direction
+ * 3. Short tail (≤ maxOppositeTailPercentage) on reversal direction side
+ * 4. Stop loss risk of at least minStopLossRisk percent
+ *
+ * Thresholds come from a detection profile (see utils/detectionProfiles.js);
+ * DEFAULT_DETECTION_THRESHOLDS is used when no profile is supplied.
  */
 
+/**
+ * Built-in detection thresholds (percentages)
+ */
+const DEFAULT_DETECTION_THRESHOLDS = Object.freeze({
+    maxBodyPercentage: 23,
+    maxOppositeTailPercentage: 5,
+    minLongTailPercentage: 30,
+    bodyPositionThreshold: 50,
+    minStopLossRisk: 0.4
+});
+
+/**
+ * All reversal pattern types with their trade direction and candle count
+ * (pin bars come from this module, the rest from multiCandlePatternDetector)
+ */
+const REVERSAL_PATTERN_TYPES = Object.freeze([
+    { value: 'buy_reversal', label: 'Buy Pin Bar', direction: 'buy', candleCount: 1 },
+    { value: 'sell_reversal', label: 'Sell Pin Bar', direction: 'sell', candleCount: 1 },
+    { value: 'bullish_engulfing', label: 'Bullish Engulfing', direction: 'buy', candleCount: 2 },
+    { value: 'bearish_engulfing', label: 'Bearish Engulfing', direction: 'sell', candleCount: 2 },
+    { value: 'tweezer_bottom', label: 'Tweezer Bottom', direction: 'buy', candleCount: 2 },
+    { value: 'tweezer_top', label: 'Tweezer Top', direction: 'sell', candleCount: 2 },
+    { value: 'morning_star', label: 'Morning Star', direction: 'buy', candleCount: 3 },
+    { value: 'evening_star', label: 'Evening Star', direction: 'sell', candleCount: 3 },
+    { value: 'bullish_three_bar', label: 'Bullish Three-Bar', direction: 'buy', candleCount: 3 },
+    { value: 'bearish_three_bar', label: 'Bearish Three-Bar', direction: 'sell', candleCount: 3 }
+]);
+
+/**
+ * Get the trade direction of a reversal pattern type
+ * @param {string} type - Reversal pattern type (e.g. 'buy_reversal', 'morning_star')
+ * @returns {string|null} 'buy', 'sell' or null for unknown types
+ */
+function getReversalDirection(type) {
+    const patternType = REVERSAL_PATTERN_TYPES.find(t => t.value === type);
+    return patternType ? patternType.direction : null;
+}
+
+/**
+ * Get all pattern type values for one direction
+ * @param {string} direction - 'buy' or 'sell'
+ * @returns {Array<string>} Pattern type values
+ */
+function getReversalTypesByDirection(direction) {
+    return REVERSAL_PATTERN_TYPES.filter(t => t.direction === direction).map(t => t.value);
+}
+
 /**
  * Detects if a candle is a reversal pattern
  * @param {Object} candle - Candle data with OHLC values
+ * @param {Object} [thresholds] - Detection thresholds, missing keys fall back to the defaults
  * @returns {Object|null} Reversal pattern data or null if not a reversal
  */
-function detectReversalCandle(candle) {
+function detectReversalCandle(candle, thresholds = DEFAULT_DETECTION_THRESHOLDS) {
     // Validate input
     if (!candle || typeof candle.open !== 'number' || typeof candle.high !== 'number' || 
         typeof candle.low !== 'number' || typeof candle.close !== 'number') {
         return null;
     }
 
+    const {
+        maxBodyPercentage,
+        maxOppositeTailPercentage,
+        minLongTailPercentage,
+        bodyPositionThreshold,
+        minStopLossRisk
+    } = { ...DEFAULT_DETECTION_THRESHOLDS, ...thresholds };
+
     const { open, high, low, close } = candle;
     
     // Calculate candle metrics
@@ -40,8 +100,8 @@ function detectReversalCandle(candle) {
     const upperTailPercentage = (upperTailCorrected / totalLength) * 100;
     const lowerTailPercentage = (lowerTailCorrected / totalLength) * 100;
     
-    // Check if body size is 23% or greater - if so, not a reversal candle
-    if (bodyPercentage >= 23) {
+    // Check if body size reaches the threshold - if so, not a reversal candle
+    if (bodyPercentage >= maxBodyPercentage) {
         return null;
     }
     
@@ -51,22 +111,22 @@ function detectReversalCandle(candle) {
     const isDoji = close === open;
     
     // Check for buy reversal pattern
-    // Buy reversal: body above, long tail below, short upper tail (≤5%)
+    // Buy reversal: body above, long tail below, short upper tail
     // Buy reversals can only be green (bullish) or doji candles
-    if (lowerTailPercentage > upperTailPercentage && upperTailPercentage <= 5 && (isBullish || isDoji)) {
+    if (lowerTailPercentage > upperTailPercentage && upperTailPercentage <= maxOppositeTailPercentage && (isBullish || isDoji)) {
         // Body should be in the upper portion of the candle
         const bodyPosition = ((Math.min(open, close) - low) / totalLength) * 100;
         
         // For a buy reversal, we want the body to be positioned higher
         // and the lower tail to be significantly longer
-        if (bodyPosition >= 50 && lowerTailPercentage >= 30) {
+        if (bodyPosition >= bodyPositionThreshold && lowerTailPercentage >= minLongTailPercentage) {
             // Calculate stoploss risk percentage for buy signal
             // Buy stoploss = low, so risk = ((close - low) / close) * 100
             const stopLossRisk = ((close - low) / close) * 100;
             
-            // Apply 0.4% minimum threshold - skip if risk is too low
-            if (stopLossRisk < 0.4) {
-                console.log(`🚫 Buy reversal skipped for ${close}: Risk ${stopLossRisk.toFixed(3)}% < 0.4% threshold`);
+            // Apply minimum risk threshold - skip if risk is too low
+            if (stopLossRisk < minStopLossRisk) {
+                console.log(`🚫 Buy reversal skipped for ${close}: Risk ${stopLossRisk.toFixed(3)}% < ${minStopLossRisk}% threshold`);
                 return null;
             }
             
@@ -89,22 +149,22 @@ function detectReversalCandle(candle) {
     }
     
     // Check for sell reversal pattern
-    // Sell reversal: body below, long tail above, short lower tail (≤5%)
+    // Sell reversal: body below, long tail above, short lower tail
     // Sell reversals can only be red (bearish) or doji candles
-    if (upperTailPercentage > lowerTailPercentage && lowerTailPercentage <= 5 && (isBearish || isDoji)) {
+    if (upperTailPercentage > lowerTailPercentage && lowerTailPercentage <= maxOppositeTailPercentage && (isBearish || isDoji)) {
         // Body should be in the lower portion of the candle
         const bodyPosition = ((Math.max(open, close) - low) / totalLength) * 100;
         
         // For a sell reversal, we want the body to be positioned lower
         // and the upper tail to be significantly longer
-        if (bodyPosition <= 50 && upperTailPercentage >= 30) {
+        if (bodyPosition <= bodyPositionThreshold && upperTailPercentage >= minLongTailPercentage) {
             // Calculate stoploss risk percentage for sell signal
             // Sell stoploss = high, so risk = ((high - close) / close) * 100
             const stopLossRisk = ((high - close) / close) * 100;
             
-            // Apply 0.4% minimum threshold - skip if risk is too low
-            if (stopLossRisk < 0.4) {
-                console.log(`🚫 Sell reversal skipped for ${close}: Risk ${stopLossRisk.toFixed(3)}% < 0.4% threshold`);
+            // Apply minimum risk threshold - skip if risk is too low
+            if (stopLossRisk < minStopLossRisk) {
+                console.log(`🚫 Sell reversal skipped for ${close}: Risk ${stopLossRisk.toFixed(3)}% < ${minStopLossRisk}% threshold`);
                 return null;
             }
             
@@ -170,9 +230,10 @@ function calculateConfidence(type, bodyPercentage, upperTailPercentage, lowerTai
 /**
  * Batch process multiple candles for reversal patterns
  * @param {Array} candles - Array of candle data
+ * @param {Object} [thresholds] - Detection thresholds
  * @returns {Array} Array of reversal patterns found
  */
-function batchDetectReversalCandles(candles) {
+function batchDetectReversalCandles(candles, thresholds) {
     if (!Array.isArray(candles)) {
         return [];
     }
@@ -180,7 +241,7 @@ function batchDetectReversalCandles(candles) {
     const reversalCandles = [];
     
     candles.forEach((candle, index) => {
-        const reversalPattern = detectReversalCandle(candle);
+        const reversalPattern = detectReversalCandle(candle, thresholds);
         if (reversalPattern) {
             reversalCandles.push({
                 index,
@@ -222,7 +283,7 @@ function getReversalStatistics(candles) {
     let totalConfidence = 0;
     
     reversalCandles.forEach(({ reversalPattern }) => {
-        if (reversalPattern.type === 'buy_reversal') {
+        if (getReversalDirection(reversalPattern.type) === 'buy') {
             stats.buyReversals++;
         } else {
             stats.sellReversals++;
@@ -246,6 +307,10 @@ function getReversalStatistics(candles) {
 }
 
 module.exports = {
+    DEFAULT_DETECTION_THRESHOLDS,
+    REVERSAL_PATTERN_TYPES,
+    getReversalDirection,
+    getReversalTypesByDirection,
     detectReversalCandle,
     batchDetectReversalCandles,
     getReversalStatistics,
@@ -0,0 +1,335 @@
+/**
+ * Score Calibration
+ * Turns the 1-10 signal score into the observed probability of reaching 1R
+ * before the stop, fitted on the resolved outcomes of past signals.
+ *
+ * - Samples: valid signals with a closed outcome (win / loss / expired) from the
+ *   last CALIBRATION_LOOKBACK_DAYS; linked de-duplication siblings are skipped
+ *   so one wick isn't counted once per overlapping interval
+ * - A hit is an outcome that reached 1R (maxTargetHit >= 1); losses and expired
+ *   signals are misses
+ * - Scores are binned like the analytics score buckets (floor 1-10), then an
+ *   isotonic fit (pool adjacent violators, weighted by samples) makes the
+ *   probability non-decreasing in the score. Between bins it is interpolated
+ *   on the bins' mean scores
+ * - One pooled curve plus one per interval with at least MIN_INTERVAL_SAMPLES;
+ *   signals of other intervals use the pooled curve
+ *
+ * Fits are stored in `scoreCalibrations` by the hourly calibration job; the
+ * latest one is kept in memory for new signals.
+ */
+
+const CALIBRATION_LOOKBACK_DAYS = 90;
+
+// Resolved signals needed before any probability is given
+const MIN_CALIBRATION_SAMPLES = 30;
+
+// Resolved signals needed for an interval's own curve
+const MIN_INTERVAL_SAMPLES = 50;
+
+// Stored fits kept for comparison
+const CALIBRATION_HISTORY = 48;
+
+let currentCalibration = null;
+let calibrationLoaded = false;
+
+function round(value, decimals = 4) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Did a resolved outcome reach 1R before the stop?
+ * @param {Object} outcome - Closed outcome from signalOutcomeTracker
+ * @returns {boolean}
+ */
+function isOneRHit(outcome) {
+    return !!outcome && outcome.maxTargetHit >= 1;
+}
+
+/**
+ * Pool adjacent violators: weighted non-decreasing fit of the bin rates
+ * @param {Array} bins - Bins sorted by score with { samples, hits }
+ * @returns {Array} Fitted probability per bin
+ */
+function fitIsotonic(bins) {
+    const blocks = [];
+
+    bins.forEach((bin, index) => {
+        blocks.push({ weight: bin.samples, hits: bin.hits, start: index, end: index });
+
+        // Merge backwards while the previous block has a higher rate
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+
+            if (previous.hits / previous.weight <= last.hits / last.weight) {
+                break;
+            }
+
+            blocks.splice(blocks.length - 2, 2, {
+                weight: previous.weight + last.weight,
+                hits: previous.hits + last.hits,
+                start: previous.start,
+                end: last.end
+            });
+        }
+    });
+
+    const fitted = new Array(bins.length);
+    blocks.forEach(block => {
+        for (let i = block.start; i <= block.end; i++) {
+            fitted[i] = block.hits / block.weight;
+        }
+    });
+
+    return fitted;
+}
+
+/**
+ * Fit a calibration curve on score/hit samples
+ * @param {Array} samples - { score, hit }
+ * @returns {Object|null} { samples, hits, baseRate, points: [{ score, meanScore, samples, hits, observedRate, probability }] },
+ *   or null with fewer than MIN_CALIBRATION_SAMPLES samples
+ */
+function fitCalibrationCurve(samples) {
+    const usable = samples.filter(sample => typeof sample.score === 'number' && !isNaN(sample.score));
+
+    if (usable.length < MIN_CALIBRATION_SAMPLES) {
+        return null;
+    }
+
+    const binMap = new Map();
+    usable.forEach(sample => {
+        const bucket = Math.min(10, Math.max(1, Math.floor(sample.score)));
+        const bin = binMap.get(bucket) || { score: bucket, scoreSum: 0, samples: 0, hits: 0 };
+        bin.scoreSum += sample.score;
+        bin.samples++;
+        bin.hits += sample.hit ? 1 : 0;
+        binMap.set(bucket, bin);
+    });
+
+    const bins = [...binMap.values()].sort((a, b) => a.score - b.score);
+    const fitted = fitIsotonic(bins);
+    const hits = bins.reduce((sum, bin) => sum + bin.hits, 0);
+
+    return {
+        samples: usable.length,
+        hits,
+        baseRate: round(hits / usable.length),
+        points: bins.map((bin, i) => ({
+            score: bin.score,
+            meanScore: round(bin.scoreSum / bin.samples, 2),
+            samples: bin.samples,
+            hits: bin.hits,
+            observedRate: round(bin.hits / bin.samples),
+            probability: round(fitted[i])
+        }))
+    };
+}
+
+/**
+ * Calibrated probability of a score on a curve
+ * @param {Object} curve - Result of fitCalibrationCurve
+ * @param {number} score - Signal score
+ * @returns {number|null} Probability (0-1), or null without a curve
+ */
+function predictProbability(curve, score) {
+    if (!curve || !curve.points || curve.points.length === 0 || typeof score !== 'number' || isNaN(score)) {
+        return null;
+    }
+
+    const points = curve.points;
+
+    if (score <= points[0].meanScore) {
+        return points[0].probability;
+    }
+
+    const last = points[points.length - 1];
+    if (score >= last.meanScore) {
+        return last.probability;
+    }
+
+    const upperIndex = points.findIndex(point => point.meanScore >= score);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+    const span = upper.meanScore - lower.meanScore;
+    const weight = span > 0 ? (score - lower.meanScore) / span : 1;
+
+    return round(lower.probability + weight * (upper.probability - lower.probability));
+}
+
+/**
+ * Fit the pooled and per-interval curves on resolved signals
+ * @param {Array} signals - Reversal documents (interval, tradeSignal.score, outcome)
+ * @returns {Object|null} { sampleCount, curves: [{ interval, ...curve }] } - interval null is pooled
+ */
+function buildCalibration(signals) {
+    const samples = signals.map(signal => ({
+        interval: signal.interval,
+        score: signal.tradeSignal && signal.tradeSignal.score,
+        hit: isOneRHit(signal.outcome)
+    }));
+
+    const pooled = fitCalibrationCurve(samples);
+
+    if (!pooled) {
+        return null;
+    }
+
+    const byInterval = new Map();
+    samples.forEach(sample => {
+        byInterval.set(sample.interval, (byInterval.get(sample.interval) || []).concat(sample));
+    });
+
+    const intervalCurves = [...byInterval.entries()]
+        .filter(([, intervalSamples]) => intervalSamples.length >= MIN_INTERVAL_SAMPLES)
+        .sort(([a], [b]) => parseInt(a, 10) - parseInt(b, 10))
+        .map(([interval, intervalSamples]) => ({ interval, ...fitCalibrationCurve(intervalSamples) }));
+
+    return {
+        sampleCount: pooled.samples,
+        curves: [{ interval: null, ...pooled }, ...intervalCurves]
+    };
+}
+
+/**
+ * Fit a new calibration from stored outcomes and make it current
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} [options] - { lookbackDays, now }
+ * @returns {Promise<Object|null>} Stored calibration, or null with too few resolved signals
+ */
+async function fitScoreCalibration(client, dbName, options = {}) {
+    const lookbackDays = options.lookbackDays || CALIBRATION_LOOKBACK_DAYS;
+    const now = options.now || new Date();
+    const collection = client.db(dbName).collection('scoreCalibrations');
+
+    const signals = await client.db(dbName).collection('reversalCandles').find(
+        {
+            'tradeSignal.isValidSignal': true,
+            'outcome.status': 'closed',
+            'outcome.result': { $in: ['win', 'loss', 'expired'] },
+            'deduplication.role': { $ne: 'sibling' },
+            closeTime: { $gte: new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000) }
+        },
+        { projection: { interval: 1, 'tradeSignal.score': 1, outcome: 1 } }
+    ).toArray();
+
+    const calibration = buildCalibration(signals);
+
+    if (!calibration) {
+        return null;
+    }
+
+    const document = {
+        fittedAt: now,
+        method: 'isotonic',
+        lookbackDays,
+        ...calibration
+    };
+
+    const result = await collection.insertOne(document);
+    currentCalibration = { _id: result.insertedId, ...document };
+    calibrationLoaded = true;
+
+    // Keep the most recent fits only
+    const expired = await collection.find({}, { projection: { _id: 1 } })
+        .sort({ fittedAt: -1 })
+        .skip(CALIBRATION_HISTORY)
+        .toArray();
+    if (expired.length > 0) {
+        await collection.deleteMany({ _id: { $in: expired.map(doc => doc._id) } });
+    }
+
+    return currentCalibration;
+}
+
+/**
+ * Latest calibration, loaded from the database on first use
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Object|null>} Calibration or null before the first fit
+ */
+async function getCurrentCalibration(client, dbName) {
+    if (!calibrationLoaded && client) {
+        const [latest] = await client.db(dbName).collection('scoreCalibrations')
+            .find({})
+            .sort({ fittedAt: -1 })
+            .limit(1)
+            .toArray();
+
+        currentCalibration = latest || null;
+        calibrationLoaded = true;
+    }
+
+    return currentCalibration;
+}
+
+/**
+ * Calibrated probability of a score, from the interval's curve or the pooled one
+ * @param {Object} calibration - Stored calibration
+ * @param {number} score - Signal score
+ * @param {string} interval - Signal interval
+ * @returns {Object|null} { calibratedProbability, calibration: { curve, samples, fittedAt } }
+ */
+function calibrateScore(calibration, score, interval) {
+    if (!calibration || !Array.isArray(calibration.curves)) {
+        return null;
+    }
+
+    const curve = calibration.curves.find(candidate => candidate.interval === interval)
+        || calibration.curves.find(candidate => candidate.interval === null);
+    const probability = predictProbability(curve, score);
+
+    if (probability === null) {
+        return null;
+    }
+
+    return {
+        calibratedProbability: probability,
+        calibration: {
+            curve: curve.interval || 'all',
+            samples: curve.samples,
+            fittedAt: calibration.fittedAt
+        }
+    };
+}
+
+/**
+ * Store the calibrated probability next to a valid signal's score
+ * Never throws; before the first fit the probability is null.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} reversalData - Reversal with a valid tradeSignal (modified in place)
+ */
+async function applyScoreCalibration(client, dbName, reversalData) {
+    try {
+        const calibrated = calibrateScore(
+            await getCurrentCalibration(client, dbName),
+            reversalData.tradeSignal.score,
+            reversalData.interval
+        );
+
+        reversalData.tradeSignal.calibratedProbability = calibrated ? calibrated.calibratedProbability : null;
+        reversalData.tradeSignal.calibration = calibrated ? calibrated.calibration : null;
+    } catch (error) {
+        console.error(`❌ Error calibrating ${reversalData.symbol} ${reversalData.interval} score:`, error.message);
+        reversalData.tradeSignal.calibratedProbability = null;
+    }
+}
+
+module.exports = {
+    CALIBRATION_LOOKBACK_DAYS,
+    MIN_CALIBRATION_SAMPLES,
+    MIN_INTERVAL_SAMPLES,
+    isOneRHit,
+    fitIsotonic,
+    fitCalibrationCurve,
+    predictProbability,
+    buildCalibration,
+    fitScoreCalibration,
+    getCurrentCalibration,
+    calibrateScore,
+    applyScoreCalibration
+};
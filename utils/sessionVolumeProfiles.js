@@ -0,0 +1,435 @@
+/**
+ * Session & Composite Volume Profiles
+ * Keeps a volume profile per symbol for the UTC day and the Asia / London /
+ * New York sessions, built incrementally from closed 1m candles (each minute's
+ * volume spread over its high-low range, like the approximate footprints).
+ *
+ * Profiles are stored in `volumeProfiles`, one document per symbol, type and
+ * period, with the volume per price bin in `levels` (key = price / binSize).
+ * Every run folds the 1m candles closed since the last run into the documents
+ * with $inc, then refreshes their POC / VAH / VAL. Multi-day composites are
+ * merged from the stored day profiles when they are requested.
+ *
+ * Catch-up is limited to the 1m candle retention (getCandleRetentionHours), so
+ * profiles cover the time the system has been running; a day that started
+ * before that is partial.
+ */
+
+const { getCandleData, getSelectedSymbols } = require('../models/database');
+const { spreadCandleVolume } = require('./approximateVolumeFootprint');
+const { calculateValueArea, getTickSize, getDecimalPlaces } = require('./volumeFootprintCalculator');
+const { getCandleRetentionHours } = require('./candleStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session hours in UTC (end exclusive); London and New York overlap 13:00-16:00
+const PROFILE_SESSIONS = Object.freeze({
+    asia: { startHour: 0, endHour: 8 },
+    london: { startHour: 7, endHour: 16 },
+    new_york: { startHour: 13, endHour: 22 }
+});
+
+const PROFILE_TYPES = Object.freeze(['day', ...Object.keys(PROFILE_SESSIONS)]);
+
+// Bin width as a share of price, fixed per period so volume can be added incrementally
+const PROFILE_BIN_PERCENT = 0.05;
+
+const PROFILE_VALUE_AREA_PERCENT = 70;
+
+const DEFAULT_COMPOSITE_DAYS = 3;
+const MAX_COMPOSITE_DAYS = 30;
+
+// Day profiles are kept long enough for the largest composite
+const PROFILE_RETENTION_DAYS = MAX_COMPOSITE_DAYS;
+
+function getDayStart(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Profile bin width for a symbol at a price
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Reference price
+ * @returns {number} Bin size, a multiple of the tick size
+ */
+function getProfileBinSize(symbol, price) {
+    const tickSize = getTickSize(symbol, price);
+    const ticks = Math.max(1, Math.round((price * PROFILE_BIN_PERCENT / 100) / tickSize));
+
+    return parseFloat((ticks * tickSize).toFixed(getDecimalPlaces(tickSize)));
+}
+
+/**
+ * Profile periods (day and sessions) that contain a minute
+ * @param {number} time - Candle open time in ms
+ * @returns {Array} [{ type, periodStart, periodEnd }] with Date bounds
+ */
+function getProfilePeriods(time) {
+    const dayStart = getDayStart(time);
+    const hour = new Date(time).getUTCHours();
+    const periods = [{ type: 'day', periodStart: new Date(dayStart), periodEnd: new Date(dayStart + DAY_MS) }];
+
+    Object.entries(PROFILE_SESSIONS).forEach(([type, session]) => {
+        if (hour >= session.startHour && hour < session.endHour) {
+            periods.push({
+                type,
+                periodStart: new Date(dayStart + session.startHour * 60 * 60 * 1000),
+                periodEnd: new Date(dayStart + session.endHour * 60 * 60 * 1000)
+            });
+        }
+    });
+
+    return periods;
+}
+
+/**
+ * Add the volume of 1m candles to a level map
+ * @param {Object} levels - Bin index -> volume (modified in place)
+ * @param {Array} candles - 1m candles
+ * @param {number} binSize - Bin width
+ * @returns {Object} The level map
+ */
+function addCandlesToLevels(levels, candles, binSize) {
+    spreadCandleVolume(candles, binSize).forEach(trade => {
+        const index = Math.round(trade.price / binSize);
+        levels[index] = (levels[index] || 0) + trade.quantity;
+    });
+
+    return levels;
+}
+
+/**
+ * Merge level maps with different bin sizes onto the widest one
+ * @param {Array} profiles - [{ levels, binSize }]
+ * @returns {Object} { levels, binSize }
+ */
+function mergeProfileLevels(profiles) {
+    const binSize = Math.max(...profiles.map(profile => profile.binSize));
+    const levels = {};
+
+    profiles.forEach(profile => {
+        Object.entries(profile.levels || {}).forEach(([index, volume]) => {
+            const merged = Math.round((parseInt(index, 10) * profile.binSize) / binSize);
+            levels[merged] = (levels[merged] || 0) + volume;
+        });
+    });
+
+    return { levels, binSize };
+}
+
+/**
+ * POC / VAH / VAL of a level map
+ * @param {Object} levels - Bin index -> volume
+ * @param {number} binSize - Bin width
+ * @returns {Object|null} { poc, vah, val, totalVolume } or null without volume
+ */
+function summarizeProfileLevels(levels, binSize) {
+    const decimals = getDecimalPlaces(binSize);
+    const priceVolumeMap = {};
+    let totalVolume = 0;
+    let poc = null;
+    let pocVolume = 0;
+
+    Object.entries(levels).forEach(([index, volume]) => {
+        if (!(volume > 0)) {
+            return;
+        }
+
+        const price = parseFloat((parseInt(index, 10) * binSize).toFixed(decimals));
+        priceVolumeMap[price.toFixed(decimals)] = volume;
+        totalVolume += volume;
+
+        if (volume > pocVolume) {
+            pocVolume = volume;
+            poc = price;
+        }
+    });
+
+    if (poc === null) {
+        return null;
+    }
+
+    const { vah, val } = calculateValueArea(
+        priceVolumeMap, poc, totalVolume * (PROFILE_VALUE_AREA_PERCENT / 100), binSize
+    );
+
+    return { poc, vah, val, totalVolume: Math.round(totalVolume * 100) / 100 };
+}
+
+/**
+ * Fold the 1m candles closed since the last run into a symbol's profiles
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Object>} { candlesProcessed, profilesUpdated }
+ */
+async function updateSymbolProfiles(client, dbName, symbol, now = Date.now()) {
+    const collection = client.db(dbName).collection('volumeProfiles');
+
+    const latestDay = await collection.findOne({ symbol, type: 'day' }, { sort: { periodStart: -1 } });
+    const lastCandleTime = latestDay && latestDay.lastCandleTime ? new Date(latestDay.lastCandleTime).getTime() : 0;
+    // Older 1m candles have expired from the candle store, so they can't be folded in anyway
+    const catchUpMinutes = getCandleRetentionHours('1m') * 60;
+    const since = Math.max(lastCandleTime + 1, now - catchUpMinutes * 60000);
+
+    const candles = (await getCandleData(
+        client, dbName, symbol, '1m', catchUpMinutes + 1, 0, new Date(since), new Date(now)
+    ))
+        .filter(candle => new Date(candle.openTime).getTime() + 60000 <= now)
+        .sort((a, b) => new Date(a.openTime) - new Date(b.openTime));
+
+    if (candles.length === 0) {
+        return { candlesProcessed: 0, profilesUpdated: 0 };
+    }
+
+    // Group candles by profile period
+    const periods = new Map();
+    candles.forEach(candle => {
+        getProfilePeriods(new Date(candle.openTime).getTime()).forEach(period => {
+            const key = `${period.type}:${period.periodStart.getTime()}`;
+            if (!periods.has(key)) {
+                periods.set(key, { ...period, candles: [] });
+            }
+            periods.get(key).candles.push(candle);
+        });
+    });
+
+    // Sessions share the bin size of their day
+    const dayBinSizes = new Map();
+    const getDayBinSize = async (period) => {
+        const dayStart = getDayStart(period.periodStart.getTime());
+
+        if (!dayBinSizes.has(dayStart)) {
+            const day = await collection.findOne(
+                { symbol, type: 'day', periodStart: new Date(dayStart) },
+                { projection: { binSize: 1 } }
+            );
+            dayBinSizes.set(dayStart, day ? day.binSize : getProfileBinSize(symbol, period.candles[0].close));
+        }
+
+        return dayBinSizes.get(dayStart);
+    };
+
+    let profilesUpdated = 0;
+
+    for (const period of periods.values()) {
+        const filter = { symbol, type: period.type, periodStart: period.periodStart };
+        const existing = await collection.findOne(filter, { projection: { binSize: 1 } });
+        const binSize = existing ? existing.binSize : await getDayBinSize(period);
+
+        const levels = addCandlesToLevels({}, period.candles, binSize);
+        const increments = { candlesProcessed: period.candles.length };
+        Object.entries(levels).forEach(([index, volume]) => {
+            increments[`levels.${index}`] = volume;
+        });
+
+        await collection.updateOne(
+            filter,
+            {
+                $inc: increments,
+                $max: { lastCandleTime: new Date(period.candles[period.candles.length - 1].openTime) },
+                $setOnInsert: { periodEnd: period.periodEnd, binSize, createdAt: new Date() }
+            },
+            { upsert: true }
+        );
+
+        const profile = await collection.findOne(filter);
+        const summary = summarizeProfileLevels(profile.levels || {}, profile.binSize);
+
+        await collection.updateOne(filter, { $set: { ...summary, updatedAt: new Date() } });
+        profilesUpdated++;
+    }
+
+    return { candlesProcessed: candles.length, profilesUpdated };
+}
+
+/**
+ * Update the profiles of all selected symbols and drop expired ones
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Object>} { symbols, candlesProcessed, profilesUpdated, profilesRemoved }
+ */
+async function updateVolumeProfiles(client, dbName) {
+    const now = Date.now();
+    const symbols = await getSelectedSymbols(client, dbName);
+    const result = { symbols: symbols.length, candlesProcessed: 0, profilesUpdated: 0, profilesRemoved: 0 };
+
+    for (const symbol of symbols) {
+        try {
+            const updated = await updateSymbolProfiles(client, dbName, symbol, now);
+            result.candlesProcessed += updated.candlesProcessed;
+            result.profilesUpdated += updated.profilesUpdated;
+        } catch (error) {
+            console.error(`❌ Error updating ${symbol} volume profiles:`, error.message);
+        }
+    }
+
+    const removed = await client.db(dbName).collection('volumeProfiles').deleteMany({
+        periodStart: { $lt: new Date(getDayStart(now) - PROFILE_RETENTION_DAYS * DAY_MS) }
+    });
+    result.profilesRemoved = removed.deletedCount;
+
+    return result;
+}
+
+/**
+ * Public view of a stored profile (without the level map)
+ * @param {Object} profile - volumeProfiles document
+ * @returns {Object|null} Profile summary
+ */
+function formatProfile(profile) {
+    if (!profile) {
+        return null;
+    }
+
+    return {
+        type: profile.type,
+        periodStart: profile.periodStart,
+        periodEnd: profile.periodEnd,
+        poc: profile.poc,
+        vah: profile.vah,
+        val: profile.val,
+        totalVolume: profile.totalVolume,
+        binSize: profile.binSize,
+        candlesProcessed: profile.candlesProcessed,
+        lastCandleTime: profile.lastCandleTime
+    };
+}
+
+/**
+ * Composite profile of the last N UTC days (including the current one) up to a time
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} [days] - Days in the composite
+ * @param {number} [time] - End of the composite in ms (default now)
+ * @returns {Promise<Object|null>} { days, daysAvailable, periodStart, poc, vah, val, totalVolume, binSize } or null
+ */
+async function getCompositeProfile(client, dbName, symbol, days = DEFAULT_COMPOSITE_DAYS, time = Date.now()) {
+    const periodStart = new Date(getDayStart(time) - (days - 1) * DAY_MS);
+
+    const dayProfiles = await client.db(dbName).collection('volumeProfiles')
+        .find({ symbol, type: 'day', periodStart: { $gte: periodStart, $lte: new Date(time) } })
+        .toArray();
+
+    if (dayProfiles.length === 0) {
+        return null;
+    }
+
+    const { levels, binSize } = mergeProfileLevels(dayProfiles);
+    const summary = summarizeProfileLevels(levels, binSize);
+
+    return summary ? { days, daysAvailable: dayProfiles.length, periodStart, ...summary, binSize } : null;
+}
+
+/**
+ * Composite profile from 1m candles already in memory (backtests)
+ * @param {Array} candles - 1m candles sorted by openTime
+ * @param {string} symbol - Trading symbol
+ * @param {number} days - Days in the composite
+ * @param {number} time - End of the composite in ms
+ * @returns {Object|null} Same shape as getCompositeProfile
+ */
+function buildCompositeFromCandles(candles, symbol, days, time) {
+    const periodStart = getDayStart(time) - (days - 1) * DAY_MS;
+    const window = candles.filter(candle => {
+        const openTime = new Date(candle.openTime).getTime();
+        return openTime >= periodStart && openTime + 60000 <= time;
+    });
+
+    if (window.length === 0) {
+        return null;
+    }
+
+    const binSize = getProfileBinSize(symbol, window[window.length - 1].close);
+    const summary = summarizeProfileLevels(addCandlesToLevels({}, window, binSize), binSize);
+    const daysAvailable = new Set(window.map(candle => getDayStart(new Date(candle.openTime).getTime()))).size;
+
+    return summary ? { days, daysAvailable, periodStart: new Date(periodStart), ...summary, binSize } : null;
+}
+
+/**
+ * Current day, session and composite profiles of a symbol
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {Object} [options] - { compositeDays, time }
+ * @returns {Promise<Object>} { day, sessions: { asia, london, new_york }, composite }
+ */
+async function getSymbolProfiles(client, dbName, symbol, options = {}) {
+    const { compositeDays = DEFAULT_COMPOSITE_DAYS, time = Date.now() } = options;
+    const collection = client.db(dbName).collection('volumeProfiles');
+
+    // Latest profile of each type that started by `time` (a finished session until the next one starts)
+    const latest = async (type) => formatProfile(await collection.findOne(
+        { symbol, type, periodStart: { $lte: new Date(time) } },
+        { sort: { periodStart: -1 } }
+    ));
+
+    const sessions = {};
+    for (const type of Object.keys(PROFILE_SESSIONS)) {
+        sessions[type] = await latest(type);
+    }
+
+    return {
+        day: await latest('day'),
+        sessions,
+        composite: await getCompositeProfile(client, dbName, symbol, compositeDays, time)
+    };
+}
+
+/**
+ * Most recent session profile (asia, london or new_york) that had ended by a time
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number|Date} time - Reference time
+ * @returns {Promise<Object|null>} Profile summary or null when none is stored
+ */
+async function getPriorSessionProfile(client, dbName, symbol, time) {
+    const profile = await client.db(dbName).collection('volumeProfiles').findOne(
+        { symbol, type: { $in: Object.keys(PROFILE_SESSIONS) }, periodEnd: { $lte: new Date(time) } },
+        { sort: { periodEnd: -1 } }
+    );
+
+    return formatProfile(profile);
+}
+
+/**
+ * Composite profile for a reversal, stored on its footprint for the validator
+ * Never throws - a missing composite only fails the optional composite check
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} time - Reversal close time in ms
+ * @param {Object} validationRules - Resolved validation rules (compositeDays)
+ * @returns {Promise<Object|null>} Composite summary or null
+ */
+async function getReversalCompositeProfile(client, dbName, symbol, time, validationRules) {
+    try {
+        return await getCompositeProfile(client, dbName, symbol, validationRules.compositeDays || DEFAULT_COMPOSITE_DAYS, time);
+    } catch (error) {
+        console.error(`❌ Error loading ${symbol} composite profile:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    PROFILE_SESSIONS,
+    PROFILE_TYPES,
+    DEFAULT_COMPOSITE_DAYS,
+    MAX_COMPOSITE_DAYS,
+    getProfileBinSize,
+    getProfilePeriods,
+    addCandlesToLevels,
+    mergeProfileLevels,
+    summarizeProfileLevels,
+    updateSymbolProfiles,
+    updateVolumeProfiles,
+    getCompositeProfile,
+    buildCompositeFromCandles,
+    getSymbolProfiles,
+    getPriorSessionProfile,
+    getReversalCompositeProfile
+};
@@ -0,0 +1,300 @@
+/**
+ * Signal De-duplication
+ * Intervals 2m-60m overlap, so one wick often produces near-identical valid
+ * signals on several timeframes (5m, 6m, 10m, 12m ...). Each new valid signal is
+ * compared with the parent signals of the same symbol and direction:
+ *
+ * - cluster: close times within `closeTimeToleranceMinutes` and stop prices within
+ *   `stopTolerancePercent` of each other - the signals describe the same trade
+ * - cooldown: the signal closes less than `cooldownMinutes` after a parent
+ *
+ * One signal of a cluster is the canonical parent (highest score, then the
+ * higher timeframe); the others are saved as siblings linked to it with
+ * `deduplication.parentId`. Cooldown siblings never replace their parent.
+ *
+ * Settings are set per detection profile (`deduplication` block), so symbol
+ * overrides give per-symbol cooldowns. A signal that is re-validated later
+ * (footprint upgrade) is unlinked and linked again with relinkSignal.
+ */
+
+const { getSignalRisk } = require('./takeProfitTargets');
+
+const DEFAULT_DEDUPLICATION = Object.freeze({
+    enabled: true,
+    closeTimeToleranceMinutes: 15,
+    stopTolerancePercent: 0.2,
+    cooldownMinutes: 0
+});
+
+/**
+ * Validate and normalize de-duplication settings coming from user input
+ * @param {Object} input - Raw settings
+ * @returns {Object} { deduplication, errors } - only known keys are kept
+ */
+function normalizeDeduplication(input = {}) {
+    const deduplication = {};
+    const errors = [];
+
+    if (input.enabled !== undefined && input.enabled !== null && input.enabled !== '') {
+        deduplication.enabled = input.enabled === true || input.enabled === 'true';
+    }
+
+    const ranges = {
+        closeTimeToleranceMinutes: [0, 240],
+        stopTolerancePercent: [0, 5],
+        cooldownMinutes: [0, 1440]
+    };
+
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+        if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+        const value = parseFloat(input[key]);
+        if (isNaN(value) || value < min || value > max) {
+            errors.push(`deduplication.${key} must be a number between ${min} and ${max}`);
+        } else {
+            deduplication[key] = value;
+        }
+    }
+
+    return { deduplication, errors };
+}
+
+function toTime(value) {
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Does `signal` make a better parent than `parent`? Higher score wins, then the higher timeframe
+ */
+function outranks(signal, parent) {
+    const scoreDifference = (signal.tradeSignal.score || 0) - (parent.tradeSignal.score || 0);
+
+    if (scoreDifference !== 0) {
+        return scoreDifference > 0;
+    }
+    return (parseInt(signal.interval, 10) || 0) > (parseInt(parent.interval, 10) || 0);
+}
+
+/**
+ * Compare a signal with one parent
+ * @param {Object} signal - New signal (closeTime, candleData, tradeSignal)
+ * @param {Object} parent - Existing parent signal
+ * @param {Object} settings - Resolved de-duplication settings
+ * @returns {Object|null} { reason, closeTimeDifferenceMinutes, stopDifferencePercent } or null
+ */
+function matchSignals(signal, parent, settings) {
+    const signalRisk = getSignalRisk(signal);
+    const parentRisk = getSignalRisk(parent);
+
+    if (!signalRisk || !parentRisk) {
+        return null;
+    }
+
+    const closeDifference = toTime(signal.closeTime) - toTime(parent.closeTime);
+    const closeTimeDifferenceMinutes = Math.round(Math.abs(closeDifference) / 60000 * 10) / 10;
+    const stopDifferencePercent = Math.round(Math.abs(signalRisk.stopPrice - parentRisk.stopPrice) / parentRisk.stopPrice * 100 * 1000) / 1000;
+
+    if (closeTimeDifferenceMinutes <= settings.closeTimeToleranceMinutes && stopDifferencePercent <= settings.stopTolerancePercent) {
+        return { reason: 'cluster', closeTimeDifferenceMinutes, stopDifferencePercent };
+    }
+
+    if (settings.cooldownMinutes > 0 && closeDifference >= 0 && closeDifference < settings.cooldownMinutes * 60000) {
+        return { reason: 'cooldown', closeTimeDifferenceMinutes, stopDifferencePercent };
+    }
+
+    return null;
+}
+
+/**
+ * Pick the parent a signal belongs to: the closest cluster match, else a cooldown match
+ * @param {Object} signal - New signal
+ * @param {Array} parents - Candidate parents of the same symbol and direction
+ * @param {Object} settings - Resolved de-duplication settings
+ * @returns {Object|null} { parent, match } or null when the signal is a new parent
+ */
+function findParentSignal(signal, parents, settings) {
+    const matches = parents
+        .map(parent => ({ parent, match: matchSignals(signal, parent, settings) }))
+        .filter(candidate => candidate.match);
+
+    const byDistance = (a, b) => a.match.closeTimeDifferenceMinutes - b.match.closeTimeDifferenceMinutes
+        || a.match.stopDifferencePercent - b.match.stopDifferencePercent;
+
+    return matches.filter(candidate => candidate.match.reason === 'cluster').sort(byDistance)[0]
+        || matches.sort(byDistance)[0]
+        || null;
+}
+
+/**
+ * Recount the siblings linked to a parent and store the summary on it
+ */
+async function refreshParentSummary(collection, parentId, now) {
+    const siblings = await collection.find(
+        { 'deduplication.parentId': parentId },
+        { projection: { interval: 1 } }
+    ).toArray();
+
+    const siblingIntervals = [...new Set(siblings.map(sibling => sibling.interval))]
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+    await collection.updateOne(
+        { _id: parentId },
+        { $set: { deduplication: { role: 'parent', parentId: null, siblingCount: siblings.length, siblingIntervals, updatedAt: now } } }
+    );
+
+    return siblings.length;
+}
+
+/**
+ * Link a saved signal to its cluster, making it a parent or a sibling
+ * Signals without a valid trade signal are left alone.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} signal - Saved reversal document (with _id)
+ * @param {Object} [settings] - De-duplication settings of the signal's detection profile
+ * @returns {Promise<Object|null>} { role, parentId, reason, promoted } or null when skipped
+ */
+async function deduplicateSignal(client, dbName, signal, settings) {
+    const resolved = { ...DEFAULT_DEDUPLICATION, ...settings };
+
+    if (!resolved.enabled || !signal._id || !signal.tradeSignal || !signal.tradeSignal.isValidSignal) {
+        return null;
+    }
+
+    const collection = client.db(dbName).collection('reversalCandles');
+    const closeTime = toTime(signal.closeTime);
+    const lookbackMinutes = Math.max(resolved.closeTimeToleranceMinutes, resolved.cooldownMinutes);
+    const now = new Date();
+
+    const parents = await collection.find({
+        symbol: signal.symbol,
+        'tradeSignal.isValidSignal': true,
+        'tradeSignal.signalType': signal.tradeSignal.signalType,
+        'deduplication.role': 'parent',
+        _id: { $ne: signal._id },
+        closeTime: {
+            $gte: new Date(closeTime - lookbackMinutes * 60000),
+            $lte: new Date(closeTime + resolved.closeTimeToleranceMinutes * 60000)
+        }
+    }).toArray();
+
+    const found = findParentSignal(signal, parents, resolved);
+
+    if (!found) {
+        await collection.updateOne(
+            { _id: signal._id },
+            { $set: { deduplication: { role: 'parent', parentId: null, siblingCount: 0, siblingIntervals: [], updatedAt: now } } }
+        );
+        return { role: 'parent', parentId: null, reason: null, promoted: false };
+    }
+
+    const { parent, match } = found;
+    const sibling = (parentSignal) => ({
+        role: 'sibling',
+        parentId: parentSignal._id,
+        parentInterval: parentSignal.interval,
+        reason: match.reason,
+        closeTimeDifferenceMinutes: match.closeTimeDifferenceMinutes,
+        stopDifferencePercent: match.stopDifferencePercent,
+        updatedAt: now
+    });
+
+    // A better signal of the same cluster takes over as parent
+    if (match.reason === 'cluster' && outranks(signal, parent)) {
+        await collection.updateMany(
+            { 'deduplication.parentId': parent._id },
+            { $set: { 'deduplication.parentId': signal._id, 'deduplication.parentInterval': signal.interval, 'deduplication.updatedAt': now } }
+        );
+        await collection.updateOne({ _id: parent._id }, { $set: { deduplication: sibling(signal) } });
+        const siblingCount = await refreshParentSummary(collection, signal._id, now);
+
+        console.log(`🔗 ${signal.symbol} ${signal.interval} ${signal.tradeSignal.signalType} replaces ${parent.interval} as parent of ${siblingCount} similar signal(s)`);
+        return { role: 'parent', parentId: null, reason: match.reason, promoted: true };
+    }
+
+    await collection.updateOne({ _id: signal._id }, { $set: { deduplication: sibling(parent) } });
+    await refreshParentSummary(collection, parent._id, now);
+
+    console.log(`🔗 ${signal.symbol} ${signal.interval} ${signal.tradeSignal.signalType} linked to ${parent.interval} parent (${match.reason})`);
+    return { role: 'sibling', parentId: parent._id, reason: match.reason, promoted: false };
+}
+
+/**
+ * Remove a signal from its cluster
+ * A sibling leaves its parent; the siblings of a parent are unlinked and linked
+ * again among themselves, best first, so one of them becomes the new parent.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} signal - Reversal document as it was linked (with _id and deduplication)
+ * @returns {Promise<number>} Siblings linked again
+ */
+async function unlinkSignal(client, dbName, signal) {
+    const link = signal.deduplication;
+
+    if (!link) {
+        return 0;
+    }
+
+    const collection = client.db(dbName).collection('reversalCandles');
+    await collection.updateOne({ _id: signal._id }, { $unset: { deduplication: '' } });
+
+    if (link.role === 'sibling') {
+        if (link.parentId) {
+            await refreshParentSummary(collection, link.parentId, new Date());
+        }
+        return 0;
+    }
+
+    const siblings = await collection.find({ 'deduplication.parentId': signal._id }).toArray();
+    await collection.updateMany({ 'deduplication.parentId': signal._id }, { $unset: { deduplication: '' } });
+
+    siblings.sort((a, b) => (outranks(a, b) ? -1 : outranks(b, a) ? 1 : 0));
+    for (const sibling of siblings) {
+        await deduplicateSignal(client, dbName, sibling, sibling.detectionProfile && sibling.detectionProfile.deduplication);
+    }
+
+    return siblings.length;
+}
+
+/**
+ * Unlink a re-validated signal from its old cluster and link it again with its
+ * new trade signal. Never throws.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} previous - Reversal document before re-validation
+ * @param {Object} signal - Reversal document after re-validation (same _id)
+ * @param {Object} [settings] - De-duplication settings of the signal's detection profile
+ * @returns {Promise<Object|null>} Result of deduplicateSignal, or null when not linked
+ */
+async function relinkSignal(client, dbName, previous, signal, settings) {
+    try {
+        await unlinkSignal(client, dbName, previous);
+        return await deduplicateSignal(client, dbName, signal, settings);
+    } catch (error) {
+        console.error(`❌ Error re-linking ${signal.symbol} ${signal.interval} signal:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * De-duplicate a saved signal without failing the save
+ * @returns {Promise<Object|null>} Result of deduplicateSignal, or null on error
+ */
+async function deduplicateSignalSafely(client, dbName, signal, settings) {
+    try {
+        return await deduplicateSignal(client, dbName, signal, settings);
+    } catch (error) {
+        console.error(`❌ Error de-duplicating ${signal.symbol} ${signal.interval} signal:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_DEDUPLICATION,
+    normalizeDeduplication,
+    matchSignals,
+    findParentSignal,
+    deduplicateSignal,
+    deduplicateSignalSafely,
+    unlinkSignal,
+    relinkSignal
+};
@@ -0,0 +1,328 @@
+/**
+ * Signal Outcome Tracker
+ * Follows each valid trade signal through the 1m candles that close after it
+ * and records what happened in an `outcome` sub-document.
+ *
+ * - Entry is the signal candle close, stop is the signal candle low (buy) or
+ *   high (sell) - the same levels calculateStopLoss shows on the dashboard
+ * - Targets are 1R, 2R and 3R away from the entry
+ * - A candle that touches both the stop and a new target counts as stopped
+ * - Tracking ends at the stop, at 3R, or after OUTCOME_HORIZON_MINUTES
+ *
+ * rMultiple follows one exit rule (EXIT_RULE): the whole position is held to
+ * the final target (+3R) or the stop (-1R), whichever comes first, and is
+ * closed at the last close when the horizon runs out. Targets reached on the
+ * way (targetHits, maxTargetHit) and MFE/MAE only describe the path; they
+ * don't change the booked result.
+ *
+ * The candle store only keeps getCandleRetentionHours('1m') of 1m history (far
+ * less than the horizon), so progress (targets hit, excursions, last candle
+ * seen) is stored on the outcome and each run only reads the candles that
+ * arrived since the previous one.
+ */
+
+const { getCandleCollection } = require('./candleStore');
+
+const OUTCOME_HORIZON_MINUTES = 24 * 60;
+
+const TARGET_MULTIPLES = [1, 2, 3];
+
+const FINAL_TARGET = TARGET_MULTIPLES[TARGET_MULTIPLES.length - 1];
+
+// Recorded on each outcome so results booked under an earlier rule can be found
+const EXIT_RULE = 'final_target_or_stop';
+
+// Signals checked per run, oldest first
+const MAX_SIGNALS_PER_RUN = 500;
+
+/**
+ * Create the initial outcome for a signal
+ * @param {Object} signal - Reversal document with a valid tradeSignal
+ * @returns {Object|null} Outcome, or null when the signal has no usable risk
+ */
+function initializeOutcome(signal) {
+    const signalType = signal.tradeSignal && signal.tradeSignal.signalType;
+    const candle = signal.candleData || {};
+    const entryPrice = candle.close;
+    const stopPrice = signalType === 'buy' ? candle.low : candle.high;
+
+    if (!signalType || typeof entryPrice !== 'number' || typeof stopPrice !== 'number') {
+        return null;
+    }
+
+    const riskPerUnit = Math.abs(entryPrice - stopPrice);
+
+    if (riskPerUnit === 0) {
+        return null;
+    }
+
+    const side = signalType === 'buy' ? 1 : -1;
+    const targets = {};
+    TARGET_MULTIPLES.forEach(r => {
+        targets[`r${r}`] = entryPrice + side * r * riskPerUnit;
+    });
+
+    return {
+        status: 'open',
+        result: 'pending',
+        exitRule: EXIT_RULE,
+        firstHit: null,
+        signalType,
+        entryPrice,
+        stopPrice,
+        riskPerUnit,
+        targets,
+        targetHits: { r1: null, r2: null, r3: null },
+        stopHitAt: null,
+        maxTargetHit: 0,
+        rMultiple: null,
+        mfe: 0,
+        mae: 0,
+        mfeR: 0,
+        maeR: 0,
+        timeToOutcomeMinutes: null,
+        candlesChecked: 0,
+        lastCandleTime: null,
+        lastClose: null,
+        resolvedAt: null
+    };
+}
+
+/**
+ * Advance an open outcome through newer 1m candles
+ * @param {Object} outcome - Current outcome (from initializeOutcome or the database)
+ * @param {Array} candles - 1m candles after outcome.lastCandleTime, oldest first
+ * @param {Date} signalCloseTime - Close time of the signal candle
+ * @returns {Object} Updated outcome
+ */
+function advanceOutcome(outcome, candles, signalCloseTime) {
+    const next = { ...outcome, targetHits: { ...outcome.targetHits } };
+    const isBuy = next.signalType === 'buy';
+    const signalClose = new Date(signalCloseTime).getTime();
+
+    for (const candle of candles) {
+        if (next.status !== 'open') {
+            break;
+        }
+
+        next.candlesChecked++;
+        next.lastCandleTime = candle.openTime;
+        next.lastClose = candle.close;
+
+        const favourable = isBuy ? candle.high - next.entryPrice : next.entryPrice - candle.low;
+        const adverse = isBuy ? next.entryPrice - candle.low : candle.high - next.entryPrice;
+        next.mfe = Math.max(next.mfe, favourable);
+        next.mae = Math.max(next.mae, adverse);
+
+        const stopHit = isBuy ? candle.low <= next.stopPrice : candle.high >= next.stopPrice;
+        const minutesSinceSignal = Math.round((new Date(candle.closeTime).getTime() - signalClose) / 60000);
+
+        if (stopHit) {
+            next.stopHitAt = candle.openTime;
+            next.firstHit = next.firstHit || 'stop';
+            resolve(next, 'loss', -1, minutesSinceSignal);
+            break;
+        }
+
+        for (const r of TARGET_MULTIPLES) {
+            const key = `r${r}`;
+            const targetHit = isBuy ? candle.high >= next.targets[key] : candle.low <= next.targets[key];
+
+            if (targetHit && !next.targetHits[key]) {
+                next.targetHits[key] = candle.openTime;
+                next.maxTargetHit = r;
+                next.firstHit = next.firstHit || key;
+            }
+        }
+
+        if (next.maxTargetHit === FINAL_TARGET) {
+            resolve(next, 'win', FINAL_TARGET, minutesSinceSignal);
+        }
+    }
+
+    next.mfeR = round(next.mfe / next.riskPerUnit);
+    next.maeR = round(next.mae / next.riskPerUnit);
+
+    return next;
+}
+
+/**
+ * Close an outcome that reached the horizon without hitting the stop or the final target
+ * The position is closed at the last close seen (0R when no candle was seen),
+ * whatever targets were reached on the way
+ * @param {Object} outcome - Open outcome
+ * @returns {Object} Closed outcome
+ */
+function expireOutcome(outcome) {
+    const next = { ...outcome };
+
+    resolve(next, 'expired', markToMarket(next), OUTCOME_HORIZON_MINUTES);
+
+    return next;
+}
+
+/**
+ * R of the position at the last close seen
+ */
+function markToMarket(outcome) {
+    const side = outcome.signalType === 'buy' ? 1 : -1;
+
+    return typeof outcome.lastClose === 'number'
+        ? round(side * (outcome.lastClose - outcome.entryPrice) / outcome.riskPerUnit)
+        : 0;
+}
+
+/**
+ * Mark an outcome as closed with the R of its exit
+ */
+function resolve(outcome, result, rMultiple, minutesSinceSignal) {
+    outcome.status = 'closed';
+    outcome.result = result;
+    outcome.exitRule = EXIT_RULE;
+    outcome.rMultiple = rMultiple;
+    outcome.timeToOutcomeMinutes = minutesSinceSignal;
+    outcome.resolvedAt = new Date();
+}
+
+/**
+ * Re-book closed outcomes resolved before EXIT_RULE
+ * Those booked a stop after a target as the highest target reached. Never throws.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<number>} Outcomes re-booked
+ */
+async function rebookLegacyOutcomes(client, dbName) {
+    try {
+        const collection = client.db(dbName).collection('reversalCandles');
+        const signals = await collection.find(
+            { 'outcome.status': 'closed', 'outcome.riskPerUnit': { $gt: 0 }, 'outcome.exitRule': { $exists: false } },
+            { projection: { outcome: 1 } }
+        ).toArray();
+
+        const operations = signals.map(({ _id, outcome }) => {
+            let exit = { result: 'expired', rMultiple: markToMarket(outcome) };
+            if (outcome.stopHitAt) {
+                exit = { result: 'loss', rMultiple: -1 };
+            } else if (outcome.maxTargetHit === FINAL_TARGET) {
+                exit = { result: 'win', rMultiple: FINAL_TARGET };
+            }
+
+            return {
+                updateOne: {
+                    filter: { _id },
+                    update: { $set: { 'outcome.result': exit.result, 'outcome.rMultiple': exit.rMultiple, 'outcome.exitRule': EXIT_RULE } }
+                }
+            };
+        });
+
+        if (operations.length > 0) {
+            await collection.bulkWrite(operations, { ordered: false });
+            console.log(`✅ Re-booked ${operations.length} signal outcomes with the ${EXIT_RULE} exit rule`);
+        }
+
+        return operations.length;
+    } catch (error) {
+        console.error('❌ Error re-booking signal outcomes:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Update outcomes for all valid signals that are still being tracked
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Object>} { signalsChecked, outcomesUpdated, outcomesClosed }
+ */
+async function trackSignalOutcomes(client, dbName) {
+    if (!client) {
+        throw new Error('Database connection not available');
+    }
+
+    const db = client.db(dbName);
+    const reversalCollection = db.collection('reversalCandles');
+    const candleCollection = getCandleCollection(db);
+    const now = Date.now();
+
+    const signals = await reversalCollection.find({
+        'tradeSignal.isValidSignal': true,
+        'outcome.status': { $ne: 'closed' },
+        closeTime: { $lt: new Date(now) }
+    })
+        .sort({ closeTime: 1 })
+        .limit(MAX_SIGNALS_PER_RUN)
+        .toArray();
+
+    const operations = [];
+    let outcomesClosed = 0;
+
+    for (const signal of signals) {
+        let outcome = signal.outcome || initializeOutcome(signal);
+
+        if (!outcome) {
+            // Zero or missing stop distance - nothing to measure R against
+            operations.push({
+                updateOne: {
+                    filter: { _id: signal._id },
+                    update: { $set: { outcome: { status: 'closed', result: 'untracked', updatedAt: new Date() } } }
+                }
+            });
+            continue;
+        }
+
+        const horizonEnd = new Date(signal.closeTime.getTime() + OUTCOME_HORIZON_MINUTES * 60 * 1000);
+        const candles = await candleCollection.find({
+            symbol: signal.symbol,
+            interval: '1m',
+            openTime: { $gt: outcome.lastCandleTime || signal.closeTime, $lt: horizonEnd },
+            closeTime: { $lt: new Date(now) }
+        })
+            .sort({ openTime: 1 })
+            .toArray();
+
+        const previousCount = outcome.candlesChecked;
+        outcome = advanceOutcome(outcome, candles, signal.closeTime);
+
+        if (outcome.status === 'open' && now >= horizonEnd.getTime()) {
+            outcome = expireOutcome(outcome);
+        }
+
+        if (signal.outcome && outcome.status === 'open' && outcome.candlesChecked === previousCount) {
+            continue;
+        }
+
+        if (outcome.status === 'closed') {
+            outcomesClosed++;
+        }
+
+        operations.push({
+            updateOne: {
+                filter: { _id: signal._id },
+                update: { $set: { outcome: { ...outcome, updatedAt: new Date() } } }
+            }
+        });
+    }
+
+    if (operations.length > 0) {
+        await reversalCollection.bulkWrite(operations, { ordered: false });
+    }
+
+    return {
+        signalsChecked: signals.length,
+        outcomesUpdated: operations.length,
+        outcomesClosed
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    OUTCOME_HORIZON_MINUTES,
+    EXIT_RULE,
+    initializeOutcome,
+    advanceOutcome,
+    expireOutcome,
+    trackSignalOutcomes,
+    rebookLegacyOutcomes
+};
@@ -0,0 +1,168 @@
+/**
+ * Symbol Info
+ * Exchange metadata per symbol (price tick size, lot sizes, min notional, listing
+ * date) from the symbol universe that getTopMoversSymbols already downloads
+ * through the exchange adapter. Stored in `symbolInfo` and kept in memory so the
+ * footprint calculator, position sizing and price formatting can read it synchronously.
+ *
+ * Synced by the top movers job (startup + hourly); loaded from the database at
+ * startup so the tick sizes are available before the first sync.
+ */
+
+let symbolInfoCache = new Map();
+let loadedAt = null;
+
+const parseNumber = value => (value !== undefined && value !== null && !isNaN(parseFloat(value)) ? parseFloat(value) : null);
+
+/**
+ * Extract the metadata of one Binance exchangeInfo symbol
+ * @param {Object} exchangeSymbol - Entry of exchangeInfo.symbols
+ * @returns {Object} { symbol, tickSize, stepSize, minQty, maxQty, marketStepSize, marketMaxQty, minNotional, listedAt, ... }
+ */
+function parseSymbolInfo(exchangeSymbol) {
+    const filters = exchangeSymbol.filters || [];
+    const findFilter = type => filters.find(filter => filter.filterType === type) || {};
+    const priceFilter = findFilter('PRICE_FILTER');
+    const lotSize = findFilter('LOT_SIZE');
+    const marketLotSize = findFilter('MARKET_LOT_SIZE');
+    const minNotional = findFilter('MIN_NOTIONAL');
+
+    return {
+        symbol: exchangeSymbol.symbol,
+        status: exchangeSymbol.status || null,
+        contractType: exchangeSymbol.contractType || null,
+        quoteAsset: exchangeSymbol.quoteAsset || null,
+        tickSize: parseNumber(priceFilter.tickSize),
+        minPrice: parseNumber(priceFilter.minPrice),
+        maxPrice: parseNumber(priceFilter.maxPrice),
+        stepSize: parseNumber(lotSize.stepSize),
+        minQty: parseNumber(lotSize.minQty),
+        maxQty: parseNumber(lotSize.maxQty),
+        marketStepSize: parseNumber(marketLotSize.stepSize),
+        marketMinQty: parseNumber(marketLotSize.minQty),
+        marketMaxQty: parseNumber(marketLotSize.maxQty),
+        minNotional: parseNumber(minNotional.notional || minNotional.minNotional),
+        pricePrecision: exchangeSymbol.pricePrecision ?? null,
+        quantityPrecision: exchangeSymbol.quantityPrecision ?? null,
+        listedAt: exchangeSymbol.onboardDate ? new Date(exchangeSymbol.onboardDate) : null
+    };
+}
+
+/**
+ * Store symbol metadata (from an exchange adapter's symbol universe) and refresh the in-memory copy
+ * Symbols missing from the list keep their last stored metadata.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Array} symbolInfos - Parsed metadata, one entry per symbol
+ * @returns {Promise<number>} Symbols synced
+ */
+async function saveSymbolInfo(client, dbName, symbolInfos) {
+    if (!Array.isArray(symbolInfos) || symbolInfos.length === 0) {
+        return 0;
+    }
+
+    const updatedAt = new Date();
+    const symbols = symbolInfos.filter(info => info.symbol);
+
+    await client.db(dbName).collection('symbolInfo').bulkWrite(
+        symbols.map(info => ({
+            updateOne: {
+                filter: { symbol: info.symbol },
+                update: { $set: { ...info, updatedAt } },
+                upsert: true
+            }
+        })),
+        { ordered: false }
+    );
+
+    symbols.forEach(info => symbolInfoCache.set(info.symbol, { ...info, updatedAt }));
+    loadedAt = updatedAt;
+
+    console.log(`📏 Synced exchange info for ${symbols.length} symbols`);
+    return symbols.length;
+}
+
+/**
+ * Store the metadata of all Binance exchangeInfo symbols
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Array} exchangeSymbols - exchangeInfo.symbols
+ * @returns {Promise<number>} Symbols synced
+ */
+async function syncSymbolInfo(client, dbName, exchangeSymbols) {
+    if (!Array.isArray(exchangeSymbols)) {
+        return 0;
+    }
+
+    return saveSymbolInfo(client, dbName, exchangeSymbols.map(parseSymbolInfo));
+}
+
+/**
+ * Load all stored symbol metadata into memory
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<number>} Symbols loaded
+ */
+async function loadSymbolInfo(client, dbName) {
+    const stored = await client.db(dbName).collection('symbolInfo').find({}).toArray();
+
+    symbolInfoCache = new Map(stored.map(info => [info.symbol, info]));
+    loadedAt = new Date();
+
+    return symbolInfoCache.size;
+}
+
+/**
+ * All symbol metadata, loaded from the database on first use
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @returns {Promise<Map>} symbol -> metadata
+ */
+async function getAllSymbolInfo(client, dbName) {
+    if (!loadedAt && client) {
+        await loadSymbolInfo(client, dbName);
+    }
+
+    return symbolInfoCache;
+}
+
+/**
+ * Metadata of one symbol from memory
+ * @param {string} symbol - Trading symbol
+ * @returns {Object|null} Metadata or null when the symbol hasn't been synced
+ */
+function getSymbolInfo(symbol) {
+    return symbolInfoCache.get(symbol) || null;
+}
+
+/**
+ * Format a price with the symbol's tick size decimals
+ * Unknown symbols get up to 8 decimals without trailing zeros.
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Price
+ * @returns {string} Formatted price ('N/A' for non-numbers)
+ */
+function formatPrice(symbol, price) {
+    if (typeof price !== 'number' || isNaN(price)) {
+        return 'N/A';
+    }
+
+    const info = getSymbolInfo(symbol);
+
+    if (info && info.tickSize > 0) {
+        const decimals = Math.max(0, Math.ceil(-Math.log10(info.tickSize) - 1e-9));
+        return price.toFixed(decimals);
+    }
+
+    return price.toFixed(8).replace(/\.?0+$/, '');
+}
+
+module.exports = {
+    parseSymbolInfo,
+    saveSymbolInfo,
+    syncSymbolInfo,
+    loadSymbolInfo,
+    getAllSymbolInfo,
+    getSymbolInfo,
+    formatPrice
+};
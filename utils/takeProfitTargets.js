@@ -0,0 +1,176 @@
+/**
+ * Take-Profit Targets
+ * Derives TP1/TP2/TP3 for a valid signal from its volume profile and the
+ * structure around it, with fixed R multiples as the fallback.
+ *
+ * Entry is the signal candle close and the stop is its low (buy) / high (sell),
+ * the same levels as calculateStopLoss and the outcome tracker.
+ *
+ * Candidate levels (only those beyond the entry by at least MIN_TARGET_R count):
+ * - candle_poc / candle_vah / candle_val: the reversal candle's own footprint
+ * - session_poc / session_vah / session_val: value area of the prior session, the
+ *   latest stored session profile (asia, london, new_york) that ended before the pattern
+ * - swing_high / swing_low: extreme of the last SWING_LOOKBACK candles of the interval
+ *
+ * Targets are filled nearest first; when structure runs out, the next fixed
+ * R multiple (1R, 2R, 3R, ...) beyond the previous target is used.
+ * rewardToRisk is the R:R of TP1.
+ */
+
+const { getPreviousCandles } = require('../models/database');
+const { getPriorSessionProfile } = require('./sessionVolumeProfiles');
+
+const TARGET_COUNT = 3;
+
+// Structure closer than this (in R) isn't worth a target
+const MIN_TARGET_R = 0.5;
+
+// Structure further than this (in R) is ignored
+const MAX_TARGET_R = 10;
+
+const SWING_LOOKBACK = 20;
+
+/**
+ * Entry, stop and risk of a signal
+ * @param {Object} signal - Reversal document with candleData and tradeSignal
+ * @returns {Object|null} { signalType, entryPrice, stopPrice, riskPerUnit } or null without usable risk
+ */
+function getSignalRisk(signal) {
+    const signalType = signal.tradeSignal && signal.tradeSignal.signalType;
+    const candle = signal.candleData || {};
+    const entryPrice = candle.close;
+    const stopPrice = signalType === 'buy' ? candle.low : candle.high;
+
+    if (!signalType || typeof entryPrice !== 'number' || typeof stopPrice !== 'number') {
+        return null;
+    }
+
+    const riskPerUnit = Math.abs(entryPrice - stopPrice);
+
+    return riskPerUnit > 0 ? { signalType, entryPrice, stopPrice, riskPerUnit } : null;
+}
+
+/**
+ * Calculate take-profit targets for a signal
+ * @param {Object} signal - Reversal document (candleData, tradeSignal, volumeFootprint)
+ * @param {Object} [structure] - { priorSession: { type, periodStart, periodEnd, poc, vah, val }, swingHigh, swingLow }
+ * @returns {Object|null} Take-profit data, or null when the signal has no usable risk
+ */
+function calculateTakeProfitTargets(signal, structure = {}) {
+    const risk = getSignalRisk(signal);
+
+    if (!risk) {
+        return null;
+    }
+
+    const { signalType, entryPrice, stopPrice, riskPerUnit } = risk;
+    const side = signalType === 'buy' ? 1 : -1;
+    const toR = price => (side * (price - entryPrice)) / riskPerUnit;
+
+    const levels = [];
+    const addLevel = (price, source) => {
+        if (typeof price === 'number' && isFinite(price)) {
+            levels.push({ price, source });
+        }
+    };
+
+    const footprint = signal.volumeFootprint || {};
+    addLevel(footprint.poc, 'candle_poc');
+    addLevel(footprint.vah, 'candle_vah');
+    addLevel(footprint.val, 'candle_val');
+
+    if (structure.priorSession) {
+        addLevel(structure.priorSession.poc, 'session_poc');
+        addLevel(structure.priorSession.vah, 'session_vah');
+        addLevel(structure.priorSession.val, 'session_val');
+    }
+
+    addLevel(signalType === 'buy' ? structure.swingHigh : structure.swingLow, signalType === 'buy' ? 'swing_high' : 'swing_low');
+
+    const candidates = levels
+        .map(level => ({ ...level, rr: toR(level.price) }))
+        .filter(level => level.rr >= MIN_TARGET_R && level.rr <= MAX_TARGET_R)
+        .sort((a, b) => a.rr - b.rr);
+
+    const targets = [];
+    let previousR = 0;
+
+    for (let i = 1; i <= TARGET_COUNT; i++) {
+        const next = candidates.find(candidate => candidate.rr > previousR + 1e-9);
+        let target;
+
+        if (next) {
+            target = { price: next.price, source: next.source, rr: next.rr };
+        } else {
+            const multiple = Math.max(i, Math.floor(previousR) + 1);
+            target = { price: entryPrice + side * multiple * riskPerUnit, source: 'fixed_r', rr: multiple };
+        }
+
+        targets.push({ label: `TP${i}`, price: target.price, source: target.source, rr: round(target.rr) });
+        previousR = target.rr;
+    }
+
+    return {
+        signalType,
+        entryPrice,
+        stopPrice,
+        riskPerUnit,
+        targets,
+        rewardToRisk: targets[0].rr,
+        structure: {
+            priorSession: structure.priorSession || null,
+            swingHigh: structure.swingHigh !== undefined ? structure.swingHigh : null,
+            swingLow: structure.swingLow !== undefined ? structure.swingLow : null
+        },
+        calculatedAt: new Date()
+    };
+}
+
+/**
+ * Calculate targets for a reversal that is about to be saved, loading the
+ * prior session from volumeProfiles and the swing structure from candleData
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} reversalData - Reversal with candleData, tradeSignal and volumeFootprint
+ * @param {Date} patternStartTime - Open time of the first candle of the pattern
+ * @returns {Promise<Object|null>} Take-profit data
+ */
+async function calculateSignalTakeProfit(client, dbName, reversalData, patternStartTime) {
+    const structure = {};
+
+    try {
+        const patternStart = new Date(patternStartTime || reversalData.openTime);
+
+        const [priorSession, swingCandles] = await Promise.all([
+            getPriorSessionProfile(client, dbName, reversalData.symbol, patternStart),
+            getPreviousCandles(client, dbName, reversalData.symbol, reversalData.interval, patternStart, SWING_LOOKBACK)
+        ]);
+
+        if (priorSession) {
+            const { type, periodStart, periodEnd, poc, vah, val } = priorSession;
+            structure.priorSession = { type, periodStart, periodEnd, poc, vah, val };
+        }
+
+        if (swingCandles.length > 0) {
+            structure.swingHigh = Math.max(...swingCandles.map(candle => candle.high));
+            structure.swingLow = Math.min(...swingCandles.map(candle => candle.low));
+        }
+
+    } catch (error) {
+        // Structure only adds candidates; fixed R targets still work without it
+        console.error(`❌ Error loading take-profit structure for ${reversalData.symbol} ${reversalData.interval}:`, error.message);
+    }
+
+    return calculateTakeProfitTargets(reversalData, structure);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    MIN_TARGET_R,
+    getSignalRisk,
+    calculateTakeProfitTargets,
+    calculateSignalTakeProfit
+};
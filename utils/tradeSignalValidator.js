@@ -3,14 +3,198 @@
  * Validates whether a reversal candle with volume footprint data represents a valid trade signal
  */
 
+const { getReversalDirection } = require('./reversalCandleDetector');
+const { VALUE_AREA_METHODS, DEFAULT_VALUE_AREA_METHOD, BINNING_MODES, DEFAULT_BINNING_MODE } = require('./volumeFootprintCalculator');
+
+/**
+ * Built-in validation rules (can be overridden per detection profile)
+ * - valueAreaPercent: share of the candle's volume that forms the value area
+ * - valueAreaMethod: how the value area is built (see VALUE_AREA_METHODS)
+ * - binningMode / binningRows / binningAtrPercent: price bins of the footprint -
+ *   raw ticks, about `binningRows` levels per candle, or `binningAtrPercent`% of
+ *   the interval's ATR (see BINNING_MODES)
+ * - requirePocInTail: POC must sit in the rejection tail, beyond the body and
+ *   strictly past the value area edge; when off only the body position is checked
+ * - requireTailDelta: the rejection tail must be absorbed by the signal side
+ *   (positive delta in the lower tail for buys, negative in the upper tail for sells)
+ * - requireStackedImbalance: a stacked imbalance zone of the signal side must
+ *   start in the rejection tail
+ * - imbalanceRatio / stackedImbalanceLevels: diagonal imbalance ratio and the
+ *   consecutive levels that make a stacked zone (see orderFlowAnalyzer)
+ * The order flow rules need sided trades; reversals without them fail the check.
+ * - requireCompositeLevel: the reversal must form at the composite profile of the
+ *   last `compositeDays` UTC days - a buy's tail tests the composite VAL and the
+ *   candle closes back above it, a sell's tail tests the composite VAH and closes
+ *   back below it, within `compositeTolerancePercent` of the level
+ * - requireVwapSide: buys must close below and sells above the `vwapAnchor`
+ *   VWAP (UTC day or current session, see vwapBands)
+ * - minCoveragePercent / lowCoverageAction: footprints whose trades cover less
+ *   of the candle (`volumeFootprint.coverage`) are rejected, or keep their
+ *   signal with the score scaled by the coverage. Footprints without a coverage
+ *   (approximate, older ones) aren't checked
+ */
+const VWAP_ANCHORS = Object.freeze(['day', 'session']);
+const LOW_COVERAGE_ACTIONS = Object.freeze(['downweight', 'reject']);
+
+const DEFAULT_VALIDATION_RULES = Object.freeze({
+    valueAreaPercent: 70,
+    valueAreaMethod: DEFAULT_VALUE_AREA_METHOD,
+    binningMode: DEFAULT_BINNING_MODE,
+    binningRows: 24,
+    binningAtrPercent: 5,
+    requirePocInTail: true,
+    requireTailDelta: false,
+    requireStackedImbalance: false,
+    imbalanceRatio: 3,
+    stackedImbalanceLevels: 3,
+    requireCompositeLevel: false,
+    compositeDays: 3,
+    compositeTolerancePercent: 0.1,
+    requireVwapSide: false,
+    vwapAnchor: 'day',
+    minCoveragePercent: 95,
+    lowCoverageAction: 'downweight'
+});
+
+/**
+ * Validate and normalize validation rules coming from user input
+ * @param {Object} input - Raw rules
+ * @returns {Object} { validationRules, errors } - only known keys are kept
+ */
+function normalizeValidationRules(input = {}) {
+    const validationRules = {};
+    const errors = [];
+
+    if (input.valueAreaPercent !== undefined && input.valueAreaPercent !== null && input.valueAreaPercent !== '') {
+        const value = parseFloat(input.valueAreaPercent);
+
+        if (isNaN(value) || value < 10 || value > 100) {
+            errors.push('valueAreaPercent must be a number between 10 and 100');
+        } else {
+            validationRules.valueAreaPercent = value;
+        }
+    }
+
+    if (input.valueAreaMethod !== undefined && input.valueAreaMethod !== null && input.valueAreaMethod !== '') {
+        if (!VALUE_AREA_METHODS.includes(input.valueAreaMethod)) {
+            errors.push(`valueAreaMethod must be one of ${VALUE_AREA_METHODS.join(', ')}`);
+        } else {
+            validationRules.valueAreaMethod = input.valueAreaMethod;
+        }
+    }
+
+    if (input.binningMode !== undefined && input.binningMode !== null && input.binningMode !== '') {
+        if (!BINNING_MODES.includes(input.binningMode)) {
+            errors.push(`binningMode must be one of ${BINNING_MODES.join(', ')}`);
+        } else {
+            validationRules.binningMode = input.binningMode;
+        }
+    }
+
+    if (input.binningRows !== undefined && input.binningRows !== null && input.binningRows !== '') {
+        const value = Number(input.binningRows);
+
+        if (!Number.isInteger(value) || value < 4 || value > 200) {
+            errors.push('binningRows must be an integer between 4 and 200');
+        } else {
+            validationRules.binningRows = value;
+        }
+    }
+
+    if (input.binningAtrPercent !== undefined && input.binningAtrPercent !== null && input.binningAtrPercent !== '') {
+        const value = parseFloat(input.binningAtrPercent);
+
+        if (isNaN(value) || value < 0.5 || value > 100) {
+            errors.push('binningAtrPercent must be a number between 0.5 and 100');
+        } else {
+            validationRules.binningAtrPercent = value;
+        }
+    }
+
+    ['requirePocInTail', 'requireTailDelta', 'requireStackedImbalance', 'requireCompositeLevel', 'requireVwapSide'].forEach(key => {
+        if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+            validationRules[key] = input[key] === true || input[key] === 'true';
+        }
+    });
+
+    if (input.imbalanceRatio !== undefined && input.imbalanceRatio !== null && input.imbalanceRatio !== '') {
+        const value = parseFloat(input.imbalanceRatio);
+
+        if (isNaN(value) || value < 1 || value > 20) {
+            errors.push('imbalanceRatio must be a number between 1 and 20');
+        } else {
+            validationRules.imbalanceRatio = value;
+        }
+    }
+
+    if (input.stackedImbalanceLevels !== undefined && input.stackedImbalanceLevels !== null && input.stackedImbalanceLevels !== '') {
+        const value = Number(input.stackedImbalanceLevels);
+
+        if (!Number.isInteger(value) || value < 2 || value > 20) {
+            errors.push('stackedImbalanceLevels must be an integer between 2 and 20');
+        } else {
+            validationRules.stackedImbalanceLevels = value;
+        }
+    }
+
+    if (input.compositeDays !== undefined && input.compositeDays !== null && input.compositeDays !== '') {
+        const value = Number(input.compositeDays);
+
+        if (!Number.isInteger(value) || value < 1 || value > 30) {
+            errors.push('compositeDays must be an integer between 1 and 30');
+        } else {
+            validationRules.compositeDays = value;
+        }
+    }
+
+    if (input.compositeTolerancePercent !== undefined && input.compositeTolerancePercent !== null && input.compositeTolerancePercent !== '') {
+        const value = parseFloat(input.compositeTolerancePercent);
+
+        if (isNaN(value) || value < 0 || value > 5) {
+            errors.push('compositeTolerancePercent must be a number between 0 and 5');
+        } else {
+            validationRules.compositeTolerancePercent = value;
+        }
+    }
+
+    if (input.vwapAnchor !== undefined && input.vwapAnchor !== null && input.vwapAnchor !== '') {
+        if (!VWAP_ANCHORS.includes(input.vwapAnchor)) {
+            errors.push(`vwapAnchor must be one of ${VWAP_ANCHORS.join(', ')}`);
+        } else {
+            validationRules.vwapAnchor = input.vwapAnchor;
+        }
+    }
+
+    if (input.minCoveragePercent !== undefined && input.minCoveragePercent !== null && input.minCoveragePercent !== '') {
+        const value = parseFloat(input.minCoveragePercent);
+
+        if (isNaN(value) || value < 0 || value > 100) {
+            errors.push('minCoveragePercent must be a number between 0 and 100');
+        } else {
+            validationRules.minCoveragePercent = value;
+        }
+    }
+
+    if (input.lowCoverageAction !== undefined && input.lowCoverageAction !== null && input.lowCoverageAction !== '') {
+        if (!LOW_COVERAGE_ACTIONS.includes(input.lowCoverageAction)) {
+            errors.push(`lowCoverageAction must be one of ${LOW_COVERAGE_ACTIONS.join(', ')}`);
+        } else {
+            validationRules.lowCoverageAction = input.lowCoverageAction;
+        }
+    }
+
+    return { validationRules, errors };
+}
+
 /**
  * Validate trade signal based on candle and volume footprint data
  * @param {Object} candleData - OHLC data for the candle
  * @param {Object} volumeFootprint - Volume footprint data (POC, VAH, VAL)
- * @param {string} reversalType - Type of reversal ('buy_reversal' or 'sell_reversal')
+ * @param {string} reversalType - Reversal pattern type ('buy_reversal', 'morning_star', ...)
+ * @param {Object} [rules] - Validation rules (defaults to DEFAULT_VALIDATION_RULES)
  * @returns {Object} Trade signal validation result
  */
-function validateTradeSignal(candleData, volumeFootprint, reversalType) {
+function validateTradeSignal(candleData, volumeFootprint, reversalType, rules = DEFAULT_VALIDATION_RULES) {
     try {
         // Validate input data
         if (!candleData || !volumeFootprint || !reversalType) {
@@ -53,11 +237,15 @@ function validateTradeSignal(candleData, volumeFootprint, reversalType) {
         const bodyHigh = Math.max(open, close);
         const bodyLow = Math.min(open, close);
 
-        // Validate based on reversal type
-        if (reversalType === 'buy_reversal') {
-            return validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow);
-        } else if (reversalType === 'sell_reversal') {
-            return validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow);
+        // Validate based on reversal direction (multi-candle patterns are
+        // validated on their combined candle, which has the same shape)
+        const direction = getReversalDirection(reversalType);
+        const resolvedRules = { ...DEFAULT_VALIDATION_RULES, ...rules };
+        
+        if (direction === 'buy') {
+            return applyCoverageRule(validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow, resolvedRules), volumeFootprint.coverage, resolvedRules);
+        } else if (direction === 'sell') {
+            return applyCoverageRule(validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow, resolvedRules), volumeFootprint.coverage, resolvedRules);
         } else {
             return {
                 isValidSignal: false,
@@ -83,9 +271,10 @@ function validateTradeSignal(candleData, volumeFootprint, reversalType) {
  * @param {Object} volumeFootprint - Volume footprint data
  * @param {number} bodyHigh - Higher of open/close
  * @param {number} bodyLow - Lower of open/close
+ * @param {Object} [rules] - Validation rules
  * @returns {Object} Buy signal validation result
  */
-function validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
+function validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow, rules = DEFAULT_VALIDATION_RULES) {
     const { open, high, low, close } = candleData;
     const { poc, vah, val } = volumeFootprint;
 
@@ -93,14 +282,28 @@ function validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
     // 1. Body completely above VAH (both open AND close > VAH)
     // 2. POC in lower tail (POC < min(open, close))
     // 3. POC below VAH (POC < VAH)
+    // (2 and 3 are skipped when rules.requirePocInTail is off)
+    // Optional order flow: buyers absorbing the lower tail / stacked buy imbalances in it
+    // Optional VWAP side: close below the anchored VWAP
 
+    const orderFlow = volumeFootprint.orderFlow;
     const criteria = {
         bodyAboveVAH: open > vah && close > vah,
         pocInLowerTail: poc < bodyLow,
-        pocBelowVAH: poc < vah
+        pocBelowVAH: poc < vah,
+        lowerTailDeltaPositive: !!orderFlow && orderFlow.lowerTailDelta > 0,
+        stackedBuyImbalanceInTail: !!orderFlow && orderFlow.stackedImbalances
+            .some(zone => zone.side === 'buy' && zone.low < bodyLow),
+        atCompositeVAL: isAtCompositeLevel(candleData, volumeFootprint.compositeProfile, 'buy', rules.compositeTolerancePercent),
+        belowVwap: isOnVwapSide(close, volumeFootprint.vwap, rules.vwapAnchor, 'buy')
     };
 
-    const isValidSignal = criteria.bodyAboveVAH && criteria.pocInLowerTail && criteria.pocBelowVAH;
+    const isValidSignal = criteria.bodyAboveVAH
+        && (!rules.requirePocInTail || (criteria.pocInLowerTail && criteria.pocBelowVAH))
+        && (!rules.requireTailDelta || criteria.lowerTailDeltaPositive)
+        && (!rules.requireStackedImbalance || criteria.stackedBuyImbalanceInTail)
+        && (!rules.requireCompositeLevel || criteria.atCompositeVAL)
+        && (!rules.requireVwapSide || criteria.belowVwap);
 
     // Calculate signal score (1-10 scale)
     // For buy signals: POC closer to low (further from VAH) = higher score
@@ -133,9 +336,10 @@ function validateBuySignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
  * @param {Object} volumeFootprint - Volume footprint data
  * @param {number} bodyHigh - Higher of open/close
  * @param {number} bodyLow - Lower of open/close
+ * @param {Object} [rules] - Validation rules
  * @returns {Object} Sell signal validation result
  */
-function validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
+function validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow, rules = DEFAULT_VALIDATION_RULES) {
     const { open, high, low, close } = candleData;
     const { poc, vah, val } = volumeFootprint;
 
@@ -143,14 +347,28 @@ function validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
     // 1. Body completely below VAL (both open AND close < VAL)
     // 2. POC in upper tail (POC > max(open, close))
     // 3. POC above VAL (POC > VAL)
+    // (2 and 3 are skipped when rules.requirePocInTail is off)
+    // Optional order flow: sellers absorbing the upper tail / stacked sell imbalances in it
+    // Optional VWAP side: close above the anchored VWAP
 
+    const orderFlow = volumeFootprint.orderFlow;
     const criteria = {
         bodyBelowVAL: open < val && close < val,
         pocInUpperTail: poc > bodyHigh,
-        pocAboveVAL: poc > val
+        pocAboveVAL: poc > val,
+        upperTailDeltaNegative: !!orderFlow && orderFlow.upperTailDelta < 0,
+        stackedSellImbalanceInTail: !!orderFlow && orderFlow.stackedImbalances
+            .some(zone => zone.side === 'sell' && zone.high > bodyHigh),
+        atCompositeVAH: isAtCompositeLevel(candleData, volumeFootprint.compositeProfile, 'sell', rules.compositeTolerancePercent),
+        aboveVwap: isOnVwapSide(close, volumeFootprint.vwap, rules.vwapAnchor, 'sell')
     };
 
-    const isValidSignal = criteria.bodyBelowVAL && criteria.pocInUpperTail && criteria.pocAboveVAL;
+    const isValidSignal = criteria.bodyBelowVAL
+        && (!rules.requirePocInTail || (criteria.pocInUpperTail && criteria.pocAboveVAL))
+        && (!rules.requireTailDelta || criteria.upperTailDeltaNegative)
+        && (!rules.requireStackedImbalance || criteria.stackedSellImbalanceInTail)
+        && (!rules.requireCompositeLevel || criteria.atCompositeVAH)
+        && (!rules.requireVwapSide || criteria.aboveVwap);
 
     // Calculate signal score (1-10 scale)
     // For sell signals: POC closer to high (further from VAL) = higher score
@@ -177,6 +395,40 @@ function validateSellSignal(candleData, volumeFootprint, bodyHigh, bodyLow) {
     };
 }
 
+/**
+ * Reject or down-weight a signal whose footprint covers too little of the candle
+ * Sets criteria.tradeCoverageOk (true when the footprint has no coverage).
+ * A down-weighted score stays on the 1-10 scale so calibration buckets still apply.
+ * @param {Object} result - Buy/sell validation result
+ * @param {number} [coverage] - Footprint coverage in %
+ * @param {Object} rules - Validation rules (minCoveragePercent, lowCoverageAction)
+ * @returns {Object} The result, adjusted
+ */
+function applyCoverageRule(result, coverage, rules) {
+    const lowCoverage = typeof coverage === 'number' && coverage < rules.minCoveragePercent;
+    result.criteria.tradeCoverageOk = !lowCoverage;
+
+    if (!lowCoverage || !result.isValidSignal) {
+        return result;
+    }
+
+    if (rules.lowCoverageAction === 'reject') {
+        return {
+            ...result,
+            isValidSignal: false,
+            signalType: null,
+            reason: `Trades cover ${coverage}% of the candle (minimum ${rules.minCoveragePercent}%)`,
+            score: 0
+        };
+    }
+
+    return {
+        ...result,
+        reason: `${result.reason} (score scaled to ${coverage}% trade coverage)`,
+        score: Math.max(1, Math.round(result.score * coverage / 10) / 10)
+    };
+}
+
 /**
  * Calculate buy signal score based on POC position
  * @param {Object} candleData - OHLC data
@@ -235,6 +487,53 @@ function calculateSellSignalScore(candleData, volumeFootprint) {
     return Math.max(1, Math.min(10, score));
 }
 
+/**
+ * Check whether a reversal formed at the composite value area edge
+ * Buy: the low reached the composite VAL (or below) and the close is back at/above it.
+ * Sell: the high reached the composite VAH (or above) and the close is back at/below it.
+ * @param {Object} candleData - OHLC data
+ * @param {Object} compositeProfile - Composite { poc, vah, val } stored on the footprint
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} tolerancePercent - Allowed distance from the level in % of its price
+ * @returns {boolean} True when the candle formed at the level
+ */
+function isAtCompositeLevel(candleData, compositeProfile, direction, tolerancePercent = 0) {
+    if (!compositeProfile) {
+        return false;
+    }
+
+    const level = direction === 'buy' ? compositeProfile.val : compositeProfile.vah;
+
+    if (!isValidPrice(level)) {
+        return false;
+    }
+
+    const tolerance = level * (tolerancePercent / 100);
+
+    return direction === 'buy'
+        ? candleData.low <= level + tolerance && candleData.close >= level - tolerance
+        : candleData.high >= level - tolerance && candleData.close <= level + tolerance;
+}
+
+/**
+ * Check whether a signal closed on its side of the anchored VWAP
+ * Buy: close below VWAP (buying at a discount). Sell: close above it.
+ * @param {number} close - Signal close
+ * @param {Object} vwapContext - { day, session } stored on the footprint (see vwapBands)
+ * @param {string} anchor - 'day' or 'session'
+ * @param {string} direction - 'buy' or 'sell'
+ * @returns {boolean} True when the close is on the signal's side
+ */
+function isOnVwapSide(close, vwapContext, anchor, direction) {
+    const vwap = vwapContext && vwapContext[anchor];
+
+    if (!vwap || !isValidPrice(vwap.vwap)) {
+        return false;
+    }
+
+    return direction === 'buy' ? close < vwap.vwap : close > vwap.vwap;
+}
+
 /**
  * Check if a price value is valid
  * @param {any} price - Price value to validate
@@ -327,10 +626,16 @@ function getTradeSignalStatistics(validationResults) {
 }
 
 module.exports = {
+    DEFAULT_VALIDATION_RULES,
+    VWAP_ANCHORS,
+    LOW_COVERAGE_ACTIONS,
+    normalizeValidationRules,
     validateTradeSignal,
     validateBuySignal,
     validateSellSignal,
     batchValidateTradeSignals,
     getTradeSignalStatistics,
+    isAtCompositeLevel,
+    isOnVwapSide,
     isValidPrice
 };
@@ -0,0 +1,225 @@
+/**
+ * Local Trade Store
+ * Keeps the aggTrades seen from the exchange (REST responses and the live trade
+ * stream) so footprints of overlapping candles - a 5m and a 15m reversal on the
+ * same symbol - and later recomputations don't download the same trades again.
+ *
+ * - `aggTrades`: MongoDB time-series collection (timeField `time`, metaField
+ *   `symbol`), one document per aggTrade, keyed by symbol and trade id. Trades
+ *   already stored are skipped on insert and duplicates are removed on read
+ * - `aggTradeCoverage`: time ranges per symbol known to hold every trade. A
+ *   range is only recorded when a REST fetch ran to the end of it or the stream
+ *   stayed connected through it; adjacent and overlapping ranges are merged
+ *
+ * Reads only answer for fully covered ranges, so a partly stored candle is
+ * fetched from the exchange instead of giving a partial footprint. Trades and
+ * coverage expire after TRADE_RETENTION_DAYS.
+ *
+ * The store is enabled once initializeTradeStore is called with the database
+ * client (server startup); without it every function is a no-op.
+ */
+
+const TRADES_COLLECTION = 'aggTrades';
+const COVERAGE_COLLECTION = 'aggTradeCoverage';
+
+const TRADE_RETENTION_DAYS = 7;
+
+let storeClient = null;
+let storeDbName = null;
+
+/**
+ * Enable the store on a database
+ * @param {Object} client - MongoDB client (null disables the store)
+ * @param {string} dbName - Database name
+ */
+function initializeTradeStore(client, dbName) {
+    storeClient = client || null;
+    storeDbName = dbName;
+}
+
+/**
+ * Is the store enabled?
+ * @returns {boolean}
+ */
+function isTradeStoreEnabled() {
+    return !!storeClient;
+}
+
+/**
+ * Remove duplicate trades based on trade ID
+ * @param {Array} trades - Array of trade objects
+ * @returns {Array} Array of unique trades
+ */
+function removeDuplicateTrades(trades) {
+    const seen = new Set();
+    return trades.filter(trade => {
+        if (seen.has(trade.id)) {
+            return false;
+        }
+        seen.add(trade.id);
+        return true;
+    });
+}
+
+/**
+ * Record that a symbol's trades are complete over a range, merged with the
+ * ranges it overlaps or touches
+ */
+async function markCovered(db, symbol, startTime, endTime) {
+    const coverage = db.collection(COVERAGE_COLLECTION);
+
+    const touching = await coverage.find({
+        symbol,
+        start: { $lte: new Date(endTime + 1) },
+        end: { $gte: new Date(startTime - 1) }
+    }).toArray();
+
+    const start = Math.min(startTime, ...touching.map(range => range.start.getTime()));
+    const end = Math.max(endTime, ...touching.map(range => range.end.getTime()));
+
+    if (touching.length > 0) {
+        await coverage.deleteMany({ _id: { $in: touching.map(range => range._id) } });
+    }
+
+    await coverage.insertOne({ symbol, start: new Date(start), end: new Date(end), updatedAt: new Date() });
+}
+
+/**
+ * Store trades of one symbol
+ * Never throws; storage problems only cost a later re-download.
+ * @param {string} symbol - Trading symbol
+ * @param {Array} trades - Trades in the internal format (id, price, quantity, timestamp, ...)
+ * @param {Object} [coverage] - { startTime, endTime } range these trades are complete for
+ * @returns {Promise<number>} Trades inserted
+ */
+async function storeTrades(symbol, trades, coverage = null) {
+    if (!storeClient) {
+        return 0;
+    }
+
+    try {
+        const db = storeClient.db(storeDbName);
+        const uniqueTrades = removeDuplicateTrades(trades || []);
+        let inserted = 0;
+
+        if (uniqueTrades.length > 0) {
+            const existing = await db.collection(TRADES_COLLECTION).find(
+                { symbol, id: { $in: uniqueTrades.map(trade => trade.id) } },
+                { projection: { id: 1 } }
+            ).toArray();
+            const existingIds = new Set(existing.map(trade => trade.id));
+
+            const documents = uniqueTrades
+                .filter(trade => !existingIds.has(trade.id))
+                .map(trade => ({
+                    symbol,
+                    time: new Date(trade.timestamp),
+                    id: trade.id,
+                    price: trade.price,
+                    quantity: trade.quantity,
+                    isBuyerMaker: trade.isBuyerMaker,
+                    firstTradeId: trade.firstTradeId,
+                    lastTradeId: trade.lastTradeId
+                }));
+
+            if (documents.length > 0) {
+                await db.collection(TRADES_COLLECTION).insertMany(documents, { ordered: false });
+                inserted = documents.length;
+            }
+        }
+
+        if (coverage && coverage.endTime > coverage.startTime) {
+            await markCovered(db, symbol, coverage.startTime, coverage.endTime);
+        }
+
+        return inserted;
+    } catch (error) {
+        console.error(`❌ Error storing trades for ${symbol}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Parts of a range the store holds completely
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @returns {Promise<Array>} [{ startTime, endTime }] clipped to the range, oldest first
+ */
+async function getCoveredRanges(symbol, startTime, endTime) {
+    if (!storeClient) {
+        return [];
+    }
+
+    try {
+        const ranges = await storeClient.db(storeDbName).collection(COVERAGE_COLLECTION)
+            .find({ symbol, start: { $lte: new Date(endTime) }, end: { $gte: new Date(startTime) } })
+            .sort({ start: 1 })
+            .toArray();
+
+        return ranges.map(range => ({
+            startTime: Math.max(startTime, range.start.getTime()),
+            endTime: Math.min(endTime, range.end.getTime())
+        }));
+    } catch (error) {
+        console.error(`❌ Error reading trade coverage for ${symbol}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Stored trades of a fully covered range
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @returns {Promise<Array|null>} Trades oldest first, or null when the range isn't fully stored
+ */
+async function getStoredTrades(symbol, startTime, endTime) {
+    if (!storeClient) {
+        return null;
+    }
+
+    try {
+        const db = storeClient.db(storeDbName);
+
+        const covered = await db.collection(COVERAGE_COLLECTION).findOne({
+            symbol,
+            start: { $lte: new Date(startTime) },
+            end: { $gte: new Date(endTime) }
+        });
+
+        if (!covered) {
+            return null;
+        }
+
+        const documents = await db.collection(TRADES_COLLECTION)
+            .find({ symbol, time: { $gte: new Date(startTime), $lte: new Date(endTime) } })
+            .sort({ time: 1 })
+            .toArray();
+
+        return removeDuplicateTrades(documents.map(document => ({
+            id: document.id,
+            price: document.price,
+            quantity: document.quantity,
+            timestamp: document.time.getTime(),
+            isBuyerMaker: document.isBuyerMaker,
+            firstTradeId: document.firstTradeId,
+            lastTradeId: document.lastTradeId
+        })));
+    } catch (error) {
+        console.error(`❌ Error reading stored trades for ${symbol}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    TRADES_COLLECTION,
+    COVERAGE_COLLECTION,
+    TRADE_RETENTION_DAYS,
+    initializeTradeStore,
+    isTradeStoreEnabled,
+    removeDuplicateTrades,
+    storeTrades,
+    getCoveredRanges,
+    getStoredTrades
+};
@@ -0,0 +1,242 @@
+/**
+ * Trend Context Filter
+ * Checks the candles leading into a reversal so that a buy reversal only
+ * counts after a decline and a sell reversal only after a rally.
+ *
+ * Metrics (over the prior `lookback` candles of the same interval):
+ * - netMovePercent: close of the last prior candle vs open of the first
+ * - lowerLows / higherHighs: how many candles made a new low / high vs the one before
+ * - maDistancePercent: last prior close vs simple moving average of `maPeriod` closes
+ *
+ * Modes (set per detection profile):
+ * - 'off':      no metrics, nothing stored
+ * - 'annotate': metrics stored on the reversal, nothing filtered (default)
+ * - 'enforce':  reversals failing the check are not saved
+ */
+
+const { getPreviousCandles } = require('../models/database');
+const { getReversalDirection } = require('./reversalCandleDetector');
+
+const TREND_CONTEXT_MODES = ['off', 'annotate', 'enforce'];
+
+const DEFAULT_TREND_CONTEXT = Object.freeze({
+    mode: 'annotate',
+    lookback: 10,
+    minNetMovePercent: 0.5,
+    minStructureRatio: 0.4,
+    maPeriod: 20,
+    minMaDistancePercent: 0
+});
+
+/**
+ * Validate and normalize trend context settings coming from user input
+ * @param {Object} input - Raw settings
+ * @returns {Object} { trendContext, errors } - only known keys are kept
+ */
+function normalizeTrendContext(input = {}) {
+    const trendContext = {};
+    const errors = [];
+
+    if (input.mode !== undefined && input.mode !== '') {
+        if (TREND_CONTEXT_MODES.includes(input.mode)) {
+            trendContext.mode = input.mode;
+        } else {
+            errors.push(`trendContext.mode must be one of ${TREND_CONTEXT_MODES.join(', ')}`);
+        }
+    }
+
+    const integerKeys = ['lookback', 'maPeriod'];
+    const numberKeys = ['minNetMovePercent', 'minStructureRatio', 'minMaDistancePercent'];
+
+    for (const key of integerKeys) {
+        if (input[key] === undefined || input[key] === '') continue;
+        const value = parseInt(input[key], 10);
+        if (isNaN(value) || value < 2 || value > 200) {
+            errors.push(`trendContext.${key} must be an integer between 2 and 200`);
+        } else {
+            trendContext[key] = value;
+        }
+    }
+
+    for (const key of numberKeys) {
+        if (input[key] === undefined || input[key] === '') continue;
+        const value = parseFloat(input[key]);
+        if (isNaN(value) || value < 0) {
+            errors.push(`trendContext.${key} must be a non-negative number`);
+        } else {
+            trendContext[key] = value;
+        }
+    }
+
+    if (trendContext.minStructureRatio > 1) {
+        errors.push('trendContext.minStructureRatio must be between 0 and 1');
+    }
+
+    return { trendContext, errors };
+}
+
+/**
+ * Candles before a pattern the trend context reads
+ * @param {Object} [settings] - Trend context settings
+ * @returns {number} max(lookback, maPeriod), 0 when the mode is 'off'
+ */
+function getTrendHistoryCandles(settings) {
+    const resolved = { ...DEFAULT_TREND_CONTEXT, ...settings };
+
+    return resolved.mode === 'off' ? 0 : Math.max(resolved.lookback, resolved.maPeriod);
+}
+
+/**
+ * Calculate trend metrics from the candles before a reversal
+ * @param {Array} priorCandles - Candles before the pattern, oldest first
+ * @param {Object} settings - Trend context settings
+ * @returns {Object} Trend metrics
+ */
+function calculateTrendContext(priorCandles, settings = DEFAULT_TREND_CONTEXT) {
+    const { lookback, maPeriod } = { ...DEFAULT_TREND_CONTEXT, ...settings };
+
+    const window = priorCandles.slice(-lookback);
+    const metrics = {
+        lookback,
+        candlesAvailable: window.length,
+        netMovePercent: null,
+        lowerLows: 0,
+        higherHighs: 0,
+        maPeriod,
+        movingAverage: null,
+        maDistancePercent: null
+    };
+
+    if (window.length < 2) {
+        return metrics;
+    }
+
+    const firstOpen = window[0].open;
+    const lastClose = window[window.length - 1].close;
+    metrics.netMovePercent = round(((lastClose - firstOpen) / firstOpen) * 100);
+
+    for (let i = 1; i < window.length; i++) {
+        if (window[i].low < window[i - 1].low) metrics.lowerLows++;
+        if (window[i].high > window[i - 1].high) metrics.higherHighs++;
+    }
+
+    const maCandles = priorCandles.slice(-maPeriod);
+    if (maCandles.length === maPeriod) {
+        const movingAverage = maCandles.reduce((sum, c) => sum + c.close, 0) / maPeriod;
+        metrics.movingAverage = movingAverage;
+        metrics.maDistancePercent = round(((lastClose - movingAverage) / movingAverage) * 100);
+    }
+
+    return metrics;
+}
+
+/**
+ * Decide whether the prior move supports the reversal direction
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {Object} metrics - Output of calculateTrendContext
+ * @param {Object} settings - Trend context settings
+ * @returns {Object} { passed, reason, checks }
+ */
+function evaluateTrendContext(direction, metrics, settings = DEFAULT_TREND_CONTEXT) {
+    const { lookback, minNetMovePercent, minStructureRatio, minMaDistancePercent } = { ...DEFAULT_TREND_CONTEXT, ...settings };
+
+    // Not enough history to judge (e.g. right after startup) - don't penalise the signal
+    if (metrics.candlesAvailable < lookback) {
+        return {
+            passed: true,
+            reason: `Insufficient history (${metrics.candlesAvailable}/${lookback} candles)`,
+            checks: null
+        };
+    }
+
+    const steps = metrics.candlesAvailable - 1;
+    const isBuy = direction === 'buy';
+
+    const checks = {
+        priorMove: isBuy
+            ? metrics.netMovePercent <= -minNetMovePercent
+            : metrics.netMovePercent >= minNetMovePercent,
+        structure: isBuy
+            ? metrics.lowerLows / steps >= minStructureRatio
+            : metrics.higherHighs / steps >= minStructureRatio,
+        // Skipped when there aren't enough candles for the moving average
+        movingAverage: metrics.maDistancePercent === null
+            ? true
+            : isBuy
+                ? metrics.maDistancePercent <= -minMaDistancePercent
+                : metrics.maDistancePercent >= minMaDistancePercent
+    };
+
+    const failed = Object.keys(checks).filter(key => !checks[key]);
+
+    return {
+        passed: failed.length === 0,
+        reason: failed.length === 0
+            ? `Prior ${isBuy ? 'decline' : 'rally'} confirmed`
+            : `No prior ${isBuy ? 'decline' : 'rally'} (${failed.join(', ')})`,
+        checks
+    };
+}
+
+/**
+ * Run the trend context stage for a detected reversal
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} candleData - Latest candle of the pattern (symbol, interval, openTime)
+ * @param {Object} reversalPattern - Detected pattern
+ * @param {Object} [settings] - Trend context settings from the detection profile
+ * @returns {Promise<Object>} { accepted, trendContext } - trendContext is null when mode is 'off'
+ */
+async function applyTrendContext(client, dbName, candleData, reversalPattern, settings) {
+    const resolved = { ...DEFAULT_TREND_CONTEXT, ...settings };
+
+    if (resolved.mode === 'off') {
+        return { accepted: true, trendContext: null };
+    }
+
+    try {
+        const patternStart = reversalPattern.patternStartTime || candleData.openTime;
+        const priorCandles = await getPreviousCandles(
+            client,
+            dbName,
+            candleData.symbol,
+            candleData.interval,
+            patternStart,
+            getTrendHistoryCandles(resolved)
+        );
+
+        const metrics = calculateTrendContext(priorCandles, resolved);
+        const evaluation = evaluateTrendContext(getReversalDirection(reversalPattern.type), metrics, resolved);
+
+        return {
+            accepted: resolved.mode !== 'enforce' || evaluation.passed,
+            trendContext: {
+                mode: resolved.mode,
+                ...metrics,
+                passed: evaluation.passed,
+                reason: evaluation.reason,
+                checks: evaluation.checks,
+                calculatedAt: new Date()
+            }
+        };
+
+    } catch (error) {
+        // Context is an extra filter; a lookup failure shouldn't drop the reversal
+        console.error(`❌ Error calculating trend context for ${candleData.symbol} ${candleData.interval}:`, error.message);
+        return { accepted: true, trendContext: { mode: resolved.mode, error: error.message } };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    TREND_CONTEXT_MODES,
+    DEFAULT_TREND_CONTEXT,
+    normalizeTrendContext,
+    getTrendHistoryCandles,
+    calculateTrendContext,
+    evaluateTrendContext,
+    applyTrendContext
+};
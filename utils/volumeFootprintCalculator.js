@@ -4,13 +4,40 @@
  * from tick-by-tick trade data
  */
 
+const { getSymbolInfo } = require('./symbolInfo');
+const { getPreviousCandles } = require('../models/database');
+
+/**
+ * Value area algorithms
+ * - top_volume: highest-volume price levels in any order until the share is reached
+ * - adjacent_single: Market Profile expansion from the POC, adding the larger of
+ *   the next level above / below
+ * - adjacent_pair: CBOT expansion from the POC, comparing the next two levels
+ *   above with the next two below and adding the larger pair
+ */
+const VALUE_AREA_METHODS = Object.freeze(['top_volume', 'adjacent_single', 'adjacent_pair']);
+const DEFAULT_VALUE_AREA_METHOD = 'top_volume';
+
+/**
+ * Price binning of reversal footprints
+ * - tick: one level per exchange tick
+ * - row_count: the traded range split into about `rows` levels
+ * - atr: levels of `atrPercent`% of the interval's ATR (prior BINNING_ATR_PERIOD candles)
+ * Bins are always a whole number of ticks.
+ */
+const BINNING_MODES = Object.freeze(['tick', 'row_count', 'atr']);
+const DEFAULT_BINNING_MODE = 'tick';
+const BINNING_ATR_PERIOD = 14;
+
 /**
  * Calculate volume footprint metrics from tick data
- * @param {Array} trades - Array of trade objects with {price, quantity, timestamp}
+ * @param {Array} trades - Array of trade objects with {price, quantity, timestamp, isBuyerMaker}
  * @param {number} tickSize - Minimum price movement (e.g., 0.01 for BTCUSDT)
- * @returns {Object} Volume footprint data with POC, VAH, VAL
+ * @param {number} valueAreaPercent - Share of total volume in the value area (default 70)
+ * @param {string} valueAreaMethod - One of VALUE_AREA_METHODS (default top_volume)
+ * @returns {Object} Volume footprint data with POC, VAH, VAL and buy/sell volume per price
  */
-function calculateVolumeFootprint(trades, tickSize = 0.01) {
+function calculateVolumeFootprint(trades, tickSize = 0.01, valueAreaPercent = 70, valueAreaMethod = DEFAULT_VALUE_AREA_METHOD) {
     if (!trades || trades.length === 0) {
         return {
             poc: null,
@@ -24,8 +51,9 @@ function calculateVolumeFootprint(trades, tickSize = 0.01) {
     }
 
     try {
-        // Step 1: Aggregate volume by price levels
+        // Step 1: Aggregate volume by price levels (and by aggressor side when trades carry isBuyerMaker)
         const priceVolumeMap = {};
+        const buySellVolumeMap = {};
         let totalVolume = 0;
         let minPrice = Infinity;
         let maxPrice = -Infinity;
@@ -49,6 +77,14 @@ function calculateVolumeFootprint(trades, tickSize = 0.01) {
             priceVolumeMap[priceKey] += quantity;
             totalVolume += quantity;
             
+            // isBuyerMaker: the seller hit the bid (sell volume); otherwise the buyer lifted the ask
+            if (typeof trade.isBuyerMaker === 'boolean') {
+                if (!buySellVolumeMap[priceKey]) {
+                    buySellVolumeMap[priceKey] = { buy: 0, sell: 0 };
+                }
+                buySellVolumeMap[priceKey][trade.isBuyerMaker ? 'sell' : 'buy'] += quantity;
+            }
+            
             minPrice = Math.min(minPrice, roundedPrice);
             maxPrice = Math.max(maxPrice, roundedPrice);
         });
@@ -76,13 +112,14 @@ function calculateVolumeFootprint(trades, tickSize = 0.01) {
             }
         });
 
-        // Step 3: Calculate Value Area (70% of total volume)
-        const valueAreaThreshold = totalVolume * 0.70;
+        // Step 3: Calculate Value Area (70% of total volume by default)
+        const valueAreaThreshold = totalVolume * (valueAreaPercent / 100);
         const { vah, val, valueAreaVolume } = calculateValueArea(
             priceVolumeMap, 
             poc, 
             valueAreaThreshold,
-            tickSize
+            tickSize,
+            valueAreaMethod
         );
 
         return {
@@ -92,12 +129,14 @@ function calculateVolumeFootprint(trades, tickSize = 0.01) {
             totalVolume: Math.round(totalVolume * 100) / 100,
             valueAreaVolume: Math.round(valueAreaVolume * 100) / 100,
             valueAreaPercentage: Math.round((valueAreaVolume / totalVolume) * 10000) / 100,
+            valueAreaMethod: valueAreaMethod,
             priceRange: {
                 min: minPrice,
                 max: maxPrice,
                 spread: maxPrice - minPrice
             },
             priceVolumeMap: priceVolumeMap,
+            buySellVolumeMap: buySellVolumeMap,
             tickSize: tickSize,
             tradesCount: trades.length
         };
@@ -116,14 +155,19 @@ function calculateVolumeFootprint(trades, tickSize = 0.01) {
 }
 
 /**
- * Calculate Value Area High (VAH) and Value Area Low (VAL) using correct Market Profile methodology
+ * Calculate Value Area High (VAH) and Value Area Low (VAL)
  * @param {Object} priceVolumeMap - Price to volume mapping
  * @param {number} poc - Point of Control price
- * @param {number} valueAreaThreshold - 70% of total volume
+ * @param {number} valueAreaThreshold - Value area share of total volume (70% by default)
  * @param {number} tickSize - Minimum price movement
+ * @param {string} method - One of VALUE_AREA_METHODS (default top_volume)
  * @returns {Object} VAH, VAL, and value area volume
  */
-function calculateValueArea(priceVolumeMap, poc, valueAreaThreshold, tickSize) {
+function calculateValueArea(priceVolumeMap, poc, valueAreaThreshold, tickSize, method = DEFAULT_VALUE_AREA_METHOD) {
+    if (method === 'adjacent_single' || method === 'adjacent_pair') {
+        return expandValueArea(priceVolumeMap, poc, valueAreaThreshold, method === 'adjacent_pair' ? 2 : 1);
+    }
+
     // Create array of all price levels with their volumes, sorted by volume (descending)
     const priceVolumeArray = Object.entries(priceVolumeMap).map(([priceStr, volume]) => ({
         price: parseFloat(priceStr),
@@ -138,7 +182,7 @@ function calculateValueArea(priceVolumeMap, poc, valueAreaThreshold, tickSize) {
     const valueAreaPrices = [poc];
     let valueAreaVolume = priceVolumeMap[poc.toFixed(getDecimalPlaces(tickSize))] || 0;
     
-    // Add price levels in order of highest volume until we reach 70% threshold
+    // Add price levels in order of highest volume until we reach the threshold
     for (const priceVol of priceVolumeArray) {
         // Skip POC since we already added it
         if (priceVol.price === poc) {
@@ -165,6 +209,54 @@ function calculateValueArea(priceVolumeMap, poc, valueAreaThreshold, tickSize) {
     };
 }
 
+/**
+ * Build the value area by expanding outward from the POC over the traded price levels
+ * @param {Object} priceVolumeMap - Price to volume mapping
+ * @param {number} poc - Point of Control price
+ * @param {number} valueAreaThreshold - Volume the value area must reach
+ * @param {number} step - Levels compared on each side per expansion (1 or 2)
+ * @returns {Object} VAH, VAL, and value area volume
+ */
+function expandValueArea(priceVolumeMap, poc, valueAreaThreshold, step) {
+    const levels = Object.entries(priceVolumeMap)
+        .map(([priceStr, volume]) => ({ price: parseFloat(priceStr), volume }))
+        .sort((a, b) => a.price - b.price);
+    const pocIndex = levels.findIndex(level => level.price === poc);
+
+    if (pocIndex === -1) {
+        return { vah: poc, val: poc, valueAreaVolume: 0 };
+    }
+
+    let lowIndex = pocIndex;
+    let highIndex = pocIndex;
+    let valueAreaVolume = levels[pocIndex].volume;
+
+    const sumLevels = (from, to) => levels.slice(from, to).reduce((sum, level) => sum + level.volume, 0);
+
+    while (valueAreaVolume < valueAreaThreshold && (lowIndex > 0 || highIndex < levels.length - 1)) {
+        const nextHighIndex = Math.min(highIndex + step, levels.length - 1);
+        const nextLowIndex = Math.max(lowIndex - step, 0);
+        const aboveVolume = highIndex < levels.length - 1 ? sumLevels(highIndex + 1, nextHighIndex + 1) : -1;
+        const belowVolume = lowIndex > 0 ? sumLevels(nextLowIndex, lowIndex) : -1;
+
+        // Equal volume on both sides: take both
+        if (aboveVolume >= belowVolume) {
+            valueAreaVolume += aboveVolume;
+            highIndex = nextHighIndex;
+        }
+        if (belowVolume >= aboveVolume) {
+            valueAreaVolume += belowVolume;
+            lowIndex = nextLowIndex;
+        }
+    }
+
+    return {
+        vah: levels[highIndex].price,
+        val: levels[lowIndex].price,
+        valueAreaVolume: valueAreaVolume
+    };
+}
+
 /**
  * Get number of decimal places for a given tick size
  * @param {number} tickSize - The tick size
@@ -183,12 +275,18 @@ function getDecimalPlaces(tickSize) {
 
 /**
  * Get appropriate tick size for a symbol based on price
- * This is a simplified version - in production you might want to fetch this from exchange info
+ * Uses the exchange tick size synced from exchangeInfo (see symbolInfo); the
+ * hard-coded map and price levels are only a fallback for unsynced symbols
  * @param {string} symbol - Trading symbol
  * @param {number} price - Current price level
  * @returns {number} Appropriate tick size
  */
 function getTickSize(symbol, price) {
+    const info = getSymbolInfo(symbol);
+    if (info && info.tickSize > 0) {
+        return info.tickSize;
+    }
+
     // Common tick sizes for major pairs
     const tickSizes = {
         'BTCUSDT': 0.01,
@@ -260,15 +358,120 @@ function validateAndFilterTrades(trades, startTime, endTime) {
     });
 }
 
+/**
+ * Average true range of candles sorted by openTime
+ * @param {Array} candles - Candles with high, low, close
+ * @returns {number|null} ATR or null without candles
+ */
+function calculateAverageTrueRange(candles) {
+    const usable = (candles || []).filter(candle => candle.high >= candle.low);
+
+    if (usable.length === 0) {
+        return null;
+    }
+
+    const trueRanges = usable.map((candle, i) => {
+        const previousClose = i > 0 ? usable[i - 1].close : null;
+
+        if (typeof previousClose !== 'number') {
+            return candle.high - candle.low;
+        }
+        return Math.max(candle.high, previousClose) - Math.min(candle.low, previousClose);
+    });
+
+    return trueRanges.reduce((sum, range) => sum + range, 0) / trueRanges.length;
+}
+
+/**
+ * Binning options for a footprint from the validation rules
+ * @param {Object} rules - Validation rules (binningMode, binningRows, binningAtrPercent)
+ * @param {number|null} [atr] - ATR of the interval, needed by the atr mode
+ * @returns {Object} { mode, rows, atrPercent, atr }
+ */
+function getBinningOptions(rules = {}, atr = null) {
+    return {
+        mode: rules.binningMode || DEFAULT_BINNING_MODE,
+        rows: rules.binningRows,
+        atrPercent: rules.binningAtrPercent,
+        atr
+    };
+}
+
+/**
+ * Binning options for a live reversal, with the ATR of the prior interval candles
+ * when the atr mode is selected. Never throws; without candles the ATR is null.
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Candle interval (e.g. '15m')
+ * @param {number|Date} openTime - Open time of the (first) reversal candle
+ * @param {Object} rules - Validation rules
+ * @returns {Promise<Object>} Options for calculateReversalVolumeFootprint
+ */
+async function getReversalBinning(client, dbName, symbol, interval, openTime, rules = {}) {
+    if ((rules.binningMode || DEFAULT_BINNING_MODE) !== 'atr') {
+        return getBinningOptions(rules);
+    }
+
+    try {
+        const priorCandles = await getPreviousCandles(client, dbName, symbol, interval, openTime, BINNING_ATR_PERIOD);
+        return getBinningOptions(rules, calculateAverageTrueRange(priorCandles));
+    } catch (error) {
+        console.error(`❌ Error calculating ATR for ${symbol} ${interval}:`, error.message);
+        return getBinningOptions(rules);
+    }
+}
+
+/**
+ * Bin size of a footprint: a whole number of ticks picked by the binning mode
+ * Falls back to one tick when the range or ATR is missing.
+ * @param {number} tickSize - Exchange tick size
+ * @param {number} high - Highest traded price
+ * @param {number} low - Lowest traded price
+ * @param {Object} [binning] - { mode, rows, atrPercent, atr } (see getBinningOptions)
+ * @returns {Object} { mode, binSize, ticksPerBin, tickSize } plus rows or atr/atrPercent
+ */
+function getBinSize(tickSize, high, low, binning = {}) {
+    const mode = BINNING_MODES.includes(binning.mode) ? binning.mode : DEFAULT_BINNING_MODE;
+    let ticksPerBin = 1;
+    const details = {};
+
+    if (mode === 'row_count') {
+        details.rows = binning.rows || 24;
+        ticksPerBin = Math.max(1, Math.ceil((high - low) / tickSize / details.rows));
+    } else if (mode === 'atr') {
+        details.atrPercent = binning.atrPercent || 5;
+        details.atr = binning.atr > 0 ? parseFloat(binning.atr.toPrecision(8)) : null;
+        if (details.atr) {
+            ticksPerBin = Math.max(1, Math.round((details.atr * details.atrPercent) / 100 / tickSize));
+        }
+    }
+
+    if (!isFinite(ticksPerBin)) {
+        ticksPerBin = 1;
+    }
+
+    return {
+        mode,
+        binSize: parseFloat((tickSize * ticksPerBin).toFixed(getDecimalPlaces(tickSize))),
+        ticksPerBin,
+        tickSize,
+        ...details
+    };
+}
+
 /**
  * Calculate volume footprint with comprehensive error handling
  * @param {Array} trades - Array of trade objects
  * @param {string} symbol - Trading symbol
  * @param {number} startTime - Candle start time (milliseconds)
  * @param {number} endTime - Candle end time (milliseconds)
- * @returns {Object} Complete volume footprint analysis
+ * @param {number} valueAreaPercent - Share of total volume in the value area (default 70)
+ * @param {string} valueAreaMethod - One of VALUE_AREA_METHODS (default top_volume)
+ * @param {Object} [binning] - Binning options (see getBinningOptions), raw ticks by default
+ * @returns {Object} Complete volume footprint analysis, with the bins used as `binning`
  */
-function calculateReversalVolumeFootprint(trades, symbol, startTime, endTime) {
+function calculateReversalVolumeFootprint(trades, symbol, startTime, endTime, valueAreaPercent = 70, valueAreaMethod = DEFAULT_VALUE_AREA_METHOD, binning = {}) {
     try {
         // Filter trades to exact candle timeframe
         const filteredTrades = validateAndFilterTrades(trades, startTime, endTime);
@@ -291,11 +494,17 @@ function calculateReversalVolumeFootprint(trades, symbol, startTime, endTime) {
         const avgPrice = filteredTrades.reduce((sum, trade) => sum + parseFloat(trade.price), 0) / filteredTrades.length;
         const tickSize = getTickSize(symbol, avgPrice);
 
+        // Bin size from the traded range / ATR, in whole ticks (reduce: windows can hold 100k+ trades)
+        const high = filteredTrades.reduce((max, trade) => Math.max(max, parseFloat(trade.price)), -Infinity);
+        const low = filteredTrades.reduce((min, trade) => Math.min(min, parseFloat(trade.price)), Infinity);
+        const bins = getBinSize(tickSize, high, low, binning);
+
         // Calculate volume footprint
-        const footprint = calculateVolumeFootprint(filteredTrades, tickSize);
+        const footprint = calculateVolumeFootprint(filteredTrades, bins.binSize, valueAreaPercent, valueAreaMethod);
         
         return {
             ...footprint,
+            binning: bins,
             symbol: symbol,
             timeframe: {
                 startTime: startTime,
@@ -322,9 +531,18 @@ function calculateReversalVolumeFootprint(trades, symbol, startTime, endTime) {
 }
 
 module.exports = {
+    VALUE_AREA_METHODS,
+    DEFAULT_VALUE_AREA_METHOD,
+    BINNING_MODES,
+    DEFAULT_BINNING_MODE,
+    BINNING_ATR_PERIOD,
     calculateVolumeFootprint,
     calculateValueArea,
     calculateReversalVolumeFootprint,
+    calculateAverageTrueRange,
+    getBinningOptions,
+    getReversalBinning,
+    getBinSize,
     validateAndFilterTrades,
     getTickSize,
     getDecimalPlaces
@@ -0,0 +1,264 @@
+/**
+ * VWAP & Deviation Bands
+ * Daily and session-anchored VWAP (same UTC day / Asia / London / New York
+ * periods as the session volume profiles) with 1σ and 2σ bands.
+ *
+ * Every closed 1m candle stored by processOneMinuteCandle is folded into the
+ * `vwaps` documents of its periods with $inc on three running sums (volume,
+ * price x volume and price² x volume, using the typical price (H+L+C)/3), so
+ * VWAP = Σpv / Σv and σ = √(Σp²v / Σv - VWAP²) never need the full period.
+ * Minutes missed in between (reconnects) are caught up from the candle store,
+ * as far back as its 1m retention (getCandleRetentionHours) - a period that
+ * started before that is partial.
+ */
+
+const { getCandleData } = require('../models/database');
+const { getProfilePeriods } = require('./sessionVolumeProfiles');
+const { getTickSize, getDecimalPlaces } = require('./volumeFootprintCalculator');
+const { getCandleRetentionHours } = require('./candleStore');
+
+// Only the current periods are used; older ones are kept for inspection
+const VWAP_RETENTION_DAYS = 7;
+
+/**
+ * Add 1m candles to VWAP running sums
+ * @param {Object} sums - { volume, priceVolume, priceSquaredVolume } (modified in place)
+ * @param {Array} candles - 1m candles
+ * @returns {Object} The sums
+ */
+function addCandlesToVwap(sums, candles) {
+    candles.forEach(candle => {
+        const volume = candle.volume || 0;
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+
+        sums.volume = (sums.volume || 0) + volume;
+        sums.priceVolume = (sums.priceVolume || 0) + typicalPrice * volume;
+        sums.priceSquaredVolume = (sums.priceSquaredVolume || 0) + typicalPrice * typicalPrice * volume;
+    });
+
+    return sums;
+}
+
+/**
+ * VWAP, standard deviation and bands from running sums
+ * @param {Object} sums - { volume, priceVolume, priceSquaredVolume }
+ * @param {string} symbol - Trading symbol (for rounding to the tick size)
+ * @returns {Object|null} { vwap, stdDev, upperBand1, lowerBand1, upperBand2, lowerBand2 } or null without volume
+ */
+function summarizeVwap(sums, symbol) {
+    if (!sums || !(sums.volume > 0)) {
+        return null;
+    }
+
+    const vwap = sums.priceVolume / sums.volume;
+    const stdDev = Math.sqrt(Math.max(0, sums.priceSquaredVolume / sums.volume - vwap * vwap));
+    const decimals = getDecimalPlaces(getTickSize(symbol, vwap)) + 2;
+    const round = value => parseFloat(value.toFixed(decimals));
+
+    return {
+        vwap: round(vwap),
+        stdDev: round(stdDev),
+        upperBand1: round(vwap + stdDev),
+        lowerBand1: round(vwap - stdDev),
+        upperBand2: round(vwap + 2 * stdDev),
+        lowerBand2: round(vwap - 2 * stdDev)
+    };
+}
+
+/**
+ * Distance of a price from VWAP in standard deviations (negative = below)
+ * @returns {number|null} Distance rounded to 2 decimals, null without a deviation
+ */
+function getVwapDistance(price, summary) {
+    if (!summary || !(summary.stdDev > 0)) {
+        return null;
+    }
+
+    return Math.round(((price - summary.vwap) / summary.stdDev) * 100) / 100;
+}
+
+/**
+ * Fold a stored 1m candle into the VWAPs of its day and session periods
+ * Minutes between the last folded candle and this one are read from candleData;
+ * candles at or before the last folded one are ignored (already counted).
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {Object} candle - Closed 1m candle (already stored)
+ * @returns {Promise<number>} VWAP documents updated
+ */
+async function updateVwapWithCandle(client, dbName, candle) {
+    const collection = client.db(dbName).collection('vwaps');
+    const openTime = new Date(candle.openTime).getTime();
+    let updated = 0;
+
+    for (const period of getProfilePeriods(openTime)) {
+        const filter = { symbol: candle.symbol, type: period.type, periodStart: period.periodStart };
+        const existing = await collection.findOne(filter);
+        const lastCandleTime = existing && existing.lastCandleTime ? new Date(existing.lastCandleTime).getTime() : null;
+
+        if (lastCandleTime !== null && lastCandleTime >= openTime) {
+            continue;
+        }
+
+        // Catch up missed minutes of the period (the usual case is just this candle)
+        let candles = [candle];
+        if (lastCandleTime !== null && openTime - lastCandleTime > 60000) {
+            // Older 1m candles have expired from the candle store
+            const catchUpMinutes = getCandleRetentionHours('1m') * 60;
+            const since = Math.max(lastCandleTime + 1, period.periodStart.getTime(), openTime - catchUpMinutes * 60000);
+            candles = await getCandleData(
+                client, dbName, candle.symbol, '1m', catchUpMinutes + 1, 0, new Date(since), new Date(openTime)
+            );
+            if (!candles.some(c => new Date(c.openTime).getTime() === openTime)) {
+                candles.push(candle);
+            }
+        }
+
+        const sums = addCandlesToVwap({}, candles);
+
+        await collection.updateOne(
+            filter,
+            {
+                $inc: {
+                    volume: sums.volume,
+                    priceVolume: sums.priceVolume,
+                    priceSquaredVolume: sums.priceSquaredVolume,
+                    candlesProcessed: candles.length
+                },
+                $max: { lastCandleTime: new Date(openTime) },
+                $setOnInsert: { periodEnd: period.periodEnd, firstCandleTime: new Date(candles[0].openTime), createdAt: new Date() }
+            },
+            { upsert: true }
+        );
+
+        const document = await collection.findOne(filter);
+        await collection.updateOne(filter, { $set: { ...summarizeVwap(document, candle.symbol), updatedAt: new Date() } });
+        updated++;
+    }
+
+    return updated;
+}
+
+/**
+ * Format a VWAP document or summary with the distance of a price
+ */
+function formatVwap(type, summary, price) {
+    if (!summary || typeof summary.vwap !== 'number') {
+        return null;
+    }
+
+    return {
+        type,
+        vwap: summary.vwap,
+        stdDev: summary.stdDev,
+        upperBand1: summary.upperBand1,
+        lowerBand1: summary.lowerBand1,
+        upperBand2: summary.upperBand2,
+        lowerBand2: summary.lowerBand2,
+        distanceSigma: getVwapDistance(price, summary)
+    };
+}
+
+/**
+ * Current day and session (the latest one started) periods at a time
+ */
+function getVwapPeriods(time) {
+    const periods = getProfilePeriods(time);
+    const sessions = periods.filter(period => period.type !== 'day');
+
+    return {
+        day: periods[0],
+        session: sessions.length > 0 ? sessions.reduce((a, b) => (b.periodStart > a.periodStart ? b : a)) : null
+    };
+}
+
+/**
+ * Daily and session VWAP at a time, with the distance of a price in σ
+ * @param {Object} client - MongoDB client
+ * @param {string} dbName - Database name
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Price to measure (the signal close)
+ * @param {number} time - Time in ms (the signal close time)
+ * @returns {Promise<Object|null>} { day, session } (each may be null) or null when neither exists
+ */
+async function getVwapContext(client, dbName, symbol, price, time) {
+    const collection = client.db(dbName).collection('vwaps');
+    const periods = getVwapPeriods(time);
+
+    const load = async (period) => (period
+        ? formatVwap(period.type, await collection.findOne({ symbol, type: period.type, periodStart: period.periodStart }), price)
+        : null);
+
+    const day = await load(periods.day);
+    const session = await load(periods.session);
+
+    return day || session ? { day, session } : null;
+}
+
+/**
+ * VWAP context for a reversal, stored on its footprint for the validator
+ * Never throws - a missing VWAP only fails the optional VWAP side check
+ * @returns {Promise<Object|null>} Same shape as getVwapContext
+ */
+async function getReversalVwap(client, dbName, symbol, price, time) {
+    try {
+        return await getVwapContext(client, dbName, symbol, price, time);
+    } catch (error) {
+        console.error(`❌ Error loading ${symbol} VWAP:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * VWAP context from 1m candles already in memory (backtests)
+ * @param {Array} candles - 1m candles sorted by openTime
+ * @param {string} symbol - Trading symbol
+ * @param {number} price - Price to measure
+ * @param {number} time - Signal close time in ms
+ * @returns {Object|null} Same shape as getVwapContext
+ */
+function buildVwapFromCandles(candles, symbol, price, time) {
+    const periods = getVwapPeriods(time);
+
+    const build = (period) => {
+        if (!period) {
+            return null;
+        }
+
+        const start = period.periodStart.getTime();
+        const window = candles.filter(candle => {
+            const openTime = new Date(candle.openTime).getTime();
+            return openTime >= start && openTime < time;
+        });
+
+        return formatVwap(period.type, summarizeVwap(addCandlesToVwap({}, window), symbol), price);
+    };
+
+    const day = build(periods.day);
+    const session = build(periods.session);
+
+    return day || session ? { day, session } : null;
+}
+
+/**
+ * Remove VWAP periods older than the retention
+ * @returns {Promise<number>} Documents removed
+ */
+async function removeExpiredVwaps(client, dbName) {
+    const result = await client.db(dbName).collection('vwaps').deleteMany({
+        periodStart: { $lt: new Date(Date.now() - VWAP_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+    });
+
+    return result.deletedCount;
+}
+
+module.exports = {
+    addCandlesToVwap,
+    summarizeVwap,
+    getVwapDistance,
+    updateVwapWithCandle,
+    getVwapContext,
+    getReversalVwap,
+    buildVwapFromCandles,
+    removeExpiredVwaps
+};
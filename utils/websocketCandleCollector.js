@@ -1,14 +1,19 @@
 /**
  * WebSocket Candlestick Data Collector for Real-time 1-minute OHLC Data
- * Connects to Binance Futures WebSocket kline streams to get closed 1-minute candles
- * Uses the 'x' flag to detect when candles are finalized/closed
+ * Connects to one exchange's 1-minute kline streams (through its exchange adapter)
+ * to get closed 1-minute candles; the adapter's parsed `isClosed` flag tells when
+ * a candle is finalized
  */
 
 const WebSocket = require('ws');
+const { getExchangeAdapter, getSymbolExchange } = require('./exchangeAdapters');
+const { getCandleCollection } = require('./candleStore');
 
 class WebSocketCandleCollector {
     constructor(options = {}) {
-        this.baseUrl = 'wss://fstream.binance.com/ws';
+        this.adapter = getExchangeAdapter(options.exchange);
+        this.exchange = this.adapter.name;
+        this.baseUrl = this.adapter.streamUrl;
         this.ws = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
@@ -37,6 +42,7 @@ class WebSocketCandleCollector {
         this.onConnectCallback = options.onConnect || null;
         this.onDisconnectCallback = options.onDisconnect || null;
         this.onGapDetectedCallback = options.onGapDetected || null;
+        this.onPriceUpdateCallback = options.onPriceUpdate || null; // Every kline update, open or closed
         
         // Heartbeat with improved handling
         this.heartbeatInterval = null;
@@ -66,7 +72,7 @@ class WebSocketCandleCollector {
     }
 
     /**
-     * Connect to Binance WebSocket with initial symbols
+     * Connect to the exchange WebSocket with initial symbols
      */
     async connect(initialSymbols = []) {
         return new Promise((resolve, reject) => {
@@ -78,7 +84,7 @@ class WebSocketCandleCollector {
                     return;
                 }
                 
-                console.log(`🔗 Connecting to Binance WebSocket for ${initialSymbols.length} symbols...`);
+                console.log(`🔗 Connecting to ${this.adapter.label} WebSocket for ${initialSymbols.length} symbols...`);
                 
                 // Set up connection timeout
                 const connectionTimeout = setTimeout(() => {
@@ -89,13 +95,13 @@ class WebSocketCandleCollector {
                 
                 this.ws.on('open', () => {
                     clearTimeout(connectionTimeout);
-                    console.log('✅ WebSocket connected to Binance for candlestick streams');
+                    console.log(`✅ WebSocket connected to ${this.adapter.label} for candlestick streams`);
                     this.isConnected = true;
                     this.isReconnecting = false;
                     this.reconnectAttempts = 0;
                     this.stats.connectedAt = new Date();
                     this.lastMessageTime = new Date(); // Initialize message tracking
-                    this.setupPingPongHandling(); // Set up proper ping/pong according to Binance docs
+                    this.setupPingPongHandling(); // Set up ping/pong according to the exchange's docs
                     
                     // Persist symbols for reconnection reliability
                     if (initialSymbols && initialSymbols.length > 0) {
@@ -177,10 +183,8 @@ class WebSocketCandleCollector {
             
             const message = JSON.parse(data);
             
-            // Handle kline/candlestick data
-            if (message.e === 'kline') {
-                this.handleKlineData(message);
-            }
+            // Handle kline/candlestick data (subscription acks and pongs parse to nothing)
+            this.adapter.parseKlineMessage(message).forEach(kline => this.handleKlineData(kline));
             
         } catch (error) {
             console.error('❌ Error parsing WebSocket message:', error);
@@ -190,18 +194,33 @@ class WebSocketCandleCollector {
 
     /**
      * Handle kline/candlestick data
+     * @param {Object} kline - Kline parsed by the exchange adapter
      */
-    handleKlineData(message) {
-        const kline = message.k;
-        const symbol = kline.s;
-        const isClosed = kline.x; // KEY: Is this kline closed?
+    handleKlineData(kline) {
+        const symbol = kline.symbol;
+        const isClosed = kline.isClosed; // KEY: Is this kline closed?
         
         this.stats.candlesReceived++;
         this.stats.lastCandleTime = new Date();
         
+        // Live price of the current minute (used for level alerts)
+        if (this.onPriceUpdateCallback) {
+            try {
+                this.onPriceUpdateCallback({
+                    symbol: symbol,
+                    high: kline.high,
+                    low: kline.low,
+                    close: kline.close,
+                    time: new Date(kline.eventTime)
+                });
+            } catch (callbackError) {
+                console.error(`❌ Error in price update callback for ${symbol}:`, callbackError);
+            }
+        }
+        
         // Only process closed candles (finalized 1-minute candles)
         if (isClosed) {
-            const candleCloseTime = new Date(kline.T);
+            const candleCloseTime = new Date(kline.closeTime);
             console.log(`📊 Closed 1-minute candle received for ${symbol} at ${candleCloseTime.toISOString()}`);
             
             // Update last candle timestamp for this symbol (for gap detection)
@@ -210,17 +229,17 @@ class WebSocketCandleCollector {
             const candleData = {
                 symbol: symbol,
                 interval: '1m',
-                openTime: new Date(kline.t),
+                openTime: new Date(kline.openTime),
                 closeTime: candleCloseTime,
-                open: parseFloat(kline.o),
-                high: parseFloat(kline.h),
-                low: parseFloat(kline.l),
-                close: parseFloat(kline.c),
-                volume: parseFloat(kline.v),
-                quoteAssetVolume: parseFloat(kline.q),
-                numberOfTrades: kline.n,
-                takerBuyBaseAssetVolume: parseFloat(kline.V),
-                takerBuyQuoteAssetVolume: parseFloat(kline.Q),
+                open: kline.open,
+                high: kline.high,
+                low: kline.low,
+                close: kline.close,
+                volume: kline.volume,
+                quoteAssetVolume: kline.quoteAssetVolume,
+                numberOfTrades: kline.numberOfTrades,
+                takerBuyBaseAssetVolume: kline.takerBuyBaseAssetVolume,
+                takerBuyQuoteAssetVolume: kline.takerBuyQuoteAssetVolume,
                 fetchedAt: new Date(),
                 dataSource: 'websocket_realtime'
             };
@@ -253,12 +272,7 @@ class WebSocketCandleCollector {
         }
 
         try {
-            const stream = `${symbol.toLowerCase()}@kline_1m`;
-            const subscribeMessage = {
-                method: "SUBSCRIBE",
-                params: [stream],
-                id: Date.now()
-            };
+            const subscribeMessage = this.adapter.buildStreamRequest('kline', [symbol], 'subscribe');
             
             this.ws.send(JSON.stringify(subscribeMessage));
             this.subscribedSymbols.add(symbol);
@@ -287,12 +301,7 @@ class WebSocketCandleCollector {
         }
 
         try {
-            const stream = `${symbol.toLowerCase()}@kline_1m`;
-            const unsubscribeMessage = {
-                method: "UNSUBSCRIBE",
-                params: [stream],
-                id: Date.now()
-            };
+            const unsubscribeMessage = this.adapter.buildStreamRequest('kline', [symbol], 'unsubscribe');
             
             this.ws.send(JSON.stringify(unsubscribeMessage));
             this.subscribedSymbols.delete(symbol);
@@ -311,7 +320,7 @@ class WebSocketCandleCollector {
      */
     subscribeToSymbols(symbols) {
         const results = [];
-        const BATCH_SIZE = 10; // Binance allows ~10 subscriptions per message
+        const BATCH_SIZE = this.adapter.maxStreamsPerRequest; // Binance and Bybit allow ~10 subscriptions per message
         const BATCH_DELAY = 1000; // 1 second delay between batches
         
         console.log(`📊 Subscribing to ${symbols.length} streams in batches of ${BATCH_SIZE}...`);
@@ -350,14 +359,8 @@ class WebSocketCandleCollector {
         }
 
         try {
-            // Create streams for all symbols in the batch
-            const streams = symbols.map(symbol => `${symbol.toLowerCase()}@kline_1m`);
-            
-            const subscribeMessage = {
-                method: "SUBSCRIBE",
-                params: streams,
-                id: Date.now()
-            };
+            // One message for all streams in the batch
+            const subscribeMessage = this.adapter.buildStreamRequest('kline', symbols, 'subscribe');
             
             this.ws.send(JSON.stringify(subscribeMessage));
             
@@ -490,6 +493,7 @@ class WebSocketCandleCollector {
      */
     getStatus() {
         return {
+            exchange: this.exchange,
             isConnected: this.isConnected,
             subscribedSymbols: Array.from(this.subscribedSymbols),
             subscribedCount: this.subscribedSymbols.size,
@@ -502,15 +506,16 @@ class WebSocketCandleCollector {
     }
 
     /**
-     * Set up proper ping/pong handling according to Binance WebSocket specs
-     * Binance sends ping frames every 3 minutes, we must respond with pong immediately
+     * Set up proper ping/pong handling according to the exchange's WebSocket specs
+     * Binance sends ping frames every 3 minutes, we must respond with pong immediately;
+     * exchanges with a `streamPing` (Bybit) expect an application ping message instead
      */
     setupPingPongHandling() {
         if (!this.ws) return;
         
-        // Handle incoming ping frames from Binance server
+        // Handle incoming ping frames from the server
         this.ws.on('ping', (data) => {
-            console.log('🏓 Received ping from Binance, sending pong...');
+            console.log(`🏓 Received ping from ${this.adapter.label}, sending pong...`);
             try {
                 // Respond immediately with pong containing the same payload
                 this.ws.pong(data);
@@ -529,7 +534,17 @@ class WebSocketCandleCollector {
             this.lastMessageTime = new Date();
         });
 
-        console.log('🏓 Ping/Pong handling configured according to Binance specs');
+        // Application-level heartbeat for exchanges that close silent connections
+        const streamPing = this.adapter.streamPing;
+        if (streamPing) {
+            this.heartbeatInterval = setInterval(() => {
+                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.send(JSON.stringify(streamPing.message));
+                }
+            }, streamPing.intervalMs);
+        }
+
+        console.log(`🏓 Ping/Pong handling configured according to ${this.adapter.label} specs`);
     }
 
     /**
@@ -916,7 +931,7 @@ class WebSocketCandleCollector {
             }
             
             const db = hybridManager.client.db(hybridManager.dbName);
-            const collection = db.collection('candleData');
+            const collection = getCandleCollection(db);
             
             // Find the most recent 1-minute candle for this symbol
             const lastCandle = await collection.findOne(
@@ -973,7 +988,8 @@ class WebSocketCandleCollector {
             if (hybridManager && hybridManager.client) {
                 const { getSelectedSymbols } = require('../config/database');
                 const symbols = await getSelectedSymbols(hybridManager.client);
-                return symbols || [];
+                // Only the symbols traded on this collector's exchange
+                return (symbols || []).filter(symbol => getSymbolExchange(symbol) === this.exchange);
             }
             
             // If no hybrid manager, return empty array
@@ -1062,17 +1078,20 @@ class WebSocketCandleCollector {
     }
 }
 
-// Singleton instance for global use
-let globalCandleCollector = null;
+// One global instance per exchange
+const globalCandleCollectors = new Map();
 
 /**
- * Get or create global WebSocket candlestick collector instance
+ * Get or create the global WebSocket candlestick collector of an exchange
+ * @param {Object} options - Collector options; `exchange` defaults to the deployment exchange
  */
 function getGlobalCandleCollector(options = {}) {
-    if (!globalCandleCollector) {
-        globalCandleCollector = new WebSocketCandleCollector(options);
+    const exchange = getExchangeAdapter(options.exchange).name;
+
+    if (!globalCandleCollectors.has(exchange)) {
+        globalCandleCollectors.set(exchange, new WebSocketCandleCollector({ ...options, exchange }));
     }
-    return globalCandleCollector;
+    return globalCandleCollectors.get(exchange);
 }
 
 /**
@@ -1089,13 +1108,13 @@ async function initializeGlobalCandleCollector(options = {}, initialSymbols = []
 }
 
 /**
- * Disconnect and cleanup global candlestick collector
+ * Disconnect and cleanup all global candlestick collectors
  */
 function cleanupGlobalCandleCollector() {
-    if (globalCandleCollector) {
-        globalCandleCollector.disconnect();
-        globalCandleCollector = null;
+    for (const collector of globalCandleCollectors.values()) {
+        collector.disconnect();
     }
+    globalCandleCollectors.clear();
 }
 
 module.exports = {
@@ -1,14 +1,25 @@
 /**
  * WebSocket Tick Data Collector for Real-time Volume Footprint Calculation
- * Connects to Binance Futures WebSocket streams to collect tick data
+ * Connects to one exchange's trade streams (through its exchange adapter) to collect tick data.
+ * Collected trades are kept in the local trade store when a candle is finalized.
+ *
+ * Recorded symbols (recordSymbols) are streamed continuously and their trades
+ * handed over per closed minute (onMinuteClosed), for the minute volume profiles.
  */
 
 const WebSocket = require('ws');
 const { calculateReversalVolumeFootprint } = require('./volumeFootprintCalculator');
+const { getExchangeAdapter } = require('./exchangeAdapters');
+const { storeTrades } = require('./tradeStore');
+
+// A minute is closed this long after its end, so trades still in flight are included
+const MINUTE_CLOSE_GRACE_MS = 2000;
 
 class WebSocketTickCollector {
     constructor(options = {}) {
-        this.baseUrl = 'wss://fstream.binance.com/ws/';
+        this.adapter = getExchangeAdapter(options.exchange);
+        this.exchange = this.adapter.name;
+        this.baseUrl = this.adapter.streamUrl;
         this.ws = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
@@ -26,6 +37,12 @@ class WebSocketTickCollector {
         this.onErrorCallback = options.onError || null;
         this.onConnectCallback = options.onConnect || null;
         this.onDisconnectCallback = options.onDisconnect || null;
+        this.onMinuteClosedCallback = options.onMinuteClosed || null; // (symbol, { openTime, trades, complete })
+        
+        // Continuous recording: symbol -> { since, nextMinute, trades[] }
+        this.recordedSymbols = new Set();
+        this.minuteRecorders = new Map();
+        this.minuteFlushInterval = null;
         
         // Heartbeat
         this.heartbeatInterval = null;
@@ -35,20 +52,25 @@ class WebSocketTickCollector {
     }
 
     /**
-     * Connect to Binance WebSocket
+     * Connect to the exchange WebSocket
      */
     async connect() {
         try {
-            console.log('🔗 Connecting to Binance WebSocket...');
+            console.log(`🔗 Connecting to ${this.adapter.label} WebSocket...`);
             
             this.ws = new WebSocket(this.baseUrl);
             
             this.ws.on('open', () => {
-                console.log('✅ WebSocket connected to Binance');
+                console.log(`✅ WebSocket connected to ${this.adapter.label}`);
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
                 this.startHeartbeat();
                 
+                // Subscriptions don't survive a reconnect
+                const symbols = [...new Set([...this.subscribedSymbols, ...this.recordedSymbols])];
+                this.subscribedSymbols.clear();
+                this.subscribeToSymbols(symbols);
+                
                 if (this.onConnectCallback) {
                     this.onConnectCallback();
                 }
@@ -63,6 +85,12 @@ class WebSocketTickCollector {
                 this.isConnected = false;
                 this.stopHeartbeat();
                 
+                // Trades were missed: the collected ones are no longer a complete record
+                for (const activeCandle of this.activeCandles.values()) {
+                    activeCandle.interrupted = true;
+                }
+                this.interruptMinuteRecording();
+                
                 if (this.onDisconnectCallback) {
                     this.onDisconnectCallback(code, reason);
                 }
@@ -92,10 +120,8 @@ class WebSocketTickCollector {
         try {
             const message = JSON.parse(data);
             
-            // Handle aggregated trade data
-            if (message.e === 'aggTrade') {
-                this.handleAggTrade(message);
-            }
+            // Handle aggregated trade data (subscription acks and pongs parse to nothing)
+            this.adapter.parseTradeMessage(message).forEach(({ symbol, trade }) => this.handleAggTrade(symbol, trade));
             
         } catch (error) {
             console.error('❌ Error parsing WebSocket message:', error);
@@ -104,10 +130,24 @@ class WebSocketTickCollector {
 
     /**
      * Handle aggregated trade data
+     * @param {string} symbol - Trading symbol
+     * @param {Object} tradeData - Trade parsed by the exchange adapter
      */
-    handleAggTrade(trade) {
-        const symbol = trade.s;
-        const timestamp = trade.T;
+    handleAggTrade(symbol, tradeData) {
+        const timestamp = tradeData.timestamp;
+        
+        // Continuous per-minute recording
+        const recorder = this.minuteRecorders.get(symbol);
+        if (recorder) {
+            if (recorder.since === null) {
+                recorder.since = timestamp;
+                recorder.nextMinute = Math.floor(timestamp / 60000) * 60000;
+            }
+            // Trades of a minute already closed are dropped
+            if (timestamp >= recorder.nextMinute) {
+                recorder.trades.push(tradeData);
+            }
+        }
         
         // Check if we're collecting data for this symbol
         const activeCandle = this.activeCandles.get(symbol);
@@ -115,18 +155,13 @@ class WebSocketTickCollector {
             return;
         }
 
+        // The stream is live for this symbol from its first trade on
+        if (!activeCandle.streamingSince) {
+            activeCandle.streamingSince = timestamp;
+        }
+
         // Check if trade is within our collection timeframe
         if (timestamp >= activeCandle.startTime && timestamp <= activeCandle.endTime) {
-            const tradeData = {
-                id: trade.a,
-                price: parseFloat(trade.p),
-                quantity: parseFloat(trade.q),
-                timestamp: timestamp,
-                isBuyerMaker: trade.m,
-                firstTradeId: trade.f,
-                lastTradeId: trade.l
-            };
-            
             activeCandle.trades.push(tradeData);
             
             // Call trade callback if provided
@@ -151,12 +186,7 @@ class WebSocketTickCollector {
         }
 
         try {
-            const stream = `${symbol.toLowerCase()}@aggTrade`;
-            const subscribeMessage = {
-                method: "SUBSCRIBE",
-                params: [stream],
-                id: Date.now()
-            };
+            const subscribeMessage = this.adapter.buildStreamRequest('trade', [symbol], 'subscribe');
             
             this.ws.send(JSON.stringify(subscribeMessage));
             this.subscribedSymbols.add(symbol);
@@ -170,6 +200,115 @@ class WebSocketTickCollector {
         }
     }
 
+    /**
+     * Subscribe to multiple symbols, one message per batch and one batch per second
+     * @param {Array} symbols - Trading symbols
+     */
+    subscribeToSymbols(symbols) {
+        const pending = symbols.filter(symbol => !this.subscribedSymbols.has(symbol));
+        const batchSize = this.adapter.maxStreamsPerRequest;
+        
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            
+            setTimeout(() => {
+                if (!this.isConnected || !this.ws) {
+                    return;
+                }
+                
+                try {
+                    this.ws.send(JSON.stringify(this.adapter.buildStreamRequest('trade', batch, 'subscribe')));
+                    batch.forEach(symbol => this.subscribedSymbols.add(symbol));
+                    console.log(`📡 Subscribed to ${batch.length} aggTrade streams`);
+                } catch (error) {
+                    console.error('❌ Failed to subscribe to aggTrade batch:', error);
+                }
+            }, (i / batchSize) * 1000);
+        }
+    }
+
+    /**
+     * Record every trade of these symbols and hand them over per closed minute
+     * Symbols no longer recorded are unsubscribed unless a candle collection uses them.
+     * @param {Array} symbols - Symbols to record
+     * @returns {Object} { added, removed, total }
+     */
+    recordSymbols(symbols) {
+        const wanted = new Set(symbols);
+        const added = symbols.filter(symbol => !this.recordedSymbols.has(symbol));
+        const removed = [...this.recordedSymbols].filter(symbol => !wanted.has(symbol));
+        
+        removed.forEach(symbol => {
+            this.recordedSymbols.delete(symbol);
+            this.minuteRecorders.delete(symbol);
+            if (!this.activeCandles.has(symbol)) {
+                this.unsubscribeFromSymbol(symbol);
+            }
+        });
+        
+        added.forEach(symbol => {
+            this.recordedSymbols.add(symbol);
+            this.minuteRecorders.set(symbol, { since: null, nextMinute: null, trades: [] });
+        });
+        
+        if (this.isConnected) {
+            this.subscribeToSymbols(added);
+        }
+        
+        if (this.recordedSymbols.size > 0 && !this.minuteFlushInterval) {
+            this.minuteFlushInterval = setInterval(() => this.flushMinutes(), 1000);
+        } else if (this.recordedSymbols.size === 0 && this.minuteFlushInterval) {
+            clearInterval(this.minuteFlushInterval);
+            this.minuteFlushInterval = null;
+        }
+        
+        return { added: added.length, removed: removed.length, total: this.recordedSymbols.size };
+    }
+
+    /**
+     * Close the recorded minutes that ended at least MINUTE_CLOSE_GRACE_MS ago
+     * A minute is complete when the stream was live from before its start.
+     * @param {number} [now] - Current time in milliseconds
+     */
+    flushMinutes(now = Date.now()) {
+        for (const [symbol, recorder] of this.minuteRecorders) {
+            while (recorder.nextMinute !== null && recorder.nextMinute + 60000 + MINUTE_CLOSE_GRACE_MS <= now) {
+                const openTime = recorder.nextMinute;
+                const trades = recorder.trades.filter(trade => trade.timestamp < openTime + 60000);
+                
+                recorder.trades = recorder.trades.slice(trades.length);
+                recorder.nextMinute += 60000;
+                
+                this.closeMinute(symbol, { openTime, trades, complete: recorder.since <= openTime });
+            }
+        }
+    }
+
+    /**
+     * Hand over a closed minute; callback errors are logged only
+     */
+    closeMinute(symbol, minute) {
+        if (!this.onMinuteClosedCallback) {
+            return;
+        }
+        
+        Promise.resolve()
+            .then(() => this.onMinuteClosedCallback(symbol, minute))
+            .catch(error => console.error(`❌ Error in minute callback for ${symbol}:`, error));
+    }
+
+    /**
+     * After a disconnect every recorded symbol restarts with a partial minute
+     */
+    interruptMinuteRecording() {
+        for (const [symbol, recorder] of this.minuteRecorders) {
+            if (recorder.nextMinute !== null) {
+                this.closeMinute(symbol, { openTime: recorder.nextMinute, trades: recorder.trades, complete: false });
+            }
+            this.minuteRecorders.set(symbol, { since: null, nextMinute: null, trades: [] });
+        }
+    }
+
     /**
      * Unsubscribe from aggTrade stream for a symbol
      */
@@ -185,12 +324,7 @@ class WebSocketTickCollector {
         }
 
         try {
-            const stream = `${symbol.toLowerCase()}@aggTrade`;
-            const unsubscribeMessage = {
-                method: "UNSUBSCRIBE",
-                params: [stream],
-                id: Date.now()
-            };
+            const unsubscribeMessage = this.adapter.buildStreamRequest('trade', [symbol], 'unsubscribe');
             
             this.ws.send(JSON.stringify(unsubscribeMessage));
             this.subscribedSymbols.delete(symbol);
@@ -212,6 +346,7 @@ class WebSocketTickCollector {
         console.log(`📅 Collection period: ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()}`);
         
         // Subscribe to symbol if not already subscribed
+        const alreadyStreaming = this.isConnected && this.subscribedSymbols.has(symbol);
         this.subscribeToSymbol(symbol);
         
         // Initialize collection data
@@ -220,7 +355,9 @@ class WebSocketTickCollector {
             endTime: endTime,
             interval: interval,
             trades: [],
-            collectionStarted: new Date()
+            collectionStarted: new Date(),
+            streamingSince: alreadyStreaming ? Date.now() : null,
+            interrupted: false
         });
         
         // Set timeout to automatically stop collection and calculate footprint
@@ -269,6 +406,12 @@ class WebSocketTickCollector {
             // Clean up active collection
             this.activeCandles.delete(symbol);
 
+            // Keep the trades; without a disconnect they are complete from the first streamed one until now
+            await storeTrades(symbol, activeCandle.trades, activeCandle.interrupted || !activeCandle.streamingSince ? null : {
+                startTime: Math.max(activeCandle.startTime, activeCandle.streamingSince),
+                endTime: Math.min(activeCandle.endTime, Date.now())
+            });
+
             console.log(`✅ Volume footprint calculated for ${symbol}: POC=${volumeFootprint.poc}, VAH=${volumeFootprint.vah}, VAL=${volumeFootprint.val}`);
             
             return volumeFootprint;
@@ -299,8 +442,10 @@ class WebSocketTickCollector {
         }));
 
         return {
+            exchange: this.exchange,
             isConnected: this.isConnected,
             subscribedSymbols: Array.from(this.subscribedSymbols),
+            recordedSymbols: Array.from(this.recordedSymbols),
             activeCollections: activeCollections,
             totalActiveCollections: activeCollections.length
         };
@@ -312,10 +457,14 @@ class WebSocketTickCollector {
     startHeartbeat() {
         this.heartbeatInterval = setInterval(() => {
             if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-                // Send ping to keep connection alive
-                this.ws.ping();
+                // Send ping to keep connection alive (an application ping where the exchange needs one)
+                if (this.adapter.streamPing) {
+                    this.ws.send(JSON.stringify(this.adapter.streamPing.message));
+                } else {
+                    this.ws.ping();
+                }
             }
-        }, this.heartbeatTimeout);
+        }, this.adapter.streamPing ? Math.min(this.heartbeatTimeout, this.adapter.streamPing.intervalMs) : this.heartbeatTimeout);
     }
 
     /**
@@ -344,13 +493,9 @@ class WebSocketTickCollector {
         
         setTimeout(async () => {
             try {
+                // Symbols are resubscribed once the connection is open
                 await this.connect();
                 
-                // Resubscribe to all symbols
-                for (const symbol of this.subscribedSymbols) {
-                    this.subscribeToSymbol(symbol);
-                }
-                
             } catch (error) {
                 console.error('❌ Reconnection failed:', error);
                 this.handleReconnection();
@@ -366,6 +511,14 @@ class WebSocketTickCollector {
         
         this.stopHeartbeat();
         
+        // Stop recording (the open minutes are dropped)
+        if (this.minuteFlushInterval) {
+            clearInterval(this.minuteFlushInterval);
+            this.minuteFlushInterval = null;
+        }
+        this.recordedSymbols.clear();
+        this.minuteRecorders.clear();
+        
         // Clear all active collections
         for (const [symbol, data] of this.activeCandles) {
             if (data.timeout) {
@@ -392,6 +545,13 @@ class WebSocketTickCollector {
     forceCleanup() {
         console.log('🧹 Force cleaning up WebSocket collector...');
         
+        if (this.minuteFlushInterval) {
+            clearInterval(this.minuteFlushInterval);
+            this.minuteFlushInterval = null;
+        }
+        this.recordedSymbols.clear();
+        this.minuteRecorders.clear();
+        
         // Clear all timeouts
         for (const [symbol, data] of this.activeCandles) {
             if (data.timeout) {
@@ -413,17 +573,20 @@ class WebSocketTickCollector {
     }
 }
 
-// Singleton instance for global use
-let globalTickCollector = null;
+// One global instance per exchange
+const globalTickCollectors = new Map();
 
 /**
- * Get or create global WebSocket tick collector instance
+ * Get or create the global WebSocket tick collector of an exchange
+ * @param {Object} options - Collector options; `exchange` defaults to the deployment exchange
  */
 function getGlobalTickCollector(options = {}) {
-    if (!globalTickCollector) {
-        globalTickCollector = new WebSocketTickCollector(options);
+    const exchange = getExchangeAdapter(options.exchange).name;
+
+    if (!globalTickCollectors.has(exchange)) {
+        globalTickCollectors.set(exchange, new WebSocketTickCollector({ ...options, exchange }));
     }
-    return globalTickCollector;
+    return globalTickCollectors.get(exchange);
 }
 
 /**
@@ -440,13 +603,13 @@ async function initializeGlobalTickCollector(options = {}) {
 }
 
 /**
- * Disconnect and cleanup global tick collector
+ * Disconnect and cleanup all global tick collectors
  */
 function cleanupGlobalTickCollector() {
-    if (globalTickCollector) {
-        globalTickCollector.disconnect();
-        globalTickCollector = null;
+    for (const collector of globalTickCollectors.values()) {
+        collector.disconnect();
     }
+    globalTickCollectors.clear();
 }
 
 module.exports = {